@@ -72,6 +72,16 @@ redisClient.on('reconnecting', () => {
   logger.info('🔄 Redis client reconnecting...');
 });
 
+// Compare-and-set of a session's refresh token id: writes ARGV[2] only while the
+// stored session's tokenId is ARGV[1]. Returns 1 when written, 0 otherwise.
+const SWAP_SESSION_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if not current then return 0 end
+if cjson.decode(current).tokenId ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', tonumber(ARGV[3]))
+return 1
+`;
+
 // Cache wrapper class
 class RedisCache {
   constructor(client) {
@@ -162,15 +172,15 @@ class RedisCache {
   }
 
   // Set key with TTL only if it doesn't exist
-  async setnx(key, value, ttlSeconds) {
+  async setnx(key, value, ttlSeconds, options = {}) {
     try {
       const { json = true } = options;
       const serializedValue = json ? JSON.stringify(value) : value;
       
       if (ttlSeconds > 0) {
-        return await this.client.set(key, serializedValue, 'EX', ttlSeconds, 'NX');
+        return await this.client.set(key, serializedValue, { EX: ttlSeconds, NX: true });
       } else {
-        return await this.client.set(key, serializedValue, 'NX');
+        return await this.client.set(key, serializedValue, { NX: true });
       }
     } catch (error) {
       logger.error(`Redis setnx error for key ${key}:`, error);
@@ -269,6 +279,54 @@ class RedisCache {
     return await this.del(key);
   }
 
+  // Replace a session only if its tokenId is still `expectedTokenId`, so of two
+  // concurrent rotations of one refresh token exactly one wins
+  async swapSession(sessionId, expectedTokenId, data, ttlSeconds = redisConfig.ttl.session) {
+    const key = `session:${sessionId}`;
+    try {
+      const swapped = await this.client.eval(SWAP_SESSION_SCRIPT, {
+        keys: [key],
+        arguments: [expectedTokenId, JSON.stringify(data), String(ttlSeconds)]
+      });
+      return swapped === 1;
+    } catch (error) {
+      logger.error(`Redis session swap error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  // Per-user index of session ids, so a user's devices can be listed and revoked
+  async addUserSession(userId, sessionId) {
+    const key = `user_sessions:${userId}`;
+    try {
+      await this.client.sAdd(key, sessionId);
+      return true;
+    } catch (error) {
+      logger.error(`Redis sAdd error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  async getUserSessionIds(userId) {
+    const key = `user_sessions:${userId}`;
+    try {
+      return await this.client.sMembers(key);
+    } catch (error) {
+      logger.error(`Redis sMembers error for key ${key}:`, error);
+      return [];
+    }
+  }
+
+  async removeUserSession(userId, sessionId) {
+    const key = `user_sessions:${userId}`;
+    try {
+      return await this.client.sRem(key, sessionId);
+    } catch (error) {
+      logger.error(`Redis sRem error for key ${key}:`, error);
+      return 0;
+    }
+  }
+
   // Analysis caching
   async cacheAnalysis(analysisId, data, ttlSeconds = redisConfig.ttl.analysis) {
     const key = `analysis:${analysisId}`;
@@ -313,6 +371,35 @@ class RedisCache {
     return await this.get(fullKey);
   }
 
+  // User statistics caching: one hash per user, a field per date range, so a
+  // single delete invalidates every range
+  async cacheUserStats(userId, dateRange, data, ttlSeconds = redisConfig.ttl.analysis) {
+    const key = `stats:${userId}`;
+    try {
+      await this.client.hSet(key, String(dateRange), JSON.stringify(data));
+      await this.client.expire(key, ttlSeconds);
+      return true;
+    } catch (error) {
+      logger.error(`Redis stats cache error for key ${key}:`, error);
+      return false;
+    }
+  }
+
+  async getUserStats(userId, dateRange) {
+    const key = `stats:${userId}`;
+    try {
+      const value = await this.client.hGet(key, String(dateRange));
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error(`Redis stats get error for key ${key}:`, error);
+      return null;
+    }
+  }
+
+  async invalidateUserStats(userId) {
+    return await this.del(`stats:${userId}`);
+  }
+
   // Health check
   async ping() {
     try {
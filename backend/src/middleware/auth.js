@@ -0,0 +1,49 @@
+import User from '../models/User.js';
+import { AuthService } from '../services/authService.js';
+
+/**
+ * Middleware to require a valid access token in the Authorization header.
+ * Expired, logged-out and purpose-bound tokens, tokens of revoked sessions and
+ * tokens of deactivated users are refused. Sets req.user and req.token.
+ */
+export const authenticateToken = async (req, res, next) => {
+  const authHeader = req.get('authorization');
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access token required',
+      code: 'TOKEN_MISSING'
+    });
+  }
+
+  try {
+    const decoded = await AuthService.verifyAccessToken(token);
+    const role = decoded ? await User.getRole(decoded.id) : null;
+
+    if (!decoded || !role) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired access token',
+        code: 'TOKEN_INVALID'
+      });
+    }
+
+    req.user = {
+      id: decoded.id,
+      email: decoded.email,
+      role,
+      sessionId: decoded.sid || null
+    };
+    req.token = token;
+
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to authenticate request'
+    });
+  }
+};
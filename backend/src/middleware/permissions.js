@@ -0,0 +1,62 @@
+import User from '../models/User.js';
+import RoleService from '../services/RoleService.js';
+
+/**
+ * Load the caller's platform role onto req.user. The role is read from the
+ * database on every request, so a role change applies immediately.
+ */
+const loadRole = async (req) => {
+  const role = await User.getRole(req.user.id);
+  req.user.role = role;
+  return role;
+};
+
+const forbidden = (res, message) => res.status(403).json({
+  success: false,
+  message,
+  code: 'FORBIDDEN'
+});
+
+/**
+ * Middleware to restrict a route to staff (any role but `user`).
+ * Must run after authenticateToken.
+ */
+export const requireStaff = async (req, res, next) => {
+  try {
+    if (!RoleService.isStaff(await loadRole(req))) {
+      return forbidden(res, 'Staff access required');
+    }
+
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check permissions'
+    });
+  }
+};
+
+/**
+ * Middleware to restrict a route to roles holding every given permission.
+ * Must run after authenticateToken.
+ */
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      const role = await loadRole(req);
+
+      if (!permissions.every(permission => RoleService.can(role, permission))) {
+        return forbidden(res, 'You do not have permission to perform this action');
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check permissions'
+      });
+    }
+  };
+};
@@ -1,6 +1,8 @@
 import { Request, Response, NextFunction } from 'express';
 import Subscription from '../models/Subscription.js';
+import fs from 'fs-extra';
 import UsageTracking from '../models/UsageTracking.js';
+import Outlet from '../models/Outlet.js';
 import SubscriptionService from '../services/SubscriptionService.js';
 
 /**
@@ -10,7 +12,8 @@ export const validateSubscription = (requiredFeatures = []) => {
   return async (req, res, next) => {
     try {
       const userId = req.user.id;
-      const subscription = await Subscription.findActiveByUserId(userId);
+      // Family members are covered by their primary member's plan
+      const subscription = await Subscription.findEffectiveByUserId(userId);
       const tier = subscription ? subscription.tier : 'free';
 
       // Check if all required features are available
@@ -48,8 +51,8 @@ export const validateUsageLimit = (resourceType, customLimit = null) => {
     try {
       const userId = req.user.id;
       
-      // Get current subscription
-      const subscription = await Subscription.findActiveByUserId(userId);
+      // Get current subscription, or the family plan covering the user
+      const subscription = await Subscription.findEffectiveByUserId(userId);
       const tier = subscription ? subscription.tier : 'free';
 
       // Get today's usage
@@ -60,7 +63,7 @@ export const validateUsageLimit = (resourceType, customLimit = null) => {
       const limit = customLimit || SubscriptionService.getLimit(tier, `${resourceType}PerDay`);
 
       // Check if user can use this resource
-      if (!SubscriptionService.canUseResource(resourceType, currentUsage)) {
+      if (limit !== -1 && currentUsage >= limit) {
         const remainingTime = getResetTime(resourceType);
         
         return res.status(429).json({
@@ -82,6 +85,9 @@ export const validateUsageLimit = (resourceType, customLimit = null) => {
         ip: req.ip
       });
 
+      // Lets handlers release the unit if the request turns out not to count
+      req.usageRecord = { resourceType, date: new Date().toISOString().split('T')[0] };
+
       next();
     } catch (error) {
       console.error('Usage limit validation error:', error);
@@ -93,6 +99,63 @@ export const validateUsageLimit = (resourceType, customLimit = null) => {
   };
 };
 
+/**
+ * Give back the unit validateUsageLimit recorded for a request that turned out not
+ * to count, and delete the file multer saved for it
+ */
+export const releaseRequestUsage = async (req) => {
+  if (req.file) {
+    await fs.remove(req.file.path).catch(error => console.warn('Failed to clean up uploaded file:', error.message));
+  }
+
+  if (req.usageRecord) {
+    const { resourceType, date } = req.usageRecord;
+    req.usageRecord = null;
+    await UsageTracking.releaseUsage(req.user.id, resourceType, date)
+      .catch(error => console.error('Failed to release usage:', error));
+  }
+};
+
+/**
+ * Location limit middleware: the user's plan caps how many active outlets they own
+ * across their organisations
+ */
+export const validateLocationLimit = () => {
+  return async (req, res, next) => {
+    try {
+      const subscription = await Subscription.findActiveByUserId(req.user.id);
+      const tier = subscription ? subscription.tier : 'free';
+      const limit = SubscriptionService.getLimit(tier, 'locations');
+
+      if (limit !== -1) {
+        const currentLocations = await Outlet.countByOwner(req.user.id);
+
+        if (currentLocations >= limit) {
+          return res.status(403).json({
+            success: false,
+            message: `Your plan allows ${limit} location${limit === 1 ? '' : 's'}`,
+            currentLocations,
+            limit,
+            upgradeAvailable: tier !== 'enterprise',
+            suggestedTier: getLocationUpgradeSuggestion(limit, tier)
+          });
+        }
+      }
+
+      req.subscription = subscription;
+      req.userTier = tier;
+
+      next();
+    } catch (error) {
+      console.error('Location limit validation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to validate location limit'
+      });
+    }
+  };
+};
+
 /**
  * Get required tier for a feature
  */
@@ -147,6 +210,22 @@ function getUpgradeSuggestion(resourceType, currentUsage, currentTier) {
   return null;
 }
 
+/**
+ * Next tier with room for more locations
+ */
+function getLocationUpgradeSuggestion(limit, currentTier) {
+  const allTiers = Object.keys(SubscriptionService.tiers);
+
+  for (const tier of allTiers.slice(allTiers.indexOf(currentTier) + 1)) {
+    const tierLimit = SubscriptionService.getLimit(tier, 'locations');
+    if (tierLimit === -1 || tierLimit > limit) {
+      return tier;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Get reset time for resource limit
  */
@@ -171,7 +250,7 @@ export const rateLimitByTier = (windowMs = 15 * 60 * 1000, maxRequests = 100) =>
   return async (req, res, next) => {
     try {
       const userId = req.user.id;
-      const subscription = await Subscription.findActiveByUserId(userId);
+      const subscription = await Subscription.findEffectiveByUserId(userId);
       const tier = subscription ? subscription.tier : 'free';
       
       // Adjust limits based on tier
@@ -0,0 +1,29 @@
+import User from '../models/User.js';
+import TwoFactorService from '../services/TwoFactorService.js';
+
+/**
+ * Middleware to keep users who must use two-factor login (staff, members of
+ * business and enterprise organisations) out until they have enrolled.
+ * Must run after authenticateToken.
+ */
+export const enforceTwoFactor = async (req, res, next) => {
+  try {
+    const state = await User.getTwoFactorState(req.user.id);
+
+    if (state && !state.enabled && await TwoFactorService.isRequired(req.user.id, state.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for this account',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Two-factor enforcement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check two-factor status'
+    });
+  }
+};
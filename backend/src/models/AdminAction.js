@@ -0,0 +1,96 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Admin Action Model
+ * Audit trail of changes staff make through the admin API
+ */
+class AdminAction {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.actorId = data.actorId;
+    this.action = data.action;
+    this.targetType = data.targetType;
+    this.targetId = data.targetId;
+    this.reason = data.reason || null;
+    this.details = data.details || {};
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Record one action
+   */
+  static async record({ actorId, action, targetType, targetId, reason = null, details = {} }) {
+    try {
+      const adminAction = new AdminAction({ actorId, action, targetType, targetId: String(targetId), reason, details });
+
+      const result = await db('admin_actions').insert({
+        id: adminAction.id,
+        actor_id: adminAction.actorId,
+        action: adminAction.action,
+        target_type: adminAction.targetType,
+        target_id: adminAction.targetId,
+        reason: adminAction.reason,
+        details: JSON.stringify(adminAction.details),
+        created_at: adminAction.createdAt
+      }).returning('*');
+
+      logger.info(`Admin action: ${action} on ${targetType} ${targetId} by ${actorId}`);
+      return AdminAction.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error recording admin action:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent actions, optionally for one actor or one target
+   */
+  static async findRecent({ actorId = null, targetType = null, targetId = null, page = 1, limit = 50 } = {}) {
+    try {
+      const rows = await db('admin_actions')
+        .modify((builder) => {
+          if (actorId) builder.where({ actor_id: actorId });
+          if (targetType) builder.where({ target_type: targetType });
+          if (targetId) builder.where({ target_id: String(targetId) });
+        })
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit);
+
+      return rows.map(AdminAction.fromRow);
+    } catch (error) {
+      logger.error('Error finding admin actions:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new AdminAction({
+      id: row.id,
+      actorId: row.actor_id,
+      action: row.action,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      reason: row.reason,
+      details: typeof row.details === 'string' ? JSON.parse(row.details) : row.details,
+      createdAt: row.created_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      actorId: this.actorId,
+      action: this.action,
+      targetType: this.targetType,
+      targetId: this.targetId,
+      reason: this.reason,
+      details: this.details,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+export default AdminAction;
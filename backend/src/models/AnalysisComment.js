@@ -0,0 +1,107 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Analysis Comment Model
+ * Comments the owner and users with a comment grant leave on a shared analysis
+ */
+class AnalysisComment {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.analysisId = data.analysisId;
+    this.userId = data.userId;
+    this.body = data.body;
+    this.author = data.author || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Comments on an analysis, oldest first, with the authors' names
+   */
+  static async findByAnalysis(analysisId) {
+    try {
+      const rows = await db('analysis_comments as c')
+        .join('users as u', 'u.id', 'c.user_id')
+        .where({ 'c.analysis_id': analysisId })
+        .select('c.*', 'u.first_name', 'u.last_name')
+        .orderBy('c.created_at', 'asc');
+
+      return rows.map(AnalysisComment.fromRow);
+    } catch (error) {
+      logger.error('Error finding analysis comments:', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const row = await db('analysis_comments').where({ id }).first();
+      return row ? AnalysisComment.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding analysis comment:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('analysis_comments')
+        .insert({
+          id: this.id,
+          analysis_id: this.analysisId,
+          user_id: this.userId,
+          body: this.body,
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return AnalysisComment.fromRow({ ...result[0], first_name: this.author?.firstName, last_name: this.author?.lastName });
+    } catch (error) {
+      logger.error('Error saving analysis comment:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      await db('analysis_comments').where({ id: this.id }).del();
+    } catch (error) {
+      logger.error('Error deleting analysis comment:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new AnalysisComment({
+      id: row.id,
+      analysisId: row.analysis_id,
+      userId: row.user_id,
+      body: row.body,
+      author: row.first_name !== undefined
+        ? { firstName: row.first_name, lastName: row.last_name }
+        : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      analysisId: this.analysisId,
+      userId: this.userId,
+      author: this.author,
+      body: this.body,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+export default AnalysisComment;
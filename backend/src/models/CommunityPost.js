@@ -0,0 +1,304 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse a JSON column that may come back as a string or an already-parsed value
+ */
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Reports from this many users hide a post from the feed
+const HIDE_AFTER_REPORTS = 3;
+
+// Most recent posts considered for ranking
+const MAX_FEED_CANDIDATES = 500;
+
+export const REACTION_TYPES = ['helpful', 'report'];
+
+/**
+ * Community Post Model
+ * An analysis its owner published to the community feed. The post keeps its own
+ * id and a metadata-free copy of the photo, so nothing in the feed leads back to
+ * the user or the original upload.
+ */
+class CommunityPost {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.analysisId = data.analysisId;
+    this.imageUrl = data.imageUrl || null;
+    this.locationBucket = data.locationBucket || null;
+    this.publishedAt = data.publishedAt || new Date();
+    this.hiddenAt = data.hiddenAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static async findById(id) {
+    try {
+      const row = await db('community_posts').where({ id }).first();
+      return row ? CommunityPost.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding community post:', error);
+      throw error;
+    }
+  }
+
+  static async findByAnalysisId(analysisId) {
+    try {
+      const row = await db('community_posts').where({ analysis_id: analysisId }).first();
+      return row ? CommunityPost.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding community post by analysis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Visible posts published in the last `timeRangeHours`, with the analysis fields
+   * the feed shows and their helpful counts. Optionally limited to one location bucket.
+   */
+  static async findFeedCandidates({ timeRangeHours, locationBucket = null }) {
+    try {
+      const since = new Date(Date.now() - timeRangeHours * 60 * 60 * 1000);
+
+      const rows = await db('community_posts as p')
+        .join('food_analyses as a', 'a.id', 'p.analysis_id')
+        .leftJoin(
+          db('community_reactions')
+            .select('post_id')
+            .count('* as helpful_count')
+            .where({ type: 'helpful' })
+            .groupBy('post_id')
+            .as('r'),
+          'r.post_id',
+          'p.id'
+        )
+        .whereNull('p.hidden_at')
+        .where('p.published_at', '>=', since)
+        .where({ 'a.is_deleted': false, 'a.processing_status': 'completed' })
+        .modify((builder) => {
+          if (locationBucket) builder.where('p.location_bucket', locationBucket);
+        })
+        .select(
+          'p.id', 'p.image_url', 'p.location_bucket', 'p.published_at',
+          'a.food_name', 'a.food_item_id', 'a.freshness_score', 'a.overall_rating',
+          'a.safety_metrics', 'a.safety_alerts', 'r.helpful_count'
+        )
+        .orderBy('p.published_at', 'desc')
+        .limit(MAX_FEED_CANDIDATES);
+
+      return rows.map(row => ({
+        id: row.id,
+        imageUrl: row.image_url,
+        locationBucket: row.location_bucket,
+        publishedAt: row.published_at,
+        foodName: row.food_name,
+        foodItemId: row.food_item_id,
+        freshnessScore: row.freshness_score,
+        overallRating: row.overall_rating,
+        categoryScores: parseJSON(row.safety_metrics, {}).categoryScores || {},
+        safetyAlerts: parseJSON(row.safety_alerts, []),
+        helpfulCount: parseInt(row.helpful_count || 0)
+      }));
+    } catch (error) {
+      logger.error('Error finding community feed candidates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reports per risk category (caution or danger safety_metrics) among a bucket's
+   * visible posts published in [since, until)
+   */
+  static async countRiskReports(locationBucket, since, until = new Date()) {
+    try {
+      const rows = await db('community_posts as p')
+        .join('safety_metrics as m', 'm.analysis_id', 'p.analysis_id')
+        .where('p.location_bucket', locationBucket)
+        .whereNull('p.hidden_at')
+        .where('p.published_at', '>=', since)
+        .where('p.published_at', '<', until)
+        .whereNull('m.item_index')
+        .whereIn('m.risk_level', ['caution', 'danger'])
+        .select('m.metric_type')
+        .count('* as reports')
+        .groupBy('m.metric_type');
+
+      return rows.reduce((counts, row) => {
+        counts[row.metric_type] = parseInt(row.reports);
+        return counts;
+      }, {});
+    } catch (error) {
+      logger.error('Error counting community risk reports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Posts users have reported, most reported first, for moderation. Hidden posts
+   * are included unless `includeHidden` is false.
+   */
+  static async findReported({ includeHidden = true, page = 1, limit = 20 } = {}) {
+    try {
+      const rows = await db('community_posts as p')
+        .join('food_analyses as a', 'a.id', 'p.analysis_id')
+        .join(
+          db('community_reactions')
+            .select('post_id')
+            .count('* as report_count')
+            .max('created_at as last_reported_at')
+            .where({ type: 'report' })
+            .groupBy('post_id')
+            .as('r'),
+          'r.post_id',
+          'p.id'
+        )
+        .modify((builder) => {
+          if (!includeHidden) builder.whereNull('p.hidden_at');
+        })
+        .select('p.*', 'a.food_name', 'a.user_id as owner_id', 'r.report_count', 'r.last_reported_at')
+        .orderBy('r.report_count', 'desc')
+        .orderBy('r.last_reported_at', 'desc')
+        .limit(limit)
+        .offset((page - 1) * limit);
+
+      return rows.map(row => ({
+        ...CommunityPost.fromRow(row).toJSON(),
+        analysisId: row.analysis_id,
+        ownerId: row.owner_id,
+        foodName: row.food_name,
+        reportCount: parseInt(row.report_count),
+        lastReportedAt: row.last_reported_at
+      }));
+    } catch (error) {
+      logger.error('Error finding reported community posts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a reaction; repeating one is a no-op. Reports hide the post once
+   * HIDE_AFTER_REPORTS users have made one.
+   */
+  async react(userId, type) {
+    try {
+      await db('community_reactions')
+        .insert({ post_id: this.id, user_id: userId, type })
+        .onConflict(['post_id', 'user_id', 'type'])
+        .ignore();
+
+      if (type === 'report' && !this.hiddenAt) {
+        const [{ count }] = await db('community_reactions')
+          .where({ post_id: this.id, type: 'report' })
+          .count('* as count');
+
+        if (parseInt(count) >= HIDE_AFTER_REPORTS) {
+          this.hiddenAt = new Date();
+          await this.save();
+          logger.info(`Community post hidden after ${count} reports: ${this.id}`);
+        }
+      }
+
+      return this;
+    } catch (error) {
+      logger.error('Error recording community reaction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the post out of the feed after review
+   */
+  async hide() {
+    this.hiddenAt = this.hiddenAt || new Date();
+    return await this.save();
+  }
+
+  /**
+   * Put a reviewed post back in the feed. Its reports are cleared so it isn't
+   * hidden again by the same reports.
+   */
+  async restore() {
+    try {
+      await db('community_reactions').where({ post_id: this.id, type: 'report' }).del();
+
+      this.hiddenAt = null;
+      return await this.save();
+    } catch (error) {
+      logger.error('Error restoring community post:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or update the post
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('community_posts')
+        .insert({
+          id: this.id,
+          analysis_id: this.analysisId,
+          image_url: this.imageUrl,
+          location_bucket: this.locationBucket,
+          published_at: this.publishedAt,
+          hidden_at: this.hiddenAt,
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return CommunityPost.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving community post:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      await db('community_posts').where({ id: this.id }).del();
+    } catch (error) {
+      logger.error('Error deleting community post:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new CommunityPost({
+      id: row.id,
+      analysisId: row.analysis_id,
+      imageUrl: row.image_url,
+      locationBucket: row.location_bucket,
+      publishedAt: row.published_at,
+      hiddenAt: row.hidden_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      postId: this.id,
+      imageUrl: this.imageUrl,
+      locationBucket: this.locationBucket,
+      publishedAt: this.publishedAt,
+      hidden: Boolean(this.hiddenAt)
+    };
+  }
+}
+
+export default CommunityPost;
@@ -0,0 +1,180 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse a JSON column that may come back as a string or an already-parsed value
+ */
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Compliance Check Model
+ * One recorded hygiene check at an outlet, with its readings and the FSSAI items it failed
+ */
+class ComplianceCheck {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.outletId = data.outletId;
+    this.scheduleId = data.scheduleId || null;
+    this.analysisId = data.analysisId || null;
+    this.performedBy = data.performedBy || null;
+    this.checkType = data.checkType;
+    this.result = data.result;
+    this.readings = data.readings || {};
+    this.failures = data.failures || []; // [{ fssaiItem, reason }]
+    this.notes = data.notes || null;
+    this.performedAt = data.performedAt || new Date();
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * An outlet's checks, newest first, optionally filtered by type, result and period
+   */
+  static async findByOutlet(outletId, options = {}) {
+    const { checkType, result, from, to, page = 1, limit = 50 } = options;
+
+    try {
+      const query = db('compliance_checks')
+        .where({ outlet_id: outletId })
+        .modify((builder) => {
+          if (checkType) builder.where({ check_type: checkType });
+          if (result) builder.where({ result });
+          if (from) builder.where('performed_at', '>=', from);
+          if (to) builder.where('performed_at', '<', to);
+        });
+
+      const [rows, total] = await Promise.all([
+        query.clone().orderBy('performed_at', 'desc').limit(limit).offset((page - 1) * limit),
+        query.clone().count('* as count').first()
+      ]);
+
+      return {
+        checks: rows.map(ComplianceCheck.fromRow),
+        pagination: {
+          page,
+          limit,
+          total: parseInt(total.count),
+          pages: Math.ceil(total.count / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error finding compliance checks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Every check of an outlet performed in [from, to), oldest first
+   */
+  static async findInPeriod(outletId, from, to) {
+    try {
+      const rows = await db('compliance_checks')
+        .where({ outlet_id: outletId })
+        .where('performed_at', '>=', from)
+        .where('performed_at', '<', to)
+        .orderBy('performed_at', 'asc');
+
+      return rows.map(ComplianceCheck.fromRow);
+    } catch (error) {
+      logger.error('Error finding compliance checks in period:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks and passes per outlet since a date, as { [outletId]: { checks, passed } }
+   */
+  static async countByOutlet(outletIds, since) {
+    if (outletIds.length === 0) return {};
+
+    try {
+      const rows = await db('compliance_checks')
+        .whereIn('outlet_id', outletIds)
+        .where('performed_at', '>=', since)
+        .select('outlet_id')
+        .count('* as checks')
+        .select(db.raw("count(*) filter (where result = 'pass') as passed"))
+        .groupBy('outlet_id');
+
+      return rows.reduce((counts, row) => {
+        counts[row.outlet_id] = { checks: parseInt(row.checks), passed: parseInt(row.passed) };
+        return counts;
+      }, {});
+    } catch (error) {
+      logger.error('Error counting compliance checks by outlet:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      const result = await db('compliance_checks')
+        .insert({
+          id: this.id,
+          outlet_id: this.outletId,
+          schedule_id: this.scheduleId,
+          analysis_id: this.analysisId,
+          performed_by: this.performedBy,
+          check_type: this.checkType,
+          result: this.result,
+          readings: JSON.stringify(this.readings),
+          failures: JSON.stringify(this.failures),
+          notes: this.notes,
+          performed_at: this.performedAt,
+          created_at: this.createdAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return ComplianceCheck.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving compliance check:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new ComplianceCheck({
+      id: row.id,
+      outletId: row.outlet_id,
+      scheduleId: row.schedule_id,
+      analysisId: row.analysis_id,
+      performedBy: row.performed_by,
+      checkType: row.check_type,
+      result: row.result,
+      readings: parseJSON(row.readings, {}),
+      failures: parseJSON(row.failures, []),
+      notes: row.notes,
+      performedAt: row.performed_at,
+      createdAt: row.created_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      outletId: this.outletId,
+      scheduleId: this.scheduleId,
+      analysisId: this.analysisId,
+      performedBy: this.performedBy,
+      checkType: this.checkType,
+      result: this.result,
+      readings: this.readings,
+      failures: this.failures,
+      notes: this.notes,
+      performedAt: this.performedAt
+    };
+  }
+}
+
+export default ComplianceCheck;
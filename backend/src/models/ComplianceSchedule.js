@@ -0,0 +1,105 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+export const CHECK_TYPES = ['oil_change', 'holding_temperature', 'spoilage_audit'];
+
+/**
+ * Compliance Schedule Model
+ * How often an outlet must run a type of check; recording a check moves the
+ * schedule's next due time forward
+ */
+class ComplianceSchedule {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.outletId = data.outletId;
+    this.checkType = data.checkType;
+    this.intervalHours = data.intervalHours;
+    this.nextDueAt = data.nextDueAt || new Date();
+    this.isActive = data.isActive !== false;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static async findByOutlet(outletId) {
+    try {
+      const rows = await db('compliance_schedules')
+        .where({ outlet_id: outletId, is_active: true })
+        .orderBy('next_due_at', 'asc');
+
+      return rows.map(ComplianceSchedule.fromRow);
+    } catch (error) {
+      logger.error('Error finding compliance schedules:', error);
+      throw error;
+    }
+  }
+
+  isOverdue(now = new Date()) {
+    return new Date(this.nextDueAt) <= now;
+  }
+
+  /**
+   * Move the next due time to one interval after a check performed at `performedAt`
+   */
+  async markPerformed(performedAt) {
+    const next = new Date(new Date(performedAt).getTime() + this.intervalHours * 60 * 60 * 1000);
+    if (next > new Date(this.nextDueAt)) {
+      this.nextDueAt = next;
+      await this.save();
+    }
+    return this;
+  }
+
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('compliance_schedules')
+        .insert({
+          id: this.id,
+          outlet_id: this.outletId,
+          check_type: this.checkType,
+          interval_hours: this.intervalHours,
+          next_due_at: this.nextDueAt,
+          is_active: this.isActive,
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return ComplianceSchedule.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving compliance schedule:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new ComplianceSchedule({
+      id: row.id,
+      outletId: row.outlet_id,
+      checkType: row.check_type,
+      intervalHours: row.interval_hours,
+      nextDueAt: row.next_due_at,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      outletId: this.outletId,
+      checkType: this.checkType,
+      intervalHours: this.intervalHours,
+      nextDueAt: this.nextDueAt,
+      overdue: this.isOverdue(),
+      createdAt: this.createdAt
+    };
+  }
+}
+
+export default ComplianceSchedule;
@@ -0,0 +1,176 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+export const CORRECTIVE_ACTION_STATUSES = ['open', 'in_progress', 'resolved'];
+
+/**
+ * Corrective Action Model
+ * Follow-up work for a failed FSSAI hygiene item, tracked until resolved
+ */
+class CorrectiveAction {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.outletId = data.outletId;
+    this.checkId = data.checkId || null;
+    this.fssaiItem = data.fssaiItem;
+    this.description = data.description;
+    this.status = data.status || 'open';
+    this.assignedTo = data.assignedTo || null;
+    this.dueAt = data.dueAt || null;
+    this.resolvedAt = data.resolvedAt || null;
+    this.resolvedBy = data.resolvedBy || null;
+    this.resolutionNotes = data.resolutionNotes || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static async findById(id, outletId) {
+    try {
+      const row = await db('corrective_actions').where({ id, outlet_id: outletId }).first();
+      return row ? CorrectiveAction.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding corrective action:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * An outlet's corrective actions, open ones first by due date
+   */
+  static async findByOutlet(outletId, { status } = {}) {
+    try {
+      const rows = await db('corrective_actions')
+        .where({ outlet_id: outletId })
+        .modify((builder) => {
+          if (status) builder.where({ status });
+        })
+        .orderByRaw("CASE WHEN status = 'resolved' THEN 1 ELSE 0 END")
+        .orderBy('due_at', 'asc')
+        .orderBy('created_at', 'desc');
+
+      return rows.map(CorrectiveAction.fromRow);
+    } catch (error) {
+      logger.error('Error finding corrective actions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actions of an outlet raised before `to` that were still unresolved at `from`,
+   * i.e. the ones relevant to a report period
+   */
+  static async findForPeriod(outletId, from, to) {
+    try {
+      const rows = await db('corrective_actions')
+        .where({ outlet_id: outletId })
+        .where('created_at', '<', to)
+        .where((builder) => {
+          builder.whereNull('resolved_at').orWhere('resolved_at', '>=', from);
+        });
+
+      return rows.map(CorrectiveAction.fromRow);
+    } catch (error) {
+      logger.error('Error finding corrective actions for period:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unresolved actions per outlet, as { [outletId]: { open, overdue } }
+   */
+  static async countOpenByOutlet(outletIds) {
+    if (outletIds.length === 0) return {};
+
+    try {
+      const rows = await db('corrective_actions')
+        .whereIn('outlet_id', outletIds)
+        .whereNot({ status: 'resolved' })
+        .select('outlet_id')
+        .count('* as open')
+        .select(db.raw('count(*) filter (where due_at < now()) as overdue'))
+        .groupBy('outlet_id');
+
+      return rows.reduce((counts, row) => {
+        counts[row.outlet_id] = { open: parseInt(row.open), overdue: parseInt(row.overdue) };
+        return counts;
+      }, {});
+    } catch (error) {
+      logger.error('Error counting open corrective actions by outlet:', error);
+      throw error;
+    }
+  }
+
+  isOverdue(now = new Date()) {
+    return this.status !== 'resolved' && Boolean(this.dueAt) && new Date(this.dueAt) < now;
+  }
+
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('corrective_actions')
+        .insert({
+          id: this.id,
+          outlet_id: this.outletId,
+          check_id: this.checkId,
+          fssai_item: this.fssaiItem,
+          description: this.description,
+          status: this.status,
+          assigned_to: this.assignedTo,
+          due_at: this.dueAt,
+          resolved_at: this.resolvedAt,
+          resolved_by: this.resolvedBy,
+          resolution_notes: this.resolutionNotes,
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return CorrectiveAction.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving corrective action:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new CorrectiveAction({
+      id: row.id,
+      outletId: row.outlet_id,
+      checkId: row.check_id,
+      fssaiItem: row.fssai_item,
+      description: row.description,
+      status: row.status,
+      assignedTo: row.assigned_to,
+      dueAt: row.due_at,
+      resolvedAt: row.resolved_at,
+      resolvedBy: row.resolved_by,
+      resolutionNotes: row.resolution_notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      outletId: this.outletId,
+      checkId: this.checkId,
+      fssaiItem: this.fssaiItem,
+      description: this.description,
+      status: this.status,
+      assignedTo: this.assignedTo,
+      dueAt: this.dueAt,
+      overdue: this.isOverdue(),
+      resolvedAt: this.resolvedAt,
+      resolvedBy: this.resolvedBy,
+      resolutionNotes: this.resolutionNotes,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+export default CorrectiveAction;
@@ -0,0 +1,163 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse a JSON column that may come back as a string or an already-parsed value
+ */
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+/**
+ * Family Group Model
+ * A household sharing one Family Protector subscription, held by its primary member
+ */
+class FamilyGroup {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.familyName = data.familyName;
+    this.primaryMemberId = data.primaryMemberId;
+    this.maxMembers = data.maxMembers || 6;
+    this.preferences = data.preferences || {};
+    this.isActive = data.isActive !== false;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static async findById(id) {
+    try {
+      const row = await db('family_groups').where({ id, is_active: true }).first();
+      return row ? FamilyGroup.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding family group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The active family group a user is a member of; a user belongs to one at a time
+   */
+  static async findForUser(userId) {
+    try {
+      const row = await db('family_groups as g')
+        .join('family_members as m', 'm.family_id', 'g.id')
+        .where({ 'm.user_id': userId, 'm.is_active': true, 'g.is_active': true })
+        .select('g.*')
+        .first();
+
+      return row ? FamilyGroup.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding family group for user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the group with the primary member as its admin
+   */
+  async create(memberName) {
+    try {
+      await db.transaction(async (trx) => {
+        await trx('family_groups').insert(this.toRow());
+        await trx('family_members').insert({
+          family_id: this.id,
+          user_id: this.primaryMemberId,
+          member_role: 'admin',
+          member_name: memberName
+        });
+        await trx('users')
+          .where({ id: this.primaryMemberId })
+          .update({ family_id: this.id, family_role: 'primary' });
+      });
+
+      logger.info(`Family group created: ${this.id}`);
+      return this;
+    } catch (error) {
+      logger.error('Error creating family group:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('family_groups')
+        .insert(this.toRow())
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return FamilyGroup.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving family group:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close the group. Every member leaves it and keeps their own analyses.
+   */
+  async dissolve() {
+    try {
+      await db.transaction(async (trx) => {
+        await trx('family_groups').where({ id: this.id }).update({ is_active: false, updated_at: new Date() });
+        await trx('family_members').where({ family_id: this.id }).update({ is_active: false });
+        await trx('users').where({ family_id: this.id }).update({ family_id: null, family_role: 'primary' });
+      });
+
+      this.isActive = false;
+      logger.info(`Family group dissolved: ${this.id}`);
+    } catch (error) {
+      logger.error('Error dissolving family group:', error);
+      throw error;
+    }
+  }
+
+  toRow() {
+    return {
+      id: this.id,
+      family_name: this.familyName,
+      primary_member_id: this.primaryMemberId,
+      max_members: this.maxMembers,
+      preferences: JSON.stringify(this.preferences),
+      is_active: this.isActive,
+      created_at: this.createdAt,
+      updated_at: this.updatedAt
+    };
+  }
+
+  static fromRow(row) {
+    return new FamilyGroup({
+      id: row.id,
+      familyName: row.family_name,
+      primaryMemberId: row.primary_member_id,
+      maxMembers: row.max_members,
+      preferences: parseJSON(row.preferences, {}),
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      familyName: this.familyName,
+      primaryMemberId: this.primaryMemberId,
+      maxMembers: this.maxMembers,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+export default FamilyGroup;
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+// Invitations can be accepted for a week
+const INVITATION_TTL_DAYS = 7;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Family Invitation Model
+ * An invitation to join a family group, sent to an email address or a phone number.
+ * Only a hash of the token is stored; the token itself goes to the invitee.
+ */
+class FamilyInvitation {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.familyId = data.familyId;
+    this.email = data.email ? data.email.toLowerCase() : null;
+    this.phone = data.phone || null;
+    this.memberName = data.memberName;
+    this.tokenHash = data.tokenHash;
+    this.invitedBy = data.invitedBy || null;
+    this.expiresAt = data.expiresAt || new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    this.acceptedAt = data.acceptedAt || null;
+    this.revokedAt = data.revokedAt || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Create an invitation. Resolves to the invitation and the token to send.
+   */
+  static async create(data) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await new FamilyInvitation({ ...data, tokenHash: hashToken(token) }).save();
+    return { invitation, token };
+  }
+
+  static async findById(id, familyId) {
+    try {
+      const row = await db('family_invitations').where({ id, family_id: familyId }).first();
+      return row ? FamilyInvitation.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding family invitation:', error);
+      throw error;
+    }
+  }
+
+  static async findByToken(token) {
+    try {
+      const row = await db('family_invitations').where({ token_hash: hashToken(token) }).first();
+      return row ? FamilyInvitation.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding family invitation by token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invitations of a family group that can still be accepted
+   */
+  static async findPending(familyId) {
+    try {
+      const rows = await db('family_invitations')
+        .where({ family_id: familyId })
+        .whereNull('accepted_at')
+        .whereNull('revoked_at')
+        .where('expires_at', '>', new Date())
+        .orderBy('created_at', 'desc');
+
+      return rows.map(FamilyInvitation.fromRow);
+    } catch (error) {
+      logger.error('Error finding pending family invitations:', error);
+      throw error;
+    }
+  }
+
+  isPending() {
+    return !this.acceptedAt && !this.revokedAt && new Date(this.expiresAt) > new Date();
+  }
+
+  /**
+   * Whether the invitation was addressed to this user's email or phone
+   */
+  isAddressedTo(user) {
+    if (this.email) return Boolean(user.email) && user.email.toLowerCase() === this.email;
+    return Boolean(user.phone) && user.phone === this.phone;
+  }
+
+  async save() {
+    try {
+      const result = await db('family_invitations')
+        .insert({
+          id: this.id,
+          family_id: this.familyId,
+          email: this.email,
+          phone: this.phone,
+          member_name: this.memberName,
+          token_hash: this.tokenHash,
+          invited_by: this.invitedBy,
+          expires_at: this.expiresAt,
+          accepted_at: this.acceptedAt,
+          revoked_at: this.revokedAt,
+          created_at: this.createdAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return FamilyInvitation.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving family invitation:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new FamilyInvitation({
+      id: row.id,
+      familyId: row.family_id,
+      email: row.email,
+      phone: row.phone,
+      memberName: row.member_name,
+      tokenHash: row.token_hash,
+      invitedBy: row.invited_by,
+      expiresAt: row.expires_at,
+      acceptedAt: row.accepted_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      familyId: this.familyId,
+      email: this.email,
+      phone: this.phone,
+      memberName: this.memberName,
+      invitedBy: this.invitedBy,
+      expiresAt: this.expiresAt,
+      acceptedAt: this.acceptedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+export default FamilyInvitation;
@@ -0,0 +1,217 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse a JSON column that may come back as a string or an already-parsed value
+ */
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+const EMPTY_DIETARY_PROFILE = { allergies: [], dietaryRestrictions: [], healthConditions: [] };
+
+/**
+ * Family Member Model
+ * A user's place in a family group. The dietary profile kept here is set within the
+ * family (e.g. a parent recording a child's allergy) and adds to the user's own.
+ */
+class FamilyMember {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.familyId = data.familyId;
+    this.userId = data.userId;
+    this.memberRole = data.memberRole || 'member'; // 'admin' (primary member), 'member'
+    this.memberName = data.memberName;
+    this.memberPreferences = data.memberPreferences || {};
+    this.joinedAt = data.joinedAt || new Date();
+    this.isActive = data.isActive !== false;
+    this.user = data.user || null;
+  }
+
+  /**
+   * The user's active membership of a family group
+   */
+  static async find(familyId, userId) {
+    try {
+      const row = await db('family_members')
+        .where({ family_id: familyId, user_id: userId, is_active: true })
+        .first();
+
+      return row ? FamilyMember.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding family member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active members of a family group with their emails and phones, primary member first
+   */
+  static async findByFamily(familyId) {
+    try {
+      const rows = await db('family_members as m')
+        .join('users as u', 'u.id', 'm.user_id')
+        .where({ 'm.family_id': familyId, 'm.is_active': true })
+        .select('m.*', 'u.email', 'u.phone')
+        .orderByRaw("CASE m.member_role WHEN 'admin' THEN 0 ELSE 1 END")
+        .orderBy('m.joined_at', 'asc');
+
+      return rows.map(FamilyMember.fromRow);
+    } catch (error) {
+      logger.error('Error finding family members:', error);
+      throw error;
+    }
+  }
+
+  static async countActive(familyId) {
+    try {
+      const [{ count }] = await db('family_members')
+        .where({ family_id: familyId, is_active: true })
+        .count('* as count');
+
+      return parseInt(count);
+    } catch (error) {
+      logger.error('Error counting family members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The dietary profile the user's family keeps for them, if they are in one
+   */
+  static async getDietaryProfile(userId) {
+    try {
+      const row = await db('family_members as m')
+        .join('family_groups as g', 'g.id', 'm.family_id')
+        .where({ 'm.user_id': userId, 'm.is_active': true, 'g.is_active': true })
+        .first('m.member_preferences');
+
+      return row ? FamilyMember.fromRow(row).getDietaryProfile() : null;
+    } catch (error) {
+      logger.error('Error getting family dietary profile:', error);
+      throw error;
+    }
+  }
+
+  getDietaryProfile() {
+    return { ...EMPTY_DIETARY_PROFILE, ...(this.memberPreferences.dietaryProfile || {}) };
+  }
+
+  setDietaryProfile(profile) {
+    this.memberPreferences = {
+      ...this.memberPreferences,
+      dietaryProfile: { ...this.getDietaryProfile(), ...profile }
+    };
+  }
+
+  /**
+   * Add the user to the family group, reactivating an earlier membership if they
+   * had left, and point their account at the family
+   */
+  async join() {
+    try {
+      const [row] = await db.transaction(async (trx) => {
+        await trx('users')
+          .where({ id: this.userId })
+          .update({ family_id: this.familyId, family_role: this.memberRole === 'admin' ? 'primary' : 'member' });
+
+        return trx('family_members')
+          .insert(this.toRow())
+          .onConflict(['family_id', 'user_id'])
+          .merge(['member_role', 'member_name', 'member_preferences', 'joined_at', 'is_active'])
+          .returning('*');
+      });
+
+      return FamilyMember.fromRow(row);
+    } catch (error) {
+      logger.error('Error adding family member:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      const result = await db('family_members')
+        .where({ id: this.id })
+        .update({
+          member_name: this.memberName,
+          member_preferences: JSON.stringify(this.memberPreferences)
+        })
+        .returning('*');
+
+      return FamilyMember.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving family member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Take the member out of the family group. Their analyses stay their own.
+   */
+  async leave() {
+    try {
+      await db.transaction(async (trx) => {
+        await trx('family_members').where({ id: this.id }).update({ is_active: false });
+        await trx('users')
+          .where({ id: this.userId, family_id: this.familyId })
+          .update({ family_id: null, family_role: 'primary' });
+      });
+
+      this.isActive = false;
+    } catch (error) {
+      logger.error('Error removing family member:', error);
+      throw error;
+    }
+  }
+
+  toRow() {
+    return {
+      id: this.id,
+      family_id: this.familyId,
+      user_id: this.userId,
+      member_role: this.memberRole,
+      member_name: this.memberName,
+      member_preferences: JSON.stringify(this.memberPreferences),
+      joined_at: this.joinedAt,
+      is_active: this.isActive
+    };
+  }
+
+  static fromRow(row) {
+    return new FamilyMember({
+      id: row.id,
+      familyId: row.family_id,
+      userId: row.user_id,
+      memberRole: row.member_role,
+      memberName: row.member_name,
+      memberPreferences: parseJSON(row.member_preferences, {}),
+      joinedAt: row.joined_at,
+      isActive: row.is_active,
+      user: row.email !== undefined ? { email: row.email, phone: row.phone } : null
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      familyId: this.familyId,
+      userId: this.userId,
+      memberRole: this.memberRole,
+      memberName: this.memberName,
+      dietaryProfile: this.getDietaryProfile(),
+      user: this.user,
+      joinedAt: this.joinedAt
+    };
+  }
+}
+
+export default FamilyMember;
@@ -1,6 +1,75 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
 import db from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
+import UsageTracking from './UsageTracking.js';
+import FoodItem from './FoodItem.js';
+import User from './User.js';
+import ShareGrant from './ShareGrant.js';
+import FamilyMember from './FamilyMember.js';
+import DietaryConflictService from '../services/DietaryConflictService.js';
+import PushNotificationService from '../services/PushNotificationService.js';
+import AnalysisQueueService from '../services/AnalysisQueueService.js';
+import RealtimeSessionService from '../services/RealtimeSessionService.js';
+import FrameExtractionService from '../services/FrameExtractionService.js';
+import cache from '../config/redis.js';
+import { getInferenceBackend } from '../services/inference/index.js';
+
+/**
+ * Parse a JSON column that may come back as a string or an already-parsed value
+ */
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Per-frame states tracked on the video timeline
+const BURNT_LEVELS = ['burnt', 'severely_burnt'];
+const SPOILED_LEVELS = ['spoiled', 'moldy', 'dangerous'];
+const TEMPERATURE_DANGER_ZONE = { min: 5, max: 60 }; // °C, bacteria multiply fastest here
+const TEMPERATURE_CHANGE_THRESHOLD = 5; // °C between recorded temperature changes
+
+// Verdict of a model (or the whole report) that abstained instead of guessing
+const INSUFFICIENT_EVIDENCE = 'insufficient_evidence';
+
+// Result field each ML category fills, cleared when that model abstains
+const CATEGORY_RESULT_FIELDS = {
+  oilQuality: 'oilQualityScore',
+  burntFood: 'burntFoodScore',
+  spoilage: 'spoilageScore',
+  nutritional: null,
+  saltSugar: null,
+  temperature: 'temperatureStatus',
+  chemical: 'chemicalRisk',
+  microplastics: 'microplasticsRisk'
+};
+
+// safety_metrics.metric_type of each ML category
+const SAFETY_METRIC_TYPES = {
+  oilQuality: 'oil_quality',
+  burntFood: 'burnt_food',
+  spoilage: 'spoilage',
+  nutritional: 'nutritional',
+  saltSugar: 'salt_sugar',
+  temperature: 'temperature',
+  chemical: 'chemical',
+  microplastics: 'microplastics'
+};
+
+// Category score bands for safety_metrics.risk_level
+const riskLevelForScore = (score) => (score >= 70 ? 'safe' : score >= 40 ? 'caution' : 'danger');
+
+// Ratings that count against a clean streak
+const UNSAFE_RATINGS = ['concerning', 'dangerous', 'unsafe', 'poor'];
 
 /**
  * Enhanced Food Analysis Model with Real ML Integration
@@ -10,10 +79,12 @@ class FoodAnalysis {
   constructor(data = {}) {
     this.id = data.id || uuidv4();
     this.userId = data.userId;
+    this.outletId = data.outletId || null; // outlet of an organisation the analysis was taken at
     this.imageUrl = data.imageUrl;
     this.imageThumbnail = data.imageThumbnail;
+    this.foodItemId = data.foodItemId || null; // food_items entry of the recognised dish
     this.foodName = data.foodName;
-    this.analysisType = data.analysisType || 'comprehensive'; // basic, comprehensive, premium
+    this.analysisType = data.analysisType || 'comprehensive'; // basic, comprehensive, premium, video
     this.freshnessScore = data.freshnessScore; // 0-100
     this.overallRating = data.overallRating; // excellent, good, fair, poor
     this.safetyMetrics = data.safetyMetrics || {};
@@ -37,15 +108,23 @@ class FoodAnalysis {
     this.aiConfidence = data.aiConfidence || {};
     this.analysisDuration = data.analysisDuration;
     this.modelVersion = data.modelVersion || '2.0.0';
+    this.inferenceBackend = data.inferenceBackend; // tfjs, worker_pool, deterministic
+    this.modelVersions = data.modelVersions || {}; // { oilQuality: 'sha256:...', ... }
     this.processingStatus = data.processingStatus || 'pending';
     this.errorMessage = data.errorMessage;
+    this.retryCount = data.retryCount || 0;
     this.isDeleted = data.isDeleted || false;
     this.isShared = data.isShared || false;
     this.sharedWith = data.sharedWith || [];
+    this.sharedWithFamily = data.sharedWithFamily || false; // opt-in view access for the owner's family group
     this.tags = data.tags || [];
     this.notes = data.notes;
     this.location = data.location;
     this.deviceInfo = data.deviceInfo;
+    this.videoAnalysis = data.videoAnalysis || null;
+    this.imageInspection = data.imageInspection || null; // { issues, warnings, metrics } from the pre-analysis gate
+    this.plateItems = data.plateItems || []; // per-item verdicts of a multi-item plate, see processPlateItems
+    this.recognition = data.recognition || null; // { status, label, confidence, alternatives } from the recognition model
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
     this.completedAt = data.completedAt;
@@ -74,47 +153,9 @@ class FoodAnalysis {
       });
 
       await analysis.save();
+      await FoodAnalysis.applyMLAnalysis(analysis, imageUrl, options, startTime);
       
-      // Initialize ML service (would be imported from the ML module)
-      const mlService = await FoodAnalysis.initializeMLService();
-      
-      // Run comprehensive ML analysis
-      const mlResults = await mlService.analyzeFood(imageUrl, options.userPreferences);
-      
-      // Process ML results into our model format
-      const processedResults = FoodAnalysis.processMLResults(mlResults);
-      
-      // Update analysis with results
-      analysis.freshnessScore = processedResults.freshnessScore;
-      analysis.overallRating = processedResults.overallRating;
-      analysis.safetyMetrics = processedResults.safetyMetrics;
-      
-      // Enhanced ML-specific metrics
-      analysis.oilQualityScore = processedResults.oilQualityScore;
-      analysis.burntFoodScore = processedResults.burntFoodScore;
-      analysis.spoilageScore = processedResults.spoilageScore;
-      analysis.nutritionalProfile = processedResults.nutritionalProfile;
-      analysis.saltSugarProfile = processedResults.saltSugarProfile;
-      analysis.temperatureStatus = processedResults.temperatureStatus;
-      analysis.chemicalRisk = processedResults.chemicalRisk;
-      analysis.microplasticsRisk = processedResults.microplasticsRisk;
-      
-      // Enhanced analysis results
-      analysis.safetyAlerts = processedResults.safetyAlerts;
-      analysis.healthInsights = processedResults.healthInsights;
-      analysis.aiConfidence = processedResults.aiConfidence;
-      analysis.recommendations = processedResults.recommendations;
-      analysis.nutritionInfo = processedResults.nutritionInfo;
-      
-      // Set status to completed
-      const analysisDuration = Date.now() - startTime;
-      analysis.analysisDuration = analysisDuration;
-      analysis.processingStatus = 'completed';
-      analysis.completedAt = new Date();
-      
-      await analysis.save();
-      
-      logger.info(`ML food analysis completed: ${analysisId} in ${analysisDuration}ms`);
+      logger.info(`ML food analysis completed: ${analysisId} in ${analysis.analysisDuration}ms`);
       return analysis;
       
     } catch (error) {
@@ -137,33 +178,574 @@ class FoodAnalysis {
   }
 
   /**
-   * Initialize ML Service (placeholder for actual implementation)
+   * Create a pending analysis and queue it for the background worker
    */
-  static async initializeMLService() {
-    // In a real implementation, this would import and initialize the FoodSafetyAnalysisService
-    // For now, we'll simulate the service integration
+  static async enqueueAnalysis(userId, imageUrl, options = {}) {
+    const analysis = new FoodAnalysis({
+      userId,
+      imageUrl,
+      imageThumbnail: options.thumbnail || imageUrl,
+      foodName: options.foodName || 'Unknown Food',
+      analysisType: options.analysisType || 'comprehensive',
+      processingStatus: 'pending',
+      deviceInfo: options.deviceInfo,
+      notes: options.notes,
+      tags: options.tags,
+      outletId: options.outletId
+    });
+
+    await analysis.save();
+
+    try {
+      await AnalysisQueueService.enqueue(analysis.id, {
+        analysisId: analysis.id,
+        userId,
+        imagePath: imageUrl,
+        options
+      });
+    } catch (error) {
+      await FoodAnalysis.updateProcessingStatus(analysis.id, {
+        processingStatus: 'failed',
+        errorMessage: 'Failed to queue analysis',
+        completedAt: new Date()
+      });
+      throw error;
+    }
+
+    logger.info(`Food analysis queued: ${analysis.id}`);
+    return analysis;
+  }
+
+  /**
+   * Run a queued analysis (called by the background worker)
+   */
+  static async processQueuedAnalysis(payload) {
+    const { analysisId, userId, imagePath, options = {} } = payload;
+    const startTime = Date.now();
+
+    const analysis = await FoodAnalysis.findById(analysisId, userId);
+    if (!analysis) {
+      throw new Error(`Analysis ${analysisId} not found`);
+    }
+
+    try {
+      await FoodAnalysis.applyMLAnalysis(analysis, imagePath, options, startTime);
+    } catch (error) {
+      if (error.code !== 'IMAGE_REJECTED') throw error;
+
+      await FoodAnalysis.rejectAnalysis(analysis, error, options.usage, startTime);
+      return analysis;
+    }
+
+    logger.info(`Queued food analysis completed: ${analysisId} in ${analysis.analysisDuration}ms`);
+    return analysis;
+  }
+
+  /**
+   * Settle an analysis whose photo failed the pre-analysis gate. No model ran, so
+   * the attempt is given back to the user's daily analysis limit.
+   */
+  static async rejectAnalysis(analysis, error, usage, startTime = Date.now()) {
+    analysis.processingStatus = 'rejected';
+    analysis.imageInspection = error.inspection || null;
+    analysis.errorMessage = (error.inspection?.issues || []).map(issue => issue.message).join('; ') || error.message;
+    analysis.analysisDuration = Date.now() - startTime;
+    analysis.completedAt = new Date();
+    await analysis.save();
+
+    if (usage) {
+      await UsageTracking.releaseUsage(analysis.userId, usage.resourceType, usage.date)
+        .catch(releaseError => logger.error(`Failed to release usage for rejected analysis ${analysis.id}:`, releaseError));
+    }
+
+    logger.info(`Food analysis rejected by image gate: ${analysis.id} (${analysis.errorMessage})`);
+  }
+
+  /**
+   * Run the ML models and store their results on the analysis
+   */
+  static async applyMLAnalysis(analysis, imageUrl, options = {}, startTime = Date.now()) {
+    // Initialize ML service (would be imported from the ML module)
+    const mlService = await FoodAnalysis.initializeMLService();
+    
+    // Run comprehensive ML analysis
+    const mlResults = await mlService.analyzeFood(imageUrl, options.userPreferences);
+    
+    // Process ML results into our model format
+    FoodAnalysis.applyProcessedResults(analysis, FoodAnalysis.processMLResults(mlResults));
+    FoodAnalysis.recordInferenceSource(analysis, mlService, mlResults);
+    const foodItems = await FoodAnalysis.linkFoodItems(analysis, mlResults.recognition, options);
+    const profileCheck = await FoodAnalysis.applyProfileConflicts(analysis, foodItems);
+    analysis.imageInspection = mlResults.imageInspection || null;
+    analysis.warnings = mlResults.imageInspection?.warnings || [];
+    analysis.imageThumbnail = await FoodAnalysis.retainPhoto(analysis.id, imageUrl);
+    
+    // Set status to completed
+    analysis.analysisDuration = Date.now() - startTime;
+    analysis.processingStatus = 'completed';
+    analysis.errorMessage = null;
+    analysis.completedAt = new Date();
     
+    await analysis.save();
+    await FoodAnalysis.notifyProfileConflicts(analysis, profileCheck);
+    return analysis;
+  }
+
+  /**
+   * Keep an EXIF-free, report-sized JPEG of the analysed photo. The worker deletes the
+   * upload once the analysis settles, so community posts and PDF reports use this copy.
+   * Resolves to its path, or null when the photo could not be decoded.
+   */
+  static async retainPhoto(analysisId, imagePath) {
+    const photoDir = path.join(process.cwd(), 'uploads', 'analysis-photos');
+    const photoPath = path.join(photoDir, `${analysisId}.jpg`);
+
     try {
-      // Try to import the ML service
-      const FoodSafetyAnalysisService = require('../../../ml-models/services/FoodSafetyAnalysisService');
-      const service = new FoodSafetyAnalysisService();
-      await service.initialize();
-      return service;
+      await fs.ensureDir(photoDir);
+      await sharp(imagePath)
+        .rotate()
+        .resize({ width: 1280, height: 1280, fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85 })
+        .toFile(photoPath);
+      return photoPath;
     } catch (error) {
-      logger.warn('ML service not available, using fallback analysis');
-      // Return a mock service for demonstration
-      return new MockMLService();
+      logger.warn(`Failed to keep the photo of analysis ${analysisId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Copy processed ML results onto an analysis
+   */
+  static applyProcessedResults(analysis, processedResults) {
+    analysis.freshnessScore = processedResults.freshnessScore;
+    analysis.overallRating = processedResults.overallRating;
+    analysis.safetyMetrics = processedResults.safetyMetrics;
+    
+    // Enhanced ML-specific metrics
+    analysis.oilQualityScore = processedResults.oilQualityScore;
+    analysis.burntFoodScore = processedResults.burntFoodScore;
+    analysis.spoilageScore = processedResults.spoilageScore;
+    analysis.nutritionalProfile = processedResults.nutritionalProfile;
+    analysis.saltSugarProfile = processedResults.saltSugarProfile;
+    analysis.temperatureStatus = processedResults.temperatureStatus;
+    analysis.chemicalRisk = processedResults.chemicalRisk;
+    analysis.microplasticsRisk = processedResults.microplasticsRisk;
+    
+    // Enhanced analysis results
+    analysis.safetyAlerts = processedResults.safetyAlerts;
+    analysis.healthInsights = processedResults.healthInsights;
+    analysis.aiConfidence = processedResults.aiConfidence;
+    analysis.recommendations = processedResults.recommendations;
+    analysis.nutritionInfo = processedResults.nutritionInfo;
+    analysis.plateItems = processedResults.plateItems;
+  }
+
+  /**
+   * Link the analysis, and each item on a segmented plate, to the food_items entry of
+   * the recognised dish. A linked analysis takes its nutrition, allergens and
+   * shelf-life from the catalogue; the models' visual estimate stays in nutritionalProfile.
+   * Resolves to the matched food items, keyed by recognition label.
+   */
+  static async linkFoodItems(analysis, recognition, options = {}) {
+    analysis.recognition = recognition || null;
+
+    const labels = [recognition, ...analysis.plateItems.map(item => item.recognition)]
+      .filter(result => result?.status === 'recognized')
+      .map(result => result.label);
+    if (labels.length === 0) return new Map();
+
+    const foodItems = await FoodItem.findByRecognitionLabels(labels);
+
+    for (const item of analysis.plateItems) {
+      const foodItem = foodItems.get(item.recognition?.label);
+      if (foodItem) {
+        item.foodItemId = foodItem.id;
+        item.foodName = foodItem.name;
+      }
     }
+
+    const foodItem = recognition?.status === 'recognized' ? foodItems.get(recognition.label) : null;
+    if (!foodItem) return foodItems;
+
+    analysis.foodItemId = foodItem.id;
+    // A name typed by the user wins over the recognised one
+    if (!options.foodName) analysis.foodName = foodItem.name;
+    analysis.nutritionInfo = foodItem.getNutritionInfo();
+    analysis.safetyMetrics.catalogue = foodItem.getSafetyInfo();
+    return foodItems;
+  }
+
+  /**
+   * Check the analysis against the user's allergies, dietary restrictions and health
+   * conditions, including those their family recorded for them. Conflicts go to the
+   * front of the safety alerts.
+   * Resolves to { profile, conflicts } for notifyProfileConflicts.
+   */
+  static async applyProfileConflicts(analysis, foodItems) {
+    const [profile, familyProfile] = await Promise.all([
+      User.getHealthProfile(analysis.userId),
+      FamilyMember.getDietaryProfile(analysis.userId)
+    ]);
+    if (!profile) return { profile: null, conflicts: [] };
+
+    if (familyProfile) {
+      for (const field of ['allergies', 'dietaryRestrictions', 'healthConditions']) {
+        profile[field] = [...new Set([...profile[field], ...familyProfile[field]])];
+      }
+    }
+
+    const conflicts = DietaryConflictService.detectConflicts(analysis, profile, foodItems);
+    if (conflicts.length > 0) {
+      analysis.safetyAlerts = [...conflicts, ...(analysis.safetyAlerts || [])];
+      analysis.safetyMetrics.profileConflicts = {
+        count: conflicts.length,
+        categories: [...new Set(conflicts.map(conflict => conflict.category))]
+      };
+    }
+
+    return { profile, conflicts };
+  }
+
+  /**
+   * Push serious profile conflicts to users who turned on dietary alerts.
+   * Called once the analysis is saved, so the notification opens a stored report.
+   */
+  static async notifyProfileConflicts(analysis, { profile, conflicts }) {
+    if (!profile || conflicts.length === 0) return;
+    await PushNotificationService.notifyProfileConflicts(analysis, conflicts, profile);
+  }
+
+  /**
+   * Perform video food safety analysis: sample frames at options.videoAnalysis.frameRate
+   * over options.videoAnalysis.duration seconds, score each frame with the ML models
+   * and build a timeline of burnt, spoiled and temperature-danger states.
+   * The stored safety results are those of the worst frame.
+   */
+  static async performVideoAnalysis(userId, videoPath, options = {}) {
+    const startTime = Date.now();
+    const { frameRate = 5, duration = 30 } = options.videoAnalysis || {};
+
+    const analysis = new FoodAnalysis({
+      userId,
+      imageUrl: videoPath,
+      imageThumbnail: options.thumbnail || videoPath,
+      foodName: options.foodName || 'Unknown Food',
+      analysisType: 'video',
+      processingStatus: 'processing',
+      deviceInfo: options.deviceInfo,
+      notes: options.notes,
+      tags: options.tags,
+      outletId: options.outletId
+    });
+
+    const framesDir = path.join(os.tmpdir(), 'foodsafe-video', analysis.id);
+
+    try {
+      logger.info(`Starting video food analysis: ${analysis.id}`);
+      await analysis.save();
+
+      const extraction = await FrameExtractionService.extractFrames(videoPath, framesDir, { frameRate, duration });
+      if (extraction.frames.length === 0) {
+        throw new Error('No frames could be extracted from the video');
+      }
+
+      const mlService = await FoodAnalysis.initializeMLService();
+      const frameResults = [];
+      let worstFrame = null;
+
+      // Frames are scored one at a time; each already runs the eight models in parallel
+      for (const frame of extraction.frames) {
+        const mlResults = await mlService.analyzeFood(frame.path, options.userPreferences, { segmentPlate: false })
+          .catch(error => {
+            if (error.code !== 'IMAGE_REJECTED') throw error;
+            return FoodAnalysis.rejectedFrameResults(error.inspection);
+          });
+        const summary = FoodAnalysis.summarizeVideoFrame(frame, mlResults);
+        frameResults.push(summary);
+
+        // Frames the models abstained on (null score) only count when no frame could be assessed
+        if (!worstFrame || (summary.safetyScore !== null &&
+            (worstFrame.summary.safetyScore === null || summary.safetyScore < worstFrame.summary.safetyScore))) {
+          worstFrame = { summary, mlResults };
+        }
+      }
+
+      FoodAnalysis.applyProcessedResults(analysis, FoodAnalysis.processMLResults(worstFrame.mlResults));
+      FoodAnalysis.recordInferenceSource(analysis, mlService, worstFrame.mlResults);
+      const foodItems = await FoodAnalysis.linkFoodItems(analysis, worstFrame.mlResults.recognition, options);
+      const profileCheck = await FoodAnalysis.applyProfileConflicts(analysis, foodItems);
+
+      analysis.videoAnalysis = {
+        ...FoodAnalysis.buildVideoTimeline(frameResults),
+        decoder: extraction.decoder,
+        requestedFrameRate: frameRate,
+        sampledFrameRate: Number(extraction.sampledFrameRate.toFixed(3)),
+        requestedDuration: duration,
+        worstFrameIndex: worstFrame.summary.frameIndex
+      };
+
+      analysis.analysisDuration = Date.now() - startTime;
+      analysis.processingStatus = 'completed';
+      analysis.errorMessage = null;
+      analysis.completedAt = new Date();
+      await analysis.save();
+      await FoodAnalysis.notifyProfileConflicts(analysis, profileCheck);
+
+      logger.info(`Video food analysis completed: ${analysis.id} (${frameResults.length} frames) in ${analysis.analysisDuration}ms`);
+      return analysis;
+    } catch (error) {
+      logger.error(`Video food analysis failed: ${analysis.id}`, error);
+
+      analysis.processingStatus = 'failed';
+      analysis.errorMessage = error.message;
+      analysis.completedAt = new Date();
+      analysis.analysisDuration = Date.now() - startTime;
+      await analysis.save().catch(saveError => logger.error('Error saving failed video analysis:', saveError));
+
+      throw error;
+    } finally {
+      await fs.remove(framesDir).catch(() => {});
+    }
+  }
+
+  /**
+   * Stand-in report for a video frame the image gate turned away (dark, blurry or no
+   * food in view): no verdict, so it never becomes the worst frame
+   */
+  static rejectedFrameResults(inspection) {
+    return {
+      overall: {
+        safetyScore: null,
+        safetyLevel: INSUFFICIENT_EVIDENCE,
+        categoryScores: {},
+        abstainedCategories: Object.keys(CATEGORY_RESULT_FIELDS)
+      },
+      detailedAnalysis: {},
+      safetyAlerts: [],
+      healthInsights: [],
+      recommendations: [],
+      imageInspection: inspection || null
+    };
+  }
+
+  /**
+   * Reduce one frame's ML report to the values tracked on the video timeline
+   */
+  static summarizeVideoFrame(frame, mlResults) {
+    const detailed = mlResults.detailedAnalysis || {};
+    const temperature = detailed.temperature?.temperature;
+    const burnLevel = detailed.burntFood?.severityLevel || null;
+    const spoilageLevel = detailed.spoilage?.spoilageLevel || null;
+    const inDangerZone = typeof temperature === 'number' &&
+      temperature > TEMPERATURE_DANGER_ZONE.min && temperature < TEMPERATURE_DANGER_ZONE.max;
+
+    return {
+      frameIndex: frame.index,
+      timestamp: frame.timestamp,
+      safetyScore: mlResults.overall?.safetyScore ?? null,
+      safetyLevel: mlResults.overall?.safetyLevel || 'unknown',
+      categoryScores: mlResults.overall?.categoryScores || {},
+      burnLevel,
+      spoilageLevel,
+      temperature: typeof temperature === 'number' ? temperature : null,
+      temperatureSafety: detailed.temperature?.safetyLevel || null,
+      chemicalRisk: detailed.chemical?.riskLevel || null,
+      states: {
+        burnt: BURNT_LEVELS.includes(burnLevel),
+        spoiled: SPOILED_LEVELS.includes(spoilageLevel),
+        temperatureDanger: inDangerZone || detailed.temperature?.safetyLevel === 'unsafe'
+      },
+      alertCount: (mlResults.safetyAlerts || []).length
+    };
+  }
+
+  /**
+   * Combine per-frame summaries into the timeline returned by the video endpoint
+   */
+  static buildVideoTimeline(frameResults) {
+    const stateTimeline = { burnt: [], spoiled: [], temperatureDanger: [] };
+    const realTimeFeedback = [];
+    const temperatureChanges = [];
+    const stateLabels = {
+      burnt: 'Food became burnt',
+      spoiled: 'Signs of spoilage appeared',
+      temperatureDanger: 'Food entered the temperature danger zone (5-60°C)'
+    };
+
+    let previous = null;
+    let lastRecordedTemperature = null;
+
+    for (const frame of frameResults) {
+      for (const state of Object.keys(stateTimeline)) {
+        const wasActive = previous ? previous.states[state] : false;
+        const isActive = frame.states[state];
+        const periods = stateTimeline[state];
+
+        if (isActive && !wasActive) {
+          periods.push({ enteredAt: frame.timestamp, exitedAt: null, frameIndex: frame.frameIndex });
+          realTimeFeedback.push({ timestamp: frame.timestamp, type: state, severity: 'warning', message: stateLabels[state] });
+        } else if (!isActive && wasActive) {
+          periods[periods.length - 1].exitedAt = frame.timestamp;
+        }
+      }
+
+      if (previous && previous.safetyLevel !== frame.safetyLevel) {
+        realTimeFeedback.push({
+          timestamp: frame.timestamp,
+          type: 'safety_level',
+          severity: frame.safetyScore < previous.safetyScore ? 'warning' : 'info',
+          message: `Safety level changed from ${previous.safetyLevel} to ${frame.safetyLevel}`
+        });
+      }
+
+      if (frame.temperature !== null &&
+          (lastRecordedTemperature === null || Math.abs(frame.temperature - lastRecordedTemperature) >= TEMPERATURE_CHANGE_THRESHOLD)) {
+        temperatureChanges.push({
+          timestamp: frame.timestamp,
+          temperature: frame.temperature,
+          change: lastRecordedTemperature === null ? 0 : frame.temperature - lastRecordedTemperature,
+          safetyLevel: frame.temperatureSafety
+        });
+        lastRecordedTemperature = frame.temperature;
+      }
+
+      previous = frame;
+    }
+
+    const scores = frameResults.map(frame => frame.safetyScore).filter(score => score !== null);
+    const lastFrame = frameResults[frameResults.length - 1];
+
+    return {
+      totalFrames: frameResults.length,
+      analyzedDuration: lastFrame.timestamp,
+      frameAnalysis: frameResults,
+      safetyProgression: frameResults.map(frame => ({
+        timestamp: frame.timestamp,
+        safetyScore: frame.safetyScore,
+        safetyLevel: frame.safetyLevel
+      })),
+      stateTimeline,
+      realTimeFeedback,
+      temperatureChanges,
+      cookingProcess: FoodAnalysis.describeCookingProcess(temperatureChanges, stateTimeline),
+      contaminationRisk: FoodAnalysis.assessContaminationRisk(frameResults),
+      insufficientEvidenceFrames: frameResults.length - scores.length,
+      qualityScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      minSafetyScore: scores.length > 0 ? Math.min(...scores) : null
+    };
+  }
+
+  /**
+   * Describe what happened to the food over the clip
+   */
+  static describeCookingProcess(temperatureChanges, stateTimeline) {
+    if (stateTimeline.burnt.length > 0) return 'overcooking';
+    if (temperatureChanges.length < 2) return 'stable';
+
+    const first = temperatureChanges[0].temperature;
+    const last = temperatureChanges[temperatureChanges.length - 1].temperature;
+    if (last - first >= TEMPERATURE_CHANGE_THRESHOLD) return 'heating';
+    if (first - last >= TEMPERATURE_CHANGE_THRESHOLD) return 'cooling';
+    return 'stable';
+  }
+
+  /**
+   * Contamination risk from spoilage and chemical findings across all frames
+   */
+  static assessContaminationRisk(frameResults) {
+    if (frameResults.some(frame => frame.states.spoiled || frame.chemicalRisk === 'high')) return 'high';
+    if (frameResults.some(frame => frame.spoilageLevel === 'slightly_stale' || frame.chemicalRisk === 'moderate')) return 'moderate';
+    return 'low';
+  }
+
+  /**
+   * Update processing state without touching analysis results
+   */
+  static async updateProcessingStatus(id, { processingStatus, retryCount, errorMessage, completedAt } = {}) {
+    try {
+      const updateData = {
+        processing_status: processingStatus,
+        updated_at: new Date()
+      };
+
+      if (retryCount !== undefined) updateData.retry_count = retryCount;
+      if (errorMessage !== undefined) updateData.error_message = errorMessage;
+      if (completedAt !== undefined) updateData.completed_at = completedAt;
+
+      await db('food_analyses').where({ id }).update(updateData);
+    } catch (error) {
+      logger.error('Error updating analysis processing status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get processing status of a queued analysis
+   */
+  static async getJobStatus(id, userId) {
+    const analysis = await FoodAnalysis.findById(id, userId);
+    if (!analysis) return null;
+
+    return {
+      jobId: analysis.id,
+      analysisId: analysis.id,
+      processingStatus: analysis.processingStatus,
+      retryCount: analysis.retryCount,
+      errorMessage: analysis.errorMessage,
+      imageInspection: analysis.imageInspection,
+      createdAt: analysis.createdAt,
+      completedAt: analysis.completedAt,
+      analysis: analysis.processingStatus === 'completed' ? analysis : null
+    };
+  }
+
+  /**
+   * Register a live video analysis session; frames arrive over /ws/realtime/:sessionId
+   */
+  static async startRealtimeSession(userId, sessionId, videoPath, options = {}) {
+    return RealtimeSessionService.createSession(userId, sessionId, {
+      videoPath,
+      foodName: options.foodName,
+      userTier: options.userTier
+    });
+  }
+
+  /**
+   * Get the configured ML inference backend (see services/inference).
+   * Throws when models are unavailable - there is no fallback scoring.
+   */
+  static async initializeMLService() {
+    return getInferenceBackend();
+  }
+
+  /**
+   * Record which backend and model versions produced an analysis. The versions
+   * reported with the result win over the backend's current ones, which may have
+   * moved on (hot reload) or differ from a canary-served result.
+   */
+  static recordInferenceSource(analysis, mlService, mlResults) {
+    analysis.inferenceBackend = mlService.name;
+    analysis.modelVersions = mlResults?.modelVersions || mlService.getModelVersions();
   }
 
   /**
    * Process ML results into our model format
    */
   static processMLResults(mlResults) {
+    // Never invent a rating for an incomplete report; abstaining is the only score-less verdict
+    const abstained = mlResults?.overall?.safetyLevel === INSUFFICIENT_EVIDENCE;
+    if (!abstained && (typeof mlResults?.overall?.safetyScore !== 'number' || !mlResults.overall.safetyLevel)) {
+      throw new Error('ML results are missing an overall safety score');
+    }
+
     const results = {
-      freshnessScore: mlResults.overall?.safetyScore || 75,
-      overallRating: mlResults.overall?.safetyLevel || 'good',
-      safetyMetrics: {},
+      freshnessScore: abstained ? null : mlResults.overall.safetyScore,
+      overallRating: mlResults.overall.safetyLevel,
+      safetyMetrics: {
+        // Per-category scores (null where a model abstained), also kept as safety_metrics rows
+        categoryScores: mlResults.overall.categoryScores || {}
+      },
       
       // Individual ML analysis results
       oilQualityScore: 0,
@@ -180,44 +762,59 @@ class FoodAnalysis {
       healthInsights: [],
       aiConfidence: {},
       recommendations: [],
-      nutritionInfo: {}
+      nutritionInfo: {},
+      plateItems: []
     };
 
     // Process individual model results
     if (mlResults.detailedAnalysis) {
-      const analysis = mlResults.detailedAnalysis;
+      const analysis = { ...mlResults.detailedAnalysis };
+
+      // Models that abstained report why and contribute no score
+      for (const [category, resultField] of Object.entries(CATEGORY_RESULT_FIELDS)) {
+        if (analysis[category]?.insufficientEvidence) {
+          results.safetyMetrics[category] = {
+            status: INSUFFICIENT_EVIDENCE,
+            reason: analysis[category].reason,
+            message: analysis[category].message
+          };
+          results.aiConfidence[category] = analysis[category].confidence ?? null;
+          if (resultField) results[resultField] = null;
+          delete analysis[category];
+        }
+      }
       
       // Oil Quality Analysis
       if (analysis.oilQuality) {
-        results.oilQualityScore = analysis.oilQuality.qualityScore || 80;
+        results.oilQualityScore = analysis.oilQuality.qualityScore ?? 80;
         results.safetyMetrics.oilQuality = {
           status: analysis.oilQuality.status,
           score: analysis.oilQuality.qualityScore,
           recommendation: analysis.oilQuality.recommendation
         };
-        results.aiConfidence.oilQuality = analysis.oilQuality.confidence || 0.8;
+        results.aiConfidence.oilQuality = analysis.oilQuality.confidence ?? null;
       }
 
       // Burnt Food Analysis
       if (analysis.burntFood) {
-        results.burntFoodScore = analysis.burntFood.healthRiskScore ? 100 - analysis.burntFood.healthRiskScore : 80;
+        results.burntFoodScore = analysis.burntFood.healthRiskScore != null ? 100 - analysis.burntFood.healthRiskScore : 80;
         results.safetyMetrics.burntFood = {
           status: analysis.burntFood.status,
           severity: analysis.burntFood.severityLevel,
           healthRisk: analysis.burntFood.healthRiskScore
         };
-        results.aiConfidence.burntFood = analysis.burntFood.confidence || 0.8;
+        results.aiConfidence.burntFood = analysis.burntFood.confidence ?? null;
       }
 
       // Spoilage Analysis
       if (analysis.spoilage) {
-        results.spoilageScore = analysis.spoilage.healthRiskScore ? 100 - analysis.spoilage.healthRiskScore : 85;
+        results.spoilageScore = analysis.spoilage.healthRiskScore != null ? 100 - analysis.spoilage.healthRiskScore : 85;
         results.safetyMetrics.spoilage = {
           status: analysis.spoilage.status,
           level: analysis.spoilage.spoilageLevel,
           healthRisk: analysis.spoilage.healthRiskScore
         };
-        results.aiConfidence.spoilage = analysis.spoilage.confidence || 0.8;
+        results.aiConfidence.spoilage = analysis.spoilage.confidence ?? null;
       }
 
       // Nutritional Analysis
@@ -231,7 +828,7 @@ class FoodAnalysis {
           healthScore: analysis.nutritional.healthScore || 70
         };
         results.nutritionInfo = results.nutritionalProfile;
-        results.aiConfidence.nutritional = analysis.nutritional.healthScore ? 0.9 : 0.7;
+        results.aiConfidence.nutritional = analysis.nutritional.confidence ?? null;
       }
 
       // Salt/Sugar Analysis
@@ -242,7 +839,7 @@ class FoodAnalysis {
           riskLevel: analysis.saltSugar.riskLevel || 'low',
           healthScore: analysis.saltSugar.healthScore || 80
         };
-        results.aiConfidence.saltSugar = analysis.saltSugar.healthScore ? 0.85 : 0.7;
+        results.aiConfidence.saltSugar = analysis.saltSugar.confidence ?? null;
       }
 
       // Temperature Analysis
@@ -253,7 +850,7 @@ class FoodAnalysis {
           status: analysis.temperature.safetyLevel,
           riskLevel: analysis.temperature.riskLevel
         };
-        results.aiConfidence.temperature = analysis.temperature.safetyLevel === 'safe' ? 0.9 : 0.8;
+        results.aiConfidence.temperature = analysis.temperature.confidence ?? null;
       }
 
       // Chemical Analysis
@@ -264,7 +861,7 @@ class FoodAnalysis {
           riskLevel: analysis.chemical.riskLevel,
           confidence: analysis.chemical.confidence
         };
-        results.aiConfidence.chemical = analysis.chemical.confidence || 0.8;
+        results.aiConfidence.chemical = analysis.chemical.confidence ?? null;
       }
 
       // Microplastics Analysis
@@ -275,10 +872,17 @@ class FoodAnalysis {
           score: analysis.microplastics.riskScore,
           confidence: analysis.microplastics.confidence
         };
-        results.aiConfidence.microplastics = analysis.microplastics.confidence || 0.75;
+        results.aiConfidence.microplastics = analysis.microplastics.confidence ?? null;
       }
     }
 
+    // Per-item verdicts of a segmented plate
+    if (mlResults.plate) {
+      const { plateItems, plateMetrics } = FoodAnalysis.processPlateItems(mlResults.plate);
+      results.plateItems = plateItems;
+      results.safetyMetrics.plate = plateMetrics;
+    }
+
     // Process alerts and insights
     if (mlResults.safetyAlerts) {
       results.safetyAlerts = mlResults.safetyAlerts;
@@ -298,22 +902,62 @@ class FoodAnalysis {
     return results;
   }
 
+  /**
+   * Split a segmented plate report into the stored per-item verdicts (plate_items) and
+   * the compact summary kept in safety_metrics.plate
+   */
+  static processPlateItems(plate) {
+    const plateItems = (plate.items || []).map(item => ({
+      itemIndex: item.itemIndex,
+      label: item.label,
+      recognition: item.recognition || null,
+      detectionScore: item.detectionScore,
+      bbox: item.bbox,
+      relativeBbox: item.relativeBbox,
+      safetyScore: item.overall.safetyScore,
+      safetyLevel: item.overall.safetyLevel,
+      categoryScores: item.overall.categoryScores,
+      abstainedCategories: item.overall.abstainedCategories || [],
+      detailedAnalysis: item.detailedAnalysis,
+      safetyAlerts: item.safetyAlerts || []
+    }));
+
+    return {
+      plateItems,
+      plateMetrics: {
+        segmentation: plate.segmentation,
+        itemCount: plateItems.length,
+        items: plateItems.map(item => ({
+          itemIndex: item.itemIndex,
+          label: item.label,
+          relativeBbox: item.relativeBbox,
+          safetyScore: item.safetyScore,
+          safetyLevel: item.safetyLevel
+        }))
+      }
+    };
+  }
+
   /**
    * Generate comprehensive recommendations based on all analysis results
    */
   static generateRecommendations(results) {
     const recommendations = [];
 
-    // Safety-based recommendations
-    if (results.oilQualityScore < 60) {
+    if (results.overallRating === INSUFFICIENT_EVIDENCE) {
+      recommendations.push('The photo could not be assessed reliably - retake it in good light, in focus, with the food filling the frame');
+    }
+
+    // Safety-based recommendations (null scores come from models that abstained)
+    if (results.oilQualityScore != null && results.oilQualityScore < 60) {
       recommendations.push('Oil quality is poor - consider using fresh oil for cooking');
     }
 
-    if (results.burntFoodScore < 50) {
+    if (results.burntFoodScore != null && results.burntFoodScore < 50) {
       recommendations.push('Burnt areas detected - avoid consuming burnt portions');
     }
 
-    if (results.spoilageScore < 70) {
+    if (results.spoilageScore != null && results.spoilageScore < 70) {
       recommendations.push('Spoilage indicators found - check expiration dates');
     }
 
@@ -350,10 +994,17 @@ class FoodAnalysis {
     }
 
     // Overall safety recommendation
-    if (results.freshnessScore < 50) {
+    if (results.freshnessScore != null && results.freshnessScore < 50) {
       recommendations.push('Overall food safety score is low - consider alternative options');
     }
 
+    // Single items on a plate can be unsafe while the plate as a whole scores well
+    for (const item of results.plateItems || []) {
+      if (['concerning', 'dangerous', 'unsafe'].includes(item.safetyLevel)) {
+        recommendations.push(`Item ${item.itemIndex + 1} on the plate (${item.label}) is ${item.safetyLevel} - set it aside`);
+      }
+    }
+
     return recommendations;
   }
 
@@ -365,8 +1016,10 @@ class FoodAnalysis {
       const analysisData = {
         id: this.id,
         user_id: this.userId,
+        outlet_id: this.outletId,
         image_url: this.imageUrl,
         image_thumbnail: this.imageThumbnail,
+        food_item_id: this.foodItemId,
         food_name: this.foodName,
         analysis_type: this.analysisType,
         freshness_score: this.freshnessScore,
@@ -378,15 +1031,23 @@ class FoodAnalysis {
         ai_confidence: JSON.stringify(this.aiConfidence),
         analysis_duration: this.analysisDuration,
         model_version: this.modelVersion,
+        inference_backend: this.inferenceBackend,
+        model_versions: JSON.stringify(this.modelVersions),
         processing_status: this.processingStatus,
         error_message: this.errorMessage,
+        retry_count: this.retryCount,
         is_deleted: this.isDeleted,
         is_shared: this.isShared,
         shared_with: JSON.stringify(this.sharedWith),
+        shared_with_family: this.sharedWithFamily,
         tags: JSON.stringify(this.tags),
         notes: this.notes,
         location: this.location ? JSON.stringify(this.location) : null,
         device_info: this.deviceInfo ? JSON.stringify(this.deviceInfo) : null,
+        video_analysis: this.videoAnalysis ? JSON.stringify(this.videoAnalysis) : null,
+        image_inspection: this.imageInspection ? JSON.stringify(this.imageInspection) : null,
+        plate_items: JSON.stringify(this.plateItems),
+        recognition: this.recognition ? JSON.stringify(this.recognition) : null,
         created_at: this.createdAt,
         updated_at: this.updatedAt,
         completed_at: this.completedAt,
@@ -410,8 +1071,13 @@ class FoodAnalysis {
         .merge()
         .returning('*');
 
+      if (this.processingStatus === 'completed') {
+        await FoodAnalysis.saveSafetyMetrics(this.id, this.safetyMetrics.categoryScores, this.plateItems);
+      }
+      await cache.invalidateUserStats(this.userId);
+
       logger.info(`Enhanced food analysis saved: ${this.id}`);
-      return new FoodAnalysis(result[0]);
+      return FoodAnalysis.fromRow(result[0]);
     } catch (error) {
       logger.error('Error saving enhanced food analysis:', error);
       throw error;
@@ -431,25 +1097,7 @@ class FoodAnalysis {
         throw new Error('Analysis not found');
       }
 
-      // Parse all JSON fields including new ML fields
-      const parsed = {
-        ...analysisData,
-        safety_metrics: JSON.parse(analysisData.safety_metrics || '{}'),
-        nutrition_info: JSON.parse(analysisData.nutrition_info || '{}'),
-        recommendations: JSON.parse(analysisData.recommendations || '[]'),
-        warnings: JSON.parse(analysisData.warnings || '[]'),
-        ai_confidence: JSON.parse(analysisData.ai_confidence || '{}'),
-        shared_with: JSON.parse(analysisData.shared_with || '[]'),
-        tags: JSON.parse(analysisData.tags || '[]'),
-        location: analysisData.location ? JSON.parse(analysisData.location) : null,
-        device_info: analysisData.device_info ? JSON.parse(analysisData.device_info) : null,
-        nutritional_profile: JSON.parse(analysisData.nutritional_profile || '{}'),
-        salt_sugar_profile: JSON.parse(analysisData.salt_sugar_profile || '{}'),
-        safety_alerts: JSON.parse(analysisData.safety_alerts || '[]'),
-        health_insights: JSON.parse(analysisData.health_insights || '[]')
-      };
-
-      return new FoodAnalysis(parsed);
+      return FoodAnalysis.fromRow(analysisData);
     } catch (error) {
       logger.error('Error getting enhanced analysis details:', error);
       throw error;
@@ -515,7 +1163,7 @@ class FoodAnalysis {
       recommendations: this.recommendations,
       
       confidence: {
-        overall: this.aiConfidence.overall || 0.8,
+        overall: this.aiConfidence.overall ?? null,
         components: this.aiConfidence
       }
     };
@@ -524,6 +1172,61 @@ class FoodAnalysis {
   // ... (keeping all existing methods from the original model)
   // Original methods would be preserved here for backward compatibility
   
+  /**
+   * Build a model instance from a food_analyses row
+   */
+  static fromRow(row) {
+    return new FoodAnalysis({
+      id: row.id,
+      userId: row.user_id,
+      outletId: row.outlet_id,
+      imageUrl: row.image_url,
+      imageThumbnail: row.image_thumbnail,
+      foodItemId: row.food_item_id,
+      foodName: row.food_name,
+      analysisType: row.analysis_type,
+      freshnessScore: row.freshness_score,
+      overallRating: row.overall_rating,
+      safetyMetrics: parseJSON(row.safety_metrics, {}),
+      oilQualityScore: row.oil_quality_score,
+      burntFoodScore: row.burnt_food_score,
+      spoilageScore: row.spoilage_score,
+      nutritionalProfile: parseJSON(row.nutritional_profile, {}),
+      saltSugarProfile: parseJSON(row.salt_sugar_profile, {}),
+      temperatureStatus: row.temperature_status,
+      chemicalRisk: row.chemical_risk,
+      microplasticsRisk: row.microplastics_risk,
+      nutritionInfo: parseJSON(row.nutrition_info, {}),
+      recommendations: parseJSON(row.recommendations, []),
+      warnings: parseJSON(row.warnings, []),
+      safetyAlerts: parseJSON(row.safety_alerts, []),
+      healthInsights: parseJSON(row.health_insights, []),
+      aiConfidence: parseJSON(row.ai_confidence, {}),
+      analysisDuration: row.analysis_duration,
+      modelVersion: row.model_version,
+      inferenceBackend: row.inference_backend,
+      modelVersions: parseJSON(row.model_versions, {}),
+      processingStatus: row.processing_status,
+      errorMessage: row.error_message,
+      retryCount: row.retry_count,
+      isDeleted: row.is_deleted,
+      isShared: row.is_shared,
+      sharedWith: parseJSON(row.shared_with, []),
+      sharedWithFamily: row.shared_with_family,
+      tags: parseJSON(row.tags, []),
+      notes: row.notes,
+      location: parseJSON(row.location, null),
+      deviceInfo: parseJSON(row.device_info, null),
+      videoAnalysis: parseJSON(row.video_analysis, null),
+      imageInspection: parseJSON(row.image_inspection, null),
+      plateItems: parseJSON(row.plate_items, []),
+      recognition: parseJSON(row.recognition, null),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at
+    });
+  }
+
   static async create(analysisData) {
     return new FoodAnalysis(analysisData).save();
   }
@@ -539,13 +1242,460 @@ class FoodAnalysis {
       const analysisData = await query.first();
       if (!analysisData) return null;
 
-      return new FoodAnalysis(analysisData);
+      return FoodAnalysis.fromRow(analysisData);
     } catch (error) {
       logger.error('Error finding analysis by ID:', error);
       throw error;
     }
   }
 
+  /**
+   * Grant another user view or comment access. Sharing again updates the permission
+   * and restores a revoked grant.
+   */
+  async shareWith(targetUserId, permission = 'view') {
+    try {
+      const grant = await new ShareGrant({
+        analysisId: this.id,
+        ownerId: this.userId,
+        granteeId: targetUserId,
+        permission
+      }).save();
+
+      await this.syncSharedWith();
+      logger.info(`Analysis ${this.id} shared with ${targetUserId} (${permission})`);
+      return grant;
+    } catch (error) {
+      logger.error('Error sharing analysis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a user's access. Resolves to false when they had none.
+   */
+  async revokeShare(targetUserId) {
+    try {
+      const grant = await ShareGrant.findActive(this.id, targetUserId);
+      if (!grant) return false;
+
+      await grant.revoke();
+      await this.syncSharedWith();
+      return true;
+    } catch (error) {
+      logger.error('Error revoking analysis share:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Share the analysis with, or withdraw it from, the owner's family group
+   */
+  async setFamilySharing(enabled) {
+    try {
+      this.sharedWithFamily = enabled;
+      await db('food_analyses')
+        .where({ id: this.id })
+        .update({ shared_with_family: enabled, updated_at: new Date() });
+
+      logger.info(`Analysis ${this.id} ${enabled ? 'shared with' : 'withdrawn from'} family`);
+    } catch (error) {
+      logger.error('Error updating family sharing:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mirror the active grants into the legacy is_shared / shared_with columns
+   */
+  async syncSharedWith() {
+    this.sharedWith = await db('analysis_share_grants')
+      .where({ analysis_id: this.id })
+      .whereNull('revoked_at')
+      .pluck('grantee_id');
+    this.isShared = this.sharedWith.length > 0;
+
+    await db('food_analyses')
+      .where({ id: this.id })
+      .update({ is_shared: this.isShared, shared_with: JSON.stringify(this.sharedWith) });
+  }
+
+  /**
+   * Analyses shared with a user, newest first: those granted to them and those their
+   * family members shared with the family. Each carries `shareAccess` ({ permission, via }).
+   */
+  static async getSharedWithUser(userId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    try {
+      const query = db('food_analyses as a')
+        .leftJoin('analysis_share_grants as g', function () {
+          this.on('g.analysis_id', 'a.id')
+            .andOn('g.grantee_id', db.raw('?', [userId]))
+            .andOnNull('g.revoked_at');
+        })
+        .where('a.is_deleted', false)
+        .whereNot('a.user_id', userId)
+        .where((builder) => {
+          builder.whereNotNull('g.id').orWhere((family) => {
+            family.where('a.shared_with_family', true).whereIn('a.user_id', ShareGrant.familyMemberIds(userId));
+          });
+        });
+
+      const [rows, total] = await Promise.all([
+        query.clone()
+          .select('a.*', 'g.permission as share_permission')
+          .orderBy('a.created_at', 'desc')
+          .limit(limit)
+          .offset(offset),
+        query.clone().count('a.id as count').first()
+      ]);
+
+      const analyses = rows.map((row) => {
+        const analysis = FoodAnalysis.fromRow(row);
+        analysis.shareAccess = row.share_permission
+          ? { permission: row.share_permission, via: 'grant' }
+          : { permission: 'view', via: 'family' };
+        return analysis;
+      });
+
+      return {
+        analyses,
+        pagination: {
+          page,
+          limit,
+          total: parseInt(total.count),
+          pages: Math.ceil(total.count / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting analyses shared with user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Analyses of every active member of a family group, newest first, each carrying
+   * `familyMember` ({ userId, memberName }). Optionally limited to one member.
+   */
+  static async getHouseholdHistory(familyId, options = {}) {
+    const { memberId, page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    try {
+      const query = db('food_analyses as a')
+        .join('family_members as m', 'm.user_id', 'a.user_id')
+        .where({ 'm.family_id': familyId, 'm.is_active': true, 'a.is_deleted': false })
+        .modify((builder) => {
+          if (memberId) builder.where('a.user_id', memberId);
+        });
+
+      const [rows, total] = await Promise.all([
+        query.clone()
+          .select('a.*', 'm.member_name')
+          .orderBy('a.created_at', 'desc')
+          .limit(limit)
+          .offset(offset),
+        query.clone().count('a.id as count').first()
+      ]);
+
+      const analyses = rows.map((row) => {
+        const analysis = FoodAnalysis.fromRow(row);
+        analysis.familyMember = { userId: row.user_id, memberName: row.member_name };
+        return analysis;
+      });
+
+      return {
+        analyses,
+        pagination: {
+          page,
+          limit,
+          total: parseInt(total.count),
+          pages: Math.ceil(total.count / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting household history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Safety results of completed analyses per outlet since a date: counts, average and
+   * lowest score, unsafe share and weekly average scores
+   */
+  static async getOutletComparison(outletIds, since) {
+    if (outletIds.length === 0) return {};
+
+    try {
+      const base = db('food_analyses')
+        .whereIn('outlet_id', outletIds)
+        .where({ is_deleted: false, processing_status: 'completed' })
+        .where('created_at', '>=', since);
+
+      const [totals, weekly] = await Promise.all([
+        base.clone()
+          .select('outlet_id')
+          .count('* as analyses')
+          .avg('freshness_score as average_score')
+          .min('freshness_score as lowest_score')
+          .select(db.raw(
+            `count(*) filter (where overall_rating in (${UNSAFE_RATINGS.map(() => '?').join(', ')})) as unsafe`,
+            UNSAFE_RATINGS
+          ))
+          .groupBy('outlet_id'),
+        base.clone()
+          .select('outlet_id', db.raw("date_trunc('week', created_at) as week"))
+          .avg('freshness_score as average_score')
+          .groupBy('outlet_id', 'week')
+          .orderBy('week', 'asc')
+      ]);
+
+      return totals.reduce((comparison, row) => {
+        const analyses = parseInt(row.analyses);
+        comparison[row.outlet_id] = {
+          analyses,
+          averageScore: row.average_score !== null ? Math.round(parseFloat(row.average_score) * 10) / 10 : null,
+          lowestScore: row.lowest_score !== null ? parseFloat(row.lowest_score) : null,
+          unsafe: parseInt(row.unsafe),
+          unsafeRate: analyses > 0 ? Math.round((parseInt(row.unsafe) / analyses) * 100) : null,
+          weekly: weekly
+            .filter(week => week.outlet_id === row.outlet_id)
+            .map(week => ({
+              week: new Date(week.week).toISOString().slice(0, 10),
+              averageScore: Math.round(parseFloat(week.average_score) * 10) / 10
+            }))
+        };
+        return comparison;
+      }, {});
+    } catch (error) {
+      logger.error('Error getting outlet comparison:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a completed analysis's category scores as safety_metrics rows, replacing
+   * any from an earlier save: whole-plate rows without an item_index, then a row per
+   * category of each plate item keyed by its itemIndex. Categories the models
+   * abstained on get no row.
+   */
+  static async saveSafetyMetrics(analysisId, categoryScores = {}, plateItems = []) {
+    const toRows = (scores = {}, itemIndex = null) => Object.entries(scores)
+      .filter(([, score]) => typeof score === 'number')
+      .map(([category, score]) => {
+        const clamped = Math.max(0, Math.min(100, Math.round(score)));
+        return {
+          analysis_id: analysisId,
+          item_index: itemIndex,
+          metric_type: SAFETY_METRIC_TYPES[category] || category,
+          risk_level: riskLevelForScore(clamped),
+          score: clamped
+        };
+      });
+
+    const rows = [
+      ...toRows(categoryScores),
+      ...plateItems.flatMap(item => toRows(item.categoryScores, item.itemIndex))
+    ];
+
+    try {
+      await db.transaction(async (trx) => {
+        await trx('safety_metrics').where({ analysis_id: analysisId }).del();
+        if (rows.length > 0) await trx('safety_metrics').insert(rows);
+      });
+    } catch (error) {
+      logger.error('Error saving safety metrics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Statistics over a user's completed analyses in the last `dateRange` days: score
+   * distribution, most frequent risk categories, weekly improvement, worst-scoring
+   * foods and streaks. Cached per user until their next analysis is saved.
+   */
+  static async getUserStats(userId, dateRange = 30) {
+    const cached = await cache.getUserStats(userId, dateRange);
+    if (cached) return cached;
+
+    try {
+      const since = new Date(Date.now() - dateRange * 24 * 60 * 60 * 1000);
+      const user = await db('users').where({ id: userId }).first('timezone');
+      const timezone = user?.timezone || 'UTC';
+
+      const analyses = () => db('food_analyses')
+        .where({ user_id: userId, is_deleted: false, processing_status: 'completed' })
+        .where('created_at', '>=', since);
+
+      const [totals] = await analyses()
+        .count('* as total')
+        .count('freshness_score as scored')
+        .avg('freshness_score as average_score')
+        .min('freshness_score as lowest_score')
+        .max('freshness_score as highest_score');
+
+      const ratings = await analyses()
+        .select('overall_rating')
+        .count('* as count')
+        .groupBy('overall_rating');
+
+      const scoreBands = await analyses()
+        .whereNotNull('freshness_score')
+        .select(db.raw('LEAST(FLOOR(freshness_score / 20), 4) AS band'))
+        .count('* as count')
+        .groupByRaw('1');
+
+      const riskCategories = await db('safety_metrics')
+        .join('food_analyses', 'food_analyses.id', 'safety_metrics.analysis_id')
+        .where({
+          'food_analyses.user_id': userId,
+          'food_analyses.is_deleted': false,
+          'food_analyses.processing_status': 'completed'
+        })
+        .where('food_analyses.created_at', '>=', since)
+        .whereNull('safety_metrics.item_index')
+        .whereIn('safety_metrics.risk_level', ['caution', 'danger'])
+        .select('safety_metrics.metric_type')
+        .count('* as occurrences')
+        .select(db.raw('SUM(CASE WHEN safety_metrics.risk_level = \'danger\' THEN 1 ELSE 0 END) AS danger_count'))
+        .avg('safety_metrics.score as average_score')
+        .groupBy('safety_metrics.metric_type')
+        .orderBy('occurrences', 'desc')
+        .limit(5);
+
+      const weekly = await analyses()
+        .whereNotNull('freshness_score')
+        .select(db.raw('to_char(date_trunc(\'week\', created_at AT TIME ZONE ?), \'YYYY-MM-DD\') AS week', [timezone]))
+        .avg('freshness_score as average_score')
+        .count('* as analyses')
+        .groupByRaw('1')
+        .orderByRaw('1');
+
+      const worstFoods = await analyses()
+        .whereNotNull('freshness_score')
+        .select(db.raw('COALESCE(food_name, \'Unknown Food\') AS food_name'), 'food_item_id')
+        .avg('freshness_score as average_score')
+        .min('freshness_score as lowest_score')
+        .count('* as analyses')
+        .groupByRaw('1, 2')
+        .orderBy('average_score', 'asc')
+        .limit(5);
+
+      // Streaks span the whole history, not just the date range
+      const activeDays = await db('food_analyses')
+        .where({ user_id: userId, is_deleted: false, processing_status: 'completed' })
+        .distinct(db.raw('to_char(created_at AT TIME ZONE ?, \'YYYY-MM-DD\') AS day', [timezone]))
+        .orderBy('day', 'desc');
+
+      const recentRatings = await db('food_analyses')
+        .where({ user_id: userId, is_deleted: false, processing_status: 'completed' })
+        .whereNot({ overall_rating: INSUFFICIENT_EVIDENCE })
+        .select('overall_rating')
+        .orderBy('created_at', 'desc')
+        .limit(500);
+
+      const stats = {
+        dateRange,
+        totals: {
+          analyses: parseInt(totals.total),
+          scored: parseInt(totals.scored),
+          averageScore: totals.average_score === null ? null : Math.round(Number(totals.average_score)),
+          lowestScore: totals.lowest_score,
+          highestScore: totals.highest_score
+        },
+        scoreDistribution: {
+          byRating: ratings.reduce((counts, row) => {
+            counts[row.overall_rating] = parseInt(row.count);
+            return counts;
+          }, {}),
+          byScore: ['0-19', '20-39', '40-59', '60-79', '80-100'].map((range, band) => ({
+            range,
+            count: parseInt(scoreBands.find(row => Number(row.band) === band)?.count || 0)
+          }))
+        },
+        riskCategories: riskCategories.map(row => ({
+          category: row.metric_type,
+          occurrences: parseInt(row.occurrences),
+          dangerCount: parseInt(row.danger_count),
+          averageScore: Math.round(Number(row.average_score))
+        })),
+        improvement: FoodAnalysis.summarizeImprovement(weekly),
+        worstFoods: worstFoods.map(row => ({
+          foodName: row.food_name,
+          foodItemId: row.food_item_id,
+          averageScore: Math.round(Number(row.average_score)),
+          lowestScore: row.lowest_score,
+          analyses: parseInt(row.analyses)
+        })),
+        streaks: FoodAnalysis.calculateStreaks(activeDays.map(row => row.day), recentRatings, timezone),
+        generatedAt: new Date()
+      };
+
+      await cache.cacheUserStats(userId, dateRange, stats);
+      return stats;
+    } catch (error) {
+      logger.error('Error getting user stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Weekly average scores and the change from the first to the latest week
+   */
+  static summarizeImprovement(weeklyRows) {
+    const weekly = weeklyRows.map(row => ({
+      week: row.week,
+      averageScore: Math.round(Number(row.average_score)),
+      analyses: parseInt(row.analyses)
+    }));
+
+    if (weekly.length < 2) {
+      return { weekly, change: null, trend: 'insufficient_data' };
+    }
+
+    const change = weekly[weekly.length - 1].averageScore - weekly[0].averageScore;
+    return {
+      weekly,
+      change,
+      trend: change >= 5 ? 'improving' : change <= -5 ? 'declining' : 'stable'
+    };
+  }
+
+  /**
+   * Daily analysis streaks (days, newest first, in the user's timezone) and the
+   * run of most recent analyses without a concerning or worse rating
+   */
+  static calculateStreaks(days, recentRatings, timezone) {
+    const dayNumber = (day) => Date.parse(`${day}T00:00:00Z`) / (24 * 60 * 60 * 1000);
+    const today = dayNumber(new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date()));
+    const numbers = days.map(dayNumber);
+
+    let longest = 0;
+    let run = 0;
+    for (let i = 0; i < numbers.length; i++) {
+      run = i > 0 && numbers[i - 1] - numbers[i] === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    }
+
+    // The current streak survives until a full day passes without an analysis
+    let current = 0;
+    if (numbers.length > 0 && today - numbers[0] <= 1) {
+      current = 1;
+      while (current < numbers.length && numbers[current - 1] - numbers[current] === 1) current++;
+    }
+
+    const firstUnsafe = recentRatings.findIndex(row => UNSAFE_RATINGS.includes(row.overall_rating));
+
+    return {
+      currentDays: current,
+      longestDays: longest,
+      lastAnalysisDate: days[0] || null,
+      safeAnalysesInARow: firstUnsafe === -1 ? recentRatings.length : firstUnsafe
+    };
+  }
+
   // Add other existing methods here...
 
   /**
@@ -554,8 +1704,10 @@ class FoodAnalysis {
   toJSON(includeSensitive = false) {
     const base = {
       id: this.id,
+      outletId: this.outletId,
       imageUrl: this.imageUrl,
       imageThumbnail: this.imageThumbnail,
+      foodItemId: this.foodItemId,
       foodName: this.foodName,
       analysisType: this.analysisType,
       freshnessScore: this.freshnessScore,
@@ -579,9 +1731,16 @@ class FoodAnalysis {
       safetyAlerts: this.safetyAlerts,
       healthInsights: this.healthInsights,
       aiConfidence: this.aiConfidence,
+      inferenceBackend: this.inferenceBackend,
+      modelVersions: this.modelVersions,
       processingStatus: this.processingStatus,
+      retryCount: this.retryCount,
       tags: this.tags,
       notes: this.notes,
+      videoAnalysis: this.videoAnalysis,
+      imageInspection: this.imageInspection,
+      plateItems: this.plateItems,
+      recognition: this.recognition,
       createdAt: this.createdAt,
       completedAt: this.completedAt
     };
@@ -591,101 +1750,11 @@ class FoodAnalysis {
       base.location = this.location;
       base.deviceInfo = this.deviceInfo;
       base.sharedWith = this.sharedWith;
+      base.sharedWithFamily = this.sharedWithFamily;
     }
 
     return base;
   }
 }
 
-/**
- * Mock ML Service for demonstration (when real ML service is not available)
- */
-class MockMLService {
-  async analyzeFood(imagePath, userPreferences = {}) {
-    // Simulate ML analysis with realistic results
-    const mockResults = {
-      overall: {
-        safetyScore: Math.floor(Math.random() * 30) + 70, // 70-100
-        safetyLevel: 'good',
-        categoryScores: {
-          oilQuality: Math.floor(Math.random() * 40) + 60,
-          burntFood: Math.floor(Math.random() * 30) + 70,
-          spoilage: Math.floor(Math.random() * 25) + 75,
-          nutritional: Math.floor(Math.random() * 30) + 70,
-          saltSugar: Math.floor(Math.random() * 35) + 65,
-          temperature: Math.floor(Math.random() * 20) + 80,
-          chemical: Math.floor(Math.random() * 40) + 60,
-          microplastics: Math.floor(Math.random() * 50) + 50
-        }
-      },
-      detailedAnalysis: {
-        oilQuality: {
-          status: 'fresh_oil',
-          qualityScore: Math.floor(Math.random() * 40) + 60,
-          confidence: 0.85
-        },
-        burntFood: {
-          status: 'fresh_food',
-          healthRiskScore: Math.floor(Math.random() * 20) + 10,
-          severityLevel: 'fresh',
-          confidence: 0.9
-        },
-        spoilage: {
-          status: 'fresh_food',
-          healthRiskScore: Math.floor(Math.random() * 15) + 5,
-          spoilageLevel: 'fresh',
-          confidence: 0.88
-        },
-        nutritional: {
-          calories: Math.floor(Math.random() * 300) + 200,
-          protein: (Math.random() * 15 + 5).toFixed(1),
-          carbs: (Math.random() * 40 + 30).toFixed(1),
-          fat: (Math.random() * 15 + 5).toFixed(1),
-          fiber: (Math.random() * 8 + 2).toFixed(1),
-          healthScore: Math.floor(Math.random() * 30) + 70
-        },
-        saltSugar: {
-          saltLevel: Math.floor(Math.random() * 400) + 200,
-          sugarLevel: Math.floor(Math.random() * 3000) + 1000,
-          riskLevel: 'low',
-          healthScore: Math.floor(Math.random() * 25) + 75
-        },
-        temperature: {
-          temperature: Math.floor(Math.random() * 40) + 60,
-          safetyLevel: 'safe',
-          riskLevel: 'low'
-        },
-        chemical: {
-          classification: 'minimal_additives',
-          riskLevel: 'low',
-          confidence: 0.8
-        },
-        microplastics: {
-          riskLevel: 'low_risk',
-          riskScore: Math.floor(Math.random() * 30) + 20,
-          confidence: 0.75
-        }
-      },
-      safetyAlerts: [],
-      healthInsights: [
-        'Good nutritional balance detected',
-        'Appropriate serving temperature',
-        'Natural food composition'
-      ],
-      recommendations: [
-        'Food is safe for consumption',
-        'Good source of nutrients',
-        'Properly prepared'
-      ]
-    };
-
-    return mockResults;
-  }
-
-  async initialize() {
-    // Mock initialization
-    return true;
-  }
-}
-
 export default FoodAnalysis;
\ No newline at end of file
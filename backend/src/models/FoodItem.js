@@ -0,0 +1,428 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse a JSON column that may come back as a string or an already-parsed value
+ */
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Postgres returns decimal columns as strings
+const parseDecimal = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Nutrition columns, all per 100g
+const NUTRITION_FIELDS = {
+  calories: 'calories',
+  protein: 'protein',
+  carbohydrates: 'carbohydrates',
+  fat: 'fat',
+  fiber: 'fiber',
+  sugar: 'sugar',
+  sodium: 'sodium',
+  cholesterol: 'cholesterol',
+  vitaminA: 'vitamin_a',
+  vitaminC: 'vitamin_c',
+  vitaminD: 'vitamin_d',
+  calcium: 'calcium',
+  iron: 'iron',
+  potassium: 'potassium'
+};
+
+// Catalogue lifecycle: submissions and imports wait in pending_review for an admin
+export const FOOD_ITEM_STATUSES = ['pending_review', 'active', 'rejected', 'inactive', 'deprecated'];
+
+// Fields a submission or admin edit may set; status, provenance and review fields are managed separately
+export const EDITABLE_FIELDS = [
+  'name', 'category', 'subcategory', 'description', 'recognitionLabel', 'aliases', 'nutrition',
+  'glycemicIndex', 'glycemicLoad', 'dietaryFiber', 'oxalateLevel', 'purineLevel',
+  'allergens', 'dietTags', 'safetyWarnings', 'shelfLifeDays', 'preparationInstructions', 'storageInstructions',
+  'cookingDifficulty', 'visualFeatures', 'colorRange', 'textureCharacteristics', 'imageUrl', 'thumbnailUrl'
+];
+
+// Ingredient classes that dietary restrictions exclude (vegetarian, vegan, jain, ...)
+export const DIET_TAGS = ['meat', 'fish', 'egg', 'dairy', 'honey', 'onion_garlic', 'root_vegetables'];
+
+// Minimum word similarity (pg_trgm) for a fuzzy match, so "bhendi" still finds "bhindi"
+const SEARCH_SIMILARITY_THRESHOLD = 0.4;
+
+/**
+ * Food Item Model
+ * Catalogue of foods with per-100g nutrition, health metrics and safety data.
+ * `recognitionLabel` is the food recognition model class that identifies the item.
+ * Names in other languages and scripts ("bhindi", "भिंडी" for okra) are aliases,
+ * searched together with the name.
+ */
+class FoodItem {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = data.name;
+    this.category = data.category;
+    this.subcategory = data.subcategory;
+    this.description = data.description;
+    this.recognitionLabel = data.recognitionLabel || null; // e.g. 'gulab_jamun'
+    this.aliases = data.aliases || []; // [{ name, language }]
+    this.nutrition = data.nutrition || {}; // per 100g, keys of NUTRITION_FIELDS
+    this.glycemicIndex = data.glycemicIndex;
+    this.glycemicLoad = data.glycemicLoad;
+    this.dietaryFiber = data.dietaryFiber; // low, medium, high
+    this.oxalateLevel = data.oxalateLevel; // low, medium, high
+    this.purineLevel = data.purineLevel; // low, medium, high
+    this.allergens = data.allergens || [];
+    this.dietTags = data.dietTags || []; // DIET_TAGS
+    this.safetyWarnings = data.safetyWarnings || [];
+    this.shelfLifeDays = data.shelfLifeDays;
+    this.preparationInstructions = data.preparationInstructions;
+    this.storageInstructions = data.storageInstructions || null;
+    this.cookingDifficulty = data.cookingDifficulty; // easy, medium, hard
+    this.visualFeatures = data.visualFeatures || {};
+    this.colorRange = data.colorRange || [];
+    this.textureCharacteristics = data.textureCharacteristics || [];
+    this.imageUrl = data.imageUrl;
+    this.thumbnailUrl = data.thumbnailUrl;
+    this.status = data.status || 'active'; // one of FOOD_ITEM_STATUSES
+    this.confidenceScore = data.confidenceScore || 0;
+    this.source = data.source || 'manual'; // 'manual' or the imported dataset's name
+    this.externalId = data.externalId || null; // id of the item in its source dataset
+    this.submittedBy = data.submittedBy || null;
+    this.reviewedBy = data.reviewedBy || null;
+    this.reviewedAt = data.reviewedAt || null;
+    this.reviewNotes = data.reviewNotes || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Find a food item by ID
+   */
+  static async findById(id) {
+    try {
+      const row = await db('food_items').where({ id }).first();
+      return row ? FoodItem.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding food item by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an imported food item by its id in the source dataset
+   */
+  static async findByExternalId(source, externalId) {
+    try {
+      const row = await db('food_items').where({ source, external_id: externalId }).first();
+      return row ? FoodItem.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding food item by external ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search the catalogue. `q` matches the name and aliases in any language, as a
+   * substring or a fuzzy (trigram) match; results are ordered by relevance, then name
+   * (or age with `oldestFirst`, for the review queue).
+   */
+  static async search({ q, category, status = 'active', page = 1, limit = 20, oldestFirst = false } = {}) {
+    try {
+      const term = q ? FoodItem.normalizeSearchText(q) : '';
+
+      const query = db('food_items').modify((builder) => {
+        if (status) builder.where({ status });
+        if (category) builder.whereRaw('lower(category) = ?', [category.toLowerCase()]);
+        if (term) {
+          builder.where((match) => {
+            match.whereRaw('search_text LIKE ?', [`%${term.replace(/[\\%_]/g, '\\$&')}%`])
+              .orWhereRaw('word_similarity(?, search_text) >= ?', [term, SEARCH_SIMILARITY_THRESHOLD]);
+          });
+        }
+      });
+
+      const [{ count }] = await query.clone().count('* as count');
+
+      const rows = await query
+        .select('*')
+        .modify((builder) => {
+          if (term) {
+            builder.select(db.raw('word_similarity(?, search_text) AS relevance', [term]))
+              .orderBy('relevance', 'desc');
+          }
+        })
+        .orderBy(oldestFirst ? 'created_at' : 'name', 'asc')
+        .limit(limit)
+        .offset((page - 1) * limit);
+
+      return {
+        items: rows.map(row => FoodItem.fromRow(row)),
+        total: parseInt(count)
+      };
+    } catch (error) {
+      logger.error('Error searching food items:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lower-case, accent-free text used for search. Devanagari and other scripts are
+   * kept as typed; only Latin diacritics are folded.
+   */
+  static normalizeSearchText(text) {
+    return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * Active food items for a set of recognition labels, keyed by label
+   */
+  static async findByRecognitionLabels(labels) {
+    const uniqueLabels = [...new Set(labels.filter(Boolean))];
+    if (uniqueLabels.length === 0) return new Map();
+
+    try {
+      const rows = await db('food_items')
+        .whereIn('recognition_label', uniqueLabels)
+        .where({ status: 'active' });
+
+      return new Map(rows.map(row => [row.recognition_label, FoodItem.fromRow(row)]));
+    } catch (error) {
+      logger.error('Error finding food items by recognition label:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy editable fields from a submission or admin edit
+   */
+  applyChanges(changes) {
+    for (const field of EDITABLE_FIELDS) {
+      if (changes[field] === undefined) continue;
+
+      this[field] = field === 'nutrition'
+        ? { ...this.nutrition, ...changes.nutrition }
+        : changes[field];
+    }
+
+    return this;
+  }
+
+  /**
+   * Approve or reject a pending item
+   */
+  async review(decision, reviewerId, notes = null) {
+    if (this.status !== 'pending_review') {
+      const error = new Error(`Food item is ${this.status}, not pending review`);
+      error.code = 'NOT_PENDING_REVIEW';
+      throw error;
+    }
+
+    this.status = decision === 'approve' ? 'active' : 'rejected';
+    this.reviewedBy = reviewerId;
+    this.reviewedAt = new Date();
+    this.reviewNotes = notes;
+
+    return this.save();
+  }
+
+  /**
+   * Insert or update the food item
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('food_items')
+        .insert(this.toRow())
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return FoodItem.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving food item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Map to a food_items row
+   */
+  toRow() {
+    const searchText = [this.name, ...this.aliases.map(alias => alias.name)]
+      .filter(Boolean)
+      .map(FoodItem.normalizeSearchText)
+      .join(' | ');
+
+    return {
+      id: this.id,
+      name: this.name,
+      category: this.category,
+      subcategory: this.subcategory,
+      description: this.description,
+      recognition_label: this.recognitionLabel,
+      aliases: JSON.stringify(this.aliases),
+      search_text: searchText,
+      ...Object.entries(NUTRITION_FIELDS).reduce((columns, [field, column]) => {
+        columns[column] = this.nutrition[field] ?? null;
+        return columns;
+      }, {}),
+      glycemic_index: this.glycemicIndex,
+      glycemic_load: this.glycemicLoad,
+      dietary_fiber: this.dietaryFiber,
+      oxalate_level: this.oxalateLevel,
+      purine_level: this.purineLevel,
+      allergens: JSON.stringify(this.allergens),
+      diet_tags: JSON.stringify(this.dietTags),
+      safety_warnings: JSON.stringify(this.safetyWarnings),
+      shelf_life_days: this.shelfLifeDays,
+      preparation_instructions: this.preparationInstructions,
+      storage_instructions: this.storageInstructions ? JSON.stringify(this.storageInstructions) : null,
+      cooking_difficulty: this.cookingDifficulty,
+      visual_features: JSON.stringify(this.visualFeatures),
+      color_range: JSON.stringify(this.colorRange),
+      texture_characteristics: JSON.stringify(this.textureCharacteristics),
+      image_url: this.imageUrl,
+      thumbnail_url: this.thumbnailUrl,
+      status: this.status,
+      confidence_score: this.confidenceScore,
+      source: this.source,
+      external_id: this.externalId,
+      submitted_by: this.submittedBy,
+      reviewed_by: this.reviewedBy,
+      reviewed_at: this.reviewedAt,
+      review_notes: this.reviewNotes,
+      created_at: this.createdAt,
+      updated_at: this.updatedAt
+    };
+  }
+
+  /**
+   * Catalogue nutrition in the shape stored as an analysis's nutritionInfo
+   */
+  getNutritionInfo() {
+    return {
+      source: 'food_items',
+      foodItemId: this.id,
+      per: '100g',
+      ...this.nutrition,
+      glycemicIndex: this.glycemicIndex
+    };
+  }
+
+  /**
+   * Allergen, warning and storage data kept with an analysis's safety metrics
+   */
+  getSafetyInfo() {
+    return {
+      foodItemId: this.id,
+      allergens: this.allergens,
+      dietTags: this.dietTags,
+      safetyWarnings: this.safetyWarnings,
+      shelfLifeDays: this.shelfLifeDays,
+      storageInstructions: this.storageInstructions
+    };
+  }
+
+  /**
+   * Build a model instance from a food_items row
+   */
+  static fromRow(row) {
+    return new FoodItem({
+      id: row.id,
+      name: row.name,
+      category: row.category,
+      subcategory: row.subcategory,
+      description: row.description,
+      recognitionLabel: row.recognition_label,
+      aliases: parseJSON(row.aliases, []),
+      nutrition: Object.entries(NUTRITION_FIELDS).reduce((nutrition, [field, column]) => {
+        nutrition[field] = parseDecimal(row[column]);
+        return nutrition;
+      }, {}),
+      glycemicIndex: parseDecimal(row.glycemic_index),
+      glycemicLoad: parseDecimal(row.glycemic_load),
+      dietaryFiber: row.dietary_fiber,
+      oxalateLevel: row.oxalate_level,
+      purineLevel: row.purine_level,
+      allergens: parseJSON(row.allergens, []),
+      dietTags: parseJSON(row.diet_tags, []),
+      safetyWarnings: parseJSON(row.safety_warnings, []),
+      shelfLifeDays: parseDecimal(row.shelf_life_days),
+      preparationInstructions: row.preparation_instructions,
+      storageInstructions: parseJSON(row.storage_instructions, null),
+      cookingDifficulty: row.cooking_difficulty,
+      visualFeatures: parseJSON(row.visual_features, {}),
+      colorRange: parseJSON(row.color_range, []),
+      textureCharacteristics: parseJSON(row.texture_characteristics, []),
+      imageUrl: row.image_url,
+      thumbnailUrl: row.thumbnail_url,
+      status: row.status,
+      confidenceScore: row.confidence_score,
+      source: row.source,
+      externalId: row.external_id,
+      submittedBy: row.submitted_by,
+      reviewedBy: row.reviewed_by,
+      reviewedAt: row.reviewed_at,
+      reviewNotes: row.review_notes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Convert to public JSON; curators also see provenance and review fields
+   */
+  toJSON(includeReview = false) {
+    const base = {
+      id: this.id,
+      name: this.name,
+      category: this.category,
+      subcategory: this.subcategory,
+      description: this.description,
+      recognitionLabel: this.recognitionLabel,
+      aliases: this.aliases,
+      nutrition: this.nutrition,
+      glycemicIndex: this.glycemicIndex,
+      glycemicLoad: this.glycemicLoad,
+      dietaryFiber: this.dietaryFiber,
+      oxalateLevel: this.oxalateLevel,
+      purineLevel: this.purineLevel,
+      allergens: this.allergens,
+      dietTags: this.dietTags,
+      safetyWarnings: this.safetyWarnings,
+      shelfLifeDays: this.shelfLifeDays,
+      preparationInstructions: this.preparationInstructions,
+      storageInstructions: this.storageInstructions,
+      cookingDifficulty: this.cookingDifficulty,
+      imageUrl: this.imageUrl,
+      thumbnailUrl: this.thumbnailUrl,
+      status: this.status
+    };
+
+    if (includeReview) {
+      base.source = this.source;
+      base.externalId = this.externalId;
+      base.submittedBy = this.submittedBy;
+      base.reviewedBy = this.reviewedBy;
+      base.reviewedAt = this.reviewedAt;
+      base.reviewNotes = this.reviewNotes;
+      base.createdAt = this.createdAt;
+      base.updatedAt = this.updatedAt;
+    }
+
+    return base;
+  }
+}
+
+export default FoodItem;
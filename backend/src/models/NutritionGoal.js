@@ -0,0 +1,103 @@
+import db from '../config/database.js';
+import logger from '../utils/logger.js';
+
+export const NUTRITION_GOALS = ['lose', 'maintain', 'gain'];
+
+/**
+ * Nutrition Goal Model
+ * A user's weight goal, macro split and optional overrides of the computed
+ * calorie target and sodium/sugar limits. Users without a row get the defaults.
+ */
+class NutritionGoal {
+  constructor(data = {}) {
+    this.userId = data.userId;
+    this.goal = data.goal || 'maintain'; // one of NUTRITION_GOALS
+    this.calorieTarget = data.calorieTarget ?? null; // kcal/day, overrides the TDEE-based target
+    this.proteinPercent = data.proteinPercent ?? 20; // share of calories
+    this.carbsPercent = data.carbsPercent ?? 50;
+    this.fatPercent = data.fatPercent ?? 30;
+    this.sodiumLimit = data.sodiumLimit ?? null; // mg/day
+    this.sugarLimit = data.sugarLimit ?? null; // g/day
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * The user's goals, or the defaults
+   */
+  static async findByUserId(userId) {
+    try {
+      const row = await db('nutrition_goals').where({ user_id: userId }).first();
+      return row ? NutritionGoal.fromRow(row) : new NutritionGoal({ userId });
+    } catch (error) {
+      logger.error('Error finding nutrition goals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or update the user's goals
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('nutrition_goals')
+        .insert({
+          user_id: this.userId,
+          goal: this.goal,
+          calorie_target: this.calorieTarget,
+          protein_percent: this.proteinPercent,
+          carbs_percent: this.carbsPercent,
+          fat_percent: this.fatPercent,
+          sodium_limit: this.sodiumLimit,
+          sugar_limit: this.sugarLimit,
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict('user_id')
+        .merge()
+        .returning('*');
+
+      return NutritionGoal.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving nutrition goals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a model instance from a nutrition_goals row
+   */
+  static fromRow(row) {
+    return new NutritionGoal({
+      userId: row.user_id,
+      goal: row.goal,
+      calorieTarget: row.calorie_target,
+      proteinPercent: row.protein_percent,
+      carbsPercent: row.carbs_percent,
+      fatPercent: row.fat_percent,
+      sodiumLimit: row.sodium_limit,
+      sugarLimit: row.sugar_limit,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Convert to public JSON
+   */
+  toJSON() {
+    return {
+      goal: this.goal,
+      calorieTarget: this.calorieTarget,
+      proteinPercent: this.proteinPercent,
+      carbsPercent: this.carbsPercent,
+      fatPercent: this.fatPercent,
+      sodiumLimit: this.sodiumLimit,
+      sugarLimit: this.sugarLimit
+    };
+  }
+}
+
+export default NutritionGoal;
@@ -0,0 +1,271 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+// Postgres returns decimal columns as strings
+const parseDecimal = (value) => (value === null || value === undefined ? null : Number(value));
+
+// Logged nutrients and their units; every entry stores the amount for its serving
+export const LOGGED_NUTRIENTS = {
+  calories: 'kcal',
+  protein: 'g',
+  carbohydrates: 'g',
+  fat: 'g',
+  fiber: 'g',
+  sugar: 'g',
+  sodium: 'mg'
+};
+
+export const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// node-postgres returns date columns as local-midnight Dates
+const formatDate = (value) => (value instanceof Date
+  ? `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`
+  : value);
+
+/**
+ * Calendar date (YYYY-MM-DD) of a moment in the user's timezone
+ */
+export const toLocalDate = (date, timezone = 'UTC') => {
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(date);
+  } catch (error) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'UTC' }).format(date);
+  }
+};
+
+/**
+ * Nutrition Log Entry Model
+ * One food the user ate. Entries are created from an analysis (catalogue nutrition
+ * when the dish was recognised, otherwise the models' estimate) or straight from a
+ * catalogue item, scaled from per-100g values to the logged serving.
+ */
+class NutritionLogEntry {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.userId = data.userId;
+    this.analysisId = data.analysisId || null;
+    this.foodItemId = data.foodItemId || null;
+    this.foodName = data.foodName;
+    this.mealType = data.mealType || 'snack';
+    this.consumedAt = data.consumedAt || new Date();
+    this.logDate = data.logDate; // YYYY-MM-DD in the user's timezone
+    this.servingGrams = data.servingGrams;
+    this.nutrients = data.nutrients || {}; // keys of LOGGED_NUTRIENTS, for the serving
+    this.nutritionSource = data.nutritionSource; // 'food_items' or 'model_estimate'
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Per-100g nutrition of an analysis. The catalogue entry of a recognised dish wins;
+   * otherwise the nutritional and salt/sugar models' estimates are used (sugar is
+   * reported by SaltSugarModel in mg).
+   */
+  static nutritionFromAnalysis(analysis) {
+    const info = analysis.nutritionInfo || {};
+    if (info.source === 'food_items') {
+      return {
+        nutritionSource: 'food_items',
+        per100g: {
+          calories: info.calories,
+          protein: info.protein,
+          carbohydrates: info.carbohydrates,
+          fat: info.fat,
+          fiber: info.fiber,
+          sugar: info.sugar,
+          sodium: info.sodium
+        }
+      };
+    }
+
+    const profile = analysis.nutritionalProfile || {};
+    const saltSugar = analysis.saltSugarProfile || {};
+    return {
+      nutritionSource: 'model_estimate',
+      per100g: {
+        calories: profile.calories,
+        protein: profile.protein,
+        carbohydrates: profile.carbs,
+        fat: profile.fat,
+        fiber: profile.fiber,
+        sugar: saltSugar.sugarLevel != null ? saltSugar.sugarLevel / 1000 : null,
+        sodium: saltSugar.saltLevel
+      }
+    };
+  }
+
+  /**
+   * Build an entry for `servingGrams` of a food given its per-100g nutrition
+   */
+  static build({ userId, per100g, servingGrams, consumedAt = new Date(), timezone, ...data }) {
+    const factor = servingGrams / 100;
+    const nutrients = Object.keys(LOGGED_NUTRIENTS).reduce((amounts, nutrient) => {
+      amounts[nutrient] = round((Number(per100g[nutrient]) || 0) * factor);
+      return amounts;
+    }, {});
+
+    return new NutritionLogEntry({
+      ...data,
+      userId,
+      servingGrams,
+      consumedAt,
+      logDate: toLocalDate(consumedAt, timezone),
+      nutrients
+    });
+  }
+
+  /**
+   * Find a user's entry by ID
+   */
+  static async findById(id, userId) {
+    try {
+      const row = await db('nutrition_log_entries').where({ id, user_id: userId }).first();
+      return row ? NutritionLogEntry.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding nutrition log entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user's entries between two dates (inclusive), oldest first
+   */
+  static async findByDateRange(userId, startDate, endDate) {
+    try {
+      const rows = await db('nutrition_log_entries')
+        .where({ user_id: userId })
+        .whereBetween('log_date', [startDate, endDate])
+        .orderBy('consumed_at', 'asc');
+
+      return rows.map(row => NutritionLogEntry.fromRow(row));
+    } catch (error) {
+      logger.error('Error finding nutrition log entries:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Intake per day between two dates (inclusive); days without entries are omitted
+   */
+  static async getDailyTotals(userId, startDate, endDate) {
+    try {
+      const rows = await db('nutrition_log_entries')
+        .where({ user_id: userId })
+        .whereBetween('log_date', [startDate, endDate])
+        .select(db.raw('to_char(log_date, \'YYYY-MM-DD\') AS date'))
+        .count('* as entries')
+        .modify((builder) => {
+          for (const nutrient of Object.keys(LOGGED_NUTRIENTS)) {
+            builder.sum(`${nutrient} as ${nutrient}`);
+          }
+        })
+        .groupBy('log_date')
+        .orderBy('log_date', 'asc');
+
+      return rows.map(row => ({
+        date: row.date,
+        entries: parseInt(row.entries),
+        ...Object.keys(LOGGED_NUTRIENTS).reduce((totals, nutrient) => {
+          totals[nutrient] = round(parseDecimal(row[nutrient]) || 0);
+          return totals;
+        }, {})
+      }));
+    } catch (error) {
+      logger.error('Error getting daily nutrition totals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or update the entry
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('nutrition_log_entries')
+        .insert({
+          id: this.id,
+          user_id: this.userId,
+          analysis_id: this.analysisId,
+          food_item_id: this.foodItemId,
+          food_name: this.foodName,
+          meal_type: this.mealType,
+          consumed_at: this.consumedAt,
+          log_date: this.logDate,
+          serving_grams: this.servingGrams,
+          ...this.nutrients,
+          nutrition_source: this.nutritionSource,
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return NutritionLogEntry.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving nutrition log entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the entry
+   */
+  async delete() {
+    try {
+      await db('nutrition_log_entries').where({ id: this.id }).del();
+    } catch (error) {
+      logger.error('Error deleting nutrition log entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build a model instance from a nutrition_log_entries row
+   */
+  static fromRow(row) {
+    return new NutritionLogEntry({
+      id: row.id,
+      userId: row.user_id,
+      analysisId: row.analysis_id,
+      foodItemId: row.food_item_id,
+      foodName: row.food_name,
+      mealType: row.meal_type,
+      consumedAt: row.consumed_at,
+      logDate: formatDate(row.log_date),
+      servingGrams: parseDecimal(row.serving_grams),
+      nutrients: Object.keys(LOGGED_NUTRIENTS).reduce((nutrients, nutrient) => {
+        nutrients[nutrient] = parseDecimal(row[nutrient]);
+        return nutrients;
+      }, {}),
+      nutritionSource: row.nutrition_source,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  /**
+   * Convert to public JSON
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      analysisId: this.analysisId,
+      foodItemId: this.foodItemId,
+      foodName: this.foodName,
+      mealType: this.mealType,
+      consumedAt: this.consumedAt,
+      logDate: this.logDate,
+      servingGrams: this.servingGrams,
+      nutrients: this.nutrients,
+      nutritionSource: this.nutritionSource
+    };
+  }
+}
+
+export default NutritionLogEntry;
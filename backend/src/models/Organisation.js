@@ -0,0 +1,120 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Organisation Model
+ * A food business with one or more outlets. Its owner's subscription decides the
+ * features and the number of locations the organisation gets.
+ */
+class Organisation {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.name = data.name;
+    this.ownerId = data.ownerId;
+    this.isActive = data.isActive !== false;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static async findById(id) {
+    try {
+      const row = await db('organisations').where({ id, is_active: true }).first();
+      return row ? Organisation.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding organisation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Organisations a user belongs to, with their role in each
+   */
+  static async findForUser(userId) {
+    try {
+      const rows = await db('organisations as o')
+        .join('organisation_members as m', 'm.organisation_id', 'o.id')
+        .where({ 'm.user_id': userId, 'o.is_active': true })
+        .select('o.*', 'm.role')
+        .orderBy('o.created_at', 'asc');
+
+      return rows.map(row => ({ ...Organisation.fromRow(row).toJSON(), role: row.role }));
+    } catch (error) {
+      logger.error('Error finding organisations for user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the organisation with its owner as the first member
+   */
+  async create() {
+    try {
+      await db.transaction(async (trx) => {
+        await trx('organisations').insert(this.toRow());
+        await trx('organisation_members').insert({
+          organisation_id: this.id,
+          user_id: this.ownerId,
+          role: 'owner'
+        });
+      });
+
+      logger.info(`Organisation created: ${this.id}`);
+      return this;
+    } catch (error) {
+      logger.error('Error creating organisation:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('organisations')
+        .insert(this.toRow())
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return Organisation.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving organisation:', error);
+      throw error;
+    }
+  }
+
+  toRow() {
+    return {
+      id: this.id,
+      name: this.name,
+      owner_id: this.ownerId,
+      is_active: this.isActive,
+      created_at: this.createdAt,
+      updated_at: this.updatedAt
+    };
+  }
+
+  static fromRow(row) {
+    return new Organisation({
+      id: row.id,
+      name: row.name,
+      ownerId: row.owner_id,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      ownerId: this.ownerId,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+export default Organisation;
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse a JSON column that may come back as a string or an already-parsed value
+ */
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Invitations can be accepted for a week
+const INVITATION_TTL_DAYS = 7;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Organisation Invitation Model
+ * An invitation for an email address to join an organisation in a role. Only a hash
+ * of the token is stored; the token itself goes to the invitee.
+ */
+class OrganisationInvitation {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.organisationId = data.organisationId;
+    this.email = data.email ? data.email.toLowerCase() : data.email;
+    this.role = data.role;
+    this.outletIds = data.outletIds || [];
+    this.tokenHash = data.tokenHash;
+    this.invitedBy = data.invitedBy || null;
+    this.expiresAt = data.expiresAt || new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    this.acceptedAt = data.acceptedAt || null;
+    this.revokedAt = data.revokedAt || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Create an invitation. Resolves to the invitation and the token to send.
+   */
+  static async create(data) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const invitation = await new OrganisationInvitation({ ...data, tokenHash: hashToken(token) }).save();
+    return { invitation, token };
+  }
+
+  static async findById(id, organisationId) {
+    try {
+      const row = await db('organisation_invitations').where({ id, organisation_id: organisationId }).first();
+      return row ? OrganisationInvitation.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding organisation invitation:', error);
+      throw error;
+    }
+  }
+
+  static async findByToken(token) {
+    try {
+      const row = await db('organisation_invitations').where({ token_hash: hashToken(token) }).first();
+      return row ? OrganisationInvitation.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding organisation invitation by token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invitations of an organisation that can still be accepted
+   */
+  static async findPending(organisationId) {
+    try {
+      const rows = await db('organisation_invitations')
+        .where({ organisation_id: organisationId })
+        .whereNull('accepted_at')
+        .whereNull('revoked_at')
+        .where('expires_at', '>', new Date())
+        .orderBy('created_at', 'desc');
+
+      return rows.map(OrganisationInvitation.fromRow);
+    } catch (error) {
+      logger.error('Error finding pending invitations:', error);
+      throw error;
+    }
+  }
+
+  isPending() {
+    return !this.acceptedAt && !this.revokedAt && new Date(this.expiresAt) > new Date();
+  }
+
+  async save() {
+    try {
+      const result = await db('organisation_invitations')
+        .insert({
+          id: this.id,
+          organisation_id: this.organisationId,
+          email: this.email,
+          role: this.role,
+          outlet_ids: JSON.stringify(this.outletIds),
+          token_hash: this.tokenHash,
+          invited_by: this.invitedBy,
+          expires_at: this.expiresAt,
+          accepted_at: this.acceptedAt,
+          revoked_at: this.revokedAt,
+          created_at: this.createdAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return OrganisationInvitation.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving organisation invitation:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new OrganisationInvitation({
+      id: row.id,
+      organisationId: row.organisation_id,
+      email: row.email,
+      role: row.role,
+      outletIds: parseJSON(row.outlet_ids, []),
+      tokenHash: row.token_hash,
+      invitedBy: row.invited_by,
+      expiresAt: row.expires_at,
+      acceptedAt: row.accepted_at,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      organisationId: this.organisationId,
+      email: this.email,
+      role: this.role,
+      outletIds: this.outletIds,
+      invitedBy: this.invitedBy,
+      expiresAt: this.expiresAt,
+      acceptedAt: this.acceptedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+export default OrganisationInvitation;
@@ -0,0 +1,153 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Parse a JSON column that may come back as a string or an already-parsed value
+ */
+const parseJSON = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+};
+
+export const ORGANISATION_ROLES = ['owner', 'manager', 'staff'];
+
+/**
+ * Organisation Member Model
+ * A user's role in an organisation. Staff work at the outlets listed in outletIds;
+ * owners and managers cover every outlet.
+ */
+class OrganisationMember {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.organisationId = data.organisationId;
+    this.userId = data.userId;
+    this.role = data.role || 'staff';
+    this.outletIds = data.outletIds || [];
+    this.user = data.user || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static async find(organisationId, userId) {
+    try {
+      const row = await db('organisation_members')
+        .where({ organisation_id: organisationId, user_id: userId })
+        .first();
+
+      return row ? OrganisationMember.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding organisation member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Members of an organisation with their names and emails
+   */
+  static async findByOrganisation(organisationId) {
+    try {
+      const rows = await db('organisation_members as m')
+        .join('users as u', 'u.id', 'm.user_id')
+        .where({ 'm.organisation_id': organisationId })
+        .select('m.*', 'u.first_name', 'u.last_name', 'u.email')
+        .orderByRaw("CASE m.role WHEN 'owner' THEN 0 WHEN 'manager' THEN 1 ELSE 2 END")
+        .orderBy('m.created_at', 'asc');
+
+      return rows.map(OrganisationMember.fromRow);
+    } catch (error) {
+      logger.error('Error finding organisation members:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Memberships of a user, one per organisation
+   */
+  static async findByUser(userId) {
+    try {
+      const rows = await db('organisation_members as m')
+        .join('organisations as o', 'o.id', 'm.organisation_id')
+        .where({ 'm.user_id': userId, 'o.is_active': true })
+        .select('m.*');
+
+      return rows.map(OrganisationMember.fromRow);
+    } catch (error) {
+      logger.error('Error finding memberships for user:', error);
+      throw error;
+    }
+  }
+
+  coversAllOutlets() {
+    return this.role === 'owner' || this.role === 'manager';
+  }
+
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('organisation_members')
+        .insert({
+          id: this.id,
+          organisation_id: this.organisationId,
+          user_id: this.userId,
+          role: this.role,
+          outlet_ids: JSON.stringify(this.outletIds),
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict(['organisation_id', 'user_id'])
+        .merge(['role', 'outlet_ids', 'updated_at'])
+        .returning('*');
+
+      return OrganisationMember.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving organisation member:', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      await db('organisation_members').where({ id: this.id }).del();
+    } catch (error) {
+      logger.error('Error removing organisation member:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new OrganisationMember({
+      id: row.id,
+      organisationId: row.organisation_id,
+      userId: row.user_id,
+      role: row.role,
+      outletIds: parseJSON(row.outlet_ids, []),
+      user: row.email !== undefined
+        ? { firstName: row.first_name, lastName: row.last_name, email: row.email }
+        : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      organisationId: this.organisationId,
+      userId: this.userId,
+      role: this.role,
+      outletIds: this.coversAllOutlets() ? null : this.outletIds,
+      user: this.user,
+      joinedAt: this.createdAt
+    };
+  }
+}
+
+export default OrganisationMember;
@@ -0,0 +1,111 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Outlet Model
+ * A location (restaurant, kitchen, stall) of an organisation. Analyses can be
+ * attributed to it and it runs compliance checks.
+ */
+class Outlet {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.organisationId = data.organisationId;
+    this.ownerId = data.ownerId; // the organisation owner, whose plan counts the outlet
+    this.name = data.name;
+    this.fssaiLicenseNumber = data.fssaiLicenseNumber || null;
+    this.address = data.address || null;
+    this.isActive = data.isActive !== false;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static async findById(id) {
+    try {
+      const row = await db('outlets').where({ id, is_active: true }).first();
+      return row ? Outlet.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding outlet:', error);
+      throw error;
+    }
+  }
+
+  static async findByOrganisations(organisationIds) {
+    try {
+      const rows = await db('outlets')
+        .whereIn('organisation_id', organisationIds)
+        .where({ is_active: true })
+        .orderBy('created_at', 'asc');
+
+      return rows.map(Outlet.fromRow);
+    } catch (error) {
+      logger.error('Error finding outlets:', error);
+      throw error;
+    }
+  }
+
+  static async countByOwner(ownerId) {
+    try {
+      const [{ count }] = await db('outlets').where({ owner_id: ownerId, is_active: true }).count('* as count');
+      return parseInt(count);
+    } catch (error) {
+      logger.error('Error counting outlets:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('outlets')
+        .insert({
+          id: this.id,
+          organisation_id: this.organisationId,
+          owner_id: this.ownerId,
+          name: this.name,
+          fssai_license_number: this.fssaiLicenseNumber,
+          address: this.address,
+          is_active: this.isActive,
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return Outlet.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving outlet:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new Outlet({
+      id: row.id,
+      organisationId: row.organisation_id,
+      ownerId: row.owner_id,
+      name: row.name,
+      fssaiLicenseNumber: row.fssai_license_number,
+      address: row.address,
+      isActive: row.is_active,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      organisationId: this.organisationId,
+      name: this.name,
+      fssaiLicenseNumber: this.fssaiLicenseNumber,
+      address: this.address,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+export default Outlet;
@@ -1,4 +1,4 @@
-const db = require('../config/database');
+import db from '../config/database.js';
 
 class PartnershipRevenue {
   // E-commerce Integration (3-8% commission on safe food sales)
@@ -310,4 +310,4 @@ class PartnershipRevenue {
   }
 }
 
-module.exports = PartnershipRevenue;
\ No newline at end of file
+export default PartnershipRevenue;
\ No newline at end of file
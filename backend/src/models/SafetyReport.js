@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Safety Report Model
+ * A PDF safety certificate issued for an analysis. The content hash pins the results
+ * it certified, so a later change to the analysis shows up on verification.
+ */
+class SafetyReport {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.reportNumber = data.reportNumber || SafetyReport.generateReportNumber();
+    this.analysisId = data.analysisId;
+    this.userId = data.userId;
+    this.issuedTo = data.issuedTo || null;
+    this.contentHash = data.contentHash;
+    this.issuedAt = data.issuedAt || new Date();
+  }
+
+  static generateReportNumber() {
+    return `FSR-${new Date().getFullYear()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  /**
+   * Hash of the analysis results a report certifies
+   */
+  static hashAnalysis(analysis) {
+    const certified = {
+      analysisId: analysis.id,
+      foodName: analysis.foodName,
+      safetyScore: analysis.freshnessScore,
+      overallRating: analysis.overallRating,
+      categoryScores: analysis.safetyMetrics?.categoryScores || {},
+      modelVersions: analysis.modelVersions || {},
+      completedAt: analysis.completedAt ? new Date(analysis.completedAt).toISOString() : null
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(certified)).digest('hex');
+  }
+
+  static async findById(id) {
+    try {
+      const row = await db('safety_reports').where({ id }).first();
+      return row ? SafetyReport.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding safety report:', error);
+      throw error;
+    }
+  }
+
+  async save() {
+    try {
+      const result = await db('safety_reports')
+        .insert({
+          id: this.id,
+          report_number: this.reportNumber,
+          analysis_id: this.analysisId,
+          user_id: this.userId,
+          issued_to: this.issuedTo,
+          content_hash: this.contentHash,
+          issued_at: this.issuedAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return SafetyReport.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving safety report:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new SafetyReport({
+      id: row.id,
+      reportNumber: row.report_number,
+      analysisId: row.analysis_id,
+      userId: row.user_id,
+      issuedTo: row.issued_to,
+      contentHash: row.content_hash,
+      issuedAt: row.issued_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      reportNumber: this.reportNumber,
+      analysisId: this.analysisId,
+      issuedTo: this.issuedTo,
+      issuedAt: this.issuedAt
+    };
+  }
+}
+
+export default SafetyReport;
@@ -0,0 +1,154 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+export const SHARE_PERMISSIONS = ['view', 'comment'];
+
+/**
+ * Share Grant Model
+ * Access to an analysis its owner granted to another user. Revoked grants are kept
+ * (with revoked_at set) and reactivated if the owner shares again.
+ */
+class ShareGrant {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.analysisId = data.analysisId;
+    this.ownerId = data.ownerId;
+    this.granteeId = data.granteeId;
+    this.permission = data.permission || 'view';
+    this.revokedAt = data.revokedAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Active grant of an analysis to a user
+   */
+  static async findActive(analysisId, granteeId) {
+    try {
+      const row = await db('analysis_share_grants')
+        .where({ analysis_id: analysisId, grantee_id: granteeId })
+        .whereNull('revoked_at')
+        .first();
+
+      return row ? ShareGrant.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding share grant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Active grants of an analysis with the grantees' names
+   */
+  static async findByAnalysis(analysisId) {
+    try {
+      const rows = await db('analysis_share_grants as g')
+        .join('users as u', 'u.id', 'g.grantee_id')
+        .where({ 'g.analysis_id': analysisId })
+        .whereNull('g.revoked_at')
+        .select('g.*', 'u.first_name', 'u.last_name', 'u.email')
+        .orderBy('g.created_at', 'asc');
+
+      return rows.map(row => ({
+        ...ShareGrant.fromRow(row).toJSON(),
+        grantee: {
+          id: row.grantee_id,
+          firstName: row.first_name,
+          lastName: row.last_name,
+          email: row.email
+        }
+      }));
+    } catch (error) {
+      logger.error('Error finding share grants:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * User ids in an active family group with `userId`, as a subquery
+   */
+  static familyMemberIds(userId) {
+    return db('family_members as mine')
+      .join('family_members as other', 'other.family_id', 'mine.family_id')
+      .where({ 'mine.user_id': userId, 'mine.is_active': true, 'other.is_active': true })
+      .whereNot('other.user_id', userId)
+      .select('other.user_id');
+  }
+
+  /**
+   * Whether two users belong to the same active family group
+   */
+  static async areFamily(userId, otherUserId) {
+    try {
+      const row = await ShareGrant.familyMemberIds(userId)
+        .where('other.user_id', otherUserId)
+        .first();
+
+      return Boolean(row);
+    } catch (error) {
+      logger.error('Error checking family membership:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert or update the grant; one row per analysis and grantee
+   */
+  async save() {
+    try {
+      this.updatedAt = new Date();
+
+      const result = await db('analysis_share_grants')
+        .insert({
+          id: this.id,
+          analysis_id: this.analysisId,
+          owner_id: this.ownerId,
+          grantee_id: this.granteeId,
+          permission: this.permission,
+          revoked_at: this.revokedAt,
+          created_at: this.createdAt,
+          updated_at: this.updatedAt
+        })
+        .onConflict(['analysis_id', 'grantee_id'])
+        .merge(['permission', 'revoked_at', 'updated_at'])
+        .returning('*');
+
+      return ShareGrant.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving share grant:', error);
+      throw error;
+    }
+  }
+
+  async revoke() {
+    this.revokedAt = new Date();
+    return this.save();
+  }
+
+  static fromRow(row) {
+    return new ShareGrant({
+      id: row.id,
+      analysisId: row.analysis_id,
+      ownerId: row.owner_id,
+      granteeId: row.grantee_id,
+      permission: row.permission,
+      revokedAt: row.revoked_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      analysisId: this.analysisId,
+      granteeId: this.granteeId,
+      permission: this.permission,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+export default ShareGrant;
@@ -0,0 +1,122 @@
+import db from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import logger from '../utils/logger.js';
+
+/**
+ * Share Link Model
+ * A public, expiring link to an analysis' safety report. The token handed out is
+ * signed by ShareService; the row lets the owner revoke it and see its use.
+ */
+class ShareLink {
+  constructor(data = {}) {
+    this.id = data.id || uuidv4();
+    this.analysisId = data.analysisId;
+    this.createdBy = data.createdBy;
+    this.expiresAt = data.expiresAt;
+    this.revokedAt = data.revokedAt || null;
+    this.viewCount = data.viewCount || 0;
+    this.lastViewedAt = data.lastViewedAt || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  static async findById(id) {
+    try {
+      const row = await db('analysis_share_links').where({ id }).first();
+      return row ? ShareLink.fromRow(row) : null;
+    } catch (error) {
+      logger.error('Error finding share link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unexpired, unrevoked links of an analysis
+   */
+  static async findActiveByAnalysis(analysisId) {
+    try {
+      const rows = await db('analysis_share_links')
+        .where({ analysis_id: analysisId })
+        .whereNull('revoked_at')
+        .where('expires_at', '>', new Date())
+        .orderBy('created_at', 'desc');
+
+      return rows.map(ShareLink.fromRow);
+    } catch (error) {
+      logger.error('Error finding share links:', error);
+      throw error;
+    }
+  }
+
+  isActive() {
+    return !this.revokedAt && new Date(this.expiresAt) > new Date();
+  }
+
+  async save() {
+    try {
+      const result = await db('analysis_share_links')
+        .insert({
+          id: this.id,
+          analysis_id: this.analysisId,
+          created_by: this.createdBy,
+          expires_at: this.expiresAt,
+          revoked_at: this.revokedAt,
+          view_count: this.viewCount,
+          last_viewed_at: this.lastViewedAt,
+          created_at: this.createdAt
+        })
+        .onConflict('id')
+        .merge()
+        .returning('*');
+
+      return ShareLink.fromRow(result[0]);
+    } catch (error) {
+      logger.error('Error saving share link:', error);
+      throw error;
+    }
+  }
+
+  async revoke() {
+    this.revokedAt = new Date();
+    return this.save();
+  }
+
+  async recordView() {
+    try {
+      await db('analysis_share_links')
+        .where({ id: this.id })
+        .update({
+          view_count: db.raw('view_count + 1'),
+          last_viewed_at: new Date()
+        });
+    } catch (error) {
+      logger.error('Error recording share link view:', error);
+      throw error;
+    }
+  }
+
+  static fromRow(row) {
+    return new ShareLink({
+      id: row.id,
+      analysisId: row.analysis_id,
+      createdBy: row.created_by,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      viewCount: row.view_count,
+      lastViewedAt: row.last_viewed_at,
+      createdAt: row.created_at
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      analysisId: this.analysisId,
+      expiresAt: this.expiresAt,
+      viewCount: this.viewCount,
+      lastViewedAt: this.lastViewedAt,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+export default ShareLink;
@@ -1,6 +1,7 @@
 import db from '../config/database.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
+import SubscriptionService from '../services/SubscriptionService.js';
 
 /**
  * Subscription Model
@@ -106,6 +107,69 @@ class Subscription {
     }
   }
 
+  /**
+   * The subscription behind a payment provider's subscription id, with who to
+   * send billing notices to
+   */
+  static async findBillingContact(providerSubscriptionId) {
+    try {
+      const row = await db('subscriptions as s')
+        .join('users as u', 'u.id', 's.user_id')
+        .where('s.provider_subscription_id', providerSubscriptionId)
+        .orderBy('s.created_at', 'desc')
+        .first(
+          's.id as subscription_id', 's.user_id', 's.tier', 's.amount', 's.currency', 's.next_billing_date',
+          'u.email', 'u.first_name', 'u.preferred_language'
+        );
+
+      if (!row) return null;
+
+      return {
+        subscriptionId: row.subscription_id,
+        userId: row.user_id,
+        tier: row.tier,
+        amount: row.amount,
+        currency: row.currency,
+        nextBillingDate: row.next_billing_date,
+        email: row.email,
+        firstName: row.first_name,
+        language: row.preferred_language || 'en'
+      };
+    } catch (error) {
+      logger.error('Error finding subscription billing contact:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The subscription a user's features and usage limits come from: their own, or
+   * else the Family Protector plan of the primary member of their family group.
+   * A covering family plan carries `coveredByFamily` with the family group id.
+   */
+  static async findEffectiveByUserId(userId) {
+    const own = await Subscription.findActiveByUserId(userId);
+    if (own) return own;
+
+    try {
+      const family = await db('family_members as m')
+        .join('family_groups as g', 'g.id', 'm.family_id')
+        .where({ 'm.user_id': userId, 'm.is_active': true, 'g.is_active': true })
+        .whereNot('g.primary_member_id', userId)
+        .first('g.id', 'g.primary_member_id');
+
+      if (!family) return null;
+
+      const subscription = await Subscription.findActiveByUserId(family.primary_member_id);
+      if (!subscription || SubscriptionService.getLimit(subscription.tier, 'familyMembers') <= 1) return null;
+
+      subscription.coveredByFamily = family.id;
+      return subscription;
+    } catch (error) {
+      logger.error('Error finding family subscription:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update subscription
    */
@@ -74,6 +74,34 @@ class UsageTracking {
     }
   }
 
+  /**
+   * Give back one unit of usage recorded on `date`, e.g. for an analysis whose photo
+   * was rejected before any model ran. Never goes below zero.
+   */
+  static async releaseUsage(userId, resourceType, date = null) {
+    try {
+      const targetDate = date || new Date().toISOString().split('T')[0];
+
+      const released = await db('usage_tracking')
+        .where({
+          user_id: userId,
+          date: targetDate,
+          resource_type: resourceType
+        })
+        .where('usage_count', '>', 0)
+        .update({
+          usage_count: db.raw('usage_count - 1'),
+          updated_at: new Date()
+        });
+
+      logger.info(`Usage released: ${userId} ${resourceType} ${targetDate}`);
+      return released > 0;
+    } catch (error) {
+      logger.error('Error releasing usage:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get today's usage for user and resource
    */
@@ -96,6 +124,37 @@ class UsageTracking {
     }
   }
 
+  /**
+   * Every resource's usage for one day (today by default)
+   */
+  static async getDailyUsage(userId, date = null) {
+    try {
+      const targetDate = date || new Date().toISOString().split('T')[0];
+
+      const results = await db('usage_tracking')
+        .where({
+          user_id: userId,
+          date: targetDate
+        })
+        .orderBy('resource_type');
+
+      return results.map(row => new UsageTracking({
+        id: row.id,
+        userId: row.user_id,
+        date: row.date,
+        resourceType: row.resource_type,
+        usageCount: row.usage_count,
+        lastUsedAt: row.last_used_at,
+        metadata: row.metadata,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+      }));
+    } catch (error) {
+      logger.error('Error getting daily usage:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get usage for date range
    */
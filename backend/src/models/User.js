@@ -4,6 +4,19 @@ import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
 
+// Role, two-factor and phone verification columns change only through their own
+// methods (updateRole, updateTwoFactor, verifyPhone), never through update()
+const PROTECTED_COLUMNS = [
+  'role', 'two_factor_enabled', 'two_factor_enabled_at', 'two_factor_secret',
+  'two_factor_recovery_codes', 'two_factor_last_step', 'phone_verified'
+];
+
+// Columns staff see when looking an account up; never secrets or tokens
+const ADMIN_SUMMARY_COLUMNS = [
+  'id', 'email', 'phone', 'first_name', 'last_name', 'role', 'is_active', 'email_verified',
+  'phone_verified', 'two_factor_enabled', 'is_premium', 'locked_until', 'last_login_at', 'created_at'
+];
+
 /**
  * User Model
  * Handles user registration, authentication, and profile management
@@ -148,6 +161,52 @@ class User {
     }
   }
 
+  /**
+   * Find the account a verified phone number signs in to
+   */
+  static async findByVerifiedPhone(phone) {
+    try {
+      const userData = await db('users').where({ phone, phone_verified: true, is_active: true }).first();
+      if (!userData) return null;
+
+      return new User(userData);
+    } catch (error) {
+      logger.error('Error finding user by verified phone:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an account that signs in with a verified phone number and OTP; it has
+   * no email or password until one is linked
+   */
+  static async createWithPhone({ phone, firstName, lastName = null, preferredLanguage = 'en' }) {
+    try {
+      const user = new User({ phone, firstName, lastName, preferredLanguage, phoneVerified: true });
+
+      const result = await db('users').insert({
+        id: user.id,
+        email: null,
+        password: null,
+        first_name: user.firstName,
+        last_name: user.lastName,
+        phone: user.phone,
+        preferred_language: user.preferredLanguage,
+        timezone: user.timezone,
+        phone_verified: true,
+        is_active: true,
+        created_at: user.createdAt,
+        updated_at: user.updatedAt
+      }).returning('*');
+
+      logger.info(`User created with phone: ${user.id}`);
+      return new User(result[0]);
+    } catch (error) {
+      logger.error('Error creating user with phone:', error);
+      throw error;
+    }
+  }
+
   /**
    * Find user by email verification token
    */
@@ -227,6 +286,87 @@ class User {
     }
   }
 
+  /**
+   * Staff lookup by id, exact phone number or email/name fragment. Includes
+   * deactivated accounts.
+   */
+  static async search({ term = null, phone = null, role = null, page = 1, limit = 20 } = {}) {
+    const offset = (page - 1) * limit;
+    const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(term || '');
+
+    const filter = (builder) => {
+      if (role) builder.where({ role });
+      if (term || phone) {
+        builder.where((match) => {
+          if (isUuid) match.orWhere({ id: term });
+          if (phone) match.orWhere({ phone });
+          if (term) {
+            const pattern = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+            match
+              .orWhere('email', 'ilike', pattern)
+              .orWhereRaw("concat_ws(' ', first_name, last_name) ilike ?", [pattern]);
+          }
+        });
+      }
+    };
+
+    try {
+      const rows = await db('users')
+        .modify(filter)
+        .select(ADMIN_SUMMARY_COLUMNS)
+        .orderBy('created_at', 'desc')
+        .limit(limit)
+        .offset(offset);
+
+      const total = await db('users').modify(filter).count('* as count');
+
+      return {
+        users: rows.map(User.toAdminSummary),
+        pagination: {
+          page,
+          limit,
+          total: parseInt(total[0].count),
+          pages: Math.ceil(total[0].count / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Account summary for staff, including deactivated accounts
+   */
+  static async getAdminSummary(id) {
+    try {
+      const row = await db('users').where({ id }).first(ADMIN_SUMMARY_COLUMNS);
+      return row ? User.toAdminSummary(row) : null;
+    } catch (error) {
+      logger.error('Error getting user admin summary:', error);
+      throw error;
+    }
+  }
+
+  static toAdminSummary(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      phone: row.phone,
+      firstName: row.first_name,
+      lastName: row.last_name,
+      role: row.role || 'user',
+      isActive: Boolean(row.is_active),
+      emailVerified: Boolean(row.email_verified),
+      phoneVerified: Boolean(row.phone_verified),
+      twoFactorEnabled: Boolean(row.two_factor_enabled),
+      isPremium: Boolean(row.is_premium),
+      lockedUntil: row.locked_until,
+      lastLoginAt: row.last_login_at,
+      createdAt: row.created_at
+    };
+  }
+
   /**
    * Update user
    */
@@ -274,6 +414,13 @@ class User {
         snakeData[snakeKey] = value;
       });
 
+      PROTECTED_COLUMNS.forEach(column => delete snakeData[column]);
+
+      // A new number is unverified until it passes OTP through verifyPhone
+      if (snakeData.phone !== undefined && snakeData.phone !== this.phone) {
+        snakeData.phone_verified = false;
+      }
+
       snakeData.updated_at = new Date();
 
       const result = await db('users')
@@ -333,15 +480,17 @@ class User {
   }
 
   /**
-   * Verify phone
+   * Verify phone, optionally replacing the number with the one just verified
    */
-  async verifyPhone() {
+  async verifyPhone(phone = this.phone) {
     try {
       await db('users').where({ id: this.id }).update({
+        phone,
         phone_verified: true,
         updated_at: new Date()
       });
 
+      this.phone = phone;
       this.phoneVerified = true;
       return this;
     } catch (error) {
@@ -350,6 +499,34 @@ class User {
     }
   }
 
+  /**
+   * Add an email and password to a phone-only account, so either can sign in.
+   * The email starts unverified with a new verification token.
+   */
+  async linkEmail(email, password) {
+    try {
+      const hashedPassword = await bcrypt.hash(password, 12);
+      const emailVerificationToken = crypto.randomBytes(32).toString('hex');
+
+      await db('users').where({ id: this.id }).update({
+        email,
+        password: hashedPassword,
+        email_verification_token: emailVerificationToken,
+        email_verified: false,
+        updated_at: new Date()
+      });
+
+      this.email = email;
+      this.password = hashedPassword;
+      this.emailVerificationToken = emailVerificationToken;
+      this.emailVerified = false;
+      return this;
+    } catch (error) {
+      logger.error('Error linking email:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update password
    */
@@ -395,6 +572,26 @@ class User {
     }
   }
 
+  /**
+   * Generate a new email verification token, replacing any earlier one
+   */
+  async generateEmailVerificationToken() {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+
+      await db('users').where({ id: this.id }).update({
+        email_verification_token: token,
+        updated_at: new Date()
+      });
+
+      this.emailVerificationToken = token;
+      return token;
+    } catch (error) {
+      logger.error('Error generating email verification token:', error);
+      throw error;
+    }
+  }
+
   /**
    * Record login attempt
    */
@@ -466,6 +663,236 @@ class User {
     }
   }
 
+  /**
+   * Allergies, dietary restrictions and health conditions checked against each
+   * analysis, with the push settings used to notify the user of conflicts
+   */
+  static async getHealthProfile(id) {
+    try {
+      const row = await db('users')
+        .where({ id })
+        .first('allergies', 'dietary_restrictions', 'health_conditions', 'preferences', 'push_token');
+      if (!row) return null;
+
+      const parse = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : value || fallback);
+      const preferences = parse(row.preferences, {});
+
+      return {
+        allergies: parse(row.allergies, []),
+        dietaryRestrictions: parse(row.dietary_restrictions, []),
+        healthConditions: parse(row.health_conditions, []),
+        notifications: preferences.notifications || {},
+        pushToken: row.push_token
+      };
+    } catch (error) {
+      logger.error('Error getting health profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Where and in which language to reach a user, read straight from the columns
+   */
+  static async getContactDetails(id) {
+    try {
+      const row = await db('users')
+        .where({ id })
+        .first('email', 'phone', 'first_name', 'preferred_language', 'email_verified');
+      if (!row) return null;
+
+      return {
+        email: row.email,
+        phone: row.phone,
+        firstName: row.first_name,
+        language: row.preferred_language || 'en',
+        emailVerified: Boolean(row.email_verified)
+      };
+    } catch (error) {
+      logger.error('Error getting contact details:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Two-factor state and role, read straight from the columns. The secret is the
+   * encrypted value stored by TwoFactorService; recovery codes are hashes.
+   */
+  static async getTwoFactorState(id) {
+    try {
+      const row = await db('users')
+        .where({ id })
+        .first('role', 'two_factor_enabled', 'two_factor_secret', 'two_factor_recovery_codes', 'two_factor_last_step');
+      if (!row) return null;
+
+      const recoveryCodes = typeof row.two_factor_recovery_codes === 'string'
+        ? JSON.parse(row.two_factor_recovery_codes)
+        : row.two_factor_recovery_codes || [];
+
+      return {
+        role: row.role || 'user',
+        enabled: Boolean(row.two_factor_enabled),
+        secret: row.two_factor_secret,
+        recoveryCodes,
+        lastStep: row.two_factor_last_step !== null ? parseInt(row.two_factor_last_step) : null
+      };
+    } catch (error) {
+      logger.error('Error getting two-factor state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Platform role, read straight from the column; null for unknown or
+   * deactivated users
+   */
+  static async getRole(id) {
+    try {
+      const row = await db('users').where({ id, is_active: true }).first('role');
+      return row ? row.role || 'user' : null;
+    } catch (error) {
+      logger.error('Error getting user role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Body measurements and activity level used for BMR/TDEE nutrition targets
+   */
+  static async getBodyProfile(id) {
+    try {
+      const row = await db('users')
+        .where({ id })
+        .first('date_of_birth', 'gender', 'height', 'weight', 'activity_level', 'timezone');
+      if (!row) return null;
+
+      return {
+        dateOfBirth: row.date_of_birth,
+        gender: row.gender,
+        height: row.height === null ? null : Number(row.height),
+        weight: row.weight === null ? null : Number(row.weight),
+        activityLevel: row.activity_level,
+        timezone: row.timezone || 'UTC'
+      };
+    } catch (error) {
+      logger.error('Error getting body profile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Geohash cell the user opted in to for community local alerts, or null
+   */
+  static async getCommunityLocationBucket(id) {
+    try {
+      const row = await db('users').where({ id }).first('community_location_bucket');
+      return row?.community_location_bucket || null;
+    } catch (error) {
+      logger.error('Error getting community location bucket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Opt in to (or, with null, out of) a community location bucket
+   */
+  async updateCommunityLocationBucket(locationBucket) {
+    try {
+      await db('users').where({ id: this.id }).update({
+        community_location_bucket: locationBucket,
+        updated_at: new Date()
+      });
+
+      this.communityLocationBucket = locationBucket;
+      return this;
+    } catch (error) {
+      logger.error('Error updating community location bucket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register (or clear, with null) the device push token
+   */
+  async updatePushToken(pushToken) {
+    try {
+      await db('users').where({ id: this.id }).update({
+        push_token: pushToken,
+        updated_at: new Date()
+      });
+
+      this.pushToken = pushToken;
+      return this;
+    } catch (error) {
+      logger.error('Error updating push token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update two-factor columns; only the given fields change
+   */
+  async updateTwoFactor({ enabled, secret, recoveryCodes, lastStep }) {
+    const changes = { updated_at: new Date() };
+    if (enabled !== undefined) {
+      changes.two_factor_enabled = enabled;
+      changes.two_factor_enabled_at = enabled ? new Date() : null;
+    }
+    if (secret !== undefined) changes.two_factor_secret = secret;
+    if (recoveryCodes !== undefined) changes.two_factor_recovery_codes = JSON.stringify(recoveryCodes);
+    if (lastStep !== undefined) changes.two_factor_last_step = lastStep;
+
+    try {
+      await db('users').where({ id: this.id }).update(changes);
+
+      if (enabled !== undefined) this.twoFactorEnabled = enabled;
+      if (secret !== undefined) this.twoFactorSecret = secret;
+      return this;
+    } catch (error) {
+      logger.error('Error updating two-factor settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the platform role
+   */
+  async updateRole(role) {
+    try {
+      await db('users').where({ id: this.id }).update({
+        role,
+        updated_at: new Date()
+      });
+
+      this.role = role;
+      return this;
+    } catch (error) {
+      logger.error('Error updating user role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge notification settings into preferences.notifications
+   */
+  async updateNotificationPreferences(changes) {
+    try {
+      const row = await db('users').where({ id: this.id }).first('preferences');
+      const preferences = typeof row.preferences === 'string' ? JSON.parse(row.preferences) : row.preferences || {};
+      preferences.notifications = { ...preferences.notifications, ...changes };
+
+      await db('users').where({ id: this.id }).update({
+        preferences: JSON.stringify(preferences),
+        updated_at: new Date()
+      });
+
+      this.preferences = preferences;
+      return preferences.notifications;
+    } catch (error) {
+      logger.error('Error updating notification preferences:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check if premium is active
    */
@@ -532,6 +959,7 @@ class User {
     return {
       id: this.id,
       email: this.email,
+      phone: this.phone,
       firstName: this.firstName,
       lastName: this.lastName,
       avatar: this.avatar,
@@ -546,6 +974,7 @@ class User {
       premiumExpiresAt: this.premiumExpiresAt,
       emailVerified: this.emailVerified,
       phoneVerified: this.phoneVerified,
+      twoFactorEnabled: this.twoFactorEnabled,
       createdAt: this.createdAt,
       lastLoginAt: this.lastLoginAt
     };
@@ -0,0 +1,766 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireStaff, requirePermission } from '../middleware/permissions.js';
+import { enforceTwoFactor } from '../middleware/twoFactor.js';
+import User from '../models/User.js';
+import Subscription from '../models/Subscription.js';
+import UsageTracking from '../models/UsageTracking.js';
+import CommunityPost from '../models/CommunityPost.js';
+import ShareLink from '../models/ShareLink.js';
+import AnalysisComment from '../models/AnalysisComment.js';
+import AdminAction from '../models/AdminAction.js';
+import CommunityFeedService from '../services/CommunityFeedService.js';
+import RoleService, { ROLES } from '../services/RoleService.js';
+import SubscriptionService from '../services/SubscriptionService.js';
+import AuthService from '../services/authService.js';
+import PhoneOtpService from '../services/PhoneOtpService.js';
+import { getModelRegistry } from '../services/inference/modelRegistry.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticateToken, requireStaff, enforceTwoFactor);
+
+const paginationValidation = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+const validationFailed = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * @route   GET /api/admin/models
+ * @desc    List registered model versions and their metrics
+ * @access  Staff (view_models)
+ */
+router.get('/models',
+  requirePermission('view_models'),
+  [
+    query('modelType').optional().isString().trim()
+  ],
+  async (req, res) => {
+    try {
+      const versions = await getModelRegistry().listVersions(req.query.modelType || null);
+
+      res.json({
+        success: true,
+        data: { versions }
+      });
+
+    } catch (error) {
+      logger.error('Error listing model versions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list model versions',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/models/shadow-report
+ * @desc    Candidate vs production disagreement report from shadow evaluation
+ * @access  Staff (view_models)
+ */
+router.get('/models/shadow-report',
+  requirePermission('view_models'),
+  [
+    query('modelType').optional().isString().trim(),
+    query('candidateVersion').optional().isString().trim(),
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { modelType, candidateVersion, days = 7 } = req.query;
+      const since = new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000);
+
+      const reports = await getModelRegistry().getDisagreementReport({
+        modelType,
+        candidateVersion,
+        since
+      });
+
+      res.json({
+        success: true,
+        data: {
+          since,
+          reports
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error building shadow evaluation report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build shadow evaluation report',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    Look users up by id, email, phone number or name
+ * @access  Staff (view_users)
+ */
+router.get('/users',
+  requirePermission('view_users'),
+  [
+    query('q').optional().isString().trim().isLength({ min: 2, max: 255 }),
+    query('role').optional().isIn(ROLES),
+    ...paginationValidation
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { q = null, role = null, page = 1, limit = 20 } = req.query;
+      const result = await User.search({
+        term: q,
+        phone: q ? PhoneOtpService.normalizePhone(q) : null,
+        role,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Error searching users:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search users',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/users/:userId
+ * @desc    Account summary with subscription, today's usage and sign-in sessions
+ * @access  Staff (view_users)
+ */
+router.get('/users/:userId',
+  requirePermission('view_users'),
+  [
+    param('userId').isUUID().withMessage('Invalid user ID')
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { userId } = req.params;
+      const user = await User.getAdminSummary(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const [subscription, usage, sessions] = await Promise.all([
+        Subscription.findEffectiveByUserId(userId),
+        UsageTracking.getDailyUsage(userId),
+        AuthService.listSessions(userId)
+      ]);
+
+      const recentActions = RoleService.can(req.user.role, 'view_audit_log')
+        ? await AdminAction.findRecent({ targetType: 'user', targetId: userId, limit: 10 })
+        : undefined;
+
+      res.json({
+        success: true,
+        data: {
+          user,
+          subscription: subscription ? {
+            ...subscription.toJSON(),
+            coveredByFamily: subscription.coveredByFamily || null
+          } : null,
+          usageToday: usage,
+          activeSessions: sessions.length,
+          recentActions
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting user for admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get user',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/users/:userId/role
+ * @desc    Change a user's platform role
+ * @access  Admin (manage_roles)
+ */
+router.put('/users/:userId/role',
+  requirePermission('manage_roles'),
+  [
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { userId } = req.params;
+      const { role, reason } = req.body;
+
+      // Keeps an admin from locking the last admin out by accident
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot change your own role'
+        });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const previousRole = await User.getRole(userId);
+      if (previousRole !== role) {
+        await user.updateRole(role);
+        await AdminAction.record({
+          actorId: req.user.id,
+          action: 'change_role',
+          targetType: 'user',
+          targetId: userId,
+          reason,
+          details: { from: previousRole, to: role }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Role updated',
+        data: {
+          userId,
+          role,
+          permissions: RoleService.getPermissions(role),
+          // Staff can't use the admin API until they enrol
+          twoFactorRequired: RoleService.isStaff(role)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error changing user role:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to change role',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/users/:userId/subscription
+ * @desc    Override a user's plan: grant a tier for a number of days without
+ *          payment, or with tier "free" end their current subscription
+ * @access  Admin (override_subscriptions)
+ */
+router.put('/users/:userId/subscription',
+  requirePermission('override_subscriptions'),
+  [
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    body('tier')
+      .isIn(Object.keys(SubscriptionService.tiers))
+      .withMessage('Invalid subscription tier'),
+    body('durationDays')
+      .optional()
+      .isInt({ min: 1, max: 3650 })
+      .withMessage('Duration must be between 1 and 3650 days')
+      .toInt(),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('A reason is required')
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { userId } = req.params;
+      const { tier, durationDays = 30, reason } = req.body;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // Only the local record changes; a plan billed by the payment provider must
+      // also be cancelled there
+      const current = await Subscription.findActiveByUserId(userId);
+      if (current) {
+        await current.cancel('admin_override');
+      }
+
+      let subscription = null;
+      if (tier !== 'free') {
+        const tierConfig = SubscriptionService.getTierConfig(tier);
+        const endDate = new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000);
+
+        subscription = await Subscription.create({
+          userId,
+          tier,
+          status: 'active',
+          planType: 'monthly',
+          amount: 0,
+          currency: 'INR',
+          startDate: new Date(),
+          endDate,
+          paymentProvider: 'manual',
+          features: tierConfig.features,
+          usageLimits: tierConfig.limits,
+          metadata: {
+            override: true,
+            grantedBy: req.user.id,
+            reason
+          }
+        });
+      }
+
+      await user.update({
+        isPremium: Boolean(subscription),
+        premiumExpiresAt: subscription ? subscription.endDate : new Date()
+      });
+
+      await AdminAction.record({
+        actorId: req.user.id,
+        action: 'override_subscription',
+        targetType: 'user',
+        targetId: userId,
+        reason,
+        details: {
+          fromTier: current ? current.tier : 'free',
+          canceledSubscriptionId: current ? current.id : null,
+          toTier: tier,
+          subscriptionId: subscription ? subscription.id : null,
+          durationDays: subscription ? durationDays : null
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Subscription overridden',
+        data: {
+          subscription: subscription ? subscription.toJSON() : null,
+          canceledSubscriptionId: current ? current.id : null
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error overriding subscription:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to override subscription',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/admin/users/:userId/usage/reset
+ * @desc    Reset a user's usage counters for a day (today by default), for one
+ *          resource or all of them
+ * @access  Staff (reset_usage)
+ */
+router.post('/users/:userId/usage/reset',
+  requirePermission('reset_usage'),
+  [
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    body('resourceType').optional().isString().trim().notEmpty(),
+    body('date').optional().isISO8601({ strict: true }).withMessage('Date must be YYYY-MM-DD'),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { userId } = req.params;
+      const { resourceType, reason } = req.body;
+      const date = req.body.date ? req.body.date.slice(0, 10) : new Date().toISOString().split('T')[0];
+
+      const user = await User.getAdminSummary(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const usage = await UsageTracking.getDailyUsage(userId, date);
+      const resourceTypes = resourceType
+        ? usage.filter(entry => entry.resourceType === resourceType).map(entry => entry.resourceType)
+        : usage.map(entry => entry.resourceType);
+
+      for (const type of resourceTypes) {
+        await UsageTracking.resetUsage(userId, type, date);
+      }
+
+      if (resourceTypes.length > 0) {
+        await AdminAction.record({
+          actorId: req.user.id,
+          action: 'reset_usage',
+          targetType: 'user',
+          targetId: userId,
+          reason,
+          details: {
+            date,
+            resourceTypes,
+            previousCounts: Object.fromEntries(
+              usage
+                .filter(entry => resourceTypes.includes(entry.resourceType))
+                .map(entry => [entry.resourceType, entry.usageCount])
+            )
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: resourceTypes.length > 0 ? 'Usage reset' : 'No usage recorded for that day',
+        data: {
+          date,
+          resourceTypes
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error resetting usage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset usage',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/moderation/posts
+ * @desc    Community posts users have reported, most reported first
+ * @access  Staff (moderate_content)
+ */
+router.get('/moderation/posts',
+  requirePermission('moderate_content'),
+  [
+    query('includeHidden').optional().isBoolean().toBoolean(),
+    ...paginationValidation
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { includeHidden = true, page = 1, limit = 20 } = req.query;
+      const posts = await CommunityPost.findReported({ includeHidden, page, limit });
+
+      res.json({
+        success: true,
+        data: { posts, page, limit }
+      });
+
+    } catch (error) {
+      logger.error('Error listing reported posts:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list reported posts',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/admin/moderation/posts/:postId
+ * @desc    Hide a community post, or restore it to the feed and clear its reports
+ * @access  Staff (moderate_content)
+ */
+router.put('/moderation/posts/:postId',
+  requirePermission('moderate_content'),
+  [
+    param('postId').isUUID().withMessage('Invalid post ID'),
+    body('action').isIn(['hide', 'restore']).withMessage('Action must be hide or restore'),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { action, reason } = req.body;
+      const post = await CommunityPost.findById(req.params.postId);
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+
+      const updated = action === 'hide' ? await post.hide() : await post.restore();
+
+      await AdminAction.record({
+        actorId: req.user.id,
+        action: `${action}_post`,
+        targetType: 'community_post',
+        targetId: post.id,
+        reason,
+        details: { analysisId: post.analysisId }
+      });
+
+      res.json({
+        success: true,
+        message: action === 'hide' ? 'Post hidden' : 'Post restored',
+        data: { post: updated.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error moderating post:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to moderate post',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/moderation/posts/:postId
+ * @desc    Remove a community post; the analysis itself is kept
+ * @access  Staff (moderate_content)
+ */
+router.delete('/moderation/posts/:postId',
+  requirePermission('moderate_content'),
+  [
+    param('postId').isUUID().withMessage('Invalid post ID'),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const post = await CommunityPost.findById(req.params.postId);
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: 'Post not found'
+        });
+      }
+
+      // Also deletes the re-encoded image under /uploads/community
+      await CommunityFeedService.unpublish(post);
+
+      await AdminAction.record({
+        actorId: req.user.id,
+        action: 'delete_post',
+        targetType: 'community_post',
+        targetId: post.id,
+        reason: req.body.reason,
+        details: { analysisId: post.analysisId }
+      });
+
+      res.json({
+        success: true,
+        message: 'Post removed'
+      });
+
+    } catch (error) {
+      logger.error('Error removing post:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove post',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/moderation/share-links/:linkId
+ * @desc    Revoke a public share link
+ * @access  Staff (moderate_content)
+ */
+router.delete('/moderation/share-links/:linkId',
+  requirePermission('moderate_content'),
+  [
+    param('linkId').isUUID().withMessage('Invalid link ID'),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const link = await ShareLink.findById(req.params.linkId);
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          message: 'Share link not found'
+        });
+      }
+
+      if (!link.revokedAt) {
+        await link.revoke();
+
+        await AdminAction.record({
+          actorId: req.user.id,
+          action: 'revoke_share_link',
+          targetType: 'share_link',
+          targetId: link.id,
+          reason: req.body.reason,
+          details: { analysisId: link.analysisId, createdBy: link.createdBy }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Share link revoked'
+      });
+
+    } catch (error) {
+      logger.error('Error revoking share link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke share link',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/moderation/comments/:commentId
+ * @desc    Remove a comment on a shared analysis
+ * @access  Staff (moderate_content)
+ */
+router.delete('/moderation/comments/:commentId',
+  requirePermission('moderate_content'),
+  [
+    param('commentId').isUUID().withMessage('Invalid comment ID'),
+    body('reason').optional().isString().trim().isLength({ max: 500 })
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const comment = await AnalysisComment.findById(req.params.commentId);
+      if (!comment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      await comment.delete();
+
+      // The audit entry keeps the text, so a removal can be reviewed later
+      await AdminAction.record({
+        actorId: req.user.id,
+        action: 'delete_comment',
+        targetType: 'comment',
+        targetId: comment.id,
+        reason: req.body.reason,
+        details: { analysisId: comment.analysisId, authorId: comment.userId, body: comment.body }
+      });
+
+      res.json({
+        success: true,
+        message: 'Comment removed'
+      });
+
+    } catch (error) {
+      logger.error('Error removing comment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove comment',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Recent admin actions, optionally for one actor or target
+ * @access  Admin (view_audit_log)
+ */
+router.get('/audit-log',
+  requirePermission('view_audit_log'),
+  [
+    query('actorId').optional().isUUID(),
+    query('targetType').optional().isIn(['user', 'community_post', 'share_link', 'comment']),
+    query('targetId').optional().isString().trim(),
+    ...paginationValidation
+  ],
+  async (req, res) => {
+    try {
+      if (validationFailed(req, res)) return;
+
+      const { actorId, targetType, targetId, page = 1, limit = 50 } = req.query;
+      const actions = await AdminAction.findRecent({ actorId, targetType, targetId, page, limit });
+
+      res.json({
+        success: true,
+        data: { actions, page, limit }
+      });
+
+    } catch (error) {
+      logger.error('Error listing admin actions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list admin actions',
+        error: error.message
+      });
+    }
+  }
+);
+
+export default router;
@@ -3,10 +3,21 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs-extra';
 import FoodAnalysis from '../models/FoodAnalysis.js';
+import CommunityPost, { REACTION_TYPES } from '../models/CommunityPost.js';
+import ShareGrant, { SHARE_PERMISSIONS } from '../models/ShareGrant.js';
+import ShareLink from '../models/ShareLink.js';
+import AnalysisComment from '../models/AnalysisComment.js';
+import SafetyReport from '../models/SafetyReport.js';
+import User from '../models/User.js';
+import CommunityFeedService from '../services/CommunityFeedService.js';
+import ShareService, { MAX_LINK_TTL_HOURS } from '../services/ShareService.js';
+import SafetyReportPdfService from '../services/SafetyReportPdfService.js';
+import OrganisationService from '../services/OrganisationService.js';
+import SubscriptionService from '../services/SubscriptionService.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateUsageLimit, rateLimitByTier } from '../middleware/subscription.js';
+import { validateUsageLimit, rateLimitByTier, validateSubscription, releaseRequestUsage } from '../middleware/subscription.js';
 import logger from '../utils/logger.js';
-import { body, validationResult } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 
 const router = express.Router();
 
@@ -41,9 +52,20 @@ const upload = multer({
   }
 });
 
+/**
+ * Base of the verification URL printed as a QR code on PDF reports. Production must
+ * configure REPORT_VERIFY_BASE_URL; a Host header is client-controlled and would let
+ * a forged request print a QR code pointing elsewhere.
+ */
+const getReportVerifyBaseUrl = (req) => {
+  if (process.env.REPORT_VERIFY_BASE_URL) return process.env.REPORT_VERIFY_BASE_URL;
+  if (process.env.NODE_ENV === 'production') return null;
+  return `${req.protocol}://${req.get('host')}/api/analysis/reports`;
+};
+
 /**
  * @route   POST /api/analysis/analyze
- * @desc    Perform comprehensive ML-powered food safety analysis
+ * @desc    Queue comprehensive ML-powered food safety analysis
  * @access  Private
  */
 router.post('/analyze', 
@@ -63,7 +85,11 @@ router.post('/analyze',
     body('userPreferences')
       .optional()
       .isObject()
-      .withMessage('User preferences must be an object')
+      .withMessage('User preferences must be an object'),
+    body('outletId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid outlet ID')
   ],
   async (req, res) => {
     try {
@@ -85,13 +111,23 @@ router.post('/analyze',
       }
 
       const { 
-        foodName = 'Unknown Food',
+        foodName,
         analysisType = 'comprehensive',
         userPreferences = {},
         notes,
-        tags
+        tags,
+        outletId
       } = req.body;
 
+      // Analyses can only be attributed to an outlet the user works at
+      if (outletId && !await OrganisationService.resolveOutletAccess(outletId, req.user.id)) {
+        await releaseRequestUsage(req);
+        return res.status(404).json({
+          success: false,
+          message: 'Outlet not found'
+        });
+      }
+
       logger.info(`Starting ML food analysis for user ${req.user.id}`);
 
       // Get user's subscription tier
@@ -116,40 +152,33 @@ router.post('/analyze',
         deviceInfo: {
           userAgent: req.get('User-Agent'),
           platform: req.get('platform') || 'web'
-        }
+        },
+        // Released again if the image gate rejects the photo
+        usage: req.usageRecord
       };
 
       // Add notes and tags if provided
       if (notes) analysisOptions.notes = notes;
       if (tags) analysisOptions.tags = typeof tags === 'string' ? tags.split(',') : tags;
+      if (outletId) analysisOptions.outletId = outletId;
 
-      // Perform ML-powered analysis
-      const analysis = await FoodAnalysis.performAnalysis(
+      // Queue ML-powered analysis; the background worker runs the models
+      const analysis = await FoodAnalysis.enqueueAnalysis(
         req.user.id,
         req.file.path,
         analysisOptions
       );
 
-      // Clean up uploaded file after processing
-      setTimeout(async () => {
-        try {
-          await fs.remove(req.file.path);
-        } catch (error) {
-          logger.warn('Failed to clean up uploaded file:', error);
-        }
-      }, 5000);
-
-      logger.info(`ML food analysis completed for user ${req.user.id}, analysis ${analysis.id}`);
+      logger.info(`ML food analysis queued for user ${req.user.id}, analysis ${analysis.id}`);
 
-      res.status(201).json({
+      res.status(202).json({
         success: true,
-        message: 'Food safety analysis completed successfully',
+        message: 'Food safety analysis queued',
         data: {
           analysisId: analysis.id,
-          results: analysis.toJSON(true),
-          safetyBreakdown: analysis.getSafetyBreakdown(),
-          safetyReport: analysis.generateSafetyReport(),
-          processingTime: analysis.analysisDuration
+          jobId: analysis.id,
+          processingStatus: analysis.processingStatus,
+          statusUrl: `/api/analysis/jobs/${analysis.id}`
         }
       });
 
@@ -175,42 +204,41 @@ router.post('/analyze',
 );
 
 /**
- * @route   GET /api/analysis/:id
- * @desc    Get specific food analysis with enhanced ML details
+ * @route   GET /api/analysis/jobs/:id
+ * @desc    Poll processing status of a queued analysis
  * @access  Private
  */
-router.get('/:id', 
+router.get('/jobs/:id',
   authenticateToken,
   async (req, res) => {
     try {
-      const { id } = req.params;
-      
-      const analysis = await FoodAnalysis.findById(id, req.user.id);
-      
-      if (!analysis) {
+      const status = await FoodAnalysis.getJobStatus(req.params.id, req.user.id);
+
+      if (!status) {
         return res.status(404).json({
           success: false,
-          message: 'Analysis not found'
+          message: 'Analysis job not found'
         });
       }
 
-      // Get enhanced details with ML data
-      const enhancedAnalysis = await analysis.getEnhancedDetails();
+      const { analysis, ...jobStatus } = status;
 
       res.json({
         success: true,
         data: {
-          analysis: enhancedAnalysis.toJSON(true),
-          safetyBreakdown: enhancedAnalysis.getSafetyBreakdown(),
-          safetyReport: enhancedAnalysis.generateSafetyReport()
+          ...jobStatus,
+          results: analysis ? analysis.toJSON(true) : null,
+          safetyBreakdown: analysis ? analysis.getSafetyBreakdown() : null,
+          safetyReport: analysis ? analysis.generateSafetyReport() : null,
+          processingTime: analysis ? analysis.analysisDuration : null
         }
       });
 
     } catch (error) {
-      logger.error('Error getting analysis:', error);
+      logger.error('Error getting analysis job status:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to retrieve analysis',
+        message: 'Failed to retrieve analysis job status',
         error: error.message
       });
     }
@@ -218,65 +246,71 @@ router.get('/:id',
 );
 
 /**
- * @route   GET /api/analysis
- * @desc    Get user's food analyses with filtering and pagination
+ * @route   GET /api/analysis/trending
+ * @desc    Community feed of published analyses, ranked by recency, engagement and
+ *          safety relevance, plus local risk alerts for users who opted in to a location bucket
  * @access  Private
  */
-router.get('/', 
+router.get('/trending', 
   authenticateToken,
+  validateSubscription(['communityAccess']),
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    query('timeRange')
+      .optional()
+      .isInt({ min: 1, max: 168 })
+      .withMessage('Time range must be between 1 and 168 hours'),
+    query('nearby')
+      .optional()
+      .isBoolean()
+      .withMessage('Nearby must be a boolean')
+  ],
   async (req, res) => {
     try {
-      const {
-        page = 1,
-        limit = 20,
-        sortBy = 'created_at',
-        sortOrder = 'desc',
-        analysisType,
-        processingStatus,
-        minFreshnessScore,
-        maxFreshnessScore,
-        startDate,
-        endDate,
-        search
-      } = req.query;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
 
-      // Build filters object
-      const filters = {};
-      if (analysisType) filters.analysisType = analysisType;
-      if (processingStatus) filters.processingStatus = processingStatus;
-      if (minFreshnessScore) filters.minFreshnessScore = parseFloat(minFreshnessScore);
-      if (maxFreshnessScore) filters.maxFreshnessScore = parseFloat(maxFreshnessScore);
-      if (startDate) filters.startDate = startDate;
-      if (endDate) filters.endDate = endDate;
-      if (search) filters.search = search;
+      const { limit = 10, timeRange = 24, nearby = 'false' } = req.query;
+      const locationBucket = await User.getCommunityLocationBucket(req.user.id);
 
-      const result = await FoodAnalysis.findByUser(req.user.id, {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        sortBy,
-        sortOrder,
-        filters
-      });
+      if (nearby === 'true' && !locationBucket) {
+        return res.status(400).json({
+          success: false,
+          message: 'Set a community location to see nearby posts'
+        });
+      }
 
-      // Add safety breakdown for each analysis
-      const analysesWithBreakdown = result.analyses.map(analysis => ({
-        ...analysis.toJSON(),
-        safetyBreakdown: analysis.getSafetyBreakdown()
-      }));
+      const [feed, localAlerts] = await Promise.all([
+        CommunityFeedService.getTrending({
+          limit: parseInt(limit),
+          timeRangeHours: parseInt(timeRange),
+          locationBucket: nearby === 'true' ? locationBucket : null
+        }),
+        CommunityFeedService.getLocalAlerts(locationBucket)
+      ]);
 
       res.json({
         success: true,
         data: {
-          analyses: analysesWithBreakdown,
-          pagination: result.pagination
+          feed,
+          localAlerts
         }
       });
 
     } catch (error) {
-      logger.error('Error getting user analyses:', error);
+      logger.error('Error getting trending analyses:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to retrieve analyses',
+        message: 'Failed to retrieve trending analyses',
         error: error.message
       });
     }
@@ -284,28 +318,31 @@ router.get('/',
 );
 
 /**
- * @route   GET /api/analysis/stats
- * @desc    Get user's food analysis statistics
+ * @route   GET /api/analysis/community/alerts
+ * @desc    Risk categories spiking in the user's community location bucket
  * @access  Private
  */
-router.get('/stats/overview', 
+router.get('/community/alerts',
   authenticateToken,
+  validateSubscription(['communityAccess']),
   async (req, res) => {
     try {
-      const { dateRange = 30 } = req.query;
-      
-      const stats = await FoodAnalysis.getUserStats(req.user.id, parseInt(dateRange));
+      const locationBucket = await User.getCommunityLocationBucket(req.user.id);
+      const alerts = await CommunityFeedService.getLocalAlerts(locationBucket);
 
       res.json({
         success: true,
-        data: stats
+        data: {
+          locationBucket,
+          alerts
+        }
       });
 
     } catch (error) {
-      logger.error('Error getting analysis stats:', error);
+      logger.error('Error getting community alerts:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to retrieve statistics',
+        message: 'Failed to retrieve community alerts',
         error: error.message
       });
     }
@@ -313,36 +350,61 @@ router.get('/stats/overview',
 );
 
 /**
- * @route   GET /api/analysis/trending
- * @desc    Get trending food analyses from community
+ * @route   PUT /api/analysis/community/location
+ * @desc    Opt in to local alerts with a coarse location (only its geohash cell is
+ *          stored), or opt out with null coordinates
  * @access  Private
  */
-router.get('/trending', 
+router.put('/community/location',
   authenticateToken,
+  validateSubscription(['communityAccess']),
+  [
+    body('latitude')
+      .optional({ nullable: true })
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Latitude must be between -90 and 90'),
+    body('longitude')
+      .optional({ nullable: true })
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Longitude must be between -180 and 180')
+  ],
   async (req, res) => {
     try {
-      const { limit = 10, timeRange = 24 } = req.query;
-      
-      const trending = await FoodAnalysis.getTrending(
-        parseInt(limit), 
-        parseInt(timeRange)
-      );
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
 
-      const trendingWithReports = trending.map(analysis => ({
-        ...analysis.toJSON(),
-        safetyReport: analysis.generateSafetyReport()
-      }));
+      const { latitude = null, longitude = null } = req.body;
+      if ((latitude === null) !== (longitude === null)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Latitude and longitude must be provided together'
+        });
+      }
+
+      const locationBucket = latitude === null
+        ? null
+        : CommunityFeedService.toLocationBucket(parseFloat(latitude), parseFloat(longitude));
+
+      const user = await User.findById(req.user.id);
+      await user.updateCommunityLocationBucket(locationBucket);
 
       res.json({
         success: true,
-        data: trendingWithReports
+        message: locationBucket ? 'Community location updated' : 'Community location removed',
+        data: { locationBucket }
       });
 
     } catch (error) {
-      logger.error('Error getting trending analyses:', error);
+      logger.error('Error updating community location:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to retrieve trending analyses',
+        message: 'Failed to update community location',
         error: error.message
       });
     }
@@ -350,25 +412,17 @@ router.get('/trending',
 );
 
 /**
- * @route   PUT /api/analysis/:id
- * @desc    Update analysis (notes, tags, etc.)
+ * @route   POST /api/analysis/community/posts/:postId/reactions
+ * @desc    Mark a community post as helpful or report it
  * @access  Private
  */
-router.put('/:id',
+router.post('/community/posts/:postId/reactions',
   authenticateToken,
+  validateSubscription(['communityAccess']),
   [
-    body('notes')
-      .optional()
-      .isLength({ max: 500 })
-      .withMessage('Notes cannot exceed 500 characters'),
-    body('tags')
-      .optional()
-      .isArray()
-      .withMessage('Tags must be an array'),
-    body('isShared')
-      .optional()
-      .isBoolean()
-      .withMessage('isShared must be a boolean')
+    body('type')
+      .isIn(REACTION_TYPES)
+      .withMessage(`Reaction type must be one of: ${REACTION_TYPES.join(', ')}`)
   ],
   async (req, res) => {
     try {
@@ -381,42 +435,34 @@ router.put('/:id',
         });
       }
 
-      const { id } = req.params;
-      
-      const analysis = await FoodAnalysis.findById(id, req.user.id);
-      
-      if (!analysis) {
+      const post = await CommunityPost.findById(req.params.postId);
+      if (!post || post.hiddenAt) {
         return res.status(404).json({
           success: false,
-          message: 'Analysis not found'
+          message: 'Community post not found'
         });
       }
 
-      // Update allowed fields
-      const { notes, tags, isShared } = req.body;
-      const updateData = {};
-      
-      if (notes !== undefined) updateData.notes = notes;
-      if (tags !== undefined) updateData.tags = tags;
-      if (isShared !== undefined) updateData.isShared = isShared;
-
-      await analysis.update(updateData);
+      const ownAnalysis = await FoodAnalysis.findById(post.analysisId, req.user.id);
+      if (ownAnalysis) {
+        return res.status(403).json({
+          success: false,
+          message: 'You cannot react to your own post'
+        });
+      }
 
-      const updatedAnalysis = await analysis.getEnhancedDetails();
+      await post.react(req.user.id, req.body.type);
 
       res.json({
         success: true,
-        message: 'Analysis updated successfully',
-        data: {
-          analysis: updatedAnalysis.toJSON(true)
-        }
+        message: req.body.type === 'report' ? 'Post reported' : 'Marked as helpful'
       });
 
     } catch (error) {
-      logger.error('Error updating analysis:', error);
+      logger.error('Error reacting to community post:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update analysis',
+        message: 'Failed to record reaction',
         error: error.message
       });
     }
@@ -424,18 +470,32 @@ router.put('/:id',
 );
 
 /**
- * @route   DELETE /api/analysis/:id
- * @desc    Soft delete analysis
+ * @route   POST /api/analysis/:id/publish
+ * @desc    Publish a completed analysis to the community feed. The photo is re-encoded
+ *          without metadata; the location bucket is attached only on request.
  * @access  Private
  */
-router.delete('/:id',
+router.post('/:id/publish',
   authenticateToken,
+  validateSubscription(['communityAccess']),
+  [
+    body('shareLocation')
+      .optional()
+      .isBoolean()
+      .withMessage('Share location must be a boolean')
+  ],
   async (req, res) => {
     try {
-      const { id } = req.params;
-      
-      const analysis = await FoodAnalysis.findById(id, req.user.id);
-      
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const analysis = await FoodAnalysis.findById(req.params.id, req.user.id);
       if (!analysis) {
         return res.status(404).json({
           success: false,
@@ -443,18 +503,51 @@ router.delete('/:id',
         });
       }
 
-      await analysis.delete();
+      if (analysis.processingStatus !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Only completed analyses can be published'
+        });
+      }
 
-      res.json({
+      if (!analysis.imageThumbnail || !(await fs.pathExists(analysis.imageThumbnail))) {
+        return res.status(409).json({
+          success: false,
+          message: 'The photo of this analysis is no longer available'
+        });
+      }
+
+      if (await CommunityPost.findByAnalysisId(analysis.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Analysis is already published'
+        });
+      }
+
+      let locationBucket = null;
+      if (req.body.shareLocation === true) {
+        locationBucket = await User.getCommunityLocationBucket(req.user.id);
+        if (!locationBucket) {
+          return res.status(400).json({
+            success: false,
+            message: 'Set a community location before sharing it'
+          });
+        }
+      }
+
+      const post = await CommunityFeedService.publish(analysis, { locationBucket });
+
+      res.status(201).json({
         success: true,
-        message: 'Analysis deleted successfully'
+        message: 'Analysis published to the community feed',
+        data: { post: post.toJSON() }
       });
 
     } catch (error) {
-      logger.error('Error deleting analysis:', error);
+      logger.error('Error publishing analysis:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to delete analysis',
+        message: 'Failed to publish analysis',
         error: error.message
       });
     }
@@ -462,52 +555,36 @@ router.delete('/:id',
 );
 
 /**
- * @route   POST /api/analysis/:id/share
- * @desc    Share analysis with another user
+ * @route   DELETE /api/analysis/:id/publish
+ * @desc    Remove an analysis from the community feed
  * @access  Private
  */
-router.post('/:id/share',
+router.delete('/:id/publish',
   authenticateToken,
-  [
-    body('userId')
-      .notEmpty()
-      .withMessage('User ID is required')
-  ],
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array()
-        });
-      }
+      const analysis = await FoodAnalysis.findById(req.params.id, req.user.id);
+      const post = analysis ? await CommunityPost.findByAnalysisId(analysis.id) : null;
 
-      const { id } = req.params;
-      const { userId: targetUserId } = req.body;
-      
-      const analysis = await FoodAnalysis.findById(id, req.user.id);
-      
-      if (!analysis) {
+      if (!post) {
         return res.status(404).json({
           success: false,
-          message: 'Analysis not found'
+          message: 'Published analysis not found'
         });
       }
 
-      await analysis.shareWith(targetUserId);
+      await CommunityFeedService.unpublish(post);
 
       res.json({
         success: true,
-        message: 'Analysis shared successfully'
+        message: 'Analysis removed from the community feed'
       });
 
     } catch (error) {
-      logger.error('Error sharing analysis:', error);
+      logger.error('Error unpublishing analysis:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to share analysis',
+        message: 'Failed to remove analysis from the community feed',
         error: error.message
       });
     }
@@ -516,13 +593,32 @@ router.post('/:id/share',
 
 /**
  * @route   GET /api/analysis/shared
- * @desc    Get analyses shared with user
+ * @desc    Get analyses shared with user, directly or by family members
  * @access  Private
  */
 router.get('/shared',
   authenticateToken,
+  [
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const { page = 1, limit = 20 } = req.query;
       
       const result = await FoodAnalysis.getSharedWithUser(req.user.id, {
@@ -531,8 +627,9 @@ router.get('/shared',
       });
 
       const sharedWithReports = result.analyses.map(analysis => ({
-        ...analysis.toJSON(),
-        safetyReport: analysis.generateSafetyReport()
+        ...ShareService.toSharedJSON(analysis),
+        shareAccess: analysis.shareAccess,
+        safetyReport: ShareService.toSharedReport(analysis)
       }));
 
       res.json({
@@ -555,19 +652,909 @@ router.get('/shared',
 );
 
 /**
- * @route   POST /api/analysis/bulk-delete
- * @desc    Bulk delete analyses
- * @access  Private
+ * @route   GET /api/analysis/public/:token
+ * @desc    Read-only safety report behind a signed share link
+ * @access  Public
  */
-router.post('/bulk-delete',
-  authenticateToken,
-  [
-    body('analysisIds')
-      .isArray({ min: 1 })
-      .withMessage('Analysis IDs array is required'),
-    body('analysisIds.*')
-      .isUUID()
-      .withMessage('Each analysis ID must be a valid UUID')
+router.get('/public/:token',
+  async (req, res) => {
+    try {
+      const link = await ShareService.verifyToken(req.params.token);
+      const analysis = await FoodAnalysis.findById(link.analysisId);
+
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      await link.recordView();
+
+      res.json({
+        success: true,
+        data: {
+          safetyReport: ShareService.toSharedReport(analysis),
+          expiresAt: link.expiresAt
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_SHARE_LINK' || error.code === 'SHARE_LINK_EXPIRED') {
+        return res.status(error.code === 'SHARE_LINK_EXPIRED' ? 410 : 404).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('Error getting shared safety report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve safety report',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/analysis/reports/:reportId/verify
+ * @desc    Verify a PDF safety report from its QR code
+ * @access  Public
+ */
+router.get('/reports/:reportId/verify',
+  [
+    param('reportId').isUUID().withMessage('Invalid report ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const report = await SafetyReport.findById(req.params.reportId);
+      const analysis = report ? await FoodAnalysis.findById(report.analysisId) : null;
+
+      if (!report || !analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'No report was issued with this code'
+        });
+      }
+
+      const unchanged = SafetyReport.hashAnalysis(analysis) === report.contentHash;
+
+      res.json({
+        success: true,
+        data: {
+          valid: unchanged,
+          message: unchanged
+            ? 'This report is genuine and matches the current analysis'
+            : 'This report was issued, but the analysis has changed since',
+          report: report.toJSON(),
+          foodName: analysis.foodName,
+          safetyScore: analysis.freshnessScore,
+          overallRating: analysis.overallRating,
+          analysedAt: analysis.completedAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error verifying safety report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify report',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/analysis/:id
+ * @desc    Get specific food analysis with enhanced ML details. Users it is shared
+ *          with get it without the owner's details or profile-derived alerts.
+ * @access  Private
+ */
+router.get('/:id', 
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      
+      const analysis = await FoodAnalysis.findById(id);
+      const access = analysis ? await ShareService.resolveAccess(analysis, req.user.id) : null;
+      
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      // Get enhanced details with ML data
+      const enhancedAnalysis = await analysis.getEnhancedDetails();
+
+      if (access !== 'owner') {
+        const safetyReport = ShareService.toSharedReport(enhancedAnalysis);
+
+        return res.json({
+          success: true,
+          data: {
+            analysis: ShareService.toSharedJSON(enhancedAnalysis),
+            safetyBreakdown: safetyReport.safetyBreakdown,
+            safetyReport,
+            access
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          analysis: enhancedAnalysis.toJSON(true),
+          safetyBreakdown: enhancedAnalysis.getSafetyBreakdown(),
+          safetyReport: enhancedAnalysis.generateSafetyReport(),
+          access
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting analysis:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve analysis',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/analysis
+ * @desc    Get user's food analyses with filtering and pagination
+ * @access  Private
+ */
+router.get('/', 
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        sortBy = 'created_at',
+        sortOrder = 'desc',
+        analysisType,
+        processingStatus,
+        minFreshnessScore,
+        maxFreshnessScore,
+        startDate,
+        endDate,
+        search
+      } = req.query;
+
+      // Build filters object
+      const filters = {};
+      if (analysisType) filters.analysisType = analysisType;
+      if (processingStatus) filters.processingStatus = processingStatus;
+      if (minFreshnessScore) filters.minFreshnessScore = parseFloat(minFreshnessScore);
+      if (maxFreshnessScore) filters.maxFreshnessScore = parseFloat(maxFreshnessScore);
+      if (startDate) filters.startDate = startDate;
+      if (endDate) filters.endDate = endDate;
+      if (search) filters.search = search;
+
+      const result = await FoodAnalysis.findByUser(req.user.id, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder,
+        filters
+      });
+
+      // Add safety breakdown for each analysis
+      const analysesWithBreakdown = result.analyses.map(analysis => ({
+        ...analysis.toJSON(),
+        safetyBreakdown: analysis.getSafetyBreakdown()
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          analyses: analysesWithBreakdown,
+          pagination: result.pagination
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting user analyses:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve analyses',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/analysis/stats/overview
+ * @desc    Get user's food analysis statistics: score distribution, risk categories,
+ *          improvement over time, worst-scoring foods and streaks
+ * @access  Private
+ */
+router.get('/stats/overview', 
+  authenticateToken,
+  [
+    query('dateRange')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Date range must be between 1 and 365 days')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { dateRange = 30 } = req.query;
+      
+      const stats = await FoodAnalysis.getUserStats(req.user.id, parseInt(dateRange));
+
+      res.json({
+        success: true,
+        data: stats
+      });
+
+    } catch (error) {
+      logger.error('Error getting analysis stats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve statistics',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/analysis/:id
+ * @desc    Update analysis (notes, tags, etc.)
+ * @access  Private
+ */
+router.put('/:id',
+  authenticateToken,
+  [
+    body('notes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters'),
+    body('tags')
+      .optional()
+      .isArray()
+      .withMessage('Tags must be an array'),
+    body('isShared')
+      .optional()
+      .isBoolean()
+      .withMessage('isShared must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      
+      const analysis = await FoodAnalysis.findById(id, req.user.id);
+      
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      // Update allowed fields
+      const { notes, tags, isShared } = req.body;
+      const updateData = {};
+      
+      if (notes !== undefined) updateData.notes = notes;
+      if (tags !== undefined) updateData.tags = tags;
+      if (isShared !== undefined) updateData.isShared = isShared;
+
+      await analysis.update(updateData);
+
+      const updatedAnalysis = await analysis.getEnhancedDetails();
+
+      res.json({
+        success: true,
+        message: 'Analysis updated successfully',
+        data: {
+          analysis: updatedAnalysis.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating analysis:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update analysis',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/analysis/:id
+ * @desc    Soft delete analysis
+ * @access  Private
+ */
+router.delete('/:id',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      
+      const analysis = await FoodAnalysis.findById(id, req.user.id);
+      
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      await analysis.delete();
+
+      res.json({
+        success: true,
+        message: 'Analysis deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error deleting analysis:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete analysis',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/analysis/:id/share
+ * @desc    Share analysis with another user (view or comment)
+ * @access  Private
+ */
+router.post('/:id/share',
+  authenticateToken,
+  [
+    body('userId')
+      .isUUID()
+      .withMessage('Valid user ID is required'),
+    body('permission')
+      .optional()
+      .isIn(SHARE_PERMISSIONS)
+      .withMessage(`Permission must be one of: ${SHARE_PERMISSIONS.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { userId: targetUserId, permission = 'view' } = req.body;
+      
+      const analysis = await FoodAnalysis.findById(id, req.user.id);
+      
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      if (targetUserId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot share an analysis with yourself'
+        });
+      }
+
+      const targetUser = await User.findById(targetUserId);
+      if (!targetUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const grant = await analysis.shareWith(targetUserId, permission);
+
+      res.json({
+        success: true,
+        message: 'Analysis shared successfully',
+        data: { grant: grant.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error sharing analysis:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to share analysis',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/analysis/:id/share/:userId
+ * @desc    Revoke a user's access to an analysis
+ * @access  Private
+ */
+router.delete('/:id/share/:userId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const analysis = await FoodAnalysis.findById(req.params.id, req.user.id);
+      
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      const revoked = await analysis.revokeShare(req.params.userId);
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis is not shared with this user'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Access revoked successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error revoking analysis share:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke access',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/analysis/:id/share/family
+ * @desc    Share an analysis with your family group, or withdraw it
+ * @access  Private
+ */
+router.put('/:id/share/family',
+  authenticateToken,
+  [
+    body('enabled')
+      .isBoolean()
+      .withMessage('Enabled must be boolean')
+      .toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const analysis = await FoodAnalysis.findById(req.params.id, req.user.id);
+
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      await analysis.setFamilySharing(req.body.enabled);
+
+      res.json({
+        success: true,
+        message: req.body.enabled ? 'Analysis shared with your family' : 'Analysis withdrawn from your family',
+        data: { sharedWithFamily: analysis.sharedWithFamily }
+      });
+
+    } catch (error) {
+      logger.error('Error updating family sharing:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update family sharing',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/analysis/:id/shares
+ * @desc    Users an analysis is shared with and its active public links
+ * @access  Private
+ */
+router.get('/:id/shares',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const analysis = await FoodAnalysis.findById(req.params.id, req.user.id);
+      
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      const [grants, links] = await Promise.all([
+        ShareGrant.findByAnalysis(analysis.id),
+        ShareLink.findActiveByAnalysis(analysis.id)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          grants,
+          links: links.map(link => link.toJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting analysis shares:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve shares',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/analysis/:id/share-links
+ * @desc    Create an expiring public link to the analysis' safety report
+ * @access  Private
+ */
+router.post('/:id/share-links',
+  authenticateToken,
+  [
+    body('expiresInHours')
+      .optional()
+      .isInt({ min: 1, max: MAX_LINK_TTL_HOURS })
+      .withMessage(`Expiry must be between 1 and ${MAX_LINK_TTL_HOURS} hours`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const analysis = await FoodAnalysis.findById(req.params.id, req.user.id);
+      
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      if (analysis.processingStatus !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Only completed analyses can be shared by link'
+        });
+      }
+
+      const { link, token } = await ShareService.createLink(
+        analysis,
+        req.user.id,
+        req.body.expiresInHours ? parseInt(req.body.expiresInHours) : undefined
+      );
+      const baseUrl = process.env.SHARE_LINK_BASE_URL || `${req.protocol}://${req.get('host')}/api/analysis/public`;
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created',
+        data: {
+          link: link.toJSON(),
+          token,
+          url: `${baseUrl}/${token}`
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating share link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create share link',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/analysis/:id/share-links/:linkId
+ * @desc    Revoke a public link before it expires
+ * @access  Private
+ */
+router.delete('/:id/share-links/:linkId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const analysis = await FoodAnalysis.findById(req.params.id, req.user.id);
+      const link = analysis ? await ShareLink.findById(req.params.linkId) : null;
+
+      if (!link || link.analysisId !== analysis.id || link.revokedAt) {
+        return res.status(404).json({
+          success: false,
+          message: 'Share link not found'
+        });
+      }
+
+      await link.revoke();
+
+      res.json({
+        success: true,
+        message: 'Share link revoked'
+      });
+
+    } catch (error) {
+      logger.error('Error revoking share link:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke share link',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/analysis/:id/comments
+ * @desc    Comments on an analysis the user owns or has been shared
+ * @access  Private
+ */
+router.get('/:id/comments',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const analysis = await FoodAnalysis.findById(req.params.id);
+      const access = analysis ? await ShareService.resolveAccess(analysis, req.user.id) : null;
+
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      const comments = await AnalysisComment.findByAnalysis(analysis.id);
+
+      res.json({
+        success: true,
+        data: {
+          comments: comments.map(comment => comment.toJSON()),
+          canComment: ShareService.canComment(access)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting analysis comments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve comments',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/analysis/:id/comments
+ * @desc    Comment on an analysis (owner or comment permission)
+ * @access  Private
+ */
+router.post('/:id/comments',
+  authenticateToken,
+  [
+    body('body')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Comment must be between 1 and 2000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const analysis = await FoodAnalysis.findById(req.params.id);
+      const access = analysis ? await ShareService.resolveAccess(analysis, req.user.id) : null;
+
+      if (!access) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      if (!ShareService.canComment(access)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You have view-only access to this analysis'
+        });
+      }
+
+      const author = await User.findById(req.user.id);
+      const comment = await new AnalysisComment({
+        analysisId: analysis.id,
+        userId: req.user.id,
+        body: req.body.body,
+        author: author ? { firstName: author.firstName, lastName: author.lastName } : null
+      }).save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment added',
+        data: { comment: comment.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error adding analysis comment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add comment',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/analysis/:id/reports
+ * @desc    Issue a PDF safety certificate for a completed analysis
+ * @access  Private (complianceReports)
+ */
+router.post('/:id/reports',
+  authenticateToken,
+  validateSubscription(['complianceReports']),
+  [
+    body('businessName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Business name must be between 1 and 200 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const analysis = await FoodAnalysis.findById(req.params.id, req.user.id);
+      
+      if (!analysis) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analysis not found'
+        });
+      }
+
+      if (analysis.processingStatus !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'Reports can only be issued for completed analyses'
+        });
+      }
+
+      const baseUrl = getReportVerifyBaseUrl(req);
+      if (!baseUrl) {
+        logger.error('REPORT_VERIFY_BASE_URL must be set in production to issue safety reports');
+        return res.status(503).json({
+          success: false,
+          message: 'Safety reports are not available right now'
+        });
+      }
+
+      const report = await new SafetyReport({
+        analysisId: analysis.id,
+        userId: req.user.id,
+        issuedTo: req.body.businessName || null,
+        contentHash: SafetyReport.hashAnalysis(analysis)
+      }).save();
+
+      const pdf = await SafetyReportPdfService.render(analysis, report, {
+        verifyUrl: `${baseUrl}/${report.id}/verify`,
+        brandName: SubscriptionService.hasFeature(req.userTier, 'customBranding') ? req.body.businessName : null
+      });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${report.reportNumber}.pdf"`,
+        'Content-Length': pdf.length,
+        'X-Report-Id': report.id
+      });
+      res.send(pdf);
+
+    } catch (error) {
+      logger.error('Error generating safety report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate safety report',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/analysis/bulk-delete
+ * @desc    Bulk delete analyses
+ * @access  Private
+ */
+router.post('/bulk-delete',
+  authenticateToken,
+  [
+    body('analysisIds')
+      .isArray({ min: 1 })
+      .withMessage('Analysis IDs array is required'),
+    body('analysisIds.*')
+      .isUUID()
+      .withMessage('Each analysis ID must be a valid UUID')
   ],
   async (req, res) => {
     try {
@@ -606,24 +1593,27 @@ router.get('/health/ml-status',
   authenticateToken,
   async (req, res) => {
     try {
-      // This would check the actual ML service status
       const mlService = await FoodAnalysis.initializeMLService();
-      const isMLReady = mlService && typeof mlService.analyzeFood === 'function';
 
       res.json({
         success: true,
         data: {
-          mlServiceAvailable: isMLReady,
-          serviceType: isMLReady ? 'ml_service' : 'mock_service',
+          mlServiceAvailable: true,
+          inferenceBackend: mlService.name,
+          modelVersions: mlService.getModelVersions(),
           timestamp: new Date().toISOString()
         }
       });
 
     } catch (error) {
       logger.error('Error checking ML service status:', error);
-      res.status(500).json({
+      res.status(503).json({
         success: false,
-        message: 'Failed to check ML service status',
+        message: 'ML service unavailable',
+        data: {
+          mlServiceAvailable: false,
+          missingModels: error.missingModels || []
+        },
         error: error.message
       });
     }
@@ -1,10 +1,12 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, param, matchedData, validationResult } from 'express-validator';
 import rateLimit from 'express-rate-limit';
 import { authenticateToken } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
 import User from '../models/User.js';
 import { AuthService } from '../services/authService.js';
+import TwoFactorService from '../services/TwoFactorService.js';
+import PhoneOtpService from '../services/PhoneOtpService.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -30,6 +32,36 @@ const registerLimiter = rateLimit({
   }
 });
 
+// Per-IP cap on OTP sends, on top of PhoneOtpService's per-number limits
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 codes per window
+  message: {
+    error: 'Too many code requests, please try again later.',
+    code: 'OTP_RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// HTTP status for PhoneOtpService error codes
+const OTP_ERROR_STATUS = {
+  OTP_COOLDOWN: 429,
+  OTP_RATE_LIMITED: 429,
+  OTP_EXPIRED: 400,
+  OTP_INVALID: 400,
+  OTP_ATTEMPTS_EXCEEDED: 400,
+  INVALID_SIGNUP_TOKEN: 401
+};
+
+const sendOtpError = (res, error) => res.status(OTP_ERROR_STATUS[error.code]).json({
+  success: false,
+  error: error.message,
+  code: error.code,
+  ...(error.retryAfter && { retryAfter: error.retryAfter }),
+  ...(error.attemptsRemaining !== undefined && { attemptsRemaining: error.attemptsRemaining })
+});
+
 // Validation rules
 const registerValidation = [
   body('email')
@@ -82,7 +114,63 @@ const loginValidation = [
     .withMessage('Valid email is required'),
   body('password')
     .notEmpty()
-    .withMessage('Password is required')
+    .withMessage('Password is required'),
+  body('deviceName')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Device name must be at most 100 characters')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required')
+];
+
+// A code from the authenticator app, or one of the recovery codes
+const twoFactorCredentialValidation = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('recoveryCode')
+    .optional()
+    .matches(/^[0-9a-fA-F]{5}-?[0-9a-fA-F]{5}$/)
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A two-factor code or recovery code is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...twoFactorCredentialValidation
+];
+
+// Normalizes to E.164; bare ten-digit numbers are taken as Indian mobiles
+const phoneValidation = [
+  body('phone')
+    .custom(value => PhoneOtpService.normalizePhone(value) !== null)
+    .withMessage('Valid mobile number is required')
+    .customSanitizer(value => PhoneOtpService.normalizePhone(value))
+];
+
+const otpRequestValidation = [
+  ...phoneValidation,
+  body('language')
+    .optional()
+    .isIn(['en', 'hi'])
+    .withMessage('Language must be en or hi')
+];
+
+const otpVerifyValidation = [
+  ...phoneValidation,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required')
 ];
 
 const changePasswordValidation = [
@@ -106,10 +194,6 @@ const updateProfileValidation = [
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage('Last name must be between 2 and 50 characters'),
-  body('phone')
-    .optional()
-    .isMobilePhone()
-    .withMessage('Valid phone number is required'),
   body('dateOfBirth')
     .optional()
     .isISO8601()
@@ -149,110 +233,797 @@ const updateProfileValidation = [
     .withMessage('Preferences must be an object')
 ];
 
-// @route   POST /api/auth/register
-// @desc    Register a new user
-// @access  Public
-router.post('/register', registerLimiter, registerValidation, validateRequest, async (req, res) => {
+// @route   POST /api/auth/register
+// @desc    Register a new user
+// @access  Public
+router.post('/register', registerLimiter, registerValidation, validateRequest, async (req, res) => {
+  try {
+    // Check if user already exists
+    const existingUser = await User.findByEmail(req.body.email);
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        error: 'User with this email already exists',
+        code: 'USER_EXISTS'
+      });
+    }
+
+    // Someone who signed up by phone adds an email to that account instead
+    const phone = req.body.phone && PhoneOtpService.normalizePhone(req.body.phone);
+    if (phone && await User.findByVerifiedPhone(phone)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account already signs in with this phone number. Sign in by phone and add your email to it.',
+        code: 'PHONE_ACCOUNT_EXISTS'
+      });
+    }
+
+    // Create new user
+    const user = await User.create({ ...req.body, phone: phone || req.body.phone });
+    
+    // Generate tokens
+    const tokens = await AuthService.generateTokens(user, AuthService.describeDevice(req));
+    
+    // Send verification email
+    await AuthService.sendVerificationEmail(user);
+
+    logger.info(`New user registered: ${user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully. Please check your email for verification.',
+      data: {
+        user: user.toJSON(),
+        tokens
+      }
+    });
+  } catch (error) {
+    logger.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Registration failed',
+      code: 'REGISTRATION_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/login
+// @desc    Login user
+// @access  Public
+router.post('/login', authLimiter, loginValidation, validateRequest, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Find user
+    const user = await User.findByEmail(email);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // Check if account is locked
+    if (user.isAccountLocked()) {
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    // Verify password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      await user.recordLoginAttempt(false);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // With two-factor enabled the password only earns a challenge for the code step
+    const twoFactor = await User.getTwoFactorState(user.id);
+    if (twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: TwoFactorService.createChallenge(user.id),
+          expiresIn: TwoFactorService.challengeTtlSeconds
+        }
+      });
+    }
+
+    // Record successful login
+    await user.recordLoginAttempt(true);
+
+    // Generate tokens
+    const tokens = await AuthService.generateTokens(user, AuthService.describeDevice(req));
+
+    logger.info(`User logged in: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        tokens,
+        // Admins and business staff are let in, but enforced routes refuse them until they enrol
+        twoFactorSetupRequired: await TwoFactorService.isRequired(user.id, twoFactor.role)
+      }
+    });
+  } catch (error) {
+    logger.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      code: 'LOGIN_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: exchange the challenge token and a TOTP or recovery code for tokens
+// @access  Public
+router.post('/login/2fa', authLimiter, twoFactorLoginValidation, validateRequest, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = TwoFactorService.verifyChallenge(challengeToken);
+    const user = await User.findById(userId);
+    const twoFactor = user ? await User.getTwoFactorState(user.id) : null;
+
+    if (!user || !twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Two-factor challenge is invalid or has expired',
+        code: 'INVALID_2FA_CHALLENGE'
+      });
+    }
+
+    // Failed codes count towards the same lockout as failed passwords
+    if (user.isAccountLocked()) {
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    const changes = TwoFactorService.checkCredentials(twoFactor, { code, recoveryCode });
+    if (!changes) {
+      await user.recordLoginAttempt(false);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    await user.updateTwoFactor(changes);
+    await user.recordLoginAttempt(true);
+
+    user.twoFactorEnabled = true;
+    const tokens = await AuthService.generateTokens(user, AuthService.describeDevice(req));
+
+    logger.info(`User logged in with two-factor: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        tokens,
+        ...(recoveryCode && { recoveryCodesRemaining: changes.recoveryCodes.length })
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_2FA_CHALLENGE') {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      code: 'LOGIN_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/request-otp
+// @desc    Text a login code to a mobile number; unknown numbers can sign up with it
+// @access  Public
+router.post('/phone/request-otp', otpLimiter, otpRequestValidation, validateRequest, async (req, res) => {
+  try {
+    const { phone, language } = req.body;
+    const delivery = await PhoneOtpService.sendCode(phone, 'login', language);
+
+    res.json({
+      success: true,
+      message: 'Code sent',
+      data: delivery
+    });
+  } catch (error) {
+    if (OTP_ERROR_STATUS[error.code]) {
+      return sendOtpError(res, error);
+    }
+
+    logger.error('Phone OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send code',
+      code: 'OTP_SEND_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/login
+// @desc    Sign in with a texted code. A number without an account gets a signup token instead.
+// @access  Public
+router.post('/phone/login', authLimiter, otpVerifyValidation, validateRequest, async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    await PhoneOtpService.verifyCode(phone, 'login', code);
+
+    const user = await User.findByVerifiedPhone(phone);
+    if (!user) {
+      return res.json({
+        success: true,
+        message: 'Phone verified. Add your name to create the account.',
+        data: {
+          requiresProfile: true,
+          signupToken: PhoneOtpService.createSignupToken(phone)
+        }
+      });
+    }
+
+    if (user.isAccountLocked()) {
+      return res.status(423).json({
+        success: false,
+        error: 'Account is temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED',
+        lockedUntil: user.lockedUntil
+      });
+    }
+
+    // The texted code replaces the password, not the second factor
+    const twoFactor = await User.getTwoFactorState(user.id);
+    if (twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor code required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: TwoFactorService.createChallenge(user.id),
+          expiresIn: TwoFactorService.challengeTtlSeconds
+        }
+      });
+    }
+
+    await user.recordLoginAttempt(true);
+    const tokens = await AuthService.generateTokens(user, AuthService.describeDevice(req));
+
+    logger.info(`User logged in by phone: ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        tokens,
+        twoFactorSetupRequired: await TwoFactorService.isRequired(user.id, twoFactor.role)
+      }
+    });
+  } catch (error) {
+    if (OTP_ERROR_STATUS[error.code]) {
+      return sendOtpError(res, error);
+    }
+
+    logger.error('Phone login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      code: 'LOGIN_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/register
+// @desc    Create a phone account from the signup token of a verified new number
+// @access  Public
+router.post('/phone/register', registerLimiter, [
+  body('signupToken').notEmpty().withMessage('Signup token is required'),
+  body('firstName')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('First name must be between 2 and 50 characters'),
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Last name must be at most 50 characters'),
+  body('preferredLanguage')
+    .optional()
+    .isIn(['en', 'hi'])
+    .withMessage('Language must be en or hi')
+], validateRequest, async (req, res) => {
+  try {
+    const phone = PhoneOtpService.verifySignupToken(req.body.signupToken);
+
+    if (await User.findByVerifiedPhone(phone)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An account already signs in with this phone number',
+        code: 'PHONE_ACCOUNT_EXISTS'
+      });
+    }
+
+    const user = await User.createWithPhone({
+      phone,
+      firstName: req.body.firstName,
+      lastName: req.body.lastName,
+      preferredLanguage: req.body.preferredLanguage
+    });
+    const tokens = await AuthService.generateTokens(user, AuthService.describeDevice(req));
+
+    logger.info(`New user registered by phone: ${user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: {
+        user: user.toJSON(),
+        tokens
+      }
+    });
+  } catch (error) {
+    if (OTP_ERROR_STATUS[error.code]) {
+      return sendOtpError(res, error);
+    }
+
+    logger.error('Phone registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Registration failed',
+      code: 'REGISTRATION_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/verify/request
+// @desc    Text a code to verify a mobile number for this account
+// @access  Private
+router.post('/phone/verify/request', authenticateToken, otpLimiter, otpRequestValidation, validateRequest, async (req, res) => {
+  try {
+    const { phone, language } = req.body;
+
+    const owner = await User.findByVerifiedPhone(phone);
+    if (owner && owner.id !== req.user.id) {
+      return res.status(409).json({
+        success: false,
+        error: 'This phone number signs in to another account',
+        code: 'PHONE_IN_USE'
+      });
+    }
+
+    const delivery = await PhoneOtpService.sendCode(phone, `verify:${req.user.id}`, language);
+
+    res.json({
+      success: true,
+      message: 'Code sent',
+      data: delivery
+    });
+  } catch (error) {
+    if (OTP_ERROR_STATUS[error.code]) {
+      return sendOtpError(res, error);
+    }
+
+    logger.error('Phone verification request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send code',
+      code: 'OTP_SEND_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/verify
+// @desc    Confirm the texted code; the number is saved as verified and can then sign in
+// @access  Private
+router.post('/phone/verify', authenticateToken, otpVerifyValidation, validateRequest, async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+
+    await PhoneOtpService.verifyCode(phone, `verify:${req.user.id}`, code);
+
+    const owner = await User.findByVerifiedPhone(phone);
+    if (owner && owner.id !== req.user.id) {
+      return res.status(409).json({
+        success: false,
+        error: 'This phone number signs in to another account',
+        code: 'PHONE_IN_USE'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    await user.verifyPhone(phone);
+
+    logger.info(`Phone verified for user: ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: {
+        user: user.toJSON()
+      }
+    });
+  } catch (error) {
+    if (OTP_ERROR_STATUS[error.code]) {
+      return sendOtpError(res, error);
+    }
+
+    logger.error('Phone verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Phone verification failed',
+      code: 'PHONE_VERIFICATION_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/link-email
+// @desc    Add an email and password to a phone account, so either can sign in
+// @access  Private
+router.post('/phone/link-email', authenticateToken, [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('password')
+    .isLength({ min: 8 })
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must be at least 8 characters with uppercase, lowercase, number and special character')
+], validateRequest, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.email) {
+      return res.status(409).json({
+        success: false,
+        error: 'This account already has an email address',
+        code: 'EMAIL_ALREADY_LINKED'
+      });
+    }
+
+    if (await User.findByEmail(req.body.email)) {
+      return res.status(409).json({
+        success: false,
+        error: 'User with this email already exists',
+        code: 'USER_EXISTS'
+      });
+    }
+
+    await user.linkEmail(req.body.email, req.body.password);
+    await AuthService.sendVerificationEmail(user);
+
+    logger.info(`Email linked for user: ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Email added. Please check your email for verification.',
+      data: {
+        user: user.toJSON()
+      }
+    });
+  } catch (error) {
+    logger.error('Link email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add email',
+      code: 'LINK_EMAIL_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/reauth/request
+// @desc    Text a code to the account's verified number, to confirm a sensitive
+//          change on an account that has no password
+// @access  Private
+router.post('/phone/reauth/request', authenticateToken, otpLimiter, [
+  body('language')
+    .optional()
+    .isIn(['en', 'hi'])
+    .withMessage('Language must be en or hi')
+], validateRequest, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const owner = user?.phone ? await User.findByVerifiedPhone(user.phone) : null;
+
+    if (!owner || owner.id !== req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'This account has no verified phone number',
+        code: 'PHONE_NOT_VERIFIED'
+      });
+    }
+
+    const delivery = await PhoneOtpService.sendCode(user.phone, `reauth:${user.id}`, req.body.language);
+
+    res.json({
+      success: true,
+      message: 'Code sent',
+      data: {
+        ...delivery,
+        phone: PhoneOtpService.maskPhone(user.phone)
+      }
+    });
+  } catch (error) {
+    if (OTP_ERROR_STATUS[error.code]) {
+      return sendOtpError(res, error);
+    }
+
+    logger.error('Phone reauthentication request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send code',
+      code: 'OTP_SEND_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start TOTP enrolment: a new secret with its otpauth URL and QR code
+// @access  Private
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const twoFactor = user ? await User.getTwoFactorState(user.id) : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    // Stored but inactive until a code from it is confirmed
+    const secret = TwoFactorService.generateSecret();
+    await user.updateTwoFactor({ secret: TwoFactorService.encryptSecret(secret), lastStep: null });
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm a code',
+      data: await TwoFactorService.provisioning(secret, user.email || user.phone)
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Two-factor setup failed',
+      code: 'TWO_FACTOR_SETUP_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code from the app; returns one-time recovery codes
+// @access  Private
+router.post('/2fa/enable', authenticateToken, twoFactorCodeValidation, validateRequest, async (req, res) => {
   try {
-    // Check if user already exists
-    const existingUser = await User.findByEmail(req.body.email);
-    if (existingUser) {
+    const user = await User.findById(req.user.id);
+    const twoFactor = user ? await User.getTwoFactorState(user.id) : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!twoFactor.secret) {
       return res.status(400).json({
         success: false,
-        error: 'User with this email already exists',
-        code: 'USER_EXISTS'
+        error: 'Start two-factor setup first',
+        code: 'TWO_FACTOR_NOT_SET_UP'
       });
     }
 
-    // Create new user
-    const user = await User.create(req.body);
-    
-    // Generate tokens
-    const tokens = await AuthService.generateTokens(user);
-    
-    // Send verification email (implement email service)
-    await AuthService.sendVerificationEmail(user);
+    const step = TwoFactorService.verifyCode(TwoFactorService.decryptSecret(twoFactor.secret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
 
-    logger.info(`New user registered: ${user.email}`);
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    await user.updateTwoFactor({ enabled: true, recoveryCodes: hashes, lastStep: step });
 
-    res.status(201).json({
+    logger.info(`Two-factor enabled for: ${user.email}`);
+
+    res.json({
       success: true,
-      message: 'User registered successfully. Please check your email for verification.',
-      data: {
-        user: user.toJSON(),
-        tokens
-      }
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown once.',
+      data: { recoveryCodes: codes }
     });
   } catch (error) {
-    logger.error('Registration error:', error);
+    logger.error('Two-factor enable error:', error);
     res.status(500).json({
       success: false,
-      error: 'Registration failed',
-      code: 'REGISTRATION_FAILED'
+      error: 'Failed to enable two-factor authentication',
+      code: 'TWO_FACTOR_ENABLE_FAILED'
     });
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Login user
-// @access  Public
-router.post('/login', authLimiter, loginValidation, validateRequest, async (req, res) => {
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor with the password and a current or recovery code
+// @access  Private
+router.post('/2fa/disable', authenticateToken, [
+  body('password').optional().notEmpty().withMessage('Password is required'),
+  body('phoneCode')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Phone code must be 6 digits'),
+  ...twoFactorCredentialValidation
+], validateRequest, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const user = await User.findById(req.user.id);
+    const twoFactor = user ? await User.getTwoFactorState(user.id) : null;
 
-    // Find user
-    const user = await User.findByEmail(email);
     if (!user) {
-      return res.status(401).json({
+      return res.status(404).json({
         success: false,
-        error: 'Invalid email or password',
-        code: 'INVALID_CREDENTIALS'
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
       });
     }
 
-    // Check if account is locked
-    if (user.isAccountLocked()) {
-      return res.status(423).json({
+    if (!twoFactor.enabled) {
+      return res.status(400).json({
         success: false,
-        error: 'Account is temporarily locked due to too many failed login attempts',
-        code: 'ACCOUNT_LOCKED',
-        lockedUntil: user.lockedUntil
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
       });
     }
 
-    // Verify password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      await user.recordLoginAttempt(false);
-      return res.status(401).json({
+    if (await TwoFactorService.isRequired(user.id, twoFactor.role)) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid email or password',
+        error: 'Two-factor authentication is required for this account',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    // Accounts without a password confirm with a code texted to their number
+    // (POST /phone/reauth/request) instead
+    let isReauthenticated;
+    if (user.password) {
+      isReauthenticated = Boolean(req.body.password) && await user.comparePassword(req.body.password);
+    } else if (req.body.phoneCode) {
+      isReauthenticated = await PhoneOtpService.verifyCode(user.phone, `reauth:${user.id}`, req.body.phoneCode);
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'A code sent to your phone is required',
+        code: 'PHONE_CODE_REQUIRED'
+      });
+    }
+
+    const changes = isReauthenticated && TwoFactorService.checkCredentials(twoFactor, req.body);
+    if (!changes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid password or two-factor code',
         code: 'INVALID_CREDENTIALS'
       });
     }
 
-    // Record successful login
-    await user.recordLoginAttempt(true);
+    await user.updateTwoFactor({ enabled: false, secret: null, recoveryCodes: [], lastStep: null });
 
-    // Generate tokens
-    const tokens = await AuthService.generateTokens(user);
+    logger.info(`Two-factor disabled for: ${user.email}`);
 
-    logger.info(`User logged in: ${user.email}`);
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    if (OTP_ERROR_STATUS[error.code]) {
+      return sendOtpError(res, error);
+    }
+
+    logger.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      code: 'TWO_FACTOR_DISABLE_FAILED'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes; needs a current code from the app
+// @access  Private
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorCodeValidation, validateRequest, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const twoFactor = user ? await User.getTwoFactorState(user.id) : null;
+
+    if (!user || !twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const changes = TwoFactorService.checkCredentials(twoFactor, { code: req.body.code });
+    if (!changes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+        code: 'INVALID_2FA_CODE'
+      });
+    }
+
+    const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+    await user.updateTwoFactor({ ...changes, recoveryCodes: hashes });
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: user.toJSON(),
-        tokens
-      }
+      message: 'New recovery codes generated; the old ones no longer work',
+      data: { recoveryCodes: codes }
     });
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Recovery code generation error:', error);
     res.status(500).json({
       success: false,
-      error: 'Login failed',
-      code: 'LOGIN_FAILED'
+      error: 'Failed to generate recovery codes',
+      code: 'RECOVERY_CODES_FAILED'
     });
   }
 });
@@ -262,9 +1033,14 @@ router.post('/login', authLimiter, loginValidation, validateRequest, async (req,
 // @access  Private
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // Add token to blacklist (implement token blacklist service)
+    // Refuse the access token and end this device's session, so its refresh token stops working
     await AuthService.blacklistToken(req.token);
-    
+
+    const sessionId = AuthService.getSessionId(req.token);
+    if (sessionId) {
+      await AuthService.revokeSession(req.user.id, sessionId);
+    }
+
     logger.info(`User logged out: ${req.user.email}`);
 
     res.json({
@@ -282,7 +1058,7 @@ router.post('/logout', authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/auth/refresh-token
-// @desc    Refresh access token
+// @desc    Exchange a refresh token for a new token pair; each refresh token works once
 // @access  Public
 router.post('/refresh-token', async (req, res) => {
   try {
@@ -314,6 +1090,14 @@ router.post('/refresh-token', async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      return res.status(401).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     logger.error('Token refresh error:', error);
     res.status(401).json({
       success: false,
@@ -323,6 +1107,92 @@ router.post('/refresh-token', async (req, res) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List the devices signed in to this account
+// @access  Private
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const currentSessionId = AuthService.getSessionId(req.token);
+    const sessions = await AuthService.listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.sessionId === currentSessionId
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+      code: 'SESSIONS_FETCH_FAILED'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:sessionId', authenticateToken, [
+  param('sessionId').isUUID().withMessage('Invalid session ID')
+], validateRequest, async (req, res) => {
+  try {
+    const revoked = await AuthService.revokeSession(req.user.id, req.params.sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    logger.info(`Session revoked: ${req.params.sessionId} for user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke session',
+      code: 'SESSION_REVOKE_FAILED'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every device except this one
+// @access  Private
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedSessions = await AuthService.revokeAllSessions(req.user.id, AuthService.getSessionId(req.token));
+
+    logger.info(`Other sessions revoked for user ${req.user.id}: ${revokedSessions}`);
+
+    res.json({
+      success: true,
+      message: 'Signed out of all other devices',
+      data: {
+        revokedSessions
+      }
+    });
+  } catch (error) {
+    logger.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke sessions',
+      code: 'SESSIONS_REVOKE_FAILED'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -369,8 +1239,9 @@ router.put('/profile', authenticateToken, updateProfileValidation, validateReque
       });
     }
 
-    // Update user
-    await user.update(req.body);
+    // Only the validated profile fields; role, 2FA and verification state have
+    // their own endpoints. The phone number changes through /phone/verify.
+    await user.update(matchedData(req, { locations: ['body'] }));
 
     logger.info(`User profile updated: ${user.email}`);
 
@@ -420,11 +1291,17 @@ router.post('/change-password', authenticateToken, changePasswordValidation, val
     // Update password
     await user.updatePassword(newPassword);
 
+    // Sign out every other device; this one stays signed in
+    const revokedSessions = await AuthService.revokeAllSessions(user.id, AuthService.getSessionId(req.token));
+
     logger.info(`Password changed for user: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        revokedSessions
+      }
     });
   } catch (error) {
     logger.error('Password change error:', error);
@@ -459,7 +1336,7 @@ router.post('/forgot-password', authLimiter, [
     // Generate reset token
     const resetToken = await user.generatePasswordResetToken();
     
-    // Send reset email (implement email service)
+    // Send reset email
     await AuthService.sendPasswordResetEmail(user, resetToken);
 
     logger.info(`Password reset requested for: ${user.email}`);
@@ -510,6 +1387,9 @@ router.post('/reset-password', [
     // Update password
     await user.updatePassword(password);
 
+    // Whoever knew the old password is signed out everywhere
+    await AuthService.revokeAllSessions(user.id);
+
     logger.info(`Password reset completed for: ${user.email}`);
 
     res.json({
@@ -606,4 +1486,78 @@ router.post('/resend-verification', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/push-token
+// @desc    Register the device's Expo push token (null to unregister)
+// @access  Private
+router.put('/push-token', authenticateToken, [
+  body('pushToken')
+    .optional({ nullable: true })
+    .matches(/^(Exponent|Expo)PushToken\[.+\]$/)
+    .withMessage('Valid Expo push token is required')
+], validateRequest, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    await user.updatePushToken(req.body.pushToken || null);
+
+    res.json({
+      success: true,
+      message: req.body.pushToken ? 'Push token registered' : 'Push token removed'
+    });
+  } catch (error) {
+    logger.error('Push token update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update push token',
+      code: 'PUSH_TOKEN_UPDATE_FAILED'
+    });
+  }
+});
+
+// @route   PUT /api/auth/notification-preferences
+// @desc    Turn push notifications on or off; dietaryAlerts covers allergen, diet and health-condition conflicts
+// @access  Private
+router.put('/notification-preferences', authenticateToken, [
+  body('dietaryAlerts')
+    .isBoolean()
+    .withMessage('dietaryAlerts must be true or false')
+], validateRequest, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const notifications = await user.updateNotificationPreferences({
+      dietaryAlerts: req.body.dietaryAlerts
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { notifications }
+    });
+  } catch (error) {
+    logger.error('Notification preferences update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update notification preferences',
+      code: 'NOTIFICATION_PREFERENCES_UPDATE_FAILED'
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
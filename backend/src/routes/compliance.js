@@ -0,0 +1,520 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import FoodAnalysis from '../models/FoodAnalysis.js';
+import ComplianceCheck from '../models/ComplianceCheck.js';
+import ComplianceSchedule, { CHECK_TYPES } from '../models/ComplianceSchedule.js';
+import CorrectiveAction, { CORRECTIVE_ACTION_STATUSES } from '../models/CorrectiveAction.js';
+import ComplianceService, { REPORT_PERIODS } from '../services/ComplianceService.js';
+import OrganisationService from '../services/OrganisationService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { enforceTwoFactor } from '../middleware/twoFactor.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Members of business and enterprise organisations must use two-factor login
+router.use(authenticateToken, enforceTwoFactor);
+
+/**
+ * The outlet in :outletId if the user works there, their role allows `permission`
+ * and the organisation's plan includes compliance reports. Sends the error response
+ * and resolves to null otherwise.
+ */
+const loadOutlet = async (req, res, permission) => {
+  const access = await OrganisationService.resolveOutletAccess(req.params.outletId, req.user.id);
+
+  if (!access) {
+    res.status(404).json({
+      success: false,
+      message: 'Outlet not found'
+    });
+    return null;
+  }
+
+  if (!OrganisationService.can(access.member, permission)) {
+    res.status(403).json({
+      success: false,
+      message: 'Your role in this organisation does not allow this'
+    });
+    return null;
+  }
+
+  if (!await OrganisationService.hasFeature(access.organisation, 'complianceReports')) {
+    res.status(403).json({
+      success: false,
+      message: 'Compliance reports are not available in this organisation\'s plan',
+      requiredTier: 'restaurant',
+      upgradeAvailable: true
+    });
+    return null;
+  }
+
+  return access.outlet;
+};
+
+const outletIdParam = param('outletId').isUUID().withMessage('Invalid outlet ID');
+
+/**
+ * @route   GET /api/compliance/outlets
+ * @desc    Outlets the user works at, across their organisations
+ * @access  Private
+ */
+router.get('/outlets', async (req, res) => {
+  try {
+    const outlets = await OrganisationService.accessibleOutlets(req.user.id);
+
+    res.json({
+      success: true,
+      data: { outlets: outlets.map(outlet => outlet.toJSON()) }
+    });
+
+  } catch (error) {
+    logger.error('Error getting outlets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve outlets',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/compliance/outlets/:outletId/schedules
+ * @desc    Check schedules of an outlet with their next due time
+ * @access  Private - outlet members
+ */
+router.get('/outlets/:outletId/schedules',
+  [outletIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const outlet = await loadOutlet(req, res, 'view');
+      if (!outlet) return;
+
+      const schedules = await ComplianceSchedule.findByOutlet(outlet.id);
+
+      res.json({
+        success: true,
+        data: {
+          schedules: schedules.map(schedule => schedule.toJSON()),
+          due: schedules.filter(schedule => schedule.isOverdue()).map(schedule => schedule.checkType)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting compliance schedules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve schedules',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/compliance/outlets/:outletId/schedules/:checkType
+ * @desc    Set how often a type of check must run (intervalHours), or stop it (null)
+ * @access  Private - outlet members
+ */
+router.put('/outlets/:outletId/schedules/:checkType',
+  [
+    outletIdParam,
+    param('checkType')
+      .isIn(CHECK_TYPES)
+      .withMessage(`Check type must be one of: ${CHECK_TYPES.join(', ')}`),
+    body('intervalHours')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 24 * 31 })
+      .withMessage('Interval must be between 1 and 744 hours')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const outlet = await loadOutlet(req, res, 'manage_compliance');
+      if (!outlet) return;
+
+      const { checkType } = req.params;
+      const intervalHours = req.body.intervalHours ? parseInt(req.body.intervalHours) : null;
+      const existing = (await ComplianceSchedule.findByOutlet(outlet.id))
+        .find(schedule => schedule.checkType === checkType);
+
+      if (!intervalHours) {
+        if (existing) {
+          existing.isActive = false;
+          await existing.save();
+        }
+
+        return res.json({
+          success: true,
+          message: 'Schedule removed'
+        });
+      }
+
+      const schedule = existing || new ComplianceSchedule({ outletId: outlet.id, checkType });
+      schedule.intervalHours = intervalHours;
+      const saved = await schedule.save();
+
+      res.json({
+        success: true,
+        message: 'Schedule saved',
+        data: { schedule: saved.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error saving compliance schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save schedule',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/compliance/outlets/:outletId/checks
+ * @desc    Record a check. Readings can come from an analysed photo (oil quality,
+ *          temperature or spoilage model) and/or manual entries such as a TPC meter
+ *          or probe thermometer reading. Failed FSSAI items raise corrective actions.
+ * @access  Private - outlet members
+ */
+router.post('/outlets/:outletId/checks',
+  [
+    outletIdParam,
+    body('checkType')
+      .isIn(CHECK_TYPES)
+      .withMessage(`Check type must be one of: ${CHECK_TYPES.join(', ')}`),
+    body('analysisId').optional().isUUID().withMessage('Invalid analysis ID'),
+    body('readings.oilChanged').optional().isBoolean().withMessage('oilChanged must be a boolean'),
+    body('readings.tpcPercent')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('TPC must be between 0 and 100%'),
+    body('readings.temperatureC')
+      .optional()
+      .isFloat({ min: -40, max: 200 })
+      .withMessage('Temperature must be between -40 and 200 °C'),
+    body('readings.holdingMode')
+      .optional()
+      .isIn(['hot', 'cold'])
+      .withMessage('Holding mode must be hot or cold'),
+    body('readings.spoiledItemsFound')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Spoiled items found must be a non-negative integer'),
+    body('performedAt').optional().isISO8601().withMessage('performedAt must be an ISO 8601 date'),
+    body('notes').optional().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const outlet = await loadOutlet(req, res, 'record_checks');
+      if (!outlet) return;
+
+      const { checkType, analysisId, notes } = req.body;
+      let analysis = null;
+
+      if (analysisId) {
+        analysis = await FoodAnalysis.findById(analysisId, req.user.id);
+        if (!analysis || analysis.processingStatus !== 'completed') {
+          return res.status(404).json({
+            success: false,
+            message: 'Completed analysis not found'
+          });
+        }
+      }
+
+      const readings = {};
+      const input = req.body.readings || {};
+      if (input.oilChanged !== undefined) readings.oilChanged = input.oilChanged === true || input.oilChanged === 'true';
+      if (input.tpcPercent !== undefined) readings.tpcPercent = parseFloat(input.tpcPercent);
+      if (input.temperatureC !== undefined) readings.temperatureC = parseFloat(input.temperatureC);
+      if (input.holdingMode) readings.holdingMode = input.holdingMode;
+      if (input.spoiledItemsFound !== undefined) readings.spoiledItemsFound = parseInt(input.spoiledItemsFound);
+
+      const { check, correctiveActions } = await ComplianceService.recordCheck({
+        outletId: outlet.id,
+        checkType,
+        readings,
+        analysis,
+        performedBy: req.user.id,
+        performedAt: req.body.performedAt ? new Date(req.body.performedAt) : new Date(),
+        notes
+      });
+
+      res.status(201).json({
+        success: true,
+        message: check.result === 'pass' ? 'Check passed' : 'Check failed, corrective actions raised',
+        data: {
+          check: check.toJSON(),
+          correctiveActions: correctiveActions.map(action => action.toJSON())
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_READINGS') {
+        return res.status(422).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('Error recording compliance check:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record check',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/compliance/outlets/:outletId/checks
+ * @desc    Pass/fail history of an outlet's checks
+ * @access  Private - outlet members
+ */
+router.get('/outlets/:outletId/checks',
+  [
+    outletIdParam,
+    query('checkType').optional().isIn(CHECK_TYPES).withMessage('Invalid check type'),
+    query('result').optional().isIn(['pass', 'fail']).withMessage('Result must be pass or fail'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const outlet = await loadOutlet(req, res, 'view');
+      if (!outlet) return;
+
+      const { checkType, result, from, to, page = 1, limit = 50 } = req.query;
+
+      const history = await ComplianceCheck.findByOutlet(outlet.id, {
+        checkType,
+        result,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          checks: history.checks.map(check => check.toJSON()),
+          pagination: history.pagination
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting compliance checks:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve checks',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/compliance/outlets/:outletId/corrective-actions
+ * @desc    Corrective actions of an outlet, open ones first
+ * @access  Private - outlet members
+ */
+router.get('/outlets/:outletId/corrective-actions',
+  [
+    outletIdParam,
+    query('status')
+      .optional()
+      .isIn(CORRECTIVE_ACTION_STATUSES)
+      .withMessage(`Status must be one of: ${CORRECTIVE_ACTION_STATUSES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const outlet = await loadOutlet(req, res, 'view');
+      if (!outlet) return;
+
+      const actions = await CorrectiveAction.findByOutlet(outlet.id, { status: req.query.status });
+
+      res.json({
+        success: true,
+        data: { correctiveActions: actions.map(action => action.toJSON()) }
+      });
+
+    } catch (error) {
+      logger.error('Error getting corrective actions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve corrective actions',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/compliance/outlets/:outletId/corrective-actions/:actionId
+ * @desc    Update a corrective action's status, assignee or resolution notes
+ * @access  Private - outlet members
+ */
+router.put('/outlets/:outletId/corrective-actions/:actionId',
+  [
+    outletIdParam,
+    param('actionId').isUUID().withMessage('Invalid corrective action ID'),
+    body('status')
+      .optional()
+      .isIn(CORRECTIVE_ACTION_STATUSES)
+      .withMessage(`Status must be one of: ${CORRECTIVE_ACTION_STATUSES.join(', ')}`),
+    body('assignedTo').optional({ nullable: true }).isUUID().withMessage('Invalid assignee ID'),
+    body('dueAt').optional().isISO8601().withMessage('dueAt must be an ISO 8601 date'),
+    body('resolutionNotes').optional().isLength({ max: 2000 }).withMessage('Resolution notes must be at most 2000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const outlet = await loadOutlet(req, res, 'manage_compliance');
+      if (!outlet) return;
+
+      const action = await CorrectiveAction.findById(req.params.actionId, outlet.id);
+
+      if (!action) {
+        return res.status(404).json({
+          success: false,
+          message: 'Corrective action not found'
+        });
+      }
+
+      const { status, assignedTo, dueAt, resolutionNotes } = req.body;
+      if (assignedTo !== undefined) action.assignedTo = assignedTo;
+      if (dueAt) action.dueAt = new Date(dueAt);
+      if (resolutionNotes !== undefined) action.resolutionNotes = resolutionNotes;
+
+      if (status && status !== action.status) {
+        action.status = status;
+        action.resolvedAt = status === 'resolved' ? new Date() : null;
+        action.resolvedBy = status === 'resolved' ? req.user.id : null;
+      }
+
+      const saved = await action.save();
+
+      res.json({
+        success: true,
+        message: 'Corrective action updated',
+        data: { correctiveAction: saved.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error updating corrective action:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update corrective action',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/compliance/outlets/:outletId/reports
+ * @desc    Weekly or monthly report mapped to FSSAI Schedule 4 hygiene items
+ * @access  Private - outlet members
+ */
+router.get('/outlets/:outletId/reports',
+  [
+    outletIdParam,
+    query('period')
+      .optional()
+      .isIn(REPORT_PERIODS)
+      .withMessage(`Period must be one of: ${REPORT_PERIODS.join(', ')}`),
+    query('date').optional().isISO8601().withMessage('date must be an ISO 8601 date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const outlet = await loadOutlet(req, res, 'view_reports');
+      if (!outlet) return;
+
+      const { period = 'weekly', date } = req.query;
+
+      const report = await ComplianceService.buildReport(outlet, period, date ? new Date(date) : new Date());
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      logger.error('Error building compliance report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build compliance report',
+        error: error.message
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,688 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import FamilyGroup from '../models/FamilyGroup.js';
+import FamilyMember from '../models/FamilyMember.js';
+import FamilyInvitation from '../models/FamilyInvitation.js';
+import FoodAnalysis from '../models/FoodAnalysis.js';
+import Subscription from '../models/Subscription.js';
+import User from '../models/User.js';
+import FamilyService from '../services/FamilyService.js';
+import ShareService from '../services/ShareService.js';
+import EmailService from '../services/EmailService.js';
+import SubscriptionService from '../services/SubscriptionService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+/**
+ * The family group in :familyId with the user's membership, or null if the user
+ * isn't an active member
+ */
+const findMembership = async (req) => {
+  const [family, member] = await Promise.all([
+    FamilyGroup.findById(req.params.familyId),
+    FamilyMember.find(req.params.familyId, req.user.id)
+  ]);
+
+  return family && member ? { family, member } : null;
+};
+
+const familyNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Family not found'
+});
+
+const primaryOnly = res => res.status(403).json({
+  success: false,
+  message: 'Only the primary member can do this'
+});
+
+const familyIdParam = param('familyId').isUUID().withMessage('Invalid family ID');
+
+const memberNameField = field => body(field)
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Member name must be between 1 and 100 characters');
+
+const profileListField = field => body(field)
+  .optional()
+  .isArray({ max: 50 })
+  .withMessage(`${field} must be an array`);
+
+/**
+ * @route   POST /api/families
+ * @desc    Create a family group with the user as primary member. Needs a plan
+ *          that covers family members (Family Protector).
+ * @access  Private
+ */
+router.post('/',
+  [
+    body('familyName')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Family name must be between 1 and 100 characters'),
+    memberNameField('memberName').optional()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      // Only the user's own plan can cover a family, not one they are covered by
+      const subscription = await Subscription.findActiveByUserId(req.user.id);
+      const tier = subscription ? subscription.tier : 'free';
+
+      if (SubscriptionService.getLimit(tier, 'familyMembers') <= 1) {
+        return res.status(403).json({
+          success: false,
+          message: 'Family groups need the Family Protector plan',
+          requiredTier: 'family',
+          upgradeAvailable: true
+        });
+      }
+
+      if (await FamilyGroup.findForUser(req.user.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'You are already in a family group'
+        });
+      }
+
+      const family = await new FamilyGroup({
+        familyName: req.body.familyName,
+        primaryMemberId: req.user.id
+      }).create(req.body.memberName || req.body.familyName);
+
+      res.status(201).json({
+        success: true,
+        message: 'Family created',
+        data: {
+          family: family.toJSON(),
+          seats: await FamilyService.getSeats(family)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating family group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create family',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/families/mine
+ * @desc    The user's family group with its members; pending invitations for the primary member
+ * @access  Private
+ */
+router.get('/mine', async (req, res) => {
+  try {
+    const family = await FamilyGroup.findForUser(req.user.id);
+
+    if (!family) {
+      return res.json({
+        success: true,
+        data: { family: null }
+      });
+    }
+
+    const isPrimary = FamilyService.isPrimary(family, req.user.id);
+    const [members, seats, invitations] = await Promise.all([
+      FamilyMember.findByFamily(family.id),
+      FamilyService.getSeats(family),
+      isPrimary ? FamilyInvitation.findPending(family.id) : []
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        family: family.toJSON(),
+        isPrimary,
+        members: members.map(member => member.toJSON()),
+        seats,
+        ...(isPrimary && { invitations: invitations.map(invitation => invitation.toJSON()) })
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting family group:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve family',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/families/invitations/accept
+ * @desc    Join a family group with an invitation token sent to the user's email or phone
+ * @access  Private
+ */
+router.post('/invitations/accept',
+  [
+    body('token')
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid invitation token')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await FamilyInvitation.findByToken(req.body.token);
+
+      if (!invitation || !invitation.isPending()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found or expired'
+        });
+      }
+
+      const user = await User.findById(req.user.id);
+      if (!user || !invitation.isAddressedTo(user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This invitation was sent to a different email address or phone number'
+        });
+      }
+
+      const family = await FamilyGroup.findById(invitation.familyId);
+      if (!family) return familyNotFound(res);
+
+      if (await FamilyGroup.findForUser(req.user.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Leave your current family group before joining another'
+        });
+      }
+
+      // The invitation already holds a seat; only a lapsed plan or a lowered limit can refuse it
+      const seats = await FamilyService.getSeats(family);
+      if (seats.members >= seats.limit) {
+        return res.status(403).json({
+          success: false,
+          message: 'This family group is full',
+          limit: seats.limit
+        });
+      }
+
+      const member = await new FamilyMember({
+        familyId: family.id,
+        userId: req.user.id,
+        memberName: invitation.memberName
+      }).join();
+
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+
+      res.status(201).json({
+        success: true,
+        message: `You joined ${family.familyName}`,
+        data: {
+          family: family.toJSON(),
+          member: member.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error accepting family invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept invitation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/families/:familyId
+ * @desc    Rename the family group
+ * @access  Private - primary member
+ */
+router.put('/:familyId',
+  [
+    familyIdParam,
+    body('familyName')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Family name must be between 1 and 100 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return familyNotFound(res);
+      if (!FamilyService.isPrimary(membership.family, req.user.id)) return primaryOnly(res);
+
+      const { family } = membership;
+      family.familyName = req.body.familyName;
+      const saved = await family.save();
+
+      res.json({
+        success: true,
+        message: 'Family updated',
+        data: { family: saved.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error updating family group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update family',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/families/:familyId
+ * @desc    Dissolve the family group. Members keep their own analyses.
+ * @access  Private - primary member
+ */
+router.delete('/:familyId',
+  [familyIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return familyNotFound(res);
+      if (!FamilyService.isPrimary(membership.family, req.user.id)) return primaryOnly(res);
+
+      await membership.family.dissolve();
+
+      res.json({
+        success: true,
+        message: 'Family dissolved'
+      });
+
+    } catch (error) {
+      logger.error('Error dissolving family group:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to dissolve family',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/families/:familyId/invitations
+ * @desc    Invite someone by email or phone, within the plan's member limit
+ * @access  Private - primary member
+ */
+router.post('/:familyId/invitations',
+  [
+    familyIdParam,
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email is required'),
+    body('phone')
+      .optional()
+      .isMobilePhone()
+      .withMessage('Valid phone number is required'),
+    memberNameField('memberName')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { email, phone, memberName } = req.body;
+      if (!email === !phone) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide either an email or a phone number'
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return familyNotFound(res);
+      if (!FamilyService.isPrimary(membership.family, req.user.id)) return primaryOnly(res);
+
+      const seats = await FamilyService.getSeats(membership.family);
+      if (seats.available === 0) {
+        return res.status(403).json({
+          success: false,
+          message: `Your plan allows ${seats.limit} family members`,
+          seats,
+          upgradeAvailable: seats.limit <= 1
+        });
+      }
+
+      const { invitation, token } = await FamilyInvitation.create({
+        familyId: membership.family.id,
+        email,
+        phone,
+        memberName,
+        invitedBy: req.user.id
+      });
+
+      if (invitation.email) {
+        const inviter = await User.getContactDetails(req.user.id);
+        await EmailService.enqueue('familyInvitation', invitation.email, {
+          familyName: membership.family.familyName,
+          inviterName: inviter?.firstName,
+          memberName,
+          acceptUrl: EmailService.appUrl('/invitations/family', { token }),
+          expiresAt: invitation.expiresAt
+        }, { language: inviter?.language });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation created for ${invitation.email || invitation.phone}`,
+        data: {
+          invitation: invitation.toJSON(),
+          token
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating family invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create invitation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/families/:familyId/invitations/:invitationId
+ * @desc    Revoke a pending invitation, freeing its seat
+ * @access  Private - primary member
+ */
+router.delete('/:familyId/invitations/:invitationId',
+  [
+    familyIdParam,
+    param('invitationId').isUUID().withMessage('Invalid invitation ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return familyNotFound(res);
+      if (!FamilyService.isPrimary(membership.family, req.user.id)) return primaryOnly(res);
+
+      const invitation = await FamilyInvitation.findById(req.params.invitationId, membership.family.id);
+
+      if (!invitation || !invitation.isPending()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked'
+      });
+
+    } catch (error) {
+      logger.error('Error revoking family invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/families/:familyId/members/:userId/profile
+ * @desc    Set a member's name and dietary profile (allergies, dietary restrictions,
+ *          health conditions). Their analyses are checked against it.
+ * @access  Private - primary member, or the member themselves
+ */
+router.put('/:familyId/members/:userId/profile',
+  [
+    familyIdParam,
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    memberNameField('memberName').optional(),
+    profileListField('allergies'),
+    profileListField('dietaryRestrictions'),
+    profileListField('healthConditions'),
+    body(['allergies.*', 'dietaryRestrictions.*', 'healthConditions.*'])
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Profile entries must be between 1 and 100 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return familyNotFound(res);
+
+      const isSelf = req.params.userId === req.user.id;
+      if (!isSelf && !FamilyService.isPrimary(membership.family, req.user.id)) return primaryOnly(res);
+
+      const member = isSelf
+        ? membership.member
+        : await FamilyMember.find(membership.family.id, req.params.userId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      const { memberName, allergies, dietaryRestrictions, healthConditions } = req.body;
+      if (memberName) member.memberName = memberName;
+      member.setDietaryProfile({
+        ...(allergies && { allergies }),
+        ...(dietaryRestrictions && { dietaryRestrictions }),
+        ...(healthConditions && { healthConditions })
+      });
+
+      const saved = await member.save();
+
+      res.json({
+        success: true,
+        message: 'Member profile updated',
+        data: { member: saved.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error updating family member profile:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update member profile',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/families/:familyId/members/:userId
+ * @desc    Remove a member, or leave the family when :userId is the user
+ * @access  Private - primary member, or the member themselves
+ */
+router.delete('/:familyId/members/:userId',
+  [
+    familyIdParam,
+    param('userId').isUUID().withMessage('Invalid user ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return familyNotFound(res);
+
+      const leaving = req.params.userId === req.user.id;
+      if (!leaving && !FamilyService.isPrimary(membership.family, req.user.id)) return primaryOnly(res);
+
+      if (FamilyService.isPrimary(membership.family, req.params.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'The primary member cannot leave; dissolve the family instead'
+        });
+      }
+
+      const member = leaving
+        ? membership.member
+        : await FamilyMember.find(membership.family.id, req.params.userId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      await member.leave();
+
+      res.json({
+        success: true,
+        message: leaving ? 'You left the family' : 'Member removed'
+      });
+
+    } catch (error) {
+      logger.error('Error removing family member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove member',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/families/:familyId/history
+ * @desc    Household safety history: every member's analyses, newest first
+ * @access  Private - primary member
+ */
+router.get('/:familyId/history',
+  [
+    familyIdParam,
+    query('memberId').optional().isUUID().withMessage('Invalid member ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return familyNotFound(res);
+      if (!FamilyService.isPrimary(membership.family, req.user.id)) return primaryOnly(res);
+
+      const { memberId, page = 1, limit = 20 } = req.query;
+
+      const history = await FoodAnalysis.getHouseholdHistory(membership.family.id, {
+        memberId,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      // Other members' analyses are shown as shared ones, without alerts from their own profile
+      const analyses = history.analyses.map(analysis => ({
+        ...(analysis.userId === req.user.id ? analysis.toJSON() : ShareService.toSharedJSON(analysis)),
+        familyMember: analysis.familyMember
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          analyses,
+          pagination: history.pagination
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting household history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve household history',
+        error: error.message
+      });
+    }
+  }
+);
+
+export default router;
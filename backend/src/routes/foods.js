@@ -0,0 +1,609 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import { body, param, query, validationResult } from 'express-validator';
+import FoodItem, { DIET_TAGS, FOOD_ITEM_STATUSES } from '../models/FoodItem.js';
+import FoodImportService from '../services/FoodImportService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { enforceTwoFactor } from '../middleware/twoFactor.js';
+import RoleService from '../services/RoleService.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Nutrition datasets are parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.json'].includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new Error('Only CSV and JSON files can be imported'));
+  }
+});
+
+const LEVELS = ['low', 'medium', 'high'];
+
+// Catalogue curators see items in every status and publish without review
+const isCurator = (req) => RoleService.can(req.user?.role, 'manage_food_catalogue');
+
+/**
+ * Body validation for creating (all required fields) or updating (all optional) an item
+ */
+const foodItemValidation = (isUpdate = false) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Name must be between 1 and 200 characters'),
+  body(['category', 'subcategory'])
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Category cannot exceed 100 characters'),
+  body('recognitionLabel')
+    .optional({ nullable: true })
+    .matches(/^[a-z0-9_]{1,100}$/)
+    .withMessage('Recognition label must be lower-case letters, digits and underscores'),
+  body('aliases')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Aliases must be an array'),
+  body('aliases.*.name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each alias needs a name'),
+  body('aliases.*.language')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 10 })
+    .withMessage('Alias language must be a language code such as hi or ta'),
+  body('nutrition')
+    .optional()
+    .isObject()
+    .withMessage('Nutrition must be an object of per-100g values'),
+  body('nutrition.*')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Nutrition values must be non-negative numbers'),
+  body('glycemicIndex')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Glycemic index must be between 0 and 100'),
+  body(['glycemicLoad', 'shelfLifeDays'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Glycemic load and shelf life must be non-negative numbers'),
+  body(['dietaryFiber', 'oxalateLevel', 'purineLevel'])
+    .optional({ nullable: true })
+    .isIn(LEVELS)
+    .withMessage('Levels must be low, medium or high'),
+  body('cookingDifficulty')
+    .optional({ nullable: true })
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Cooking difficulty must be easy, medium or hard'),
+  body(['allergens', 'safetyWarnings', 'colorRange', 'textureCharacteristics'])
+    .optional()
+    .isArray()
+    .withMessage('Allergens, safety warnings, colour range and texture must be arrays'),
+  body('dietTags')
+    .optional()
+    .isArray()
+    .withMessage('Diet tags must be an array'),
+  body('dietTags.*')
+    .isIn(DIET_TAGS)
+    .withMessage(`Diet tags must be among ${DIET_TAGS.join(', ')}`),
+  body(['imageUrl', 'thumbnailUrl'])
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Image URLs cannot exceed 500 characters')
+];
+
+/**
+ * @route   GET /api/foods
+ * @desc    Search the food catalogue by name or alias in any language ("bhindi", "okra")
+ * @access  Private (admins may filter by any status)
+ */
+router.get('/',
+  authenticateToken,
+  [
+    query('q').optional().isString().trim().isLength({ max: 100 }),
+    query('category').optional().isString().trim(),
+    query('status')
+      .optional()
+      .isIn([...FOOD_ITEM_STATUSES, 'all'])
+      .withMessage(`Status must be one of ${FOOD_ITEM_STATUSES.join(', ')} or all`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { q, category, page = 1, limit = 20 } = req.query;
+      const status = isCurator(req) ? (req.query.status || 'active') : 'active';
+
+      const { items, total } = await FoodItem.search({
+        q,
+        category,
+        status: status === 'all' ? null : status,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          items: items.map(item => item.toJSON(isCurator(req))),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error searching food catalogue:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search food catalogue',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/foods/review
+ * @desc    Submissions and imported items waiting for review, oldest first
+ * @access  Admin
+ */
+router.get('/review',
+  authenticateToken,
+  requirePermission('manage_food_catalogue'),
+  enforceTwoFactor,
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 50 } = req.query;
+
+      const { items, total } = await FoodItem.search({
+        status: 'pending_review',
+        page: parseInt(page),
+        limit: parseInt(limit),
+        oldestFirst: true
+      });
+
+      res.json({
+        success: true,
+        data: {
+          items: items.map(item => item.toJSON(true)),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting food review queue:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve review queue',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/foods/import
+ * @desc    Bulk import a CSV or JSON nutrition dataset (file upload or JSON `items`).
+ *          Items matching an earlier import of the same source are updated.
+ * @access  Admin
+ */
+router.post('/import',
+  authenticateToken,
+  requirePermission('manage_food_catalogue'),
+  enforceTwoFactor,
+  upload.single('file'),
+  [
+    body('source')
+      .isString()
+      .trim()
+      .matches(/^[a-z0-9_.-]{1,100}$/i)
+      .withMessage('Source must name the dataset, e.g. ifct_2017'),
+    body('status')
+      .optional()
+      .isIn(['pending_review', 'active'])
+      .withMessage('Imported items can start as pending_review or active'),
+    body('items')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Items must be a non-empty array')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { source, status = 'pending_review' } = req.body;
+
+      let records = req.body.items;
+      if (req.file) {
+        const format = path.extname(req.file.originalname).toLowerCase().slice(1);
+        records = FoodImportService.parse(req.file.buffer.toString('utf8'), format);
+      }
+
+      if (!records) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide a CSV or JSON file, or an items array'
+        });
+      }
+
+      const summary = await FoodImportService.importRecords(records, {
+        source,
+        status,
+        submittedBy: req.user.id
+      });
+
+      res.status(summary.created > 0 ? 201 : 200).json({
+        success: true,
+        message: `Imported ${summary.created + summary.updated} of ${summary.total} items`,
+        data: summary
+      });
+
+    } catch (error) {
+      if (error.code === 'INVALID_IMPORT' || error instanceof SyntaxError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Error importing food dataset:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import food dataset',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/foods/:id
+ * @desc    Get a food item. Users see active items and their own submissions.
+ * @access  Private
+ */
+router.get('/:id',
+  authenticateToken,
+  [
+    param('id').isUUID().withMessage('Invalid food item ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const item = await FoodItem.findById(req.params.id);
+
+      if (!item || (!isCurator(req) && item.status !== 'active' && item.submittedBy !== req.user.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Food item not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          item: item.toJSON(isCurator(req) || item.submittedBy === req.user.id)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting food item:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve food item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/foods
+ * @desc    Add a food item. User submissions wait for review; admins may publish directly.
+ * @access  Private
+ */
+router.post('/',
+  authenticateToken,
+  [
+    ...foodItemValidation(),
+    body('status')
+      .optional()
+      .isIn(['pending_review', 'active'])
+      .withMessage('New items can be pending_review or active')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const status = isCurator(req) ? (req.body.status || 'active') : 'pending_review';
+
+      const item = await new FoodItem({ status, submittedBy: req.user.id })
+        .applyChanges(req.body)
+        .save();
+
+      logger.info(`Food item ${item.id} created by ${req.user.id} (${status})`);
+
+      res.status(201).json({
+        success: true,
+        message: status === 'active' ? 'Food item created' : 'Food item submitted for review',
+        data: {
+          item: item.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Another food item already uses this recognition label'
+        });
+      }
+
+      logger.error('Error creating food item:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create food item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/foods/:id
+ * @desc    Curate a food item
+ * @access  Admin
+ */
+router.put('/:id',
+  authenticateToken,
+  requirePermission('manage_food_catalogue'),
+  enforceTwoFactor,
+  [
+    param('id').isUUID().withMessage('Invalid food item ID'),
+    ...foodItemValidation(true),
+    body('status')
+      .optional()
+      .isIn(['active', 'inactive', 'deprecated'])
+      .withMessage('Status can be set to active, inactive or deprecated; use review for pending items')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const item = await FoodItem.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Food item not found'
+        });
+      }
+
+      item.applyChanges(req.body);
+      if (req.body.status) item.status = req.body.status;
+
+      const updatedItem = await item.save();
+
+      res.json({
+        success: true,
+        message: 'Food item updated successfully',
+        data: {
+          item: updatedItem.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Another food item already uses this recognition label'
+        });
+      }
+
+      logger.error('Error updating food item:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update food item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/foods/:id/review
+ * @desc    Approve or reject a pending food item
+ * @access  Admin
+ */
+router.post('/:id/review',
+  authenticateToken,
+  requirePermission('manage_food_catalogue'),
+  enforceTwoFactor,
+  [
+    param('id').isUUID().withMessage('Invalid food item ID'),
+    body('decision')
+      .isIn(['approve', 'reject'])
+      .withMessage('Decision must be approve or reject'),
+    body('notes')
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const item = await FoodItem.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Food item not found'
+        });
+      }
+
+      const reviewedItem = await item.review(req.body.decision, req.user.id, req.body.notes);
+
+      logger.info(`Food item ${item.id} ${reviewedItem.status} by ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: `Food item ${req.body.decision === 'approve' ? 'approved' : 'rejected'}`,
+        data: {
+          item: reviewedItem.toJSON(true)
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'NOT_PENDING_REVIEW') {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      logger.error('Error reviewing food item:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review food item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/foods/:id
+ * @desc    Deprecate a food item. Analyses linked to it keep their link.
+ * @access  Admin
+ */
+router.delete('/:id',
+  authenticateToken,
+  requirePermission('manage_food_catalogue'),
+  enforceTwoFactor,
+  [
+    param('id').isUUID().withMessage('Invalid food item ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const item = await FoodItem.findById(req.params.id);
+
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Food item not found'
+        });
+      }
+
+      item.status = 'deprecated';
+      await item.save();
+
+      res.json({
+        success: true,
+        message: 'Food item deprecated successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error deprecating food item:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to deprecate food item',
+        error: error.message
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,501 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import FoodAnalysis from '../models/FoodAnalysis.js';
+import FoodItem from '../models/FoodItem.js';
+import NutritionGoal, { NUTRITION_GOALS } from '../models/NutritionGoal.js';
+import NutritionLogEntry, { MEAL_TYPES, toLocalDate } from '../models/NutritionLogEntry.js';
+import User from '../models/User.js';
+import NutritionTargetService from '../services/NutritionTargetService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateSubscription } from '../middleware/subscription.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Body profile, goals and the targets computed from them
+ */
+const loadTargets = async (userId) => {
+  const [profile, goals] = await Promise.all([
+    User.getBodyProfile(userId),
+    NutritionGoal.findByUserId(userId)
+  ]);
+
+  return { profile, goals, targets: NutritionTargetService.computeTargets(profile || {}, goals) };
+};
+
+/**
+ * Targets need a complete body profile; tell the user which fields are missing
+ */
+const incompleteProfileResponse = (res, error) => res.status(422).json({
+  success: false,
+  message: error.message,
+  code: error.code,
+  missing: error.missing
+});
+
+/**
+ * @route   POST /api/nutrition/log
+ * @desc    Log a serving of an analysed dish or a catalogue item
+ * @access  Private - advancedNutrition
+ */
+router.post('/log',
+  authenticateToken,
+  validateSubscription(['advancedNutrition']),
+  [
+    body('analysisId').optional().isUUID().withMessage('Invalid analysis ID'),
+    body('foodItemId').optional().isUUID().withMessage('Invalid food item ID'),
+    body().custom(({ analysisId, foodItemId }) => Boolean(analysisId) !== Boolean(foodItemId))
+      .withMessage('Provide either analysisId or foodItemId'),
+    body('servingGrams')
+      .isFloat({ min: 1, max: 5000 })
+      .withMessage('Serving must be between 1 and 5000 grams'),
+    body('mealType')
+      .optional()
+      .isIn(MEAL_TYPES)
+      .withMessage(`Meal type must be one of ${MEAL_TYPES.join(', ')}`),
+    body('consumedAt')
+      .optional()
+      .isISO8601()
+      .withMessage('consumedAt must be an ISO 8601 date')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { analysisId, foodItemId, servingGrams, mealType } = req.body;
+      const consumedAt = req.body.consumedAt ? new Date(req.body.consumedAt) : new Date();
+      let source;
+
+      if (analysisId) {
+        const analysis = await FoodAnalysis.findById(analysisId, req.user.id);
+        if (!analysis) {
+          return res.status(404).json({
+            success: false,
+            message: 'Analysis not found'
+          });
+        }
+
+        if (analysis.processingStatus !== 'completed') {
+          return res.status(409).json({
+            success: false,
+            message: 'Only completed analyses can be logged'
+          });
+        }
+
+        source = {
+          analysisId: analysis.id,
+          foodItemId: analysis.foodItemId,
+          foodName: analysis.foodName,
+          ...NutritionLogEntry.nutritionFromAnalysis(analysis)
+        };
+      } else {
+        const foodItem = await FoodItem.findById(foodItemId);
+        if (!foodItem || foodItem.status !== 'active') {
+          return res.status(404).json({
+            success: false,
+            message: 'Food item not found'
+          });
+        }
+
+        source = {
+          foodItemId: foodItem.id,
+          foodName: foodItem.name,
+          nutritionSource: 'food_items',
+          per100g: foodItem.nutrition
+        };
+      }
+
+      const profile = await User.getBodyProfile(req.user.id);
+      const entry = await NutritionLogEntry.build({
+        ...source,
+        userId: req.user.id,
+        servingGrams: parseFloat(servingGrams),
+        mealType,
+        consumedAt,
+        timezone: profile?.timezone
+      }).save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Food logged successfully',
+        data: { entry: entry.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error logging food:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to log food',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/nutrition/log
+ * @desc    Entries logged on a day (default: today in the user's timezone)
+ * @access  Private - advancedNutrition
+ */
+router.get('/log',
+  authenticateToken,
+  validateSubscription(['advancedNutrition']),
+  [
+    query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const profile = await User.getBodyProfile(req.user.id);
+      const date = req.query.date || toLocalDate(new Date(), profile?.timezone);
+      const entries = await NutritionLogEntry.findByDateRange(req.user.id, date, date);
+
+      res.json({
+        success: true,
+        data: {
+          date,
+          entries: entries.map(entry => entry.toJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching nutrition log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch nutrition log',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/nutrition/log/:id
+ * @desc    Remove a logged entry
+ * @access  Private - advancedNutrition
+ */
+router.delete('/log/:id',
+  authenticateToken,
+  validateSubscription(['advancedNutrition']),
+  [
+    param('id').isUUID().withMessage('Invalid log entry ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const entry = await NutritionLogEntry.findById(req.params.id, req.user.id);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Log entry not found'
+        });
+      }
+
+      await entry.delete();
+
+      res.json({
+        success: true,
+        message: 'Log entry deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error deleting nutrition log entry:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete log entry',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/nutrition/targets
+ * @desc    Daily targets from BMR/TDEE, goals and macro split
+ * @access  Private - advancedNutrition
+ */
+router.get('/targets',
+  authenticateToken,
+  validateSubscription(['advancedNutrition']),
+  async (req, res) => {
+    try {
+      const { goals, targets } = await loadTargets(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          goals: goals.toJSON(),
+          targets
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INCOMPLETE_PROFILE') return incompleteProfileResponse(res, error);
+
+      logger.error('Error computing nutrition targets:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute nutrition targets',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/nutrition/goals
+ * @desc    Set the weight goal, macro split and optional overrides
+ * @access  Private - advancedNutrition
+ */
+router.put('/goals',
+  authenticateToken,
+  validateSubscription(['advancedNutrition']),
+  [
+    body('goal')
+      .optional()
+      .isIn(NUTRITION_GOALS)
+      .withMessage(`Goal must be one of ${NUTRITION_GOALS.join(', ')}`),
+    body('calorieTarget')
+      .optional({ nullable: true })
+      .isInt({ min: 800, max: 6000 })
+      .withMessage('Calorie target must be between 800 and 6000')
+      .toInt(),
+    body(['proteinPercent', 'carbsPercent', 'fatPercent'])
+      .optional()
+      .isInt({ min: 5, max: 80 })
+      .withMessage('Macro shares must be between 5 and 80 percent')
+      .toInt(),
+    body('sodiumLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 500, max: 5000 })
+      .withMessage('Sodium limit must be between 500 and 5000 mg')
+      .toInt(),
+    body('sugarLimit')
+      .optional({ nullable: true })
+      .isInt({ min: 0, max: 200 })
+      .withMessage('Sugar limit must be between 0 and 200 g')
+      .toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const goals = await NutritionGoal.findByUserId(req.user.id);
+      for (const field of ['goal', 'calorieTarget', 'proteinPercent', 'carbsPercent', 'fatPercent', 'sodiumLimit', 'sugarLimit']) {
+        if (req.body[field] !== undefined) goals[field] = req.body[field];
+      }
+
+      if (goals.proteinPercent + goals.carbsPercent + goals.fatPercent !== 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Protein, carbs and fat shares must add up to 100 percent'
+        });
+      }
+
+      const saved = await goals.save();
+
+      res.json({
+        success: true,
+        message: 'Nutrition goals updated successfully',
+        data: { goals: saved.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error updating nutrition goals:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update nutrition goals',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/nutrition/budget
+ * @desc    Remaining calorie, macro, sodium and sugar budget for a day, with its macro balance
+ * @access  Private - advancedNutrition
+ */
+router.get('/budget',
+  authenticateToken,
+  validateSubscription(['advancedNutrition']),
+  [
+    query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be YYYY-MM-DD')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { profile, goals, targets } = await loadTargets(req.user.id);
+      const date = req.query.date || toLocalDate(new Date(), profile.timezone);
+      const [totals = {}] = await NutritionLogEntry.getDailyTotals(req.user.id, date, date);
+
+      res.json({
+        success: true,
+        data: {
+          date,
+          entries: totals.entries || 0,
+          budget: NutritionTargetService.remainingBudget(targets, totals),
+          macroBalance: NutritionTargetService.macroBalance(totals, goals)
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INCOMPLETE_PROFILE') return incompleteProfileResponse(res, error);
+
+      logger.error('Error computing nutrition budget:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to compute nutrition budget',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/nutrition/weekly
+ * @desc    Seven days of intake from `start` (default: the last seven days) vs targets
+ * @access  Private - advancedNutrition, historicalTracking
+ */
+router.get('/weekly',
+  authenticateToken,
+  validateSubscription(['advancedNutrition', 'historicalTracking']),
+  [
+    query('start').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Start must be YYYY-MM-DD')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { profile, goals, targets } = await loadTargets(req.user.id);
+      const startDate = req.query.start ||
+        NutritionTargetService.addDays(toLocalDate(new Date(), profile.timezone), -6);
+      const endDate = NutritionTargetService.addDays(startDate, 6);
+      const days = await NutritionLogEntry.getDailyTotals(req.user.id, startDate, endDate);
+      const summary = NutritionTargetService.summarize(days, targets);
+
+      res.json({
+        success: true,
+        data: {
+          startDate,
+          endDate,
+          targets,
+          days,
+          ...summary,
+          macroBalance: NutritionTargetService.macroBalance(summary.totals, goals)
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INCOMPLETE_PROFILE') return incompleteProfileResponse(res, error);
+
+      logger.error('Error fetching weekly nutrition:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch weekly nutrition',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/nutrition/trends
+ * @desc    Daily sodium and sugar over the last `days` days against their limits
+ * @access  Private - advancedNutrition, historicalTracking
+ */
+router.get('/trends',
+  authenticateToken,
+  validateSubscription(['advancedNutrition', 'historicalTracking']),
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 7, max: 90 })
+      .withMessage('Days must be between 7 and 90')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { profile, targets } = await loadTargets(req.user.id);
+      const days = parseInt(req.query.days || 30);
+      const endDate = toLocalDate(new Date(), profile.timezone);
+      const startDate = NutritionTargetService.addDays(endDate, -(days - 1));
+      const dailyTotals = await NutritionLogEntry.getDailyTotals(req.user.id, startDate, endDate);
+
+      res.json({
+        success: true,
+        data: {
+          startDate,
+          endDate,
+          ...NutritionTargetService.sodiumSugarTrends(dailyTotals, targets, startDate, endDate)
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'INCOMPLETE_PROFILE') return incompleteProfileResponse(res, error);
+
+      logger.error('Error fetching sodium and sugar trends:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sodium and sugar trends',
+        error: error.message
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,876 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import Organisation from '../models/Organisation.js';
+import OrganisationMember from '../models/OrganisationMember.js';
+import OrganisationInvitation from '../models/OrganisationInvitation.js';
+import Outlet from '../models/Outlet.js';
+import User from '../models/User.js';
+import OrganisationService from '../services/OrganisationService.js';
+import EmailService from '../services/EmailService.js';
+import SubscriptionService from '../services/SubscriptionService.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { validateSubscription, validateLocationLimit } from '../middleware/subscription.js';
+import { enforceTwoFactor } from '../middleware/twoFactor.js';
+import logger from '../utils/logger.js';
+
+const router = express.Router();
+
+// Members of business and enterprise organisations must use two-factor login
+router.use(authenticateToken, enforceTwoFactor);
+
+/**
+ * The organisation in :organisationId with the user's membership, or null if the
+ * user isn't a member
+ */
+const findMembership = async (req) => {
+  const [organisation, member] = await Promise.all([
+    Organisation.findById(req.params.organisationId),
+    OrganisationMember.find(req.params.organisationId, req.user.id)
+  ]);
+
+  return organisation && member ? { organisation, member } : null;
+};
+
+const organisationNotFound = res => res.status(404).json({
+  success: false,
+  message: 'Organisation not found'
+});
+
+const forbidden = res => res.status(403).json({
+  success: false,
+  message: 'Your role in this organisation does not allow this'
+});
+
+const organisationIdParam = param('organisationId').isUUID().withMessage('Invalid organisation ID');
+
+const outletFields = [
+  body('fssaiLicenseNumber')
+    .optional({ nullable: true })
+    .matches(/^\d{14}$/)
+    .withMessage('FSSAI licence number must be 14 digits'),
+  body('address')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Address must be at most 1000 characters')
+];
+
+/**
+ * Outlet IDs given for a staff member that aren't outlets of the organisation
+ */
+const unknownOutletIds = async (organisationId, outletIds) => {
+  const outlets = await Outlet.findByOrganisations([organisationId]);
+  const known = new Set(outlets.map(outlet => outlet.id));
+  return outletIds.filter(id => !known.has(id));
+};
+
+/**
+ * @route   POST /api/organisations
+ * @desc    Create an organisation owned by the user
+ * @access  Private - complianceReports
+ */
+router.post('/',
+  validateSubscription(['complianceReports']),
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Organisation name must be between 1 and 200 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const organisation = await new Organisation({ name: req.body.name, ownerId: req.user.id }).create();
+
+      res.status(201).json({
+        success: true,
+        message: 'Organisation created',
+        data: { organisation: { ...organisation.toJSON(), role: 'owner' } }
+      });
+
+    } catch (error) {
+      logger.error('Error creating organisation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create organisation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/organisations
+ * @desc    Organisations the user belongs to, with their role
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const organisations = await Organisation.findForUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: { organisations }
+    });
+
+  } catch (error) {
+    logger.error('Error getting organisations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve organisations',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/organisations/invitations/accept
+ * @desc    Join an organisation with an invitation token sent to the user's email
+ * @access  Private
+ */
+router.post('/invitations/accept',
+  [
+    body('token')
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid invitation token')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await OrganisationInvitation.findByToken(req.body.token);
+
+      if (!invitation || !invitation.isPending()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found or expired'
+        });
+      }
+
+      if (invitation.email !== (req.user.email || '').toLowerCase()) {
+        return res.status(403).json({
+          success: false,
+          message: 'This invitation was sent to a different email address'
+        });
+      }
+
+      const organisation = await Organisation.findById(invitation.organisationId);
+      if (!organisation) return organisationNotFound(res);
+
+      const existing = await OrganisationMember.find(organisation.id, req.user.id);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'You are already a member of this organisation'
+        });
+      }
+
+      const member = await new OrganisationMember({
+        organisationId: organisation.id,
+        userId: req.user.id,
+        role: invitation.role,
+        outletIds: invitation.outletIds
+      }).save();
+
+      invitation.acceptedAt = new Date();
+      await invitation.save();
+
+      res.status(201).json({
+        success: true,
+        message: `You joined ${organisation.name}`,
+        data: {
+          organisation: organisation.toJSON(),
+          member: member.toJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error accepting organisation invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept invitation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/organisations/:organisationId
+ * @desc    Organisation with its outlets and members
+ * @access  Private - members
+ */
+router.get('/:organisationId',
+  [organisationIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+
+      const { organisation, member } = membership;
+      const [outlets, members, tier] = await Promise.all([
+        Outlet.findByOrganisations([organisation.id]),
+        OrganisationMember.findByOrganisation(organisation.id),
+        OrganisationService.getTier(organisation)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          organisation: organisation.toJSON(),
+          role: member.role,
+          outlets: outlets
+            .filter(outlet => OrganisationService.canAccessOutlet(member, outlet))
+            .map(outlet => outlet.toJSON()),
+          members: members.map(organisationMember => organisationMember.toJSON()),
+          locationLimit: SubscriptionService.getLimit(tier, 'locations')
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error getting organisation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve organisation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/organisations/:organisationId
+ * @desc    Rename an organisation
+ * @access  Private - owner
+ */
+router.put('/:organisationId',
+  [
+    organisationIdParam,
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Organisation name must be between 1 and 200 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+      if (!OrganisationService.can(membership.member, 'manage_organisation')) return forbidden(res);
+
+      const { organisation } = membership;
+      organisation.name = req.body.name;
+      const saved = await organisation.save();
+
+      res.json({
+        success: true,
+        message: 'Organisation updated',
+        data: { organisation: saved.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error updating organisation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update organisation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/organisations/:organisationId/outlets
+ * @desc    Add an outlet, within the owner's location limit
+ * @access  Private - owner
+ */
+router.post('/:organisationId/outlets',
+  validateLocationLimit(),
+  [
+    organisationIdParam,
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Outlet name must be between 1 and 200 characters'),
+    ...outletFields
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+      if (!OrganisationService.can(membership.member, 'manage_outlets')) return forbidden(res);
+
+      const { name, fssaiLicenseNumber, address } = req.body;
+      const outlet = await new Outlet({
+        organisationId: membership.organisation.id,
+        ownerId: membership.organisation.ownerId,
+        name,
+        fssaiLicenseNumber,
+        address
+      }).save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Outlet created',
+        data: { outlet: outlet.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error creating outlet:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create outlet',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/organisations/:organisationId/outlets/:outletId
+ * @desc    Update an outlet's name, FSSAI licence number or address
+ * @access  Private - owner
+ */
+router.put('/:organisationId/outlets/:outletId',
+  [
+    organisationIdParam,
+    param('outletId').isUUID().withMessage('Invalid outlet ID'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Outlet name must be between 1 and 200 characters'),
+    ...outletFields
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+      if (!OrganisationService.can(membership.member, 'manage_outlets')) return forbidden(res);
+
+      const outlet = await Outlet.findById(req.params.outletId);
+      if (!outlet || outlet.organisationId !== membership.organisation.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Outlet not found'
+        });
+      }
+
+      const { name, fssaiLicenseNumber, address } = req.body;
+      if (name) outlet.name = name;
+      if (fssaiLicenseNumber !== undefined) outlet.fssaiLicenseNumber = fssaiLicenseNumber;
+      if (address !== undefined) outlet.address = address;
+      const saved = await outlet.save();
+
+      res.json({
+        success: true,
+        message: 'Outlet updated',
+        data: { outlet: saved.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error updating outlet:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update outlet',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/organisations/:organisationId/outlets/:outletId
+ * @desc    Close an outlet. Its analyses and compliance history are kept.
+ * @access  Private - owner
+ */
+router.delete('/:organisationId/outlets/:outletId',
+  [
+    organisationIdParam,
+    param('outletId').isUUID().withMessage('Invalid outlet ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+      if (!OrganisationService.can(membership.member, 'manage_outlets')) return forbidden(res);
+
+      const outlet = await Outlet.findById(req.params.outletId);
+      if (!outlet || outlet.organisationId !== membership.organisation.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Outlet not found'
+        });
+      }
+
+      outlet.isActive = false;
+      await outlet.save();
+
+      res.json({
+        success: true,
+        message: 'Outlet closed'
+      });
+
+    } catch (error) {
+      logger.error('Error closing outlet:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to close outlet',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/organisations/:organisationId/invitations
+ * @desc    Invite someone by email. Owners invite managers and staff, managers invite staff.
+ * @access  Private - owner, manager
+ */
+router.post('/:organisationId/invitations',
+  [
+    organisationIdParam,
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Valid email is required'),
+    body('role')
+      .isIn(['manager', 'staff'])
+      .withMessage('Role must be manager or staff'),
+    body('outletIds')
+      .optional()
+      .isArray()
+      .withMessage('outletIds must be an array'),
+    body('outletIds.*').isUUID().withMessage('Invalid outlet ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+
+      const { email, role } = req.body;
+      if (!OrganisationService.can(membership.member, role === 'manager' ? 'invite_managers' : 'invite_staff')) {
+        return forbidden(res);
+      }
+
+      // Managers cover every outlet; staff need at least one
+      const outletIds = role === 'staff' ? [...new Set(req.body.outletIds || [])] : [];
+      if (role === 'staff') {
+        const unknown = outletIds.length === 0 ? null : await unknownOutletIds(membership.organisation.id, outletIds);
+
+        if (!unknown || unknown.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Staff must be assigned to at least one outlet of this organisation',
+            unknownOutletIds: unknown || []
+          });
+        }
+      }
+
+      const { invitation, token } = await OrganisationInvitation.create({
+        organisationId: membership.organisation.id,
+        email,
+        role,
+        outletIds,
+        invitedBy: req.user.id
+      });
+
+      // The invitee's language isn't known yet; the inviter's is the best guess
+      const inviter = await User.getContactDetails(req.user.id);
+      await EmailService.enqueue('organisationInvitation', invitation.email, {
+        organisationName: membership.organisation.name,
+        inviterName: inviter?.firstName,
+        role,
+        acceptUrl: EmailService.appUrl('/invitations/organisation', { token }),
+        expiresAt: invitation.expiresAt
+      }, { language: inviter?.language });
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation created for ${invitation.email}`,
+        data: {
+          invitation: invitation.toJSON(),
+          token
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating organisation invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create invitation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/organisations/:organisationId/invitations
+ * @desc    Invitations that haven't been accepted, revoked or expired
+ * @access  Private - owner, manager
+ */
+router.get('/:organisationId/invitations',
+  [organisationIdParam],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+      if (!OrganisationService.can(membership.member, 'invite_staff')) return forbidden(res);
+
+      const invitations = await OrganisationInvitation.findPending(membership.organisation.id);
+
+      res.json({
+        success: true,
+        data: { invitations: invitations.map(invitation => invitation.toJSON()) }
+      });
+
+    } catch (error) {
+      logger.error('Error getting organisation invitations:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve invitations',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/organisations/:organisationId/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private - owner, manager (staff invitations only)
+ */
+router.delete('/:organisationId/invitations/:invitationId',
+  [
+    organisationIdParam,
+    param('invitationId').isUUID().withMessage('Invalid invitation ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+
+      const invitation = await OrganisationInvitation.findById(req.params.invitationId, membership.organisation.id);
+
+      if (!invitation || !invitation.isPending()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (!OrganisationService.can(membership.member, invitation.role === 'manager' ? 'invite_managers' : 'invite_staff')) {
+        return forbidden(res);
+      }
+
+      invitation.revokedAt = new Date();
+      await invitation.save();
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked'
+      });
+
+    } catch (error) {
+      logger.error('Error revoking organisation invitation:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke invitation',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/organisations/:organisationId/members/:userId
+ * @desc    Change a member's role or the outlets a staff member works at
+ * @access  Private - owner
+ */
+router.put('/:organisationId/members/:userId',
+  [
+    organisationIdParam,
+    param('userId').isUUID().withMessage('Invalid user ID'),
+    body('role')
+      .optional()
+      .isIn(['manager', 'staff'])
+      .withMessage('Role must be manager or staff'),
+    body('outletIds')
+      .optional()
+      .isArray()
+      .withMessage('outletIds must be an array'),
+    body('outletIds.*').isUUID().withMessage('Invalid outlet ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+      if (!OrganisationService.can(membership.member, 'manage_members')) return forbidden(res);
+
+      const member = await OrganisationMember.find(membership.organisation.id, req.params.userId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      if (member.role === 'owner') {
+        return res.status(400).json({
+          success: false,
+          message: 'The owner\'s role cannot be changed'
+        });
+      }
+
+      if (req.body.role) member.role = req.body.role;
+      if (req.body.outletIds) member.outletIds = [...new Set(req.body.outletIds)];
+
+      if (member.role === 'staff') {
+        const unknown = member.outletIds.length === 0
+          ? null
+          : await unknownOutletIds(membership.organisation.id, member.outletIds);
+
+        if (!unknown || unknown.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Staff must be assigned to at least one outlet of this organisation',
+            unknownOutletIds: unknown || []
+          });
+        }
+      }
+
+      const saved = await member.save();
+
+      res.json({
+        success: true,
+        message: 'Member updated',
+        data: { member: saved.toJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Error updating organisation member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update member',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/organisations/:organisationId/members/:userId
+ * @desc    Remove a member, or leave the organisation when :userId is the user
+ * @access  Private - owner, or the member themselves
+ */
+router.delete('/:organisationId/members/:userId',
+  [
+    organisationIdParam,
+    param('userId').isUUID().withMessage('Invalid user ID')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+
+      const leaving = req.params.userId === req.user.id;
+      if (!leaving && !OrganisationService.can(membership.member, 'manage_members')) return forbidden(res);
+
+      const member = leaving
+        ? membership.member
+        : await OrganisationMember.find(membership.organisation.id, req.params.userId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found'
+        });
+      }
+
+      if (member.role === 'owner') {
+        return res.status(400).json({
+          success: false,
+          message: 'The owner cannot leave or be removed from the organisation'
+        });
+      }
+
+      await member.delete();
+
+      res.json({
+        success: true,
+        message: leaving ? 'You left the organisation' : 'Member removed'
+      });
+
+    } catch (error) {
+      logger.error('Error removing organisation member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove member',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/organisations/:organisationId/dashboard
+ * @desc    Cross-outlet comparison of safety scores, unsafe analyses and compliance
+ * @access  Private - owner, manager on a multi-location plan
+ */
+router.get('/:organisationId/dashboard',
+  [
+    organisationIdParam,
+    query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const membership = await findMembership(req);
+      if (!membership) return organisationNotFound(res);
+      if (!OrganisationService.can(membership.member, 'view_reports')) return forbidden(res);
+
+      if (!await OrganisationService.hasFeature(membership.organisation, 'multiLocation')) {
+        return res.status(403).json({
+          success: false,
+          message: 'The cross-outlet dashboard needs a multi-location plan',
+          requiredTier: 'business',
+          upgradeAvailable: true
+        });
+      }
+
+      const dashboard = await OrganisationService.buildDashboard(
+        membership.organisation,
+        parseInt(req.query.days || 30)
+      );
+
+      res.json({
+        success: true,
+        data: dashboard
+      });
+
+    } catch (error) {
+      logger.error('Error building organisation dashboard:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build dashboard',
+        error: error.message
+      });
+    }
+  }
+);
+
+export default router;
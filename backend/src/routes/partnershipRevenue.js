@@ -1,10 +1,18 @@
-const express = require('express');
-const PartnershipService = require('../services/PartnershipService');
-const PartnershipRevenue = require('../models/PartnershipRevenue');
-const { body, query, validationResult } = require('express-validator');
+import express from 'express';
+import PartnershipService from '../services/PartnershipService.js';
+import PartnershipRevenue from '../models/PartnershipRevenue.js';
+import { body, query, validationResult } from 'express-validator';
+import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { enforceTwoFactor } from '../middleware/twoFactor.js';
 
 const router = express.Router();
 
+// Partner revenue is internal: analysts and partner managers can read it, only
+// partner managers and admins can record it
+router.use(authenticateToken, requirePermission('view_partnerships'), enforceTwoFactor);
+const canManage = requirePermission('manage_partnerships');
+
 // Middleware to validate request
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -23,7 +31,7 @@ const validate = (req, res, next) => {
  * POST /api/partnerships/ecommerce/commission
  * Record e-commerce commission on safe food sales
  */
-router.post('/ecommerce/commission', [
+router.post('/ecommerce/commission', canManage, [
   body('platform').isIn(['amazon_fresh', 'bigbasket', 'zepto', 'swiggy_instamart', 'blinkit', 'reliance_fresh', 'd_mart']),
   body('orderId').notEmpty(),
   body('amount').isFloat({ min: 0 }),
@@ -116,7 +124,7 @@ router.get('/ecommerce/analytics', [
  * POST /api/partnerships/delivery/commission
  * Record delivery platform commission
  */
-router.post('/delivery/commission', [
+router.post('/delivery/commission', canManage, [
   body('platform').isIn(['swiggy', 'zomato', 'ubereats', 'dunzo']),
   body('orderId').notEmpty(),
   body('restaurantName').notEmpty(),
@@ -156,7 +164,7 @@ router.post('/delivery/commission', [
  * POST /api/partnerships/healthcare/setup
  * Setup healthcare program partnership
  */
-router.post('/healthcare/setup', [
+router.post('/healthcare/setup', canManage, [
   body('partnerId').notEmpty(),
   body('programType').isIn(['hospital_integration', 'insurance_compliance', 'employee_wellness']),
   body('monthlyFee').isFloat({ min: 10000, max: 50000 }),
@@ -229,7 +237,7 @@ router.get('/healthcare/partners', async (req, res) => {
  * POST /api/partnerships/research/report
  * Generate and sell market research report
  */
-router.post('/research/report', [
+router.post('/research/report', canManage, [
   body('buyerId').notEmpty(),
   body('reportType').isIn(['industry_analysis', 'consumer_behavior', 'safety_trends', 'competitive_landscape']),
   body('reportScope').notEmpty(),
@@ -293,7 +301,7 @@ router.get('/research/reports', async (req, res) => {
  * POST /api/partnerships/government/contract
  * Submit government contract proposal
  */
-router.post('/government/contract', [
+router.post('/government/contract', canManage, [
   body('contractId').notEmpty(),
   body('agencyType').isIn(['fssai', 'mohfw', 'state_health', 'municipal']),
   body('contractValue').isFloat({ min: 1000000, max: 10000000 }),
@@ -366,7 +374,7 @@ router.get('/government/contracts', async (req, res) => {
  * POST /api/partnerships/academic/partnership
  * Establish academic research partnership
  */
-router.post('/academic/partnership', [
+router.post('/academic/partnership', canManage, [
   body('institutionId').notEmpty(),
   body('partnershipType').isIn(['research_collaboration', 'student_training', 'faculty_development']),
   body('investmentAmount').isFloat({ min: 200000, max: 2000000 }),
@@ -490,4 +498,4 @@ router.get('/revenue/projections', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+export default router;
\ No newline at end of file
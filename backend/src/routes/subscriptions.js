@@ -4,7 +4,10 @@ import Subscription from '../models/Subscription.js';
 import UsageTracking from '../models/UsageTracking.js';
 import User from '../models/User.js';
 import SubscriptionService from '../services/SubscriptionService.js';
+import db from '../config/database.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/permissions.js';
+import { enforceTwoFactor } from '../middleware/twoFactor.js';
 import logger from '../utils/logger.js';
 import { body, validationResult } from 'express-validator';
 
@@ -48,7 +51,7 @@ router.get('/tiers', (req, res) => {
 // Get user's current subscription
 router.get('/current', authenticateToken, async (req, res) => {
   try {
-    const subscription = await Subscription.findActiveByUserId(req.user.id);
+    const subscription = await Subscription.findEffectiveByUserId(req.user.id);
     
     if (!subscription) {
       return res.json({
@@ -63,6 +66,21 @@ router.get('/current', authenticateToken, async (req, res) => {
       });
     }
 
+    // Members covered by a family plan see its tier, not the primary member's billing
+    if (subscription.coveredByFamily) {
+      return res.json({
+        success: true,
+        data: {
+          subscription: null,
+          tier: subscription.tier,
+          isActive: subscription.isActive(),
+          coveredByFamily: subscription.coveredByFamily,
+          features: SubscriptionService.getTierConfig(subscription.tier).features,
+          limits: SubscriptionService.getTierConfig(subscription.tier).limits
+        }
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -71,7 +89,8 @@ router.get('/current', authenticateToken, async (req, res) => {
         isActive: subscription.isActive(),
         features: subscription.features,
         limits: subscription.usageLimits
-      });
+      }
+    });
   } catch (error) {
     logger.error('Error getting current subscription:', error);
     res.status(500).json({
@@ -98,8 +117,8 @@ router.get('/usage', authenticateToken, async (req, res) => {
     const endDateStr = new Date().toISOString().split('T')[0];
     const periodUsage = await UsageTracking.getUsageRange(userId, resourceType, startDateStr, endDateStr);
 
-    // Get subscription limits
-    const subscription = await Subscription.findActiveByUserId(userId);
+    // Get subscription limits, including a family plan covering the user
+    const subscription = await Subscription.findEffectiveByUserId(userId);
     const currentTier = subscription ? subscription.tier : 'free';
     const limits = SubscriptionService.getTierConfig(currentTier);
 
@@ -396,11 +415,8 @@ router.get('/compare', (req, res) => {
 });
 
 // Admin: Get subscription statistics
-router.get('/admin/stats', authenticateToken, async (req, res) => {
+router.get('/admin/stats', authenticateToken, requirePermission('view_analytics'), enforceTwoFactor, async (req, res) => {
   try {
-    // Check if user is admin (implement admin check based on your requirements)
-    // For now, we'll allow any authenticated user
-    
     const { tier, period = '30' } = req.query;
     
     let query = db('subscriptions').select(
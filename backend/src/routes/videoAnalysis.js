@@ -3,8 +3,13 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs-extra';
 import FoodAnalysis from '../models/FoodAnalysis.js';
+import Subscription from '../models/Subscription.js';
+import UsageTracking from '../models/UsageTracking.js';
+import RealtimeSessionService from '../services/RealtimeSessionService.js';
+import OrganisationService from '../services/OrganisationService.js';
+import SubscriptionService from '../services/SubscriptionService.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { validateSubscription, validateUsageLimit } from '../middleware/subscription.js';
+import { validateSubscription, validateUsageLimit, releaseRequestUsage } from '../middleware/subscription.js';
 import logger from '../utils/logger.js';
 import { body, validationResult } from 'express-validator';
 
@@ -67,7 +72,11 @@ router.post('/analyze',
     body('realTimeAnalysis')
       .optional()
       .isBoolean()
-      .withMessage('Real-time analysis flag must be boolean')
+      .withMessage('Real-time analysis flag must be boolean'),
+    body('outletId')
+      .optional()
+      .isUUID()
+      .withMessage('Invalid outlet ID')
   ],
   async (req, res) => {
     try {
@@ -89,15 +98,25 @@ router.post('/analyze',
       }
 
       const { 
-        foodName = 'Unknown Food',
+        foodName,
         analysisDuration = 30,
         frameRate = 5,
         realTimeAnalysis = false,
         userPreferences = {},
         notes,
-        tags
+        tags,
+        outletId
       } = req.body;
 
+      // Analyses can only be attributed to an outlet the user works at
+      if (outletId && !await OrganisationService.resolveOutletAccess(outletId, req.user.id)) {
+        await releaseRequestUsage(req);
+        return res.status(404).json({
+          success: false,
+          message: 'Outlet not found'
+        });
+      }
+
       logger.info(`Starting video analysis for user ${req.user.id}`);
 
       // Get user's subscription tier
@@ -140,29 +159,22 @@ router.post('/analyze',
       // Add notes and tags if provided
       if (notes) analysisOptions.notes = notes;
       if (tags) analysisOptions.tags = typeof tags === 'string' ? tags.split(',') : tags;
+      if (outletId) analysisOptions.outletId = outletId;
 
-      // Initialize video analysis with ML service
+      // Sample frames, score each with the ML models and build the safety timeline
       try {
-        // In a real implementation, you would:
-        // 1. Extract frames from video
-        // 2. Run ML analysis on each frame
-        // 3. Track changes over time
-        // 4. Provide real-time feedback
-
         const analysis = await FoodAnalysis.performVideoAnalysis(
           req.user.id,
           req.file.path,
           analysisOptions
         );
 
-        // Clean up uploaded file after processing
-        setTimeout(async () => {
-          try {
-            await fs.remove(req.file.path);
-          } catch (error) {
-            logger.warn('Failed to clean up uploaded video file:', error);
-          }
-        }, 10000); // Longer delay for video files
+        // Frames have been extracted, the upload is no longer needed
+        try {
+          await fs.remove(req.file.path);
+        } catch (error) {
+          logger.warn('Failed to clean up uploaded video file:', error);
+        }
 
         logger.info(`Video analysis completed for user ${req.user.id}, analysis ${analysis.id}`);
 
@@ -177,12 +189,14 @@ router.post('/analyze',
               analyzedDuration: analysis.videoAnalysis?.analyzedDuration || 0,
               frameAnalysis: analysis.videoAnalysis?.frameAnalysis || [],
               realTimeFeedback: analysis.videoAnalysis?.realTimeFeedback || [],
-              safetyProgression: analysis.videoAnalysis?.safetyProgression || []
+              safetyProgression: analysis.videoAnalysis?.safetyProgression || [],
+              stateTimeline: analysis.videoAnalysis?.stateTimeline || {},
+              sampledFrameRate: analysis.videoAnalysis?.sampledFrameRate || 0
             },
             results: analysis.toJSON(true),
             safetyBreakdown: analysis.getSafetyBreakdown(),
             safetyReport: analysis.generateSafetyReport(),
-            recommendations: analysis.getRecommendations(),
+            recommendations: analysis.recommendations,
             processingTime: analysis.analysisDuration,
             videoInsights: {
               cookingProcess: analysis.videoAnalysis?.cookingProcess || 'Unknown',
@@ -259,17 +273,17 @@ router.post('/realtime',
         req.user.id,
         realtimeSessionId,
         req.file.path,
-        { foodName }
+        { foodName, userTier: req.userTier }
       );
 
       res.json({
         success: true,
         message: 'Real-time analysis session started',
         data: {
-          sessionId: realtimeSessionId,
-          status: 'active',
+          sessionId: session.sessionId,
+          status: session.status,
           videoUploaded: true,
-          websocketUrl: `/ws/realtime/${realtimeSessionId}` // WebSocket endpoint for real-time updates
+          websocketUrl: `/ws/realtime/${session.sessionId}` // Connect with ?token=<access token> or an Authorization header
         }
       });
 
@@ -285,6 +299,22 @@ router.post('/realtime',
         }
       }
 
+      if (error.code === 'REALTIME_SESSION_LIMIT') {
+        return res.status(429).json({
+          success: false,
+          message: error.message,
+          limit: error.limit,
+          upgradeRequired: true
+        });
+      }
+
+      if (error.code === 'REALTIME_SESSION_EXISTS') {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to start real-time analysis session',
@@ -294,6 +324,46 @@ router.post('/realtime',
   }
 );
 
+/**
+ * @route   DELETE /api/analysis/video/realtime/:sessionId
+ * @desc    End a real-time video analysis session
+ * @access  Private
+ */
+router.delete('/realtime/:sessionId',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const session = await RealtimeSessionService.getSession(req.params.sessionId);
+
+      if (!session || String(session.userId) !== String(req.user.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Real-time session not found'
+        });
+      }
+
+      const summary = await RealtimeSessionService.endSession(req.params.sessionId, 'ended_by_user');
+
+      res.json({
+        success: true,
+        message: 'Real-time analysis session ended',
+        data: {
+          sessionId: req.params.sessionId,
+          summary
+        }
+      });
+
+    } catch (error) {
+      logger.error('End real-time session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to end real-time analysis session',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/analysis/video/usage
  * @desc    Get user's video analysis usage statistics
@@ -306,8 +376,8 @@ router.get('/usage',
       const { days = 30 } = req.query;
       const userId = req.user.id;
 
-      // Get subscription info
-      const subscription = await Subscription.findActiveByUserId(userId);
+      // Get subscription info, including a family plan covering the user
+      const subscription = await Subscription.findEffectiveByUserId(userId);
       const tier = subscription ? subscription.tier : 'free';
       const limits = subscription ? subscription.usageLimits : SubscriptionService.getTierConfig('free').limits;
 
@@ -330,7 +400,7 @@ router.get('/usage',
         success: true,
         data: {
           tier,
-          currentTier,
+          currentTier: tier,
           videoAnalysis: {
             todayUsage: currentUsage,
             dailyLimit: dailyLimit === -1 ? 'unlimited' : dailyLimit,
@@ -25,12 +25,19 @@ import subscriptionRoutes from './routes/subscriptions.js';
 import videoAnalysisRoutes from './routes/videoAnalysis.js';
 import partnershipRoutes from './routes/partnershipRevenue.js';
 import foodRoutes from './routes/foods.js';
+import nutritionRoutes from './routes/nutrition.js';
+import complianceRoutes from './routes/compliance.js';
+import organisationRoutes from './routes/organisations.js';
+import familyRoutes from './routes/families.js';
 import mlRoutes from './routes/ml.js';
 import adminRoutes from './routes/admin.js';
 
 // Import services
 import { initializeMLServices } from './services/mlService.js';
-import { startWorker } from './services/workerService.js';
+import { startWorker, stopWorker } from './services/workerService.js';
+import { attachRealtimeServer, closeRealtimeServer } from './services/realtimeServer.js';
+import EmailService from './services/EmailService.js';
+import { disposeInferenceBackend } from './services/inference/index.js';
 
 // Load environment variables
 dotenv.config();
@@ -184,6 +191,10 @@ app.use('/api/analysis/video', videoAnalysisRoutes);
 app.use('/api/subscriptions', subscriptionRoutes);
 app.use('/api/partnerships', partnershipRoutes);
 app.use('/api/foods', foodRoutes);
+app.use('/api/nutrition', nutritionRoutes);
+app.use('/api/compliance', complianceRoutes);
+app.use('/api/organisations', organisationRoutes);
+app.use('/api/families', familyRoutes);
 app.use('/api/ml', mlRoutes);
 app.use('/api/admin', adminRoutes);
 
@@ -215,8 +226,16 @@ const gracefulShutdown = (signal) => {
   // Close database connection
   logger.info('Closing database connections...');
   
-  // Close Redis connection
-  redisClient.quit().then(() => {
+  // End realtime sessions and stop background workers, then close Redis connection
+  closeRealtimeServer().catch((err) => {
+    logger.error('Error closing realtime server:', err);
+  }).then(() => stopWorker()).catch((err) => {
+    logger.error('Error stopping background worker:', err);
+  }).then(() => EmailService.stop()).catch((err) => {
+    logger.error('Error stopping email sender:', err);
+  }).then(() => disposeInferenceBackend()).catch((err) => {
+    logger.error('Error releasing ML inference backend:', err);
+  }).then(() => redisClient.quit()).then(() => {
     logger.info('Redis connection closed.');
     process.exit(0);
   }).catch((err) => {
@@ -248,6 +267,11 @@ startWorker().then(() => {
   logger.error('❌ Failed to start background worker:', error);
 });
 
+// Send queued transactional email
+EmailService.start().catch((error) => {
+  logger.error('❌ Failed to start email sender:', error);
+});
+
 // Start server
 const server = app.listen(PORT, () => {
   logger.info(`
@@ -261,5 +285,8 @@ const server = app.listen(PORT, () => {
     `);
 });
 
+// Live video analysis over WebSocket
+attachRealtimeServer(server);
+
 // Export app for testing
 export default app;
\ No newline at end of file
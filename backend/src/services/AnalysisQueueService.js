@@ -0,0 +1,241 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { redisClient } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Analysis Queue Service
+ * Durable Redis-backed job queue for food analyses. Only plain list, set, sorted
+ * set and string commands are used so any Redis-compatible server works locally.
+ */
+const queueConfig = {
+  keys: {
+    pending: 'queue:analysis:pending',
+    delayed: 'queue:analysis:delayed',
+    // Ids of workers that may have a processing list, so recovery never scans the keyspace
+    workers: 'queue:analysis:workers',
+    processing: (workerId) => `queue:analysis:processing:${workerId}`,
+    heartbeat: (workerId) => `queue:analysis:heartbeat:${workerId}`,
+    job: (jobId) => `queue:analysis:job:${jobId}`
+  },
+  maxRetries: parseInt(process.env.ANALYSIS_MAX_RETRIES) || 3,
+  retryBackoffMs: parseInt(process.env.ANALYSIS_RETRY_BACKOFF_MS) || 5000,
+  blockTimeoutSeconds: 5,
+  heartbeatTtlSeconds: 30,
+  jobTtlSeconds: 7 * 24 * 60 * 60 // 7 days
+};
+
+class AnalysisQueueService {
+  constructor(client) {
+    this.client = client;
+    this.workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.blockingClients = [];
+  }
+
+  /**
+   * Add a job to the pending queue
+   */
+  async enqueue(jobId, payload) {
+    try {
+      const job = {
+        id: jobId,
+        payload,
+        attempts: 0,
+        enqueuedAt: new Date().toISOString()
+      };
+
+      await this.client.setEx(queueConfig.keys.job(jobId), queueConfig.jobTtlSeconds, JSON.stringify(job));
+      await this.client.lPush(queueConfig.keys.pending, jobId);
+
+      logger.info(`Analysis job enqueued: ${jobId}`);
+      return job;
+    } catch (error) {
+      logger.error(`Error enqueuing analysis job ${jobId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a dedicated connection for blocking reads.
+   * Blocking commands would otherwise stall every other caller of the shared client.
+   */
+  async createBlockingClient() {
+    const client = this.client.duplicate();
+    await client.connect();
+    this.blockingClients.push(client);
+    return client;
+  }
+
+  /**
+   * Wait for the next job and move it to this worker's processing list
+   */
+  async reserve(blockingClient) {
+    const jobId = await blockingClient.blMove(
+      queueConfig.keys.pending,
+      queueConfig.keys.processing(this.workerId),
+      'RIGHT',
+      'LEFT',
+      queueConfig.blockTimeoutSeconds
+    );
+
+    if (!jobId) return null;
+
+    const job = await this.getJob(jobId);
+    if (!job) {
+      // Job data expired or was removed - drop the orphaned id
+      logger.warn(`Analysis job ${jobId} has no payload, discarding`);
+      await this.client.lRem(queueConfig.keys.processing(this.workerId), 1, jobId);
+      return null;
+    }
+
+    return job;
+  }
+
+  /**
+   * Get job data by ID
+   */
+  async getJob(jobId) {
+    const value = await this.client.get(queueConfig.keys.job(jobId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Remove a finished job
+   */
+  async complete(jobId) {
+    await this.client.lRem(queueConfig.keys.processing(this.workerId), 1, jobId);
+    await this.client.del(queueConfig.keys.job(jobId));
+  }
+
+  /**
+   * Schedule a failed job for another attempt with exponential backoff
+   */
+  async retry(job, errorMessage) {
+    const attempts = job.attempts + 1;
+    const delayMs = queueConfig.retryBackoffMs * Math.pow(2, attempts - 1);
+    const updatedJob = {
+      ...job,
+      attempts,
+      lastError: errorMessage,
+      lastFailedAt: new Date().toISOString()
+    };
+
+    await this.client.setEx(queueConfig.keys.job(job.id), queueConfig.jobTtlSeconds, JSON.stringify(updatedJob));
+    await this.client.zAdd(queueConfig.keys.delayed, { score: Date.now() + delayMs, value: job.id });
+    await this.client.lRem(queueConfig.keys.processing(this.workerId), 1, job.id);
+
+    logger.warn(`Analysis job ${job.id} scheduled for retry ${attempts}/${queueConfig.maxRetries} in ${delayMs}ms`);
+    return updatedJob;
+  }
+
+  /**
+   * Whether a job has attempts left
+   */
+  canRetry(job) {
+    return job.attempts < queueConfig.maxRetries;
+  }
+
+  /**
+   * Move delayed jobs whose backoff has elapsed back to the pending queue
+   */
+  async promoteDelayed() {
+    try {
+      const dueJobIds = await this.client.zRangeByScore(queueConfig.keys.delayed, 0, Date.now());
+
+      for (const jobId of dueJobIds) {
+        // Only the worker that removes the entry promotes it
+        const removed = await this.client.zRem(queueConfig.keys.delayed, jobId);
+        if (removed) {
+          await this.client.lPush(queueConfig.keys.pending, jobId);
+        }
+      }
+
+      return dueJobIds.length;
+    } catch (error) {
+      logger.error('Error promoting delayed analysis jobs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Record that this worker is alive
+   */
+  async heartbeat() {
+    try {
+      await this.client.sAdd(queueConfig.keys.workers, this.workerId);
+      await this.client.setEx(queueConfig.keys.heartbeat(this.workerId), queueConfig.heartbeatTtlSeconds, new Date().toISOString());
+    } catch (error) {
+      logger.error('Error writing analysis worker heartbeat:', error);
+    }
+  }
+
+  /**
+   * Requeue jobs left in the processing lists of workers that stopped heartbeating
+   */
+  async recoverStalledJobs() {
+    try {
+      const workerIds = await this.client.sMembers(queueConfig.keys.workers);
+      let recovered = 0;
+
+      for (const workerId of workerIds) {
+        if (workerId === this.workerId) continue;
+
+        const alive = await this.client.exists(queueConfig.keys.heartbeat(workerId));
+        if (alive) continue;
+
+        let jobId;
+        while ((jobId = await this.client.lMove(queueConfig.keys.processing(workerId), queueConfig.keys.pending, 'RIGHT', 'LEFT'))) {
+          recovered++;
+          logger.warn(`Recovered stalled analysis job ${jobId} from worker ${workerId}`);
+        }
+
+        // A worker that comes back registers again with its next heartbeat
+        await this.client.sRem(queueConfig.keys.workers, workerId);
+      }
+
+      return recovered;
+    } catch (error) {
+      logger.error('Error recovering stalled analysis jobs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Queue depth for health checks
+   */
+  async getStats() {
+    try {
+      const [pending, delayed] = await Promise.all([
+        this.client.lLen(queueConfig.keys.pending),
+        this.client.zCard(queueConfig.keys.delayed)
+      ]);
+
+      return { pending, delayed, timestamp: new Date() };
+    } catch (error) {
+      logger.error('Error getting analysis queue stats:', error);
+      return { pending: 0, delayed: 0, error: error.message, timestamp: new Date() };
+    }
+  }
+
+  /**
+   * Close blocking connections
+   */
+  async closeBlockingClients() {
+    await Promise.all(this.blockingClients.map(client => client.disconnect().catch(() => {})));
+    this.blockingClients = [];
+  }
+
+  /**
+   * Drop this worker's heartbeat so its processing list can be recovered
+   */
+  async clearHeartbeat() {
+    try {
+      await this.client.del(queueConfig.keys.heartbeat(this.workerId));
+    } catch (error) {
+      logger.error('Error clearing analysis worker heartbeat:', error);
+    }
+  }
+}
+
+export { queueConfig };
+export default new AnalysisQueueService(redisClient);
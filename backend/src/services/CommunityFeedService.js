@@ -0,0 +1,235 @@
+import path from 'path';
+import fs from 'fs-extra';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import CommunityPost from '../models/CommunityPost.js';
+
+const GEOHASH_ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Geohash length of a location bucket: 4 characters is a cell of about 39 x 20 km
+const LOCATION_BUCKET_PRECISION = 4;
+
+// A post's recency weight halves every RECENCY_HALF_LIFE_HOURS
+const RECENCY_HALF_LIFE_HOURS = 12;
+
+// Unsafe food is what the community most needs to see
+const SAFETY_RELEVANCE = {
+  unsafe: 2,
+  dangerous: 1.8,
+  concerning: 1.5,
+  poor: 1.5,
+  acceptable: 1,
+  fair: 1,
+  good: 0.9,
+  very_good: 0.85,
+  excellent: 0.8
+};
+
+// Local alerts: reports in the last LOCAL_ALERT_WINDOW_HOURS against the
+// LOCAL_ALERT_BASELINE_DAYS before, per risk category
+const LOCAL_ALERT_WINDOW_HOURS = 48;
+const LOCAL_ALERT_BASELINE_DAYS = 28;
+const LOCAL_ALERT_MIN_REPORTS = 3;
+const LOCAL_ALERT_SPIKE_RATIO = 2;
+
+const LOCAL_ALERT_MESSAGES = {
+  oil_quality: 'Reused-oil reports spiking near you',
+  spoilage: 'Spoiled food reports spiking near you',
+  burnt_food: 'Burnt food reports spiking near you',
+  temperature: 'Unsafe holding temperature reports spiking near you',
+  chemical: 'Chemical additive reports spiking near you',
+  microplastics: 'Microplastic risk reports spiking near you'
+};
+
+// Category scores below this are listed as a post's risk categories
+const RISK_SCORE_THRESHOLD = 70;
+
+/**
+ * Community Feed Service
+ * Privacy and ranking rules for the community feed: images are re-encoded without
+ * metadata, locations are reduced to geohash cells, and posts carry no user identity.
+ */
+class CommunityFeedService {
+  constructor() {
+    this.imageDir = path.join(process.cwd(), 'uploads', 'community');
+  }
+
+  /**
+   * Publish a completed analysis. The post is placed in the user's location bucket
+   * only when they opted in to one and asked to share it. The image is made from the
+   * photo the analysis retained, as the upload itself is gone by then.
+   */
+  async publish(analysis, { locationBucket = null } = {}) {
+    const existing = await CommunityPost.findByAnalysisId(analysis.id);
+    if (existing) return existing;
+
+    const imageUrl = await this.stripImage(analysis.imageThumbnail);
+    try {
+      return await new CommunityPost({ analysisId: analysis.id, imageUrl, locationBucket }).save();
+    } catch (error) {
+      await this.removeImage(imageUrl);
+      throw error;
+    }
+  }
+
+  async unpublish(post) {
+    await post.delete();
+    await this.removeImage(post.imageUrl);
+  }
+
+  /**
+   * Ranked feed of posts from the last `timeRangeHours`
+   */
+  async getTrending({ limit = 10, timeRangeHours = 72, locationBucket = null } = {}) {
+    const now = Date.now();
+    const candidates = await CommunityPost.findFeedCandidates({ timeRangeHours, locationBucket });
+
+    return candidates
+      .map(post => ({ post, score: this.rankScore(post, now) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ post, score }) => ({ ...this.toFeedItem(post), rankScore: Math.round(score * 1000) / 1000 }));
+  }
+
+  /**
+   * Risk categories spiking in a location bucket
+   */
+  async getLocalAlerts(locationBucket) {
+    if (!locationBucket) return [];
+
+    const windowStart = new Date(Date.now() - LOCAL_ALERT_WINDOW_HOURS * 60 * 60 * 1000);
+    const baselineStart = new Date(windowStart.getTime() - LOCAL_ALERT_BASELINE_DAYS * 24 * 60 * 60 * 1000);
+
+    const [recent, baseline] = await Promise.all([
+      CommunityPost.countRiskReports(locationBucket, windowStart),
+      CommunityPost.countRiskReports(locationBucket, baselineStart, windowStart)
+    ]);
+
+    return this.detectSpikes(recent, baseline, locationBucket);
+  }
+
+  /**
+   * Geohash cell of a coordinate, the only location the community features keep
+   */
+  toLocationBucket(latitude, longitude, precision = LOCATION_BUCKET_PRECISION) {
+    const ranges = [[-90, 90], [-180, 180]]; // latitude, longitude
+    let bucket = '';
+    let bits = 0;
+    let value = 0;
+    let useLongitude = true;
+
+    while (bucket.length < precision) {
+      const range = useLongitude ? ranges[1] : ranges[0];
+      const coordinate = useLongitude ? longitude : latitude;
+      const mid = (range[0] + range[1]) / 2;
+
+      value <<= 1;
+      if (coordinate >= mid) {
+        value |= 1;
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+
+      useLongitude = !useLongitude;
+      if (++bits === 5) {
+        bucket += GEOHASH_ALPHABET[value];
+        bits = 0;
+        value = 0;
+      }
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Re-encode a photo for publishing. sharp drops EXIF (GPS, camera, timestamps)
+   * unless asked to keep it; the orientation is applied to the pixels first.
+   * Resolves to the public URL of the copy.
+   */
+  async stripImage(sourcePath) {
+    await fs.ensureDir(this.imageDir);
+    const fileName = `${uuidv4()}.jpg`;
+
+    await sharp(sourcePath)
+      .rotate()
+      .resize({ width: 1280, height: 1280, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toFile(path.join(this.imageDir, fileName));
+
+    return `/uploads/community/${fileName}`;
+  }
+
+  async removeImage(imageUrl) {
+    if (!imageUrl) return;
+    await fs.remove(path.join(this.imageDir, path.basename(imageUrl))).catch(() => {});
+  }
+
+  /**
+   * Rank score: recency decay x engagement x safety relevance
+   */
+  rankScore({ publishedAt, helpfulCount, overallRating }, now = Date.now()) {
+    const ageHours = Math.max(0, (now - new Date(publishedAt).getTime()) / (60 * 60 * 1000));
+    const recency = 0.5 ** (ageHours / RECENCY_HALF_LIFE_HOURS);
+    const engagement = 1 + Math.log1p(helpfulCount);
+    const relevance = SAFETY_RELEVANCE[overallRating] ?? 1;
+
+    return recency * engagement * relevance;
+  }
+
+  /**
+   * Public view of a post. Only food and safety data: no user, original image,
+   * device, notes or exact location, and no alerts derived from the publisher's
+   * health profile. The time is rounded down to the hour.
+   */
+  toFeedItem(post) {
+    const publishedAt = new Date(post.publishedAt);
+    publishedAt.setUTCMinutes(0, 0, 0);
+
+    return {
+      postId: post.id,
+      foodName: post.foodName,
+      foodItemId: post.foodItemId,
+      imageUrl: post.imageUrl,
+      safetyScore: post.freshnessScore,
+      safetyLevel: post.overallRating,
+      riskCategories: Object.entries(post.categoryScores || {})
+        .filter(([, score]) => typeof score === 'number' && score < RISK_SCORE_THRESHOLD)
+        .map(([category]) => category),
+      safetyAlerts: (post.safetyAlerts || [])
+        .filter(alert => alert.type !== 'profile_conflict')
+        .map(({ level, message, action }) => ({ level, message, action })),
+      locationBucket: post.locationBucket,
+      helpfulCount: post.helpfulCount,
+      publishedAt
+    };
+  }
+
+  /**
+   * Risk categories whose recent report count in a bucket is well above its baseline.
+   * `recent` and `baseline` map safety_metrics.metric_type to report counts.
+   */
+  detectSpikes(recent, baseline, locationBucket) {
+    const windowsInBaseline = (LOCAL_ALERT_BASELINE_DAYS * 24) / LOCAL_ALERT_WINDOW_HOURS;
+
+    return Object.entries(recent)
+      .filter(([category]) => LOCAL_ALERT_MESSAGES[category])
+      .map(([category, reports]) => {
+        const expected = (baseline[category] || 0) / windowsInBaseline;
+        return { category, reports, expected: Math.round(expected * 10) / 10 };
+      })
+      .filter(({ reports, expected }) => (
+        reports >= LOCAL_ALERT_MIN_REPORTS && reports >= LOCAL_ALERT_SPIKE_RATIO * Math.max(expected, 1)
+      ))
+      .sort((a, b) => b.reports - a.reports)
+      .map(spike => ({
+        ...spike,
+        type: 'local_spike',
+        locationBucket,
+        windowHours: LOCAL_ALERT_WINDOW_HOURS,
+        message: LOCAL_ALERT_MESSAGES[spike.category]
+      }));
+  }
+}
+
+export default new CommunityFeedService();
@@ -0,0 +1,344 @@
+import ComplianceCheck from '../models/ComplianceCheck.js';
+import ComplianceSchedule from '../models/ComplianceSchedule.js';
+import CorrectiveAction from '../models/CorrectiveAction.js';
+
+/**
+ * The FSSAI Schedule 4 hygiene requirements (Part V, catering and food service)
+ * the outlet checks evidence, and the corrective action each failure calls for
+ */
+export const FSSAI_ITEMS = {
+  cooking_oil: {
+    reference: 'FSSAI Schedule 4, Part V',
+    requirement: 'Cooking oil is monitored and discarded before total polar compounds exceed 25%',
+    checkTypes: ['oil_change'],
+    correctiveAction: 'Discard the oil, record the change and review the frying schedule'
+  },
+  hot_holding: {
+    reference: 'FSSAI Schedule 4, Part V',
+    requirement: 'Hot food is held at 60 °C or above until served',
+    checkTypes: ['holding_temperature'],
+    holdingMode: 'hot',
+    correctiveAction: 'Reheat to 75 °C or discard, then check the holding equipment'
+  },
+  cold_holding: {
+    reference: 'FSSAI Schedule 4, Part V',
+    requirement: 'Chilled food is held at 5 °C or below',
+    checkTypes: ['holding_temperature'],
+    holdingMode: 'cold',
+    correctiveAction: 'Move food to working refrigeration, discard what was held above 5 °C for over 2 hours'
+  },
+  food_condition: {
+    reference: 'FSSAI Schedule 4, Part V',
+    requirement: 'Raw materials and prepared food are inspected and spoiled items are discarded',
+    checkTypes: ['spoilage_audit'],
+    correctiveAction: 'Discard the spoiled stock, check storage conditions and stock rotation (FIFO/FEFO)'
+  },
+  monitoring_records: {
+    reference: 'FSSAI Schedule 4, Part V',
+    requirement: 'Monitoring checks are carried out as scheduled and corrective actions are recorded',
+    checkTypes: ['oil_change', 'holding_temperature', 'spoilage_audit'],
+    correctiveAction: 'Complete the missed checks and assign a person responsible for the schedule'
+  }
+};
+
+// FSSAI limits behind the items above
+const TPC_LIMIT_PERCENT = 25;
+const HOT_HOLDING_MIN_C = 60;
+const COLD_HOLDING_MAX_C = 5;
+
+// Model category scores below this count as a failed check, as in safety_metrics 'danger'
+const MODEL_FAIL_SCORE = 40;
+
+// Corrective actions raised by a failed check are due within a day
+const CORRECTIVE_ACTION_DUE_HOURS = 24;
+
+export const REPORT_PERIODS = ['weekly', 'monthly'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compliance Service
+ * Evaluates outlet hygiene checks against the FSSAI items, raises corrective actions
+ * for failures and builds weekly or monthly compliance reports.
+ */
+class ComplianceService {
+  /**
+   * Readings a check can take from a photo analysis: the oil quality, temperature or
+   * spoilage model's results. Categories the models abstained on are left out.
+   */
+  readingsFromAnalysis(checkType, analysis) {
+    const scores = analysis.safetyMetrics?.categoryScores || {};
+    const metrics = analysis.safetyMetrics || {};
+    const readings = {};
+
+    if (checkType === 'oil_change' && typeof scores.oilQuality === 'number') {
+      readings.oilQualityScore = scores.oilQuality;
+      readings.oilStatus = metrics.oilQuality?.status || null;
+    }
+
+    if (checkType === 'holding_temperature' && typeof metrics.temperature?.temperature === 'number') {
+      readings.temperatureC = metrics.temperature.temperature;
+      readings.temperatureSource = 'model_estimate';
+    }
+
+    if (checkType === 'spoilage_audit' && typeof scores.spoilage === 'number') {
+      readings.spoilageScore = scores.spoilage;
+      readings.spoilageStatus = metrics.spoilage?.status || null;
+    }
+
+    return readings;
+  }
+
+  /**
+   * FSSAI items a check fails, as [{ fssaiItem, reason }]. Throws INSUFFICIENT_READINGS
+   * when the readings cannot decide the check.
+   */
+  evaluate(checkType, readings) {
+    const failures = [];
+
+    if (checkType === 'oil_change') {
+      if (readings.oilChanged) return failures;
+
+      if (typeof readings.tpcPercent === 'number') {
+        if (readings.tpcPercent > TPC_LIMIT_PERCENT) {
+          failures.push({
+            fssaiItem: 'cooking_oil',
+            reason: `Total polar compounds at ${readings.tpcPercent}% exceed the ${TPC_LIMIT_PERCENT}% limit`
+          });
+        }
+      } else if (typeof readings.oilQualityScore === 'number') {
+        if (readings.oilQualityScore < MODEL_FAIL_SCORE) {
+          failures.push({
+            fssaiItem: 'cooking_oil',
+            reason: `Oil quality score ${Math.round(readings.oilQualityScore)} indicates heavily reused oil`
+          });
+        }
+      } else {
+        throw this.insufficientReadings('Record an oil change, a TPC reading or an analysed photo of the oil');
+      }
+    }
+
+    if (checkType === 'holding_temperature') {
+      if (typeof readings.temperatureC !== 'number' || !readings.holdingMode) {
+        throw this.insufficientReadings('Record the holding mode and a probe temperature or an analysed photo');
+      }
+
+      if (readings.holdingMode === 'hot' && readings.temperatureC < HOT_HOLDING_MIN_C) {
+        failures.push({
+          fssaiItem: 'hot_holding',
+          reason: `Hot food held at ${readings.temperatureC} °C, below ${HOT_HOLDING_MIN_C} °C`
+        });
+      }
+      if (readings.holdingMode === 'cold' && readings.temperatureC > COLD_HOLDING_MAX_C) {
+        failures.push({
+          fssaiItem: 'cold_holding',
+          reason: `Chilled food held at ${readings.temperatureC} °C, above ${COLD_HOLDING_MAX_C} °C`
+        });
+      }
+    }
+
+    if (checkType === 'spoilage_audit') {
+      const hasCount = typeof readings.spoiledItemsFound === 'number';
+      const hasScore = typeof readings.spoilageScore === 'number';
+      if (!hasCount && !hasScore) {
+        throw this.insufficientReadings('Record the number of spoiled items found or an analysed photo');
+      }
+
+      if (hasCount && readings.spoiledItemsFound > 0) {
+        failures.push({
+          fssaiItem: 'food_condition',
+          reason: `${readings.spoiledItemsFound} spoiled item(s) found in stock`
+        });
+      } else if (!hasCount && readings.spoilageScore < MODEL_FAIL_SCORE) {
+        failures.push({
+          fssaiItem: 'food_condition',
+          reason: `Spoilage score ${Math.round(readings.spoilageScore)} indicates spoiled food`
+        });
+      }
+    }
+
+    return failures;
+  }
+
+  insufficientReadings(message) {
+    const error = new Error(message);
+    error.code = 'INSUFFICIENT_READINGS';
+    return error;
+  }
+
+  /**
+   * Record a check: evaluate it, raise a corrective action per failed item and move
+   * the matching schedule forward. Manual readings take precedence over the analysis'.
+   */
+  async recordCheck({ outletId, checkType, readings = {}, analysis = null, performedBy, performedAt = new Date(), notes = null }) {
+    const combined = {
+      ...(analysis ? this.readingsFromAnalysis(checkType, analysis) : {}),
+      ...readings
+    };
+    if (typeof readings.temperatureC === 'number') combined.temperatureSource = 'probe';
+
+    const failures = this.evaluate(checkType, combined);
+    const schedule = (await ComplianceSchedule.findByOutlet(outletId))
+      .find(candidate => candidate.checkType === checkType);
+
+    const check = await new ComplianceCheck({
+      outletId,
+      scheduleId: schedule?.id || null,
+      analysisId: analysis?.id || null,
+      performedBy,
+      checkType,
+      result: failures.length > 0 ? 'fail' : 'pass',
+      readings: combined,
+      failures,
+      notes,
+      performedAt
+    }).save();
+
+    const dueAt = new Date(Date.now() + CORRECTIVE_ACTION_DUE_HOURS * 60 * 60 * 1000);
+    const correctiveActions = await Promise.all(failures.map(failure => new CorrectiveAction({
+      outletId,
+      checkId: check.id,
+      fssaiItem: failure.fssaiItem,
+      description: `${failure.reason}. ${FSSAI_ITEMS[failure.fssaiItem].correctiveAction}.`,
+      dueAt
+    }).save()));
+
+    if (schedule) await schedule.markPerformed(performedAt);
+
+    return { check, correctiveActions };
+  }
+
+  /**
+   * UTC bounds of the week (Monday to Sunday) or calendar month containing `date`
+   */
+  periodBounds(period, date = new Date()) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+    if (period === 'monthly') {
+      const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+      const end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1));
+      return { start, end };
+    }
+
+    const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    return { start, end: new Date(start.getTime() + 7 * DAY_MS) };
+  }
+
+  /**
+   * Scheduled checks not performed in [start, end) (up to now), per schedule
+   */
+  missedChecks(schedules, checks, start, end, now = new Date()) {
+    return schedules.map((schedule) => {
+      const from = Math.max(start.getTime(), new Date(schedule.createdAt).getTime());
+      const to = Math.min(end.getTime(), now.getTime());
+      const expected = to > from ? Math.floor((to - from) / (schedule.intervalHours * 60 * 60 * 1000)) : 0;
+      const performed = checks.filter(check => check.checkType === schedule.checkType).length;
+
+      return {
+        scheduleId: schedule.id,
+        checkType: schedule.checkType,
+        expected,
+        performed,
+        missed: Math.max(0, expected - performed)
+      };
+    });
+  }
+
+  /**
+   * Weekly or monthly compliance report for an outlet: pass/fail per FSSAI item,
+   * check history, missed scheduled checks and corrective action status
+   */
+  async buildReport(outlet, period, date = new Date()) {
+    const { start, end } = this.periodBounds(period, date);
+    const now = new Date();
+
+    const [checks, schedules, actions] = await Promise.all([
+      ComplianceCheck.findInPeriod(outlet.id, start, end),
+      ComplianceSchedule.findByOutlet(outlet.id),
+      CorrectiveAction.findForPeriod(outlet.id, start, end)
+    ]);
+
+    const schedule = this.missedChecks(schedules, checks, start, end, now);
+    const missed = schedule.reduce((sum, entry) => sum + entry.missed, 0);
+    const periodEnd = end < now ? end : now;
+    const unresolvedAtEnd = action => !action.resolvedAt || new Date(action.resolvedAt) > periodEnd;
+
+    const fssaiItems = Object.entries(FSSAI_ITEMS).map(([item, definition]) => {
+      const relevant = item === 'monitoring_records'
+        ? checks
+        : checks.filter(check => definition.checkTypes.includes(check.checkType) &&
+            (!definition.holdingMode || check.readings.holdingMode === definition.holdingMode));
+      const failed = relevant.filter(check => check.failures.some(failure => failure.fssaiItem === item));
+      const itemActions = actions.filter(action => action.fssaiItem === item);
+      const openActions = itemActions.filter(unresolvedAtEnd);
+
+      let status;
+      if (item === 'monitoring_records') {
+        const overdueActions = actions.filter(action => action.dueAt && new Date(action.dueAt) < periodEnd && unresolvedAtEnd(action));
+        status = checks.length === 0 && missed === 0
+          ? 'not_checked'
+          : missed > 0 || overdueActions.length > 0 ? 'non_compliant' : 'compliant';
+      } else if (relevant.length === 0) {
+        status = 'not_checked';
+      } else if (failed.length === 0) {
+        status = 'compliant';
+      } else {
+        status = openActions.length > 0 ? 'non_compliant' : 'corrected';
+      }
+
+      return {
+        item,
+        reference: definition.reference,
+        requirement: definition.requirement,
+        checks: relevant.length,
+        passed: relevant.length - failed.length,
+        failed: failed.length,
+        openCorrectiveActions: openActions.length,
+        status
+      };
+    });
+
+    const history = [];
+    for (let day = start.getTime(); day < end.getTime() && day <= now.getTime(); day += DAY_MS) {
+      const dayChecks = checks.filter((check) => {
+        const performedAt = new Date(check.performedAt).getTime();
+        return performedAt >= day && performedAt < day + DAY_MS;
+      });
+      history.push({
+        date: new Date(day).toISOString().slice(0, 10),
+        passed: dayChecks.filter(check => check.result === 'pass').length,
+        failed: dayChecks.filter(check => check.result === 'fail').length
+      });
+    }
+
+    const passed = checks.filter(check => check.result === 'pass').length;
+    const assessed = fssaiItems.filter(entry => entry.status !== 'not_checked');
+
+    return {
+      outlet: outlet.toJSON(),
+      period: { type: period, start, end },
+      summary: {
+        checks: checks.length,
+        passed,
+        failed: checks.length - passed,
+        passRate: checks.length > 0 ? Math.round((passed / checks.length) * 100) : null,
+        missedChecks: missed,
+        overallStatus: assessed.length === 0
+          ? 'not_checked'
+          : assessed.some(entry => entry.status === 'non_compliant') ? 'non_compliant' : 'compliant'
+      },
+      fssaiItems,
+      schedule,
+      correctiveActions: {
+        raised: actions.filter(action => new Date(action.createdAt) >= start).length,
+        resolved: actions.filter(action => action.resolvedAt && new Date(action.resolvedAt) <= periodEnd).length,
+        open: actions.filter(unresolvedAtEnd).length,
+        items: actions.map(action => action.toJSON())
+      },
+      history,
+      generatedAt: now
+    };
+  }
+}
+
+export default new ComplianceService();
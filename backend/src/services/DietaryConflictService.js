@@ -0,0 +1,259 @@
+// User-entered allergies mapped to the allergen groups used in food_items.allergens
+const ALLERGEN_GROUPS = {
+  peanut: ['peanut', 'peanuts', 'groundnut', 'groundnuts', 'moongphali'],
+  tree_nut: ['tree_nut', 'tree_nuts', 'nuts', 'almond', 'cashew', 'walnut', 'pistachio', 'kaju', 'badam'],
+  milk: ['milk', 'dairy', 'lactose', 'paneer', 'ghee', 'curd', 'cheese'],
+  gluten: ['gluten', 'wheat', 'atta', 'maida', 'barley', 'rye'],
+  egg: ['egg', 'eggs'],
+  soy: ['soy', 'soya', 'soybean'],
+  fish: ['fish'],
+  shellfish: ['shellfish', 'prawn', 'prawns', 'shrimp', 'crab', 'lobster'],
+  sesame: ['sesame', 'til', 'gingelly'],
+  mustard: ['mustard', 'sarson', 'rai']
+};
+
+// Diet tags (food_items.diet_tags) and allergen groups each diet excludes
+const DIET_EXCLUSIONS = {
+  vegetarian: { dietTags: ['meat', 'fish'], allergens: ['fish', 'shellfish'] },
+  eggetarian: { dietTags: ['meat', 'fish'], allergens: ['fish', 'shellfish'] },
+  vegan: { dietTags: ['meat', 'fish', 'egg', 'dairy', 'honey'], allergens: ['fish', 'shellfish', 'egg', 'milk'] },
+  jain: { dietTags: ['meat', 'fish', 'egg', 'onion_garlic', 'root_vegetables'], allergens: ['fish', 'shellfish', 'egg'] },
+  gluten_free: { dietTags: [], allergens: ['gluten'] },
+  lactose_free: { dietTags: ['dairy'], allergens: ['milk'] }
+};
+
+const DIET_ALIASES = {
+  veg: 'vegetarian',
+  lacto_vegetarian: 'vegetarian',
+  plant_based: 'vegan',
+  celiac: 'gluten_free',
+  coeliac: 'gluten_free',
+  no_gluten: 'gluten_free',
+  dairy_free: 'lactose_free',
+  no_dairy: 'lactose_free'
+};
+
+const CONDITION_ALIASES = {
+  high_blood_pressure: 'hypertension',
+  bp: 'hypertension',
+  type_1_diabetes: 'diabetes',
+  type_2_diabetes: 'diabetes',
+  prediabetes: 'diabetes',
+  cardiovascular_disease: 'heart_disease',
+  high_cholesterol: 'heart_disease',
+  chronic_kidney_disease: 'kidney_disease',
+  ckd: 'kidney_disease'
+};
+
+// Per-100g catalogue limits follow the "high" front-of-pack traffic-light bands
+const CATALOGUE_LIMITS = {
+  sodium: 600, // mg
+  sugar: 22.5, // g
+  fat: 17.5, // g
+  cholesterol: 100, // mg
+  potassium: 400, // mg
+  glycemicIndex: 70
+};
+
+// SaltSugarModel estimates for the portion in the photo (same units as its report)
+const ESTIMATE_LIMITS = {
+  salt: { moderate: 400, high: 600 },
+  sugar: { moderate: 2500, high: 5000 }
+};
+
+/**
+ * Dietary Conflict Service
+ * Checks an analysis against the user's allergies, dietary restrictions and health
+ * conditions. Allergens and diet come from the food_items entry of the recognised
+ * dish; health conditions also use the models' salt and sugar estimates.
+ * Conflicts are returned as safety alerts (type 'profile_conflict').
+ */
+class DietaryConflictService {
+  /**
+   * Conflicts for an analysis. `foodItems` maps recognition labels to FoodItem
+   * entries, as resolved by FoodAnalysis.linkFoodItems.
+   */
+  detectConflicts(analysis, profile, foodItems = new Map()) {
+    const allergies = this.normalizeAllergies(profile.allergies);
+    const diets = this.normalizeList(profile.dietaryRestrictions, DIET_ALIASES).filter(diet => DIET_EXCLUSIONS[diet]);
+    const conditions = this.normalizeList(profile.healthConditions, CONDITION_ALIASES);
+    if (allergies.length === 0 && diets.length === 0 && conditions.length === 0) return [];
+
+    const conflicts = [];
+    const mainItem = analysis.recognition?.status === 'recognized' ? foodItems.get(analysis.recognition.label) : null;
+
+    // The dish itself, then each item on a segmented plate
+    const targets = [{ foodItem: mainItem, name: analysis.foodName }];
+    for (const item of analysis.plateItems || []) {
+      const foodItem = foodItems.get(item.recognition?.label);
+      if (foodItem && foodItem.id !== mainItem?.id) {
+        targets.push({ foodItem, name: foodItem.name, itemIndex: item.itemIndex });
+      }
+    }
+
+    for (const target of targets.filter(candidate => candidate.foodItem)) {
+      conflicts.push(
+        ...this.allergenConflicts(target, allergies),
+        ...this.dietConflicts(target, diets),
+        ...this.catalogueConditionConflicts(target, conditions)
+      );
+    }
+
+    conflicts.push(...this.estimateConditionConflicts(analysis, conditions));
+
+    // Without an identified dish allergens and diet cannot be checked; say so rather than stay silent
+    if (!mainItem && (allergies.length > 0 || diets.length > 0)) {
+      conflicts.push(this.alert('low', 'unverified', 'dish_not_identified', 'model_estimate', {
+        message: 'The dish could not be identified, so it was not checked against your allergies and diet',
+        action: 'Check the ingredients before eating'
+      }));
+    }
+
+    return conflicts;
+  }
+
+  allergenConflicts({ foodItem, name, itemIndex }, allergies) {
+    const present = new Set(this.normalizeAllergies(foodItem.allergens));
+
+    return allergies
+      .filter(allergen => present.has(allergen))
+      .map(allergen => this.alert('critical', 'allergen', allergen, 'food_items', {
+        itemIndex,
+        message: `${name} contains ${allergen.replace(/_/g, ' ')}, which you are allergic to`,
+        action: 'Do not eat this food'
+      }));
+  }
+
+  dietConflicts({ foodItem, name, itemIndex }, diets) {
+    const dietTags = new Set(foodItem.dietTags || []);
+    const allergens = new Set(this.normalizeAllergies(foodItem.allergens));
+
+    return diets.flatMap((diet) => {
+      const exclusions = DIET_EXCLUSIONS[diet];
+      const found = [
+        ...exclusions.dietTags.filter(tag => dietTags.has(tag)),
+        ...exclusions.allergens.filter(allergen => allergens.has(allergen))
+      ];
+      if (found.length === 0) return [];
+
+      return [this.alert('high', 'diet', diet, 'food_items', {
+        itemIndex,
+        message: `${name} is not ${diet.replace(/_/g, '-')} (contains ${[...new Set(found)].join(', ').replace(/_/g, ' ')})`,
+        action: 'Skip this food or choose an alternative that fits your diet'
+      })];
+    });
+  }
+
+  catalogueConditionConflicts({ foodItem, name, itemIndex }, conditions) {
+    const nutrition = foodItem.nutrition || {};
+    const conflicts = [];
+    const add = (condition, trigger, message, action) => {
+      conflicts.push(this.alert('high', 'health_condition', trigger, 'food_items', { itemIndex, condition, message, action }));
+    };
+
+    if (conditions.includes('hypertension') && nutrition.sodium > CATALOGUE_LIMITS.sodium) {
+      add('hypertension', 'sodium', `${name} is high in sodium (${nutrition.sodium}mg per 100g)`, 'Limit the portion - high sodium raises blood pressure');
+    }
+
+    if (conditions.includes('diabetes')) {
+      if (nutrition.sugar > CATALOGUE_LIMITS.sugar) {
+        add('diabetes', 'sugar', `${name} is high in sugar (${nutrition.sugar}g per 100g)`, 'Avoid or keep to a small portion and monitor your blood sugar');
+      } else if (foodItem.glycemicIndex >= CATALOGUE_LIMITS.glycemicIndex) {
+        add('diabetes', 'glycemic_index', `${name} has a high glycemic index (${foodItem.glycemicIndex})`, 'Pair with protein or fibre and keep the portion small');
+      }
+    }
+
+    if (conditions.includes('heart_disease')) {
+      if (nutrition.fat > CATALOGUE_LIMITS.fat) {
+        add('heart_disease', 'fat', `${name} is high in fat (${nutrition.fat}g per 100g)`, 'Choose a lighter option or a smaller portion');
+      }
+      if (nutrition.cholesterol > CATALOGUE_LIMITS.cholesterol) {
+        add('heart_disease', 'cholesterol', `${name} is high in cholesterol (${nutrition.cholesterol}mg per 100g)`, 'Choose a lighter option or a smaller portion');
+      }
+    }
+
+    if (conditions.includes('kidney_disease')) {
+      if (foodItem.oxalateLevel === 'high') {
+        add('kidney_disease', 'oxalate', `${name} is high in oxalate`, 'Avoid if you are prone to kidney stones');
+      }
+      if (nutrition.potassium > CATALOGUE_LIMITS.potassium) {
+        add('kidney_disease', 'potassium', `${name} is high in potassium (${nutrition.potassium}mg per 100g)`, 'Check with your doctor before eating this');
+      }
+    }
+
+    if (conditions.includes('kidney_stones') && foodItem.oxalateLevel === 'high') {
+      add('kidney_stones', 'oxalate', `${name} is high in oxalate`, 'Avoid if you are prone to kidney stones');
+    }
+
+    if (conditions.includes('gout') && foodItem.purineLevel === 'high') {
+      add('gout', 'purine', `${name} is high in purines`, 'Avoid - purines can trigger a gout flare');
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Conditions checked against the models' estimate for the portion in the photo
+   */
+  estimateConditionConflicts(analysis, conditions) {
+    const { saltLevel, sugarLevel } = analysis.saltSugarProfile || {};
+    const conflicts = [];
+    const level = (value, limits) => (value > limits.high ? 'high' : value > limits.moderate ? 'moderate' : null);
+
+    const saltSeverity = level(saltLevel, ESTIMATE_LIMITS.salt);
+    for (const condition of ['hypertension', 'heart_disease'].filter(name => conditions.includes(name))) {
+      if (!saltSeverity) continue;
+      conflicts.push(this.alert(saltSeverity, 'health_condition', 'salt', 'model_estimate', {
+        condition,
+        message: `Estimated salt content (${saltLevel}) is ${saltSeverity === 'high' ? 'high' : 'elevated'} for ${condition.replace(/_/g, ' ')}`,
+        action: 'Limit the portion and avoid adding salt'
+      }));
+    }
+
+    const sugarSeverity = level(sugarLevel, ESTIMATE_LIMITS.sugar);
+    if (sugarSeverity && conditions.includes('diabetes')) {
+      conflicts.push(this.alert(sugarSeverity, 'health_condition', 'sugar', 'model_estimate', {
+        condition: 'diabetes',
+        message: `Estimated sugar content (${sugarLevel}) is ${sugarSeverity === 'high' ? 'high' : 'elevated'} for diabetes`,
+        action: 'Keep the portion small and monitor your blood sugar'
+      }));
+    }
+
+    return conflicts;
+  }
+
+  alert(level, category, trigger, source, { itemIndex, condition, message, action }) {
+    return {
+      level,
+      type: 'profile_conflict',
+      category,
+      trigger,
+      ...(condition && { condition }),
+      source,
+      ...(itemIndex !== undefined && { itemIndex }),
+      message,
+      action
+    };
+  }
+
+  /**
+   * Allergen names to their groups; unknown allergens are kept as written
+   */
+  normalizeAllergies(allergies = []) {
+    return [...new Set(this.normalizeList(allergies).map(allergen => (
+      Object.keys(ALLERGEN_GROUPS).find(group => ALLERGEN_GROUPS[group].includes(allergen)) || allergen
+    )))];
+  }
+
+  /**
+   * "Gluten-free" -> "gluten_free", then resolve aliases
+   */
+  normalizeList(values = [], aliases = {}) {
+    return (Array.isArray(values) ? values : [])
+      .map(value => String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''))
+      .filter(Boolean)
+      .map(value => aliases[value] || value);
+  }
+}
+
+export default new DietaryConflictService();
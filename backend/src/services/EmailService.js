@@ -0,0 +1,312 @@
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import cache, { redisClient } from '../config/redis.js';
+import { getEmailTransport, emailTransportConfig } from './email/index.js';
+import { renderTemplate, hasTemplate } from './email/templates.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Email Service
+ * Transactional email: localised templates rendered and sent through the
+ * configured transport from a Redis queue, with retries and backoff for
+ * failed sends. Jobs are reserved into a per-sender processing list, as in
+ * AnalysisQueueService, so a sender that dies mid-send loses nothing. With
+ * EMAIL_QUEUE_ENABLED=false messages are sent inline, which tests use together
+ * with the capture transport.
+ */
+const emailConfig = {
+  keys: {
+    pending: 'queue:email:pending',
+    delayed: 'queue:email:delayed',
+    failed: 'queue:email:failed',
+    // Ids of senders that may have a processing list, so recovery never scans the keyspace
+    senders: 'queue:email:senders',
+    processing: (senderId) => `queue:email:processing:${senderId}`,
+    heartbeat: (senderId) => `queue:email:heartbeat:${senderId}`,
+    sent: (dedupeKey) => `email:sent:${dedupeKey}`
+  },
+  queueEnabled: process.env.EMAIL_QUEUE_ENABLED !== 'false',
+  maxRetries: parseInt(process.env.EMAIL_MAX_RETRIES) || 5,
+  retryBackoffMs: parseInt(process.env.EMAIL_RETRY_BACKOFF_MS) || 30000,
+  maintenanceIntervalMs: 5000,
+  blockTimeoutSeconds: 5,
+  heartbeatTtlSeconds: 30,
+  failedJobsKept: 100,
+  dedupeTtlSeconds: 7 * 24 * 60 * 60
+};
+
+// Links in emails open the app
+const APP_BASE_URL = process.env.APP_BASE_URL || 'https://app.foodsafe.ai';
+
+/**
+ * Job data with the tokens of verification, reset and invitation links replaced,
+ * for storing where support staff can read it
+ */
+const redactJobData = (data = {}) => Object.fromEntries(Object.entries(data).map(([key, value]) => {
+  if (typeof value !== 'string' || !/^https?:\/\//.test(value)) return [key, value];
+
+  const url = new URL(value);
+  if (url.searchParams.has('token')) url.searchParams.set('token', 'REDACTED');
+  return [key, url.toString()];
+}));
+
+class EmailService {
+  constructor(client) {
+    this.client = client;
+    this.senderId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+    this.running = false;
+    this.maintenanceTimer = null;
+    this.blockingClient = null;
+    this.loop = null;
+  }
+
+  /**
+   * Absolute app link for an email's call to action
+   */
+  appUrl(pathname, params = {}) {
+    const url = new URL(pathname, APP_BASE_URL);
+    for (const [key, value] of Object.entries(params)) {
+      url.searchParams.set(key, value);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Queue a templated email. `dedupeKey` makes repeats of the same notice (a
+   * retried webhook, say) a no-op for a week. Delivery problems are logged,
+   * never thrown, so a request never fails because mail is down.
+   */
+  async enqueue(template, to, data = {}, { language = 'en', dedupeKey = null } = {}) {
+    if (!hasTemplate(template)) {
+      throw new Error(`Unknown email template "${template}"`);
+    }
+
+    if (!to) {
+      logger.warn(`Email ${template} skipped: no recipient address`);
+      return null;
+    }
+
+    if (dedupeKey && !(await cache.setnx(emailConfig.keys.sent(dedupeKey), true, emailConfig.dedupeTtlSeconds))) {
+      logger.info(`Email ${template} already sent for ${dedupeKey}, skipping`);
+      return null;
+    }
+
+    const job = {
+      id: uuidv4(),
+      template,
+      to,
+      language,
+      data,
+      attempts: 0,
+      enqueuedAt: new Date().toISOString()
+    };
+
+    if (emailConfig.queueEnabled) {
+      try {
+        await this.client.lPush(emailConfig.keys.pending, JSON.stringify(job));
+        return job;
+      } catch (error) {
+        logger.error(`Error queueing email ${job.id}, sending inline:`, error);
+      }
+    }
+
+    try {
+      await this.deliver(job);
+    } catch (error) {
+      logger.error(`Email ${template} to ${to} failed:`, error);
+    }
+
+    return job;
+  }
+
+  /**
+   * Render and send one job through the transport
+   */
+  async deliver(job) {
+    const { subject, text, html } = renderTemplate(job.template, job.language, job.data);
+    const result = await getEmailTransport().send({
+      to: job.to,
+      from: emailTransportConfig.from,
+      subject,
+      text,
+      html
+    });
+
+    logger.info(`Email sent: ${job.template} (${job.id}) via ${result.transport}`);
+    return result;
+  }
+
+  /**
+   * Wait for the next job and move it to this sender's processing list.
+   * Returns the raw list entry, which is removed once the job is settled.
+   */
+  async reserve() {
+    return this.blockingClient.blMove(
+      emailConfig.keys.pending,
+      emailConfig.keys.processing(this.senderId),
+      'RIGHT',
+      'LEFT',
+      emailConfig.blockTimeoutSeconds
+    );
+  }
+
+  /**
+   * Send one reserved job; failures go to the delayed set with exponential backoff,
+   * and to the failed list (with link tokens redacted) once retries run out
+   */
+  async processJob(value) {
+    const job = JSON.parse(value);
+
+    try {
+      await this.deliver(job);
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      const failedJob = { ...job, attempts, lastError: error.message, lastFailedAt: new Date().toISOString() };
+
+      if (attempts > emailConfig.maxRetries) {
+        logger.error(`Email ${job.template} (${job.id}) failed permanently after ${job.attempts} retries:`, error);
+        await this.client.lPush(emailConfig.keys.failed, JSON.stringify({ ...failedJob, data: redactJobData(job.data) }));
+        await this.client.lTrim(emailConfig.keys.failed, 0, emailConfig.failedJobsKept - 1);
+      } else {
+        const delayMs = emailConfig.retryBackoffMs * Math.pow(2, attempts - 1);
+        await this.client.zAdd(emailConfig.keys.delayed, { score: Date.now() + delayMs, value: JSON.stringify(failedJob) });
+
+        logger.warn(`Email ${job.template} (${job.id}) scheduled for retry ${attempts}/${emailConfig.maxRetries} in ${delayMs}ms`);
+      }
+    }
+
+    await this.client.lRem(emailConfig.keys.processing(this.senderId), 1, value);
+  }
+
+  /**
+   * Move delayed jobs whose backoff has elapsed back to the pending queue
+   */
+  async promoteDelayed() {
+    const due = await this.client.zRangeByScore(emailConfig.keys.delayed, 0, Date.now());
+
+    for (const value of due) {
+      // Only the instance that removes the entry promotes it
+      if (await this.client.zRem(emailConfig.keys.delayed, value)) {
+        await this.client.lPush(emailConfig.keys.pending, value);
+      }
+    }
+  }
+
+  /**
+   * Requeue jobs left in the processing lists of senders that stopped heartbeating
+   */
+  async recoverStalledJobs() {
+    const senderIds = await this.client.sMembers(emailConfig.keys.senders);
+    let recovered = 0;
+
+    for (const senderId of senderIds) {
+      if (senderId === this.senderId) continue;
+      if (await this.client.exists(emailConfig.keys.heartbeat(senderId))) continue;
+
+      while (await this.client.lMove(emailConfig.keys.processing(senderId), emailConfig.keys.pending, 'RIGHT', 'LEFT')) {
+        recovered++;
+      }
+      await this.client.sRem(emailConfig.keys.senders, senderId);
+    }
+
+    if (recovered > 0) {
+      logger.warn(`Recovered ${recovered} stalled email job(s)`);
+    }
+    return recovered;
+  }
+
+  /**
+   * Periodic housekeeping: heartbeat, due retries and stalled job recovery
+   */
+  async runMaintenance() {
+    await this.client.sAdd(emailConfig.keys.senders, this.senderId);
+    await this.client.setEx(emailConfig.keys.heartbeat(this.senderId), emailConfig.heartbeatTtlSeconds, new Date().toISOString());
+    await this.promoteDelayed();
+    await this.recoverStalledJobs();
+  }
+
+  /**
+   * Reserve-and-send loop
+   */
+  async runLoop() {
+    while (this.running) {
+      try {
+        const value = await this.reserve();
+        if (value) {
+          await this.processJob(value);
+        }
+      } catch (error) {
+        if (!this.running) break;
+        logger.error('Email queue error:', error);
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+  }
+
+  /**
+   * Start sending from the queue
+   */
+  async start() {
+    if (this.running || !emailConfig.queueEnabled) return;
+    this.running = true;
+
+    try {
+      await this.runMaintenance();
+      // Blocking reads get their own connection so they never stall the shared client
+      this.blockingClient = this.client.duplicate();
+      await this.blockingClient.connect();
+    } catch (error) {
+      this.running = false;
+      this.blockingClient = null;
+      throw error;
+    }
+
+    this.maintenanceTimer = setInterval(() => {
+      this.runMaintenance().catch(error => logger.error('Email queue maintenance error:', error));
+    }, emailConfig.maintenanceIntervalMs);
+    this.loop = this.runLoop();
+
+    logger.info(`Email sender started (${this.senderId}, ${emailTransportConfig.transport} transport)`);
+  }
+
+  /**
+   * Stop sending after the job being sent finishes
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearInterval(this.maintenanceTimer);
+    this.maintenanceTimer = null;
+
+    // Closing the blocking connection releases a loop waiting on an empty queue
+    await this.blockingClient?.disconnect().catch(() => {});
+    await this.loop;
+    this.blockingClient = null;
+    this.loop = null;
+    await this.client.del(emailConfig.keys.heartbeat(this.senderId)).catch(() => {});
+
+    logger.info('Email sender stopped');
+  }
+
+  /**
+   * Queue depth for health checks
+   */
+  async getStats() {
+    try {
+      const [pending, delayed, failed] = await Promise.all([
+        this.client.lLen(emailConfig.keys.pending),
+        this.client.zCard(emailConfig.keys.delayed),
+        this.client.lLen(emailConfig.keys.failed)
+      ]);
+
+      return { pending, delayed, failed, timestamp: new Date() };
+    } catch (error) {
+      logger.error('Error getting email queue stats:', error);
+      return { pending: 0, delayed: 0, failed: 0, error: error.message, timestamp: new Date() };
+    }
+  }
+}
+
+export { emailConfig, redactJobData };
+export default new EmailService(redisClient);
@@ -0,0 +1,45 @@
+import FamilyMember from '../models/FamilyMember.js';
+import FamilyInvitation from '../models/FamilyInvitation.js';
+import Subscription from '../models/Subscription.js';
+import SubscriptionService from './SubscriptionService.js';
+
+/**
+ * Family Service
+ * Who may manage a family group and how many members it can hold
+ */
+class FamilyService {
+  isPrimary(family, userId) {
+    return family.primaryMemberId === userId;
+  }
+
+  /**
+   * Members allowed by the primary member's plan, capped by the group's own limit.
+   * A family whose plan lapsed keeps its members but cannot add more.
+   */
+  async getMemberLimit(family) {
+    const subscription = await Subscription.findActiveByUserId(family.primaryMemberId);
+    const planLimit = SubscriptionService.getLimit(subscription ? subscription.tier : 'free', 'familyMembers');
+    return Math.min(family.maxMembers, planLimit);
+  }
+
+  /**
+   * Members and pending invitations count against the limit, so invitations sent
+   * can always be accepted
+   */
+  async getSeats(family) {
+    const [members, invitations, limit] = await Promise.all([
+      FamilyMember.countActive(family.id),
+      FamilyInvitation.findPending(family.id),
+      this.getMemberLimit(family)
+    ]);
+
+    return {
+      members,
+      pendingInvitations: invitations.length,
+      limit,
+      available: Math.max(0, limit - members - invitations.length)
+    };
+  }
+}
+
+export default new FamilyService();
@@ -0,0 +1,275 @@
+import FoodItem, { DIET_TAGS } from '../models/FoodItem.js';
+import logger from '../utils/logger.js';
+
+// Most records accepted in one import
+const MAX_IMPORT_RECORDS = 5000;
+
+// Errors listed in the import summary; the counts always cover every record
+const MAX_REPORTED_ERRORS = 100;
+
+// Column names used by common nutrition datasets (IFCT, USDA exports, hand-made sheets),
+// after normalizeHeader, mapped to FoodItem fields
+const COLUMN_ALIASES = {
+  name: ['name', 'food_name', 'food', 'description_en', 'dish'],
+  externalId: ['external_id', 'id', 'code', 'food_code', 'fdc_id'],
+  category: ['category', 'food_group', 'group'],
+  subcategory: ['subcategory', 'sub_category'],
+  description: ['description', 'notes'],
+  recognitionLabel: ['recognition_label'],
+  aliases: ['aliases', 'other_names', 'local_names'],
+  allergens: ['allergens'],
+  dietTags: ['diet_tags', 'diet'],
+  safetyWarnings: ['safety_warnings', 'warnings'],
+  shelfLifeDays: ['shelf_life_days', 'shelf_life'],
+  glycemicIndex: ['glycemic_index', 'gi'],
+  glycemicLoad: ['glycemic_load', 'gl'],
+  dietaryFiber: ['dietary_fiber_level'],
+  oxalateLevel: ['oxalate_level'],
+  purineLevel: ['purine_level']
+};
+
+// Nutrition columns per 100g
+const NUTRITION_ALIASES = {
+  calories: ['calories', 'energy_kcal', 'energy', 'kcal'],
+  protein: ['protein', 'protein_g'],
+  carbohydrates: ['carbohydrates', 'carbohydrate', 'carbs', 'carbohydrate_g', 'carbohydrates_g'],
+  fat: ['fat', 'total_fat', 'fat_g', 'total_fat_g'],
+  fiber: ['fiber', 'fibre', 'dietary_fibre', 'dietary_fiber', 'fiber_g', 'fibre_g'],
+  sugar: ['sugar', 'sugars', 'sugar_g', 'total_sugars_g'],
+  sodium: ['sodium', 'sodium_mg'],
+  cholesterol: ['cholesterol', 'cholesterol_mg'],
+  vitaminA: ['vitamin_a', 'vitamin_a_mcg'],
+  vitaminC: ['vitamin_c', 'vitamin_c_mg'],
+  vitaminD: ['vitamin_d', 'vitamin_d_mcg'],
+  calcium: ['calcium', 'calcium_mg'],
+  iron: ['iron', 'iron_mg'],
+  potassium: ['potassium', 'potassium_mg']
+};
+
+const LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Food Import Service
+ * Bulk import of nutrition datasets (CSV or JSON) into the food catalogue.
+ * Records are matched on (source, external id), so re-importing a dataset
+ * updates its items instead of duplicating them.
+ */
+class FoodImportService {
+  /**
+   * Parse an uploaded dataset into plain records
+   */
+  parse(content, format) {
+    if (format === 'json') {
+      const data = JSON.parse(content);
+      const records = Array.isArray(data) ? data : data.items;
+      if (!Array.isArray(records)) {
+        throw this.importError('JSON imports must be an array of items or { "items": [...] }');
+      }
+      return records;
+    }
+
+    if (format === 'csv') {
+      return this.parseCSV(content);
+    }
+
+    throw this.importError(`Unsupported import format: ${format}`);
+  }
+
+  /**
+   * RFC 4180 CSV: quoted fields may contain commas, quotes ("") and line breaks
+   */
+  parseCSV(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const text = content.replace(/^\uFEFF/, ''); // byte order mark from spreadsheet exports
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    return body.map(cells => header.reduce((record, column, index) => {
+      record[column] = cells[index] !== undefined ? cells[index].trim() : '';
+      return record;
+    }, {}));
+  }
+
+  /**
+   * Import parsed records. New items get `status`; existing items keep theirs.
+   * Resolves to { total, created, updated, failed, errors: [{ row, message }] }.
+   */
+  async importRecords(records, { source, status = 'pending_review', submittedBy = null } = {}) {
+    if (records.length > MAX_IMPORT_RECORDS) {
+      throw this.importError(`Imports are limited to ${MAX_IMPORT_RECORDS} records`);
+    }
+
+    const summary = { total: records.length, created: 0, updated: 0, failed: 0, errors: [] };
+
+    for (const [index, record] of records.entries()) {
+      try {
+        const { externalId, ...changes } = this.toFoodItemData(record);
+        const existing = externalId ? await FoodItem.findByExternalId(source, externalId) : null;
+
+        if (existing) {
+          await existing.applyChanges(changes).save();
+          summary.updated++;
+        } else {
+          await new FoodItem({ source, externalId, status, submittedBy }).applyChanges(changes).save();
+          summary.created++;
+        }
+      } catch (error) {
+        summary.failed++;
+        if (summary.errors.length < MAX_REPORTED_ERRORS) {
+          // Row numbers count from 1, after the CSV header
+          summary.errors.push({ row: index + 1, message: error.message });
+        }
+      }
+    }
+
+    logger.info(`Food import from ${source}: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`);
+    return summary;
+  }
+
+  /**
+   * Map one dataset record onto FoodItem fields. Throws on a record that cannot be imported.
+   */
+  toFoodItemData(record) {
+    // JSON records may nest nutrition as { nutrition: { calories, ... } }
+    const flat = { ...record, ...(typeof record.nutrition === 'object' && record.nutrition) };
+    const values = Object.entries(flat).reduce((normalized, [key, value]) => {
+      normalized[this.normalizeHeader(key)] = value;
+      return normalized;
+    }, {});
+    const pick = (aliases) => {
+      const key = aliases.find(alias => values[alias] !== undefined && values[alias] !== '' && values[alias] !== null);
+      return key === undefined ? undefined : values[key];
+    };
+
+    const name = pick(COLUMN_ALIASES.name);
+    if (!name || String(name).trim() === '') {
+      throw new Error('Name is required');
+    }
+
+    const data = { name: String(name).trim().slice(0, 200) };
+
+    for (const field of ['externalId', 'category', 'subcategory', 'description', 'recognitionLabel']) {
+      const value = pick(COLUMN_ALIASES[field]);
+      if (value !== undefined) data[field] = String(value).trim();
+    }
+
+    data.nutrition = Object.entries(NUTRITION_ALIASES).reduce((nutrition, [field, aliases]) => {
+      const value = pick(aliases);
+      if (value !== undefined) nutrition[field] = this.toAmount(value, field);
+      return nutrition;
+    }, {});
+
+    for (const field of ['shelfLifeDays', 'glycemicIndex', 'glycemicLoad']) {
+      const value = pick(COLUMN_ALIASES[field]);
+      if (value !== undefined) data[field] = this.toAmount(value, field);
+    }
+
+    for (const field of ['dietaryFiber', 'oxalateLevel', 'purineLevel']) {
+      const value = pick(COLUMN_ALIASES[field]);
+      if (value === undefined) continue;
+
+      const level = String(value).trim().toLowerCase();
+      if (!LEVELS.includes(level)) throw new Error(`${field} must be one of ${LEVELS.join(', ')}`);
+      data[field] = level;
+    }
+
+    const allergens = pick(COLUMN_ALIASES.allergens);
+    if (allergens !== undefined) data.allergens = this.toList(allergens).map(allergen => allergen.toLowerCase());
+
+    const dietTags = pick(COLUMN_ALIASES.dietTags);
+    if (dietTags !== undefined) {
+      data.dietTags = this.toList(dietTags).map(tag => this.normalizeHeader(tag));
+      const unknown = data.dietTags.find(tag => !DIET_TAGS.includes(tag));
+      if (unknown) throw new Error(`Unknown diet tag: ${unknown}`);
+    }
+
+    const safetyWarnings = pick(COLUMN_ALIASES.safetyWarnings);
+    if (safetyWarnings !== undefined) data.safetyWarnings = this.toList(safetyWarnings);
+
+    const aliases = pick(COLUMN_ALIASES.aliases);
+    if (aliases !== undefined) data.aliases = this.toAliases(aliases);
+
+    return data;
+  }
+
+  /**
+   * "Energy (kcal)" -> "energy_kcal"
+   */
+  normalizeHeader(header) {
+    return String(header).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  }
+
+  toAmount(value, field) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error(`${field} must be a non-negative number`);
+    }
+    return amount;
+  }
+
+  /**
+   * Arrays as-is; strings split on ";" or "|"
+   */
+  toList(value) {
+    const list = Array.isArray(value) ? value : String(value).split(/[;|]/);
+    return list.map(entry => String(entry).trim()).filter(Boolean);
+  }
+
+  /**
+   * Aliases as [{ name, language }]. Strings may tag the language: "bhindi:hi; okra:en"
+   */
+  toAliases(value) {
+    return (Array.isArray(value) ? value : this.toList(value)).map((alias) => {
+      if (typeof alias === 'object' && alias !== null) {
+        return { name: String(alias.name).trim(), language: alias.language || null };
+      }
+
+      const [name, language] = String(alias).split(':').map(part => part.trim());
+      return { name, language: language || null };
+    }).filter(alias => alias.name);
+  }
+
+  importError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_IMPORT';
+    return error;
+  }
+}
+
+export { MAX_IMPORT_RECORDS };
+export default new FoodImportService();
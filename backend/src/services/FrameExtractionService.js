@@ -0,0 +1,238 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import fs from 'fs-extra';
+import logger from '../utils/logger.js';
+
+const JPEG_SOI = Buffer.from([0xFF, 0xD8, 0xFF]);
+
+/**
+ * Frame Extraction Service
+ * Pulls still frames out of video files with a locally installed ffmpeg, falling
+ * back to a pure-JS Motion-JPEG decoder when ffmpeg is not installed
+ */
+class FrameExtractionService {
+  constructor() {
+    this.ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg';
+    this.timeoutMs = parseInt(process.env.FFMPEG_TIMEOUT_MS) || 30000;
+    this.maxSampledFrames = parseInt(process.env.VIDEO_MAX_SAMPLED_FRAMES) || 300;
+    this.fallbackSourceFps = parseInt(process.env.VIDEO_FALLBACK_SOURCE_FPS) || 30;
+    this.ffmpegAvailable = null;
+  }
+
+  /**
+   * Check whether ffmpeg can be executed
+   */
+  async isFfmpegAvailable() {
+    if (this.ffmpegAvailable === null) {
+      try {
+        await this.runFfmpeg(['-version']);
+        this.ffmpegAvailable = true;
+      } catch (error) {
+        logger.warn(`ffmpeg not available at ${this.ffmpegPath}: ${error.message}`);
+        this.ffmpegAvailable = false;
+      }
+    }
+
+    return this.ffmpegAvailable;
+  }
+
+  /**
+   * Extract the most recent decodable frame of a (possibly still growing) video file
+   */
+  async extractLatestFrame(videoPath, outputPath) {
+    if (!await this.isFfmpegAvailable()) {
+      throw new Error('ffmpeg is required to decode video chunks');
+    }
+
+    await this.runFfmpeg([
+      '-y',
+      '-sseof', '-1',
+      '-i', videoPath,
+      '-frames:v', '1',
+      '-q:v', '2',
+      '-update', '1',
+      outputPath
+    ]);
+
+    if (!await fs.pathExists(outputPath)) {
+      throw new Error('No decodable frame found in video data');
+    }
+
+    return outputPath;
+  }
+
+  /**
+   * Sample frames at `frameRate` fps over the first `duration` seconds of a video.
+   * The effective rate is lowered when the request would exceed maxSampledFrames.
+   * Returns { frames: [{ index, timestamp, path }], sampledFrameRate, decoder }
+   */
+  async extractFrames(videoPath, outputDir, { frameRate = 5, duration = 30 } = {}) {
+    const sampledFrameRate = Math.min(frameRate, this.maxSampledFrames / duration);
+    await fs.ensureDir(outputDir);
+
+    if (await this.isFfmpegAvailable()) {
+      await this.runFfmpeg([
+        '-y',
+        '-t', String(duration),
+        '-i', videoPath,
+        '-vf', `fps=${sampledFrameRate}`,
+        '-q:v', '2',
+        path.join(outputDir, 'frame-%05d.jpg')
+      ], this.timeoutMs + duration * 1000);
+
+      const files = (await fs.readdir(outputDir))
+        .filter(file => /^frame-\d+\.jpg$/.test(file))
+        .sort();
+
+      return {
+        frames: files.map((file, index) => ({
+          index,
+          timestamp: Number((index / sampledFrameRate).toFixed(3)),
+          path: path.join(outputDir, file)
+        })),
+        sampledFrameRate,
+        decoder: 'ffmpeg'
+      };
+    }
+
+    return this.extractMotionJpegFrames(videoPath, outputDir, { sampledFrameRate, duration });
+  }
+
+  /**
+   * Pure-JS fallback: Motion-JPEG video (AVI/MOV with the MJPG codec, as written by
+   * most USB and IP cameras) stores every frame as a complete JPEG, so frames can be
+   * cut out of the container without decoding. Other codecs need ffmpeg.
+   */
+  async extractMotionJpegFrames(videoPath, outputDir, { sampledFrameRate, duration }) {
+    const data = await fs.readFile(videoPath);
+    const jpegRanges = findJpegRanges(data);
+
+    if (jpegRanges.length === 0) {
+      throw new Error('Video codec is not Motion-JPEG; install ffmpeg (or set FFMPEG_PATH) to analyse this video');
+    }
+
+    const sourceFps = readAviFrameRate(data) || this.fallbackSourceFps;
+    const frames = [];
+
+    for (let sample = 0; ; sample++) {
+      const timestamp = sample / sampledFrameRate;
+      const sourceIndex = Math.round(timestamp * sourceFps);
+      if (timestamp >= duration || sourceIndex >= jpegRanges.length) break;
+
+      const [start, end] = jpegRanges[sourceIndex];
+      const framePath = path.join(outputDir, `frame-${String(sample + 1).padStart(5, '0')}.jpg`);
+      await fs.writeFile(framePath, data.subarray(start, end));
+
+      frames.push({
+        index: sample,
+        timestamp: Number(timestamp.toFixed(3)),
+        path: framePath
+      });
+    }
+
+    return { frames, sampledFrameRate, decoder: 'mjpeg' };
+  }
+
+  /**
+   * Run ffmpeg with a hard timeout
+   */
+  runFfmpeg(args, timeoutMs = this.timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.ffmpegPath, ['-hide_banner', '-loglevel', 'error', ...args], {
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+
+      let stdout = '';
+      let stderr = '';
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`ffmpeg timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      child.stdout.on('data', (data) => { stdout += data; });
+      child.stderr.on('data', (data) => { stderr += data; });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(stdout);
+        } else {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Locate complete JPEG images (SOI to EOI) in a buffer by walking marker segments,
+ * so thumbnails embedded in a frame's EXIF data are not mistaken for frames
+ */
+const findJpegRanges = (data) => {
+  const ranges = [];
+  let offset = 0;
+
+  while ((offset = data.indexOf(JPEG_SOI, offset)) !== -1) {
+    const end = findJpegEnd(data, offset + 2);
+    if (end === -1) break;
+
+    ranges.push([offset, end]);
+    offset = end;
+  }
+
+  return ranges;
+};
+
+/**
+ * Return the offset just past the EOI marker of the JPEG whose segments start at `offset`
+ */
+const findJpegEnd = (data, offset) => {
+  // Header segments: marker + 2-byte big-endian length, until start of scan
+  while (offset + 4 <= data.length) {
+    if (data[offset] !== 0xFF) return -1;
+
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    offset += 2 + length;
+
+    if (marker === 0xDA) break; // SOS
+  }
+
+  // Entropy-coded data: 0xFF is only followed by 0x00 (stuffing), RSTn or a marker
+  for (let i = offset; i + 1 < data.length; i++) {
+    if (data[i] !== 0xFF) continue;
+
+    const next = data[i + 1];
+    if (next === 0xD9) return i + 2; // EOI
+    if (next !== 0x00 && !(next >= 0xD0 && next <= 0xD7) && next !== 0xFF) {
+      // Another scan (progressive JPEG) - skip its header segment
+      if (i + 3 < data.length && next >= 0xC0 && next <= 0xFE) {
+        i += 1 + data.readUInt16BE(i + 2);
+      }
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Frame rate from an AVI main header (dwMicroSecPerFrame), if present
+ */
+const readAviFrameRate = (data) => {
+  if (data.toString('ascii', 0, 4) !== 'RIFF' || data.toString('ascii', 8, 12) !== 'AVI ') {
+    return null;
+  }
+
+  const headerOffset = data.indexOf('avih');
+  if (headerOffset === -1 || headerOffset + 12 > data.length) return null;
+
+  const microSecPerFrame = data.readUInt32LE(headerOffset + 8);
+  return microSecPerFrame > 0 ? 1000000 / microSecPerFrame : null;
+};
+
+export default new FrameExtractionService();
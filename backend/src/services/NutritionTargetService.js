@@ -0,0 +1,217 @@
+import { LOGGED_NUTRIENTS } from '../models/NutritionLogEntry.js';
+
+// TDEE multipliers of BMR per activity level
+const ACTIVITY_FACTORS = {
+  sedentary: 1.2,
+  light: 1.375,
+  moderate: 1.55,
+  active: 1.725,
+  very_active: 1.9
+};
+
+// Daily calorie change per goal; targets never drop below MIN_CALORIES
+const GOAL_ADJUSTMENTS = { lose: -500, maintain: 0, gain: 300 };
+const MIN_CALORIES = 1200;
+
+// Energy per gram of each macronutrient
+const KCAL_PER_GRAM = { protein: 4, carbohydrates: 4, fat: 9 };
+
+// WHO: under 2000mg sodium a day, free sugars under 10% of energy
+const DEFAULT_SODIUM_LIMIT = 2000;
+const SUGAR_ENERGY_SHARE = 0.10;
+
+// Fibre per 1000 kcal (ICMR-NIN)
+const FIBER_PER_1000_KCAL = 14;
+
+const round = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Nutrition Target Service
+ * Daily targets from the user's BMR (Mifflin-St Jeor) and TDEE, and the dashboard
+ * views built from the nutrition log: remaining budget, macro balance, weekly
+ * intake and sodium/sugar trends.
+ */
+class NutritionTargetService {
+  /**
+   * Daily targets for a body profile (User.getBodyProfile) and NutritionGoal.
+   * Throws INCOMPLETE_PROFILE listing the missing profile fields.
+   */
+  computeTargets(profile, goals, now = new Date()) {
+    const missing = ['dateOfBirth', 'gender', 'height', 'weight', 'activityLevel'].filter(field => !profile[field]);
+    if (missing.length > 0) {
+      const error = new Error(`Add ${missing.join(', ')} to your profile to get nutrition targets`);
+      error.code = 'INCOMPLETE_PROFILE';
+      error.missing = missing;
+      throw error;
+    }
+
+    const age = this.ageOn(new Date(profile.dateOfBirth), now);
+    const bmr = this.calculateBMR({ ...profile, age });
+    const tdee = bmr * ACTIVITY_FACTORS[profile.activityLevel];
+    const calories = goals.calorieTarget || Math.max(MIN_CALORIES, tdee + GOAL_ADJUSTMENTS[goals.goal]);
+
+    return {
+      bmr: round(bmr),
+      tdee: round(tdee),
+      calories: round(calories),
+      protein: round((calories * goals.proteinPercent / 100) / KCAL_PER_GRAM.protein),
+      carbohydrates: round((calories * goals.carbsPercent / 100) / KCAL_PER_GRAM.carbohydrates),
+      fat: round((calories * goals.fatPercent / 100) / KCAL_PER_GRAM.fat),
+      fiber: round(calories / 1000 * FIBER_PER_1000_KCAL),
+      sugar: goals.sugarLimit ?? round((calories * SUGAR_ENERGY_SHARE) / 4),
+      sodium: goals.sodiumLimit ?? DEFAULT_SODIUM_LIMIT,
+      basis: {
+        age,
+        gender: profile.gender,
+        height: profile.height,
+        weight: profile.weight,
+        activityLevel: profile.activityLevel,
+        goal: goals.goal,
+        calorieOverride: Boolean(goals.calorieTarget)
+      }
+    };
+  }
+
+  /**
+   * Mifflin-St Jeor; 'other' uses the midpoint of the male and female constants
+   */
+  calculateBMR({ weight, height, age, gender }) {
+    const base = 10 * weight + 6.25 * height - 5 * age;
+    if (gender === 'male') return base + 5;
+    if (gender === 'female') return base - 161;
+    return base - 78;
+  }
+
+  ageOn(dateOfBirth, now) {
+    let age = now.getFullYear() - dateOfBirth.getFullYear();
+    const birthdayPassed = now.getMonth() > dateOfBirth.getMonth() ||
+      (now.getMonth() === dateOfBirth.getMonth() && now.getDate() >= dateOfBirth.getDate());
+    if (!birthdayPassed) age--;
+    return age;
+  }
+
+  /**
+   * Consumed vs target per nutrient for one day. Sodium and sugar are limits:
+   * `remaining` goes negative once they are exceeded.
+   */
+  remainingBudget(targets, totals = {}) {
+    return Object.entries(LOGGED_NUTRIENTS).reduce((budget, [nutrient, unit]) => {
+      const consumed = totals[nutrient] || 0;
+      budget[nutrient] = {
+        unit,
+        target: targets[nutrient],
+        consumed: round(consumed, 1),
+        remaining: round(targets[nutrient] - consumed, 1),
+        percent: targets[nutrient] ? round((consumed / targets[nutrient]) * 100) : null,
+        isLimit: nutrient === 'sodium' || nutrient === 'sugar'
+      };
+      return budget;
+    }, {});
+  }
+
+  /**
+   * Share of calories from protein, carbohydrates and fat vs the goal's split
+   */
+  macroBalance(totals, goals) {
+    const energy = Object.entries(KCAL_PER_GRAM).reduce((kcal, [macro, perGram]) => {
+      kcal[macro] = (totals[macro] || 0) * perGram;
+      return kcal;
+    }, {});
+    const totalEnergy = Object.values(energy).reduce((sum, kcal) => sum + kcal, 0);
+    const targetPercent = { protein: goals.proteinPercent, carbohydrates: goals.carbsPercent, fat: goals.fatPercent };
+
+    return Object.keys(KCAL_PER_GRAM).reduce((balance, macro) => {
+      const percent = totalEnergy > 0 ? round((energy[macro] / totalEnergy) * 100, 1) : null;
+      balance[macro] = {
+        grams: round(totals[macro] || 0, 1),
+        percent,
+        targetPercent: targetPercent[macro],
+        difference: percent === null ? null : round(percent - targetPercent[macro], 1)
+      };
+      return balance;
+    }, {});
+  }
+
+  /**
+   * Totals and per-logged-day averages over a range of daily totals
+   */
+  summarize(dailyTotals, targets) {
+    const totals = Object.keys(LOGGED_NUTRIENTS).reduce((sums, nutrient) => {
+      sums[nutrient] = round(dailyTotals.reduce((sum, day) => sum + day[nutrient], 0), 1);
+      return sums;
+    }, {});
+    const daysLogged = dailyTotals.length;
+
+    return {
+      daysLogged,
+      totals,
+      dailyAverage: Object.keys(totals).reduce((averages, nutrient) => {
+        averages[nutrient] = daysLogged ? round(totals[nutrient] / daysLogged, 1) : null;
+        return averages;
+      }, {}),
+      daysOverCalories: dailyTotals.filter(day => day.calories > targets.calories).length
+    };
+  }
+
+  /**
+   * Daily sodium and sugar between two dates against their limits. Days without
+   * entries are null, not zero, so a missed log does not read as a good day.
+   */
+  sodiumSugarTrends(dailyTotals, targets, startDate, endDate) {
+    const byDate = new Map(dailyTotals.map(day => [day.date, day]));
+    const days = this.dateRange(startDate, endDate).map(date => ({
+      date,
+      sodium: byDate.get(date)?.sodium ?? null,
+      sugar: byDate.get(date)?.sugar ?? null
+    }));
+
+    const trend = (nutrient) => {
+      const values = days.map(day => day[nutrient]).filter(value => value !== null);
+      const half = Math.floor(values.length / 2);
+      const average = (list) => (list.length ? list.reduce((sum, value) => sum + value, 0) / list.length : null);
+      const first = average(values.slice(0, half));
+      const second = average(values.slice(values.length - half));
+
+      let direction = 'insufficient_data';
+      if (half > 0 && first !== null) {
+        const change = (second - first) / (first || 1);
+        direction = change > 0.1 ? 'rising' : change < -0.1 ? 'falling' : 'stable';
+      }
+
+      return {
+        limit: targets[nutrient],
+        average: values.length ? round(average(values), 1) : null,
+        daysOverLimit: values.filter(value => value > targets[nutrient]).length,
+        direction
+      };
+    };
+
+    return { days, sodium: trend('sodium'), sugar: trend('sugar') };
+  }
+
+  /**
+   * YYYY-MM-DD dates from start to end, inclusive
+   */
+  dateRange(startDate, endDate) {
+    const dates = [];
+    const end = new Date(`${endDate}T00:00:00Z`);
+    for (let day = new Date(`${startDate}T00:00:00Z`); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+      dates.push(day.toISOString().split('T')[0]);
+    }
+    return dates;
+  }
+
+  /**
+   * Shift a YYYY-MM-DD date by a number of days
+   */
+  addDays(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().split('T')[0];
+  }
+}
+
+export default new NutritionTargetService();
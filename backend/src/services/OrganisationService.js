@@ -0,0 +1,154 @@
+import Organisation from '../models/Organisation.js';
+import OrganisationMember from '../models/OrganisationMember.js';
+import Outlet from '../models/Outlet.js';
+import Subscription from '../models/Subscription.js';
+import FoodAnalysis from '../models/FoodAnalysis.js';
+import ComplianceCheck from '../models/ComplianceCheck.js';
+import CorrectiveAction from '../models/CorrectiveAction.js';
+import SubscriptionService from './SubscriptionService.js';
+
+/**
+ * What each organisation role may do. Staff only work at their assigned outlets.
+ */
+export const ROLE_PERMISSIONS = {
+  owner: [
+    'manage_organisation',
+    'manage_outlets',
+    'manage_members',
+    'invite_managers',
+    'invite_staff',
+    'manage_compliance',
+    'record_checks',
+    'view_reports',
+    'view'
+  ],
+  manager: ['invite_staff', 'manage_compliance', 'record_checks', 'view_reports', 'view'],
+  staff: ['record_checks', 'view']
+};
+
+/**
+ * Organisation Service
+ * Role checks, outlet access and the cross-outlet dashboard
+ */
+class OrganisationService {
+  can(member, permission) {
+    return Boolean(member) && (ROLE_PERMISSIONS[member.role] || []).includes(permission);
+  }
+
+  canAccessOutlet(member, outlet) {
+    if (!member || member.organisationId !== outlet.organisationId) return false;
+    return member.coversAllOutlets() || member.outletIds.includes(outlet.id);
+  }
+
+  /**
+   * The outlet with its organisation and the user's membership, or null when the
+   * outlet doesn't exist or the user can't work at it
+   */
+  async resolveOutletAccess(outletId, userId) {
+    const outlet = await Outlet.findById(outletId);
+    if (!outlet || !outlet.organisationId) return null;
+
+    const [organisation, member] = await Promise.all([
+      Organisation.findById(outlet.organisationId),
+      OrganisationMember.find(outlet.organisationId, userId)
+    ]);
+
+    if (!organisation || !this.canAccessOutlet(member, outlet)) return null;
+
+    return { outlet, organisation, member };
+  }
+
+  /**
+   * The organisation's plan is its owner's, so staff on a free account still get
+   * the features the business pays for
+   */
+  async getTier(organisation) {
+    const subscription = await Subscription.findActiveByUserId(organisation.ownerId);
+    return subscription ? subscription.tier : 'free';
+  }
+
+  async hasFeature(organisation, feature) {
+    return SubscriptionService.hasFeature(await this.getTier(organisation), feature);
+  }
+
+  /**
+   * Outlets the user can work at, across all their organisations
+   */
+  async accessibleOutlets(userId) {
+    const memberships = await OrganisationMember.findByUser(userId);
+    if (memberships.length === 0) return [];
+
+    const outlets = await Outlet.findByOrganisations(memberships.map(member => member.organisationId));
+    const byOrganisation = new Map(memberships.map(member => [member.organisationId, member]));
+
+    return outlets.filter(outlet => this.canAccessOutlet(byOrganisation.get(outlet.organisationId), outlet));
+  }
+
+  /**
+   * Safety scores and compliance of every outlet over the last `days`, ranked from
+   * the outlet needing most attention to the best performing one
+   */
+  async buildDashboard(organisation, days = 30) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const outlets = await Outlet.findByOrganisations([organisation.id]);
+    const outletIds = outlets.map(outlet => outlet.id);
+
+    const [analyses, checks, actions] = await Promise.all([
+      FoodAnalysis.getOutletComparison(outletIds, since),
+      ComplianceCheck.countByOutlet(outletIds, since),
+      CorrectiveAction.countOpenByOutlet(outletIds)
+    ]);
+
+    const rows = outlets.map(outlet => {
+      const safety = analyses[outlet.id] || {
+        analyses: 0, averageScore: null, lowestScore: null, unsafe: 0, unsafeRate: null, weekly: []
+      };
+      const compliance = checks[outlet.id] || { checks: 0, passed: 0 };
+      const open = actions[outlet.id] || { open: 0, overdue: 0 };
+
+      return {
+        outlet: outlet.toJSON(),
+        safety,
+        compliance: {
+          checks: compliance.checks,
+          passed: compliance.passed,
+          passRate: compliance.checks > 0 ? Math.round((compliance.passed / compliance.checks) * 100) : null,
+          openCorrectiveActions: open.open,
+          overdueCorrectiveActions: open.overdue
+        }
+      };
+    });
+
+    // Outlets with no analyses sort last: there is nothing to compare yet
+    const ranked = [...rows].sort((a, b) => {
+      if (a.safety.averageScore === null) return 1;
+      if (b.safety.averageScore === null) return -1;
+      return a.safety.averageScore - b.safety.averageScore;
+    });
+
+    const totalAnalyses = rows.reduce((sum, row) => sum + row.safety.analyses, 0);
+    const scoredTotal = rows.reduce((sum, row) => sum + (row.safety.averageScore || 0) * row.safety.analyses, 0);
+    const totalChecks = rows.reduce((sum, row) => sum + row.compliance.checks, 0);
+    const totalPassed = rows.reduce((sum, row) => sum + row.compliance.passed, 0);
+
+    return {
+      organisation: organisation.toJSON(),
+      period: { days, since },
+      totals: {
+        outlets: outlets.length,
+        analyses: totalAnalyses,
+        averageScore: totalAnalyses > 0 ? Math.round(scoredTotal / totalAnalyses) : null,
+        unsafe: rows.reduce((sum, row) => sum + row.safety.unsafe, 0),
+        checks: totalChecks,
+        passRate: totalChecks > 0 ? Math.round((totalPassed / totalChecks) * 100) : null,
+        openCorrectiveActions: rows.reduce((sum, row) => sum + row.compliance.openCorrectiveActions, 0)
+      },
+      outlets: ranked,
+      needsAttention: ranked
+        .filter(row => row.safety.unsafe > 0 || row.compliance.overdueCorrectiveActions > 0)
+        .map(row => row.outlet.id)
+    };
+  }
+}
+
+export default new OrganisationService();
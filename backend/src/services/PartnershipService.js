@@ -1,5 +1,5 @@
-const PartnershipRevenue = require('../models/PartnershipRevenue');
-const axios = require('axios');
+import axios from 'axios';
+import PartnershipRevenue from '../models/PartnershipRevenue.js';
 
 class PartnershipService {
   // E-commerce Integration Service
@@ -382,4 +382,4 @@ class PartnershipService {
   }
 }
 
-module.exports = PartnershipService;
\ No newline at end of file
+export default PartnershipService;
\ No newline at end of file
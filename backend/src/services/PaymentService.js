@@ -1,5 +1,8 @@
 import crypto from 'crypto';
 import axios from 'axios';
+import Subscription from '../models/Subscription.js';
+import SubscriptionService from './SubscriptionService.js';
+import EmailService from './EmailService.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -204,8 +207,23 @@ class PaymentService {
   async handleSubscriptionCharged(data, provider) {
     try {
       const { subscription_id, amount } = data;
+      const paymentId = data.payment_id || data.id;
       
       logger.info(`Subscription charged: ${subscription_id}, amount: ${amount}`);
+
+      const contact = await Subscription.findBillingContact(subscription_id);
+      if (contact) {
+        // Keyed on the payment so a redelivered webhook sends one receipt
+        await EmailService.enqueue('subscriptionReceipt', contact.email, {
+          firstName: contact.firstName,
+          planName: SubscriptionService.getTierConfig(contact.tier)?.name || contact.tier,
+          amount: amount ?? contact.amount,
+          currency: data.currency || contact.currency,
+          paymentId: paymentId || subscription_id,
+          nextBillingDate: contact.nextBillingDate,
+          manageUrl: EmailService.appUrl('/subscription')
+        }, { language: contact.language, dedupeKey: `receipt:${provider}:${paymentId || `${subscription_id}:${amount}`}` });
+      }
       
       // Handle recurring billing
       return { handled: true, action: 'subscription_billed' };
@@ -238,8 +256,20 @@ class PaymentService {
   async handlePaymentFailed(data, provider) {
     try {
       const { invoice_id, amount_due } = data;
+      const subscriptionId = data.subscription_id || data.subscription;
       
       logger.warn(`Payment failed: ${invoice_id}, amount due: ${amount_due}`);
+
+      const contact = subscriptionId ? await Subscription.findBillingContact(subscriptionId) : null;
+      if (contact) {
+        await EmailService.enqueue('paymentFailed', contact.email, {
+          firstName: contact.firstName,
+          planName: SubscriptionService.getTierConfig(contact.tier)?.name || contact.tier,
+          amount: amount_due ?? contact.amount,
+          currency: data.currency || contact.currency,
+          manageUrl: EmailService.appUrl('/subscription')
+        }, { language: contact.language, dedupeKey: `payment_failed:${provider}:${invoice_id || subscriptionId}` });
+      }
       
       // Handle failed payment - could pause subscription or send notification
       return { handled: true, action: 'payment_failed' };
@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import cache from '../config/redis.js';
+import { sendSms } from './sms/index.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Phone OTP Service
+ * One-time codes sent by SMS for phone login and phone verification. Codes are
+ * kept hashed in Redis; sends are rate limited per number and each code allows
+ * a few guesses.
+ */
+const otpConfig = {
+  codeDigits: 6,
+  ttlSeconds: 5 * 60,
+  maxAttempts: 5,
+  resendCooldownSeconds: 30,
+  maxSendsPerHour: 5,
+  defaultCountryCode: '91',
+  signupTokenTtlSeconds: 10 * 60
+};
+
+const MESSAGES = {
+  en: (code, minutes) => `${code} is your FoodSafe AI code. It expires in ${minutes} minutes. Do not share it with anyone.`,
+  hi: (code, minutes) => `${code} आपका FoodSafe AI कोड है। यह ${minutes} मिनट में समाप्त हो जाएगा। इसे किसी के साथ साझा न करें।`
+};
+
+const otpError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+class PhoneOtpService {
+  // Derived from JWT_SECRET so a signup token is never accepted as an access token
+  get signupSecret() {
+    return `${process.env.JWT_SECRET}:phone_signup`;
+  }
+
+  /**
+   * E.164 form of a phone number, or null. Ten-digit Indian mobile numbers, with
+   * or without a leading 0 or 91, get +91.
+   */
+  normalizePhone(phone) {
+    const raw = String(phone || '').trim();
+    const digits = raw.replace(/\D/g, '');
+
+    if (raw.startsWith('+')) {
+      return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+    }
+
+    const national = digits.replace(new RegExp(`^(0|${otpConfig.defaultCountryCode})(?=[6-9]\\d{9}$)`), '');
+    return /^[6-9]\d{9}$/.test(national) ? `+${otpConfig.defaultCountryCode}${national}` : null;
+  }
+
+  /**
+   * Generate, store and text a code. Throws OTP_COOLDOWN while the previous code
+   * is too recent and OTP_RATE_LIMITED after too many sends to the number.
+   */
+  async sendCode(phone, purpose, language = 'en') {
+    const cooldownKey = `otp_cooldown:${purpose}:${phone}`;
+    if (await cache.exists(cooldownKey)) {
+      throw otpError('Please wait before requesting another code', 'OTP_COOLDOWN', {
+        retryAfter: Math.max(await cache.ttl(cooldownKey), 1)
+      });
+    }
+
+    const rate = await cache.rateLimit(`otp_sends:${phone}`, otpConfig.maxSendsPerHour, 3600);
+    if (!rate.allowed) {
+      throw otpError('Too many codes requested for this number, please try again later', 'OTP_RATE_LIMITED');
+    }
+
+    const code = String(crypto.randomInt(0, 10 ** otpConfig.codeDigits)).padStart(otpConfig.codeDigits, '0');
+
+    await cache.set(this.codeKey(phone, purpose), {
+      hash: this.hashCode(phone, code)
+    }, otpConfig.ttlSeconds);
+    await cache.set(this.attemptsKey(phone, purpose), 0, otpConfig.ttlSeconds);
+    await cache.set(cooldownKey, true, otpConfig.resendCooldownSeconds);
+
+    const message = (MESSAGES[language] || MESSAGES.en)(code, Math.round(otpConfig.ttlSeconds / 60));
+    await sendSms(phone, message);
+
+    logger.info(`OTP sent for ${purpose} to ${this.maskPhone(phone)}`);
+
+    return {
+      expiresIn: otpConfig.ttlSeconds,
+      resendAfter: otpConfig.resendCooldownSeconds
+    };
+  }
+
+  /**
+   * Check a code; a correct code is spent. Throws OTP_EXPIRED when no code is
+   * pending, OTP_INVALID for a wrong code and OTP_ATTEMPTS_EXCEEDED once the
+   * code has had too many guesses.
+   */
+  async verifyCode(phone, purpose, code) {
+    const key = this.codeKey(phone, purpose);
+    const attemptsKey = this.attemptsKey(phone, purpose);
+    const pending = await cache.get(key);
+
+    if (!pending) {
+      throw otpError('Code has expired, please request a new one', 'OTP_EXPIRED');
+    }
+
+    // Counted atomically before comparing, so parallel guesses can't share a count
+    const attempts = await cache.incr(attemptsKey);
+    if (attempts === 1) {
+      await cache.expire(attemptsKey, otpConfig.ttlSeconds);
+    }
+
+    if (attempts < 1 || attempts > otpConfig.maxAttempts) {
+      await this.clearCode(phone, purpose);
+      throw otpError('Too many incorrect codes, please request a new one', 'OTP_ATTEMPTS_EXCEEDED');
+    }
+
+    const expected = Buffer.from(pending.hash, 'hex');
+    const actual = Buffer.from(this.hashCode(phone, String(code)), 'hex');
+
+    if (crypto.timingSafeEqual(expected, actual)) {
+      await this.clearCode(phone, purpose);
+      return true;
+    }
+
+    if (attempts >= otpConfig.maxAttempts) {
+      await this.clearCode(phone, purpose);
+      throw otpError('Too many incorrect codes, please request a new one', 'OTP_ATTEMPTS_EXCEEDED');
+    }
+
+    throw otpError('Incorrect code', 'OTP_INVALID', {
+      attemptsRemaining: otpConfig.maxAttempts - attempts
+    });
+  }
+
+  /**
+   * Token proving a new number passed OTP login; exchanged with the account's
+   * name to create it
+   */
+  createSignupToken(phone) {
+    return jwt.sign({ phone, purpose: 'phone_signup' }, this.signupSecret, {
+      expiresIn: otpConfig.signupTokenTtlSeconds
+    });
+  }
+
+  /**
+   * Phone number of a valid signup token. Throws INVALID_SIGNUP_TOKEN otherwise.
+   */
+  verifySignupToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.signupSecret);
+      if (decoded.purpose !== 'phone_signup') throw new Error('Wrong token purpose');
+      return decoded.phone;
+    } catch (error) {
+      throw otpError('Signup token is invalid or has expired', 'INVALID_SIGNUP_TOKEN');
+    }
+  }
+
+  codeKey(phone, purpose) {
+    return `otp:${purpose}:${phone}`;
+  }
+
+  attemptsKey(phone, purpose) {
+    return `otp_attempts:${purpose}:${phone}`;
+  }
+
+  async clearCode(phone, purpose) {
+    await cache.del(this.codeKey(phone, purpose));
+    await cache.del(this.attemptsKey(phone, purpose));
+  }
+
+  hashCode(phone, code) {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`${phone}:${code}`).digest('hex');
+  }
+
+  maskPhone(phone) {
+    return `${phone.slice(0, 3)}******${phone.slice(-3)}`;
+  }
+}
+
+export { otpConfig };
+export default new PhoneOtpService();
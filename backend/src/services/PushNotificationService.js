@@ -0,0 +1,76 @@
+import axios from 'axios';
+import db from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+// Alerts at these levels are pushed; lower ones stay in the report
+const PUSHED_ALERT_LEVELS = ['critical', 'high'];
+
+/**
+ * Push Notification Service
+ * Sends notifications to the Expo push token the mobile app registers at login.
+ * Delivery is best effort: failures are logged, never thrown to the caller.
+ */
+class PushNotificationService {
+  constructor() {
+    this.accessToken = process.env.EXPO_ACCESS_TOKEN || null;
+  }
+
+  /**
+   * Notify the user of the serious profile conflicts found in an analysis, if they
+   * turned on dietary alerts and have a device registered
+   */
+  async notifyProfileConflicts(analysis, conflicts, profile) {
+    if (!profile.notifications?.dietaryAlerts || !profile.pushToken) return;
+
+    const alerts = conflicts.filter(conflict => PUSHED_ALERT_LEVELS.includes(conflict.level));
+    if (alerts.length === 0) return;
+
+    const [first] = alerts;
+    await this.send(analysis.userId, profile.pushToken, {
+      title: first.level === 'critical' ? `Allergy alert: ${analysis.foodName}` : `Dietary alert: ${analysis.foodName}`,
+      body: alerts.length > 1 ? `${first.message} (+${alerts.length - 1} more)` : first.message,
+      data: {
+        type: 'safety_alert',
+        analysisId: analysis.id,
+        alertCount: alerts.length
+      }
+    });
+  }
+
+  /**
+   * Send one notification. A token Expo reports as unregistered is cleared.
+   */
+  async send(userId, pushToken, { title, body, data = {} }) {
+    try {
+      const response = await axios.post(EXPO_PUSH_URL, {
+        to: pushToken,
+        title,
+        body,
+        data,
+        sound: 'default',
+        priority: 'high'
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.accessToken && { Authorization: `Bearer ${this.accessToken}` })
+        },
+        timeout: 10000
+      });
+
+      const ticket = response.data?.data;
+      if (ticket?.status === 'error') {
+        logger.warn(`Push notification rejected for user ${userId}: ${ticket.message}`);
+
+        if (ticket.details?.error === 'DeviceNotRegistered') {
+          await db('users').where({ id: userId, push_token: pushToken }).update({ push_token: null });
+        }
+      }
+    } catch (error) {
+      logger.error(`Error sending push notification to user ${userId}:`, error.message);
+    }
+  }
+}
+
+export default new PushNotificationService();
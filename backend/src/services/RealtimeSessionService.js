@@ -0,0 +1,528 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { redisClient } from '../config/redis.js';
+import FoodAnalysis from '../models/FoodAnalysis.js';
+import FrameExtractionService from './FrameExtractionService.js';
+import SubscriptionService from './SubscriptionService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Realtime Session Service
+ * Owns live video analysis sessions: per-tier concurrency caps, frame queues with
+ * backpressure, per-frame safety events and teardown.
+ */
+const realtimeConfig = {
+  keys: {
+    session: (sessionId) => `realtime:session:${sessionId}`,
+    userSessions: (userId) => `realtime:user:${userId}`
+  },
+  maxQueuedFrames: parseInt(process.env.REALTIME_MAX_QUEUED_FRAMES) || 4,
+  maxFrameBytes: 5 * 1024 * 1024, // 5MB per frame or chunk
+  maxBufferedBytes: 1024 * 1024, // stop sending non-critical events above 1MB unsent
+  idleTimeoutMs: parseInt(process.env.REALTIME_IDLE_TIMEOUT_MS) || 60000,
+  maxSessionSeconds: parseInt(process.env.REALTIME_MAX_SESSION_SECONDS) || 3600,
+  // Sampling of the clip uploaded with the session, as in video analysis
+  clip: {
+    frameRate: parseFloat(process.env.REALTIME_CLIP_FRAME_RATE) || 2,
+    duration: parseInt(process.env.REALTIME_CLIP_DURATION) || 30
+  },
+  tempDir: path.join(os.tmpdir(), 'foodsafe-realtime')
+};
+
+const IMAGE_SIGNATURES = [
+  [0xFF, 0xD8, 0xFF], // JPEG
+  [0x89, 0x50, 0x4E, 0x47] // PNG
+];
+
+class RealtimeSessionService {
+  constructor(client) {
+    this.client = client;
+    this.activeSessions = new Map();
+    this.mlServicePromise = null;
+  }
+
+  /**
+   * Register a new session, enforcing the tier's concurrent session cap
+   */
+  async createSession(userId, sessionId, options = {}) {
+    const tier = options.userTier || 'free';
+    const limit = SubscriptionService.getLimit(tier, 'realtimeSessions') || 0;
+
+    const existing = await this.getSession(sessionId);
+    if (existing) {
+      const error = new Error('Realtime session already exists');
+      error.code = 'REALTIME_SESSION_EXISTS';
+      throw error;
+    }
+
+    const activeCount = await this.countActiveSessions(userId);
+    if (limit !== -1 && activeCount >= limit) {
+      const error = new Error(`Concurrent realtime session limit reached for ${tier} tier (${limit})`);
+      error.code = 'REALTIME_SESSION_LIMIT';
+      error.limit = limit;
+      throw error;
+    }
+
+    const session = {
+      sessionId,
+      userId,
+      tier,
+      foodName: options.foodName || 'Unknown Food',
+      videoPath: options.videoPath || null,
+      status: 'awaiting_connection',
+      createdAt: new Date().toISOString()
+    };
+
+    await this.client.setEx(realtimeConfig.keys.session(sessionId), realtimeConfig.maxSessionSeconds, JSON.stringify(session));
+    await this.client.sAdd(realtimeConfig.keys.userSessions(userId), sessionId);
+
+    logger.info(`Realtime session created: ${sessionId} for user ${userId}`);
+    return session;
+  }
+
+  /**
+   * Get stored session metadata
+   */
+  async getSession(sessionId) {
+    try {
+      const value = await this.client.get(realtimeConfig.keys.session(sessionId));
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.error(`Error getting realtime session ${sessionId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Count a user's live sessions, pruning ids whose metadata has expired
+   */
+  async countActiveSessions(userId) {
+    const key = realtimeConfig.keys.userSessions(userId);
+    const sessionIds = await this.client.sMembers(key);
+    let active = 0;
+
+    for (const sessionId of sessionIds) {
+      if (await this.client.exists(realtimeConfig.keys.session(sessionId))) {
+        active++;
+      } else {
+        await this.client.sRem(key, sessionId);
+      }
+    }
+
+    return active;
+  }
+
+  /**
+   * Bind an authenticated WebSocket to its session. The socket is registered and
+   * its close/error handlers attached before anything is awaited, so a second
+   * socket for the same session is refused and a socket that closes during setup
+   * still ends the session. Resolves once setup is done.
+   */
+  attachSocket(ws, sessionId, userId) {
+    if (this.activeSessions.has(sessionId)) {
+      ws.close(4409, 'Session already connected');
+      return Promise.resolve();
+    }
+
+    const workDir = path.join(realtimeConfig.tempDir, sessionId);
+    const state = {
+      sessionId,
+      userId,
+      ws,
+      workDir,
+      streamPath: path.join(workDir, 'stream.video'),
+      queue: [],
+      processing: false,
+      closed: false,
+      frameIndex: 0,
+      lastSafetyLevel: null,
+      idleTimer: null,
+      stats: {
+        framesReceived: 0,
+        framesAnalyzed: 0,
+        framesDropped: 0,
+        framesFailed: 0,
+        framesRejected: 0,
+        minSafetyScore: null,
+        startedAt: Date.now()
+      }
+    };
+
+    this.activeSessions.set(sessionId, state);
+    ws.on('close', () => this.endSocketSession(state, 'client_disconnected'));
+    ws.on('error', (error) => {
+      logger.error(`Realtime socket error for ${sessionId}:`, error);
+      this.endSocketSession(state, 'socket_error');
+    });
+
+    state.setup = this.setupSocket(state);
+    return state.setup;
+  }
+
+  /**
+   * Load the stored session into a registered socket's state, mark it active and
+   * start accepting frames
+   */
+  async setupSocket(state) {
+    const { ws, sessionId } = state;
+    const session = await this.getSession(sessionId);
+
+    if (!session || String(session.userId) !== String(state.userId) || session.status === 'active') {
+      state.closed = true;
+      this.activeSessions.delete(sessionId);
+      if (session && String(session.userId) === String(state.userId)) {
+        ws.close(4409, 'Session already connected');
+      } else {
+        ws.close(4404, 'Session not found');
+      }
+      return;
+    }
+
+    Object.assign(state, session);
+    await fs.ensureDir(state.workDir);
+    await this.updateSessionStatus(state, 'active');
+
+    ws.on('message', (data, isBinary) => this.handleMessage(state, data, isBinary));
+    this.resetIdleTimer(state);
+
+    this.send(state, {
+      type: 'session_ready',
+      sessionId,
+      foodName: state.foodName,
+      limits: {
+        maxQueuedFrames: realtimeConfig.maxQueuedFrames,
+        maxFrameBytes: realtimeConfig.maxFrameBytes,
+        idleTimeoutMs: realtimeConfig.idleTimeoutMs
+      }
+    }, true);
+
+    // The video uploaded when the session was started is analysed first
+    if (state.videoPath && await fs.pathExists(state.videoPath)) {
+      this.enqueueFrame(state, { kind: 'clip', sourcePath: state.videoPath, receivedAt: Date.now() });
+    }
+  }
+
+  /**
+   * End the session a socket was attached to, once its setup has settled. A
+   * socket that was refused during setup has no session to end.
+   */
+  async endSocketSession(state, reason) {
+    await state.setup?.catch(() => {});
+    if (this.activeSessions.get(state.sessionId) !== state) return;
+    await this.endSession(state.sessionId, reason);
+  }
+
+  /**
+   * Route an incoming socket message
+   */
+  handleMessage(state, data, isBinary) {
+    if (state.closed) return;
+    this.resetIdleTimer(state);
+
+    if (!isBinary) {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        this.send(state, { type: 'error', code: 'INVALID_MESSAGE', message: 'Control messages must be JSON' }, true);
+        return;
+      }
+
+      switch (message.type) {
+        case 'ping':
+          this.send(state, { type: 'pong', timestamp: Date.now() });
+          break;
+        case 'end':
+          this.endSession(state.sessionId, 'client_ended');
+          break;
+        default:
+          this.send(state, { type: 'error', code: 'UNKNOWN_MESSAGE', message: `Unknown message type: ${message.type}` }, true);
+      }
+      return;
+    }
+
+    if (data.length > realtimeConfig.maxFrameBytes) {
+      this.send(state, { type: 'error', code: 'FRAME_TOO_LARGE', message: 'Frame exceeds maximum size' }, true);
+      return;
+    }
+
+    state.stats.framesReceived++;
+    this.enqueueFrame(state, {
+      kind: this.isImage(data) ? 'image' : 'video',
+      data,
+      receivedAt: Date.now()
+    });
+  }
+
+  /**
+   * Queue a frame, dropping the oldest one when the client outpaces the models
+   */
+  enqueueFrame(state, frame) {
+    if (state.queue.length >= realtimeConfig.maxQueuedFrames) {
+      state.queue.shift();
+      state.stats.framesDropped++;
+      this.send(state, {
+        type: 'backpressure',
+        queuedFrames: state.queue.length,
+        droppedFrames: state.stats.framesDropped,
+        message: 'Frames are arriving faster than they can be analysed; oldest frame dropped'
+      }, true);
+    }
+
+    state.queue.push(frame);
+    this.drainQueue(state);
+  }
+
+  /**
+   * Analyse queued frames one at a time
+   */
+  async drainQueue(state) {
+    if (state.processing) return;
+    state.processing = true;
+
+    try {
+      while (!state.closed && state.queue.length > 0) {
+        const frame = state.queue.shift();
+        if (frame.kind === 'clip') {
+          await this.processClip(state, frame);
+        } else {
+          await this.processFrame(state, frame);
+        }
+      }
+    } finally {
+      state.processing = false;
+    }
+  }
+
+  /**
+   * Sample frames across an uploaded clip and score each one, so the whole clip
+   * is covered rather than only its last frame
+   */
+  async processClip(state, clip) {
+    const clipDir = path.join(state.workDir, 'clip');
+
+    try {
+      const extraction = await FrameExtractionService.extractFrames(clip.sourcePath, clipDir, realtimeConfig.clip);
+
+      for (const frame of extraction.frames) {
+        if (state.closed) return;
+        // Analysing a long clip is activity too; do not let the session idle out
+        this.resetIdleTimer(state);
+        await this.processFrame(state, {
+          kind: 'clip_frame',
+          framePath: frame.path,
+          timestamp: frame.timestamp,
+          receivedAt: clip.receivedAt
+        });
+      }
+    } catch (error) {
+      state.stats.framesFailed++;
+      logger.warn(`Realtime clip failed for ${state.sessionId}: ${error.message}`);
+      this.send(state, { type: 'frame_error', frameIndex: null, message: error.message }, true);
+    } finally {
+      await fs.remove(clipDir).catch(() => {});
+    }
+  }
+
+  /**
+   * Run one frame through the safety models and push the result
+   */
+  async processFrame(state, frame) {
+    const frameIndex = state.frameIndex++;
+    const startTime = Date.now();
+    const framePath = path.join(state.workDir, `frame-${frameIndex}.jpg`);
+
+    try {
+      if (frame.kind === 'image') {
+        await fs.writeFile(framePath, frame.data);
+      } else if (frame.framePath) {
+        await fs.move(frame.framePath, framePath, { overwrite: true });
+      } else {
+        await fs.appendFile(state.streamPath, frame.data);
+        await FrameExtractionService.extractLatestFrame(state.streamPath, framePath);
+      }
+
+      const mlService = await this.getMLService();
+      const mlResults = await mlService.analyzeFood(framePath, {}, { segmentPlate: false });
+      if (state.closed) return;
+
+      const safetyScore = mlResults.overall?.safetyScore;
+      const safetyLevel = mlResults.overall?.safetyLevel;
+      const levelChanged = state.lastSafetyLevel !== null && state.lastSafetyLevel !== safetyLevel;
+
+      state.lastSafetyLevel = safetyLevel;
+      state.stats.framesAnalyzed++;
+      // A null score means the models abstained on this frame
+      if (safetyScore != null && (state.stats.minSafetyScore === null || safetyScore < state.stats.minSafetyScore)) {
+        state.stats.minSafetyScore = safetyScore;
+      }
+
+      const safetyAlerts = mlResults.safetyAlerts || [];
+      this.send(state, {
+        type: 'frame_result',
+        frameIndex,
+        receivedAt: frame.receivedAt,
+        // Position in the uploaded clip, for its sampled frames
+        ...(frame.timestamp !== undefined && { clipTimestamp: frame.timestamp }),
+        processingTime: Date.now() - startTime,
+        safetyScore,
+        safetyLevel,
+        levelChanged,
+        categoryScores: mlResults.overall?.categoryScores || {},
+        abstainedCategories: mlResults.overall?.abstainedCategories || [],
+        safetyAlerts
+      }, levelChanged || safetyAlerts.length > 0);
+    } catch (error) {
+      // Dark, blurry or food-less frames get retake guidance instead of an error
+      if (error.code === 'IMAGE_REJECTED') {
+        state.stats.framesRejected++;
+        this.send(state, { type: 'frame_rejected', frameIndex, issues: error.inspection?.issues || [] });
+        return;
+      }
+
+      state.stats.framesFailed++;
+      logger.warn(`Realtime frame ${frameIndex} failed for ${state.sessionId}: ${error.message}`);
+      this.send(state, { type: 'frame_error', frameIndex, message: error.message }, true);
+    } finally {
+      await fs.remove(framePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Send a JSON event. Non-critical events are skipped while the socket's
+   * outgoing buffer is backed up so slow clients do not grow server memory.
+   */
+  send(state, event, critical = false) {
+    const { ws } = state;
+    if (!ws || ws.readyState !== ws.OPEN) return false;
+
+    if (!critical && ws.bufferedAmount > realtimeConfig.maxBufferedBytes) {
+      return false;
+    }
+
+    ws.send(JSON.stringify(event));
+    return true;
+  }
+
+  /**
+   * Close sessions that stop sending frames
+   */
+  resetIdleTimer(state) {
+    clearTimeout(state.idleTimer);
+    state.idleTimer = setTimeout(() => {
+      this.endSession(state.sessionId, 'idle_timeout');
+    }, realtimeConfig.idleTimeoutMs);
+  }
+
+  /**
+   * Persist session status
+   */
+  async updateSessionStatus(state, status) {
+    const { ws, queue, idleTimer, ...session } = state;
+    const key = realtimeConfig.keys.session(state.sessionId);
+    const ttl = await this.client.ttl(key);
+
+    await this.client.setEx(key, ttl > 0 ? ttl : realtimeConfig.maxSessionSeconds, JSON.stringify({
+      sessionId: session.sessionId,
+      userId: session.userId,
+      tier: session.tier,
+      foodName: session.foodName,
+      videoPath: session.videoPath,
+      createdAt: session.createdAt,
+      status
+    }));
+  }
+
+  /**
+   * Tear down a session: stop processing, close the socket, release the
+   * concurrency slot and delete temporary files
+   */
+  async endSession(sessionId, reason = 'ended') {
+    let state = this.activeSessions.get(sessionId);
+    if (state?.setup) {
+      // Let an attach in progress finish so its status write cannot outlive the teardown
+      await state.setup.catch(() => {});
+      state = this.activeSessions.get(sessionId);
+    }
+    const session = state || await this.getSession(sessionId);
+    if (!session || (state && state.closed)) return null;
+
+    let summary = null;
+
+    if (state) {
+      state.closed = true;
+      state.queue = [];
+      clearTimeout(state.idleTimer);
+
+      summary = {
+        framesReceived: state.stats.framesReceived,
+        framesAnalyzed: state.stats.framesAnalyzed,
+        framesDropped: state.stats.framesDropped,
+        framesFailed: state.stats.framesFailed,
+        framesRejected: state.stats.framesRejected,
+        minSafetyScore: state.stats.minSafetyScore,
+        durationMs: Date.now() - state.stats.startedAt
+      };
+
+      this.send(state, { type: 'session_ended', sessionId, reason, summary }, true);
+      if (state.ws.readyState === state.ws.OPEN) {
+        state.ws.close(1000, reason);
+      }
+
+      await fs.remove(state.workDir).catch(() => {});
+    }
+
+    try {
+      await this.client.del(realtimeConfig.keys.session(sessionId));
+      await this.client.sRem(realtimeConfig.keys.userSessions(session.userId), sessionId);
+    } catch (error) {
+      logger.error(`Error releasing realtime session ${sessionId}:`, error);
+    }
+
+    if (session.videoPath) {
+      await fs.remove(session.videoPath).catch(() => {});
+    }
+
+    // Removed last so a close event fired during teardown finds the closed state
+    this.activeSessions.delete(sessionId);
+
+    logger.info(`Realtime session ended: ${sessionId} (${reason})`);
+    return summary;
+  }
+
+  /**
+   * End every session held by this process (used on shutdown)
+   */
+  async endAllSessions(reason = 'server_shutdown') {
+    await Promise.all([...this.activeSessions.keys()].map(sessionId => this.endSession(sessionId, reason)));
+  }
+
+  /**
+   * Share one ML service instance across sessions
+   */
+  getMLService() {
+    if (!this.mlServicePromise) {
+      this.mlServicePromise = FoodAnalysis.initializeMLService().catch((error) => {
+        this.mlServicePromise = null;
+        throw error;
+      });
+    }
+
+    return this.mlServicePromise;
+  }
+
+  /**
+   * Detect still images by magic bytes; everything else is treated as video
+   */
+  isImage(data) {
+    if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+      return true;
+    }
+
+    return IMAGE_SIGNATURES.some(signature => signature.every((byte, index) => data[index] === byte));
+  }
+}
+
+export { realtimeConfig };
+export default new RealtimeSessionService(redisClient);
@@ -0,0 +1,50 @@
+export const ROLES = ['user', 'support', 'analyst', 'admin', 'partner_manager'];
+
+/**
+ * What each platform role may do. Every role other than `user` is staff.
+ */
+export const ROLE_PERMISSIONS = {
+  user: [],
+  support: ['view_users', 'view_subscriptions', 'reset_usage', 'moderate_content'],
+  analyst: ['view_analytics', 'view_models', 'view_partnerships'],
+  partner_manager: ['view_partnerships', 'manage_partnerships'],
+  admin: [
+    'view_users',
+    'manage_roles',
+    'view_subscriptions',
+    'override_subscriptions',
+    'reset_usage',
+    'moderate_content',
+    'view_analytics',
+    'view_models',
+    'view_partnerships',
+    'manage_partnerships',
+    'manage_food_catalogue',
+    'view_audit_log'
+  ]
+};
+
+/**
+ * Role Service
+ * Permission checks for platform roles. Staff can reach the admin API and must
+ * use two-factor login.
+ */
+class RoleService {
+  isValidRole(role) {
+    return ROLES.includes(role);
+  }
+
+  isStaff(role) {
+    return this.isValidRole(role) && role !== 'user';
+  }
+
+  can(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+  }
+
+  getPermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+}
+
+export default new RoleService();
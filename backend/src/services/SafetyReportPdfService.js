@@ -0,0 +1,223 @@
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import sharp from 'sharp';
+import logger from '../utils/logger.js';
+
+const BRAND_NAME = 'Food Safety Checker';
+
+// The eight ML categories, in report order
+const CATEGORY_LABELS = {
+  oilQuality: 'Oil quality',
+  burntFood: 'Burnt food',
+  spoilage: 'Spoilage',
+  nutritional: 'Nutrition',
+  saltSugar: 'Salt & sugar',
+  temperature: 'Temperature',
+  chemical: 'Chemical additives',
+  microplastics: 'Microplastics'
+};
+
+const COLORS = {
+  brand: '#1b7f5a',
+  text: '#222222',
+  muted: '#6b7280',
+  rule: '#d1d5db',
+  safe: '#15803d',
+  caution: '#b45309',
+  danger: '#b91c1c',
+  unknown: '#6b7280'
+};
+
+// Category score bands, as in safety_metrics.risk_level
+const statusForScore = (score) => {
+  if (typeof score !== 'number') return { label: 'Not assessed', color: COLORS.unknown };
+  if (score >= 70) return { label: 'Safe', color: COLORS.safe };
+  if (score >= 40) return { label: 'Caution', color: COLORS.caution };
+  return { label: 'Danger', color: COLORS.danger };
+};
+
+const formatConfidence = (value) => (typeof value === 'number' ? `${Math.round(value * 100)}%` : '-');
+
+const formatRating = (rating) => (rating ? rating.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase()) : 'Unknown');
+
+/**
+ * Safety Report PDF Service
+ * Renders an analysis as a printable A4 safety certificate: the photo, the eight-category
+ * breakdown with model confidence, the model versions used and a QR code that opens
+ * the report's verification page.
+ */
+class SafetyReportPdfService {
+  /**
+   * Render the certificate. Resolves to the PDF as a Buffer.
+   */
+  async render(analysis, report, { verifyUrl, brandName = null } = {}) {
+    const [photo, qrCode] = await Promise.all([
+      this.loadPhoto(analysis.imageThumbnail),
+      QRCode.toBuffer(verifyUrl, { margin: 1, width: 240 })
+    ]);
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Food Safety Report ${report.reportNumber}`,
+        Author: brandName || BRAND_NAME,
+        Subject: analysis.foodName || 'Food safety analysis'
+      }
+    });
+
+    const chunks = [];
+    const rendered = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    this.drawHeader(doc, report, brandName);
+    this.drawSummary(doc, analysis, photo);
+    this.drawBreakdown(doc, analysis);
+    this.drawProvenance(doc, analysis);
+    this.drawVerification(doc, report, qrCode, verifyUrl);
+
+    doc.end();
+    return rendered;
+  }
+
+  /**
+   * The photo the analysis retained, as a PNG pdfkit can embed, or null when there is
+   * none. The upload itself is deleted once analysed. Re-encoding also keeps any EXIF
+   * data out of the PDF.
+   */
+  async loadPhoto(imagePath) {
+    if (!imagePath) return null;
+
+    try {
+      return await sharp(imagePath)
+        .rotate()
+        .resize({ width: 600, height: 600, fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+    } catch (error) {
+      logger.warn(`Report photo unavailable (${imagePath}): ${error.message}`);
+      return null;
+    }
+  }
+
+  drawHeader(doc, report, brandName) {
+    doc.fillColor(COLORS.brand).fontSize(20).font('Helvetica-Bold')
+      .text(brandName || BRAND_NAME, 50, 50);
+    doc.fillColor(COLORS.text).fontSize(14).font('Helvetica')
+      .text('Food Safety Analysis Report', 50, 76);
+
+    doc.fontSize(9).fillColor(COLORS.muted)
+      .text(`Report ${report.reportNumber}`, 350, 54, { width: 195, align: 'right' })
+      .text(`Issued ${new Date(report.issuedAt).toUTCString()}`, 350, 68, { width: 195, align: 'right' });
+    if (report.issuedTo) {
+      doc.text(`Issued to ${report.issuedTo}`, 350, 82, { width: 195, align: 'right' });
+    }
+
+    doc.moveTo(50, 104).lineTo(545, 104).strokeColor(COLORS.brand).lineWidth(1.5).stroke();
+  }
+
+  drawSummary(doc, analysis, photo) {
+    const top = 120;
+
+    if (photo) {
+      doc.image(photo, 50, top, { fit: [180, 150] });
+    } else {
+      doc.rect(50, top, 180, 150).strokeColor(COLORS.rule).lineWidth(1).stroke();
+      doc.fontSize(9).fillColor(COLORS.muted).text('Photo unavailable', 50, top + 70, { width: 180, align: 'center' });
+    }
+
+    const overall = statusForScore(analysis.freshnessScore);
+    const left = 250;
+
+    doc.fillColor(COLORS.text).fontSize(16).font('Helvetica-Bold')
+      .text(analysis.foodName || 'Unidentified food', left, top, { width: 295 });
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+      .text(`Analysed ${new Date(analysis.completedAt || analysis.createdAt).toUTCString()}`, left, doc.y + 4, { width: 295 });
+
+    doc.fontSize(36).font('Helvetica-Bold').fillColor(overall.color)
+      .text(typeof analysis.freshnessScore === 'number' ? `${Math.round(analysis.freshnessScore)}` : '-', left, top + 60, { continued: true })
+      .fontSize(14).fillColor(COLORS.muted).text(' / 100');
+    doc.font('Helvetica').fontSize(12).fillColor(overall.color)
+      .text(formatRating(analysis.overallRating), left, doc.y + 2);
+    doc.fontSize(10).fillColor(COLORS.muted)
+      .text(`Overall confidence ${formatConfidence(analysis.aiConfidence?.overall)}`, left, doc.y + 4);
+
+    doc.y = top + 170;
+  }
+
+  drawBreakdown(doc, analysis) {
+    const scores = analysis.safetyMetrics?.categoryScores || {};
+    const columns = { category: 50, score: 250, status: 330, confidence: 450 };
+
+    doc.fillColor(COLORS.text).fontSize(13).font('Helvetica-Bold').text('Safety breakdown', 50, doc.y);
+    let y = doc.y + 8;
+
+    doc.fontSize(9).font('Helvetica-Bold').fillColor(COLORS.muted);
+    doc.text('Category', columns.category, y)
+      .text('Score', columns.score, y)
+      .text('Status', columns.status, y)
+      .text('Confidence', columns.confidence, y);
+    y += 16;
+
+    doc.font('Helvetica').fontSize(10);
+    for (const [category, label] of Object.entries(CATEGORY_LABELS)) {
+      const score = scores[category];
+      const status = statusForScore(score);
+
+      doc.moveTo(50, y - 4).lineTo(545, y - 4).strokeColor(COLORS.rule).lineWidth(0.5).stroke();
+      doc.fillColor(COLORS.text).text(label, columns.category, y)
+        .text(typeof score === 'number' ? `${Math.round(score)}` : '-', columns.score, y);
+      doc.fillColor(status.color).text(status.label, columns.status, y);
+      doc.fillColor(COLORS.text).text(formatConfidence(analysis.aiConfidence?.[category]), columns.confidence, y);
+      y += 20;
+    }
+
+    const alerts = (analysis.safetyAlerts || []).filter(alert => alert.type !== 'profile_conflict');
+    doc.y = y + 6;
+
+    if (alerts.length > 0) {
+      doc.fillColor(COLORS.text).fontSize(11).font('Helvetica-Bold').text('Alerts', 50, doc.y);
+      doc.font('Helvetica').fontSize(9);
+      for (const alert of alerts.slice(0, 5)) {
+        doc.fillColor(COLORS[alert.level === 'critical' || alert.level === 'high' ? 'danger' : 'caution'])
+          .text(`• ${alert.message}`, 60, doc.y + 2, { width: 485 });
+      }
+      doc.moveDown(0.5);
+    }
+  }
+
+  drawProvenance(doc, analysis) {
+    doc.fillColor(COLORS.text).fontSize(11).font('Helvetica-Bold').text('Models', 50, doc.y + 6);
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text(`Inference: ${analysis.inferenceBackend || 'unknown'} · pipeline ${analysis.modelVersion || '-'}`, 50, doc.y + 2);
+
+    for (const category of Object.keys(CATEGORY_LABELS)) {
+      const version = analysis.modelVersions?.[category];
+      if (version) {
+        doc.text(`${CATEGORY_LABELS[category]}: ${version}`, 50, doc.y + 1, { width: 330 });
+      }
+    }
+  }
+
+  drawVerification(doc, report, qrCode, verifyUrl) {
+    const top = 690;
+
+    doc.moveTo(50, top - 10).lineTo(545, top - 10).strokeColor(COLORS.rule).lineWidth(0.5).stroke();
+    doc.image(qrCode, 50, top, { width: 90 });
+
+    doc.fillColor(COLORS.text).fontSize(10).font('Helvetica-Bold')
+      .text('Verify this report', 155, top + 8);
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+      .text('Scan the code or open the link to confirm this report was issued by ' +
+        `${BRAND_NAME} and that the analysis has not changed since.`, 155, doc.y + 2, { width: 390 })
+      .fillColor(COLORS.brand).text(verifyUrl, 155, doc.y + 4, { width: 390, link: verifyUrl })
+      .fillColor(COLORS.muted)
+      .text('AI-assisted visual screening. It does not replace laboratory testing or an official inspection.',
+        155, doc.y + 6, { width: 390 });
+  }
+}
+
+export default new SafetyReportPdfService();
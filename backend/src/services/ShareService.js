@@ -0,0 +1,118 @@
+import crypto from 'crypto';
+import ShareGrant from '../models/ShareGrant.js';
+import ShareLink from '../models/ShareLink.js';
+
+// Public links expire after 3 days unless asked otherwise, and after 30 at most
+const DEFAULT_LINK_TTL_HOURS = 72;
+export const MAX_LINK_TTL_HOURS = 30 * 24;
+
+/**
+ * Share Service
+ * Who can see an analysis, and the signed tokens behind public share links.
+ * A token is `<linkId>.<expiry>.<signature>`: the HMAC lets a forged or altered link
+ * be rejected without a lookup, the link row lets the owner revoke it early.
+ */
+class ShareService {
+  get secret() {
+    return process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET;
+  }
+
+  sign(linkId, expiresAt) {
+    const payload = `${linkId}.${Math.floor(new Date(expiresAt).getTime() / 1000)}`;
+    const signature = crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+  }
+
+  /**
+   * Create a public link to an analysis. Resolves to the link and its token.
+   */
+  async createLink(analysis, userId, ttlHours = DEFAULT_LINK_TTL_HOURS) {
+    const expiresAt = new Date(Date.now() + Math.min(ttlHours, MAX_LINK_TTL_HOURS) * 60 * 60 * 1000);
+    expiresAt.setMilliseconds(0);
+
+    const link = await new ShareLink({ analysisId: analysis.id, createdBy: userId, expiresAt }).save();
+    return { link, token: this.sign(link.id, link.expiresAt) };
+  }
+
+  /**
+   * Resolve a public link token to its active link.
+   * Throws INVALID_SHARE_LINK for forged or revoked links and SHARE_LINK_EXPIRED.
+   */
+  async verifyToken(token) {
+    const [linkId, expiry, signature] = String(token).split('.');
+    const expected = linkId && expiry ? this.sign(linkId, Number(expiry) * 1000).split('.')[2] : '';
+
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw this.linkError('Share link is invalid', 'INVALID_SHARE_LINK');
+    }
+
+    if (Number(expiry) * 1000 <= Date.now()) {
+      throw this.linkError('Share link has expired', 'SHARE_LINK_EXPIRED');
+    }
+
+    const link = await ShareLink.findById(linkId);
+    if (!link || link.revokedAt) {
+      throw this.linkError('Share link is invalid', 'INVALID_SHARE_LINK');
+    }
+
+    return link;
+  }
+
+  linkError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Access a user has to an analysis: 'owner', 'comment', 'view' or null.
+   * Family members can view analyses their owner shared with the family.
+   */
+  async resolveAccess(analysis, userId) {
+    if (analysis.userId === userId) return 'owner';
+
+    const grant = await ShareGrant.findActive(analysis.id, userId);
+    if (grant) return grant.permission;
+
+    if (!analysis.sharedWithFamily) return null;
+    return (await ShareGrant.areFamily(analysis.userId, userId)) ? 'view' : null;
+  }
+
+  canComment(access) {
+    return access === 'owner' || access === 'comment';
+  }
+
+  /**
+   * Analysis JSON for someone other than the owner. Alerts derived from the owner's
+   * health profile are left out.
+   */
+  toSharedJSON(analysis) {
+    const json = analysis.toJSON();
+    return {
+      ...json,
+      safetyAlerts: (json.safetyAlerts || []).filter(alert => alert.type !== 'profile_conflict')
+    };
+  }
+
+  /**
+   * Safety report for someone other than the owner, also the read-only report behind
+   * a public link: the food and its safety results, without the owner, photo, notes,
+   * location or profile-derived alerts
+   */
+  toSharedReport(analysis) {
+    const report = analysis.generateSafetyReport();
+    const isPublicAlert = alert => alert.type !== 'profile_conflict';
+
+    return {
+      ...report,
+      safetyAlerts: (report.safetyAlerts || []).filter(isPublicAlert),
+      safetyBreakdown: {
+        ...report.safetyBreakdown,
+        alerts: (report.safetyBreakdown.alerts || []).filter(isPublicAlert)
+      }
+    };
+  }
+}
+
+export default new ShareService();
@@ -35,6 +35,7 @@ class SubscriptionService {
         limits: {
           foodAnalysisPerDay: 5,
           videoAnalysisPerDay: 0,
+          realtimeSessions: 0,
           apiCallsPerMonth: 0,
           familyMembers: 1,
           locations: 1,
@@ -70,6 +71,7 @@ class SubscriptionService {
         limits: {
           foodAnalysisPerDay: -1, // unlimited
           videoAnalysisPerDay: 20,
+          realtimeSessions: 1,
           apiCallsPerMonth: 0,
           familyMembers: 1,
           locations: 1,
@@ -105,6 +107,7 @@ class SubscriptionService {
         limits: {
           foodAnalysisPerDay: -1, // unlimited
           videoAnalysisPerDay: 50,
+          realtimeSessions: 2,
           apiCallsPerMonth: 0,
           familyMembers: 6,
           locations: 1,
@@ -140,6 +143,7 @@ class SubscriptionService {
         limits: {
           foodAnalysisPerDay: -1, // unlimited
           videoAnalysisPerDay: 100,
+          realtimeSessions: 3,
           apiCallsPerMonth: 1000,
           familyMembers: 1,
           locations: 1,
@@ -175,6 +179,7 @@ class SubscriptionService {
         limits: {
           foodAnalysisPerDay: -1, // unlimited
           videoAnalysisPerDay: 500,
+          realtimeSessions: 10,
           apiCallsPerMonth: 10000,
           familyMembers: 1,
           locations: 10,
@@ -210,6 +215,7 @@ class SubscriptionService {
         limits: {
           foodAnalysisPerDay: -1, // unlimited
           videoAnalysisPerDay: -1, // unlimited
+          realtimeSessions: -1, // unlimited
           apiCallsPerMonth: -1, // unlimited
           familyMembers: 1,
           locations: -1, // unlimited
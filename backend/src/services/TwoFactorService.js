@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import OrganisationMember from '../models/OrganisationMember.js';
+import Organisation from '../models/Organisation.js';
+import OrganisationService from './OrganisationService.js';
+import RoleService from './RoleService.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults, which every authenticator app supports
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+// Codes from the previous and next step are accepted, for clock drift
+const DRIFT_STEPS = 1;
+
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+// Plans whose organisation members must use two-factor login
+const ENFORCED_ORGANISATION_TIERS = ['business', 'enterprise'];
+
+const ISSUER = 'FoodSafe AI';
+
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) enrolment and verification, recovery codes, the short-lived
+ * challenge token between the password and code login steps, and who must use 2FA.
+ * Secrets are stored encrypted with AES-256-GCM.
+ */
+class TwoFactorService {
+  get encryptionKey() {
+    const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(secret).digest();
+  }
+
+  // Derived from JWT_SECRET so a challenge token is never accepted as an access token
+  get challengeSecret() {
+    return `${process.env.JWT_SECRET}:2fa_login`;
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (
+      typeof part === 'string' ? part : part.toString('base64url')
+    )).join(':');
+  }
+
+  decryptSecret(stored) {
+    const [, iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * What an authenticator app needs to add the account: the otpauth:// URL, the
+   * same as a QR code data URL, and the secret for manual entry
+   */
+  async provisioning(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(CODE_DIGITS),
+      period: String(STEP_SECONDS)
+    });
+    const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 240 })
+    };
+  }
+
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+  }
+
+  /**
+   * The time step a code matches, or null. Steps at or before `lastStep` are
+   * refused so an observed code cannot be replayed.
+   */
+  verifyCode(secret, code, lastStep = null) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(normalized)) return null;
+
+    const current = this.currentStep();
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (lastStep !== null && step <= lastStep) continue;
+
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * New recovery codes: the codes to show the user once, and the hashes to store
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * The stored hashes without the one matching `code`, or null if none matches
+   */
+  consumeRecoveryCode(hashes, code) {
+    const hash = this.hashRecoveryCode(code);
+    if (!hashes.includes(hash)) return null;
+    return hashes.filter(stored => stored !== hash);
+  }
+
+  /**
+   * Check a TOTP code or, failing that, a recovery code against a user's state.
+   * Resolves to the changes to store ({ lastStep } or { recoveryCodes }), or null.
+   */
+  checkCredentials(state, { code, recoveryCode }) {
+    if (code) {
+      const step = this.verifyCode(this.decryptSecret(state.secret), code, state.lastStep);
+      return step !== null ? { lastStep: step } : null;
+    }
+
+    if (recoveryCode) {
+      const remaining = this.consumeRecoveryCode(state.recoveryCodes, recoveryCode);
+      return remaining ? { recoveryCodes: remaining } : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Token proving the password step of a login passed; exchanged with a code for
+   * the real tokens
+   */
+  createChallenge(userId) {
+    return jwt.sign({ id: userId, purpose: '2fa_login' }, this.challengeSecret, {
+      expiresIn: CHALLENGE_TTL_SECONDS
+    });
+  }
+
+  /**
+   * User id of a valid challenge token. Throws INVALID_2FA_CHALLENGE otherwise.
+   */
+  verifyChallenge(token) {
+    try {
+      const decoded = jwt.verify(token, this.challengeSecret);
+      if (decoded.purpose !== '2fa_login') throw new Error('Wrong token purpose');
+      return decoded.id;
+    } catch (error) {
+      const challengeError = new Error('Two-factor challenge is invalid or has expired');
+      challengeError.code = 'INVALID_2FA_CHALLENGE';
+      throw challengeError;
+    }
+  }
+
+  get challengeTtlSeconds() {
+    return CHALLENGE_TTL_SECONDS;
+  }
+
+  /**
+   * Whether a user must use two-factor login: staff, and members of organisations
+   * on business or enterprise plans
+   */
+  async isRequired(userId, role) {
+    if (RoleService.isStaff(role)) return true;
+
+    const memberships = await OrganisationMember.findByUser(userId);
+    for (const membership of memberships) {
+      const organisation = await Organisation.findById(membership.organisationId);
+      if (organisation && ENFORCED_ORGANISATION_TIERS.includes(await OrganisationService.getTier(organisation))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+export default new TwoFactorService();
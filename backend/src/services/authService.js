@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import cache from '../config/redis.js';
+import User from '../models/User.js';
+import EmailService from './EmailService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Auth Service
+ * Access and refresh tokens with one session per signed-in device. Each session
+ * is a refresh token family: refreshing rotates the token, and presenting a
+ * token that was already rotated away revokes the whole session.
+ */
+const authConfig = {
+  accessTokenTtl: process.env.JWT_EXPIRE || '15m',
+  refreshTokenTtl: process.env.JWT_REFRESH_EXPIRE || '30d',
+  // A token rotated away this recently is answered with a plain 401 rather than
+  // treated as reuse, for a client's own concurrent refreshes
+  rotationGraceSeconds: 10,
+  maxDeviceNameLength: 100
+};
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// jsonwebtoken style durations ('15m', '30d', or plain seconds) in seconds
+const toSeconds = (duration) => {
+  const match = String(duration).match(/^(\d+)\s*([smhd]?)$/);
+  if (!match) throw new Error(`Invalid token duration: ${duration}`);
+  return parseInt(match[1]) * DURATION_UNITS[match[2] || 's'];
+};
+
+class AuthService {
+  static get accessSecret() {
+    return process.env.JWT_SECRET;
+  }
+
+  // Never JWT_SECRET itself, so a refresh token is not accepted as an access token
+  static get refreshSecret() {
+    return process.env.JWT_REFRESH_SECRET || `${process.env.JWT_SECRET}:refresh`;
+  }
+
+  /**
+   * Device details stored with a session, from the login request
+   */
+  static describeDevice(req) {
+    const name = req.body?.deviceName || req.get('x-device-name') || null;
+
+    return {
+      name: name ? String(name).slice(0, authConfig.maxDeviceNameLength) : null,
+      userAgent: req.get('user-agent') || null,
+      ip: req.ip || null
+    };
+  }
+
+  /**
+   * Start a session for a new sign-in and issue its first token pair
+   */
+  static async generateTokens(user, device = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      sessionId: uuidv4(),
+      userId: user.id,
+      tokenId: null,
+      device: {
+        name: device.name || null,
+        userAgent: device.userAgent || null,
+        ip: device.ip || null
+      },
+      createdAt: now,
+      lastUsedAt: now
+    };
+
+    await cache.addUserSession(user.id, session.sessionId);
+    return await this.issueTokens(user, session);
+  }
+
+  /**
+   * Rotate a refresh token: the presented token is spent and a new pair issued.
+   * Resolves to null for unknown, expired or revoked tokens, and for the loser of
+   * two concurrent rotations of the same token; throws REFRESH_TOKEN_REUSED,
+   * after revoking the session, for a spent token.
+   */
+  static async refreshTokens(refreshToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, this.refreshSecret);
+    } catch (error) {
+      return null;
+    }
+
+    if (decoded.type !== 'refresh') return null;
+
+    const session = await cache.getSession(decoded.sid);
+    if (!session || String(session.userId) !== String(decoded.id)) return null;
+
+    if (session.tokenId !== decoded.jti) {
+      const rotatedAgo = (Date.now() - new Date(session.rotatedAt)) / 1000;
+      if (session.previousTokenId === decoded.jti && rotatedAgo < authConfig.rotationGraceSeconds) {
+        return null;
+      }
+
+      await this.revokeSession(session.userId, session.sessionId);
+      logger.warn(`Refresh token reuse detected, session revoked: ${session.sessionId} for user ${session.userId}`);
+
+      const error = new Error('Refresh token has already been used; the session was revoked');
+      error.code = 'REFRESH_TOKEN_REUSED';
+      throw error;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      await this.revokeSession(session.userId, session.sessionId);
+      return null;
+    }
+
+    session.lastUsedAt = new Date().toISOString();
+    return await this.issueTokens(user, session, decoded.jti);
+  }
+
+  /**
+   * Sign a new token pair for a session and store the refresh token's id as the
+   * only one the session accepts next. When rotating, the session is only
+   * updated if it still expects `rotatedTokenId`; resolves to null otherwise.
+   */
+  static async issueTokens(user, session, rotatedTokenId = null) {
+    const tokenId = crypto.randomBytes(16).toString('hex');
+    const refreshTtlSeconds = toSeconds(authConfig.refreshTokenTtl);
+
+    const accessToken = jwt.sign(
+      { id: user.id, email: user.email, sid: session.sessionId },
+      this.accessSecret,
+      { expiresIn: authConfig.accessTokenTtl, jwtid: uuidv4() }
+    );
+    const refreshToken = jwt.sign(
+      { id: user.id, sid: session.sessionId, type: 'refresh' },
+      this.refreshSecret,
+      { expiresIn: refreshTtlSeconds, jwtid: tokenId }
+    );
+
+    // Every rotation extends the session to the new refresh token's lifetime
+    const record = {
+      ...session,
+      tokenId,
+      expiresAt: new Date(Date.now() + refreshTtlSeconds * 1000).toISOString()
+    };
+
+    if (rotatedTokenId) {
+      record.previousTokenId = rotatedTokenId;
+      record.rotatedAt = new Date().toISOString();
+
+      if (!(await cache.swapSession(session.sessionId, rotatedTokenId, record, refreshTtlSeconds))) {
+        return null;
+      }
+    } else {
+      await cache.setSession(session.sessionId, record, refreshTtlSeconds);
+    }
+
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: toSeconds(authConfig.accessTokenTtl)
+    };
+  }
+
+  /**
+   * Session id an access token was issued for, without verifying it
+   */
+  static getSessionId(token) {
+    const decoded = token ? jwt.decode(token) : null;
+    return decoded?.sid || null;
+  }
+
+  /**
+   * A user's live sessions, newest activity first. Ids whose session has expired
+   * are pruned from the index.
+   */
+  static async listSessions(userId) {
+    const sessionIds = await cache.getUserSessionIds(userId);
+    const sessions = [];
+
+    for (const sessionId of sessionIds) {
+      const session = await cache.getSession(sessionId);
+      if (session) {
+        sessions.push(session);
+      } else {
+        await cache.removeUserSession(userId, sessionId);
+      }
+    }
+
+    return sessions
+      .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt))
+      .map(({ tokenId, previousTokenId, ...session }) => session);
+  }
+
+  /**
+   * End one session; its refresh token stops working. Resolves to false when the
+   * session does not belong to the user.
+   */
+  static async revokeSession(userId, sessionId) {
+    const session = await cache.getSession(sessionId);
+    if (session && String(session.userId) !== String(userId)) return false;
+
+    await cache.deleteSession(sessionId);
+    await cache.removeUserSession(userId, sessionId);
+    return Boolean(session);
+  }
+
+  /**
+   * End every session of a user except `keepSessionId`; resolves to the number ended
+   */
+  static async revokeAllSessions(userId, keepSessionId = null) {
+    const sessionIds = await cache.getUserSessionIds(userId);
+    let revoked = 0;
+
+    for (const sessionId of sessionIds) {
+      if (sessionId === keepSessionId) continue;
+      if (await this.revokeSession(userId, sessionId)) revoked++;
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Refuse an access token for the rest of its lifetime
+   */
+  static async blacklistToken(token) {
+    const decoded = token ? jwt.decode(token) : null;
+    if (!decoded?.exp) return false;
+
+    const ttlSeconds = decoded.exp - Math.floor(Date.now() / 1000);
+    if (ttlSeconds <= 0) return false;
+
+    return await cache.set(`blacklist:${this.tokenKey(token)}`, true, ttlSeconds);
+  }
+
+  /**
+   * Decoded payload of a usable access token, or null when it is invalid,
+   * expired, blacklisted or its session has been revoked
+   */
+  static async verifyAccessToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.accessSecret);
+    } catch (error) {
+      return null;
+    }
+
+    // Purpose-bound tokens (2FA challenges) and refresh tokens never grant access
+    if (decoded.purpose || decoded.type) return null;
+    if (await cache.exists(`blacklist:${this.tokenKey(token)}`)) return null;
+    if (decoded.sid && !(await cache.getSession(decoded.sid))) return null;
+
+    return decoded;
+  }
+
+  /**
+   * Email a fresh verification link; earlier links stop working
+   */
+  static async sendVerificationEmail(user) {
+    const contact = await User.getContactDetails(user.id);
+    if (!contact?.email) return null;
+
+    const token = await user.generateEmailVerificationToken();
+
+    return await EmailService.enqueue('emailVerification', contact.email, {
+      firstName: contact.firstName,
+      verifyUrl: EmailService.appUrl('/verify-email', { token })
+    }, { language: contact.language });
+  }
+
+  /**
+   * Email the link for a token from User.generatePasswordResetToken
+   */
+  static async sendPasswordResetEmail(user, resetToken) {
+    const contact = await User.getContactDetails(user.id);
+    if (!contact?.email) return null;
+
+    return await EmailService.enqueue('passwordReset', contact.email, {
+      firstName: contact.firstName,
+      resetUrl: EmailService.appUrl('/reset-password', { token: resetToken }),
+      expiresInMinutes: 60
+    }, { language: contact.language });
+  }
+
+  static tokenKey(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+export { AuthService, authConfig };
+export default AuthService;
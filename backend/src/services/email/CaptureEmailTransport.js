@@ -0,0 +1,52 @@
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import EmailTransport from './EmailTransport.js';
+
+/**
+ * Local capture transport. Keeps sent messages in memory for tests to inspect
+ * and, with EMAIL_CAPTURE_FILE, appends each as a JSON line for development.
+ * Refused in production unless EMAIL_ALLOW_CAPTURE=true.
+ */
+class CaptureEmailTransport extends EmailTransport {
+  constructor(filePath = process.env.EMAIL_CAPTURE_FILE) {
+    super('capture');
+
+    if (process.env.NODE_ENV === 'production' && process.env.EMAIL_ALLOW_CAPTURE !== 'true') {
+      throw new Error('The capture email transport cannot be used in production');
+    }
+
+    this.filePath = filePath || null;
+    this.messages = [];
+  }
+
+  async send(message) {
+    const record = {
+      messageId: crypto.randomUUID(),
+      ...message,
+      sentAt: new Date().toISOString()
+    };
+
+    this.messages.push(record);
+
+    if (this.filePath) {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+    }
+
+    return { transport: this.name, messageId: record.messageId };
+  }
+
+  /**
+   * Messages sent to an address, oldest first; every message without one
+   */
+  sentTo(address) {
+    return address ? this.messages.filter(message => message.to === address) : [...this.messages];
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+export default CaptureEmailTransport;
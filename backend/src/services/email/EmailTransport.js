@@ -0,0 +1,19 @@
+/**
+ * Email Transport
+ * Contract shared by every way of sending mail. `send` resolves once the message
+ * has been accepted and rejects when it has not, so the queue can retry it.
+ */
+class EmailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send { to, subject, text, html }. Resolves to { transport, messageId }.
+   */
+  async send(message) {
+    throw new Error(`${this.name} email transport does not implement send()`);
+  }
+}
+
+export default EmailTransport;
@@ -0,0 +1,37 @@
+import nodemailer from 'nodemailer';
+import EmailTransport from './EmailTransport.js';
+
+/**
+ * SMTP transport. SMTP_HOST/SMTP_PORT/SMTP_SECURE pick the server; without
+ * SMTP_HOST the EMAIL_SERVICE well-known service (e.g. gmail) is used. Credentials
+ * come from SMTP_USER/SMTP_PASS or EMAIL_USER/EMAIL_PASS.
+ */
+class SmtpEmailTransport extends EmailTransport {
+  constructor() {
+    super('smtp');
+
+    const auth = {
+      user: process.env.SMTP_USER || process.env.EMAIL_USER,
+      pass: process.env.SMTP_PASS || process.env.EMAIL_PASS
+    };
+
+    this.transporter = nodemailer.createTransport(process.env.SMTP_HOST
+      ? {
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth
+        }
+      : {
+          service: process.env.EMAIL_SERVICE,
+          auth
+        });
+  }
+
+  async send({ to, from, subject, text, html }) {
+    const info = await this.transporter.sendMail({ from, to, subject, text, html });
+    return { transport: this.name, messageId: info.messageId };
+  }
+}
+
+export default SmtpEmailTransport;
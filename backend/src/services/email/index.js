@@ -0,0 +1,49 @@
+import SmtpEmailTransport from './SmtpEmailTransport.js';
+import CaptureEmailTransport from './CaptureEmailTransport.js';
+
+/**
+ * Email transport selection
+ * EMAIL_TRANSPORT picks the implementation: smtp (default in production) or
+ * capture (default elsewhere; in memory and optionally a file, for tests).
+ */
+const TRANSPORTS = {
+  smtp: SmtpEmailTransport,
+  capture: CaptureEmailTransport
+};
+
+export const emailTransportConfig = {
+  transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'capture'),
+  from: process.env.EMAIL_FROM || 'FoodSafe AI <no-reply@foodsafe.ai>'
+};
+
+let activeTransport = null;
+
+/**
+ * Create a transport by name
+ */
+export const createEmailTransport = (name = emailTransportConfig.transport) => {
+  const Transport = TRANSPORTS[name];
+  if (!Transport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected one of: ${Object.keys(TRANSPORTS).join(', ')})`);
+  }
+
+  return new Transport();
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ */
+export const getEmailTransport = () => {
+  if (!activeTransport) {
+    activeTransport = createEmailTransport();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Replace the active transport (tests, or a transport configured at startup)
+ */
+export const setEmailTransport = (transport) => {
+  activeTransport = transport;
+};
@@ -0,0 +1,212 @@
+/**
+ * Email templates
+ * Each template has an English and a Hindi version giving the subject, the body
+ * paragraphs and an optional call to action. Both the plain-text and the HTML
+ * body are rendered from the same content.
+ */
+export const EMAIL_LANGUAGES = ['en', 'hi'];
+
+const DEFAULT_LANGUAGE = 'en';
+
+const ROLE_NAMES = {
+  en: { manager: 'manager', staff: 'staff member' },
+  hi: { manager: 'मैनेजर', staff: 'स्टाफ सदस्य' }
+};
+
+/**
+ * Amount in the smallest currency unit (paise, cents) as a localised price
+ */
+const formatAmount = (amount, currency = 'INR', language = DEFAULT_LANGUAGE) => (
+  new Intl.NumberFormat(language === 'hi' ? 'hi-IN' : 'en-IN', {
+    style: 'currency',
+    currency
+  }).format((amount || 0) / 100)
+);
+
+const formatDate = (date, language = DEFAULT_LANGUAGE) => (
+  new Date(date).toLocaleDateString(language === 'hi' ? 'hi-IN' : 'en-IN', {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric'
+  })
+);
+
+const greeting = (firstName, language) => {
+  if (language === 'hi') return firstName ? `नमस्ते ${firstName},` : 'नमस्ते,';
+  return firstName ? `Hi ${firstName},` : 'Hi,';
+};
+
+const TEMPLATES = {
+  emailVerification: {
+    en: (data) => ({
+      subject: 'Verify your FoodSafe AI email address',
+      paragraphs: [
+        greeting(data.firstName, 'en'),
+        'Please confirm this email address to finish setting up your FoodSafe AI account.',
+        'If you did not create an account, you can ignore this email.'
+      ],
+      action: { label: 'Verify email', url: data.verifyUrl }
+    }),
+    hi: (data) => ({
+      subject: 'अपना FoodSafe AI ईमेल पता सत्यापित करें',
+      paragraphs: [
+        greeting(data.firstName, 'hi'),
+        'अपना FoodSafe AI खाता सेट करना पूरा करने के लिए कृपया इस ईमेल पते की पुष्टि करें।',
+        'यदि आपने खाता नहीं बनाया है, तो आप इस ईमेल को अनदेखा कर सकते हैं।'
+      ],
+      action: { label: 'ईमेल सत्यापित करें', url: data.verifyUrl }
+    })
+  },
+
+  passwordReset: {
+    en: (data) => ({
+      subject: 'Reset your FoodSafe AI password',
+      paragraphs: [
+        greeting(data.firstName, 'en'),
+        `We received a request to reset your password. The link works for ${data.expiresInMinutes} minutes.`,
+        'If you did not ask for this, ignore this email; your password stays the same.'
+      ],
+      action: { label: 'Reset password', url: data.resetUrl }
+    }),
+    hi: (data) => ({
+      subject: 'अपना FoodSafe AI पासवर्ड रीसेट करें',
+      paragraphs: [
+        greeting(data.firstName, 'hi'),
+        `हमें आपका पासवर्ड रीसेट करने का अनुरोध मिला है। यह लिंक ${data.expiresInMinutes} मिनट तक काम करेगा।`,
+        'यदि आपने यह अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें; आपका पासवर्ड नहीं बदलेगा।'
+      ],
+      action: { label: 'पासवर्ड रीसेट करें', url: data.resetUrl }
+    })
+  },
+
+  organisationInvitation: {
+    en: (data) => ({
+      subject: `You're invited to join ${data.organisationName} on FoodSafe AI`,
+      paragraphs: [
+        'Hi,',
+        `${data.inviterName || 'A colleague'} has invited you to join ${data.organisationName} as a ${ROLE_NAMES.en[data.role] || data.role}.`,
+        `The invitation expires on ${formatDate(data.expiresAt, 'en')}. Sign in with this email address to accept it.`
+      ],
+      action: { label: 'Accept invitation', url: data.acceptUrl }
+    }),
+    hi: (data) => ({
+      subject: `FoodSafe AI पर ${data.organisationName} से जुड़ने का निमंत्रण`,
+      paragraphs: [
+        'नमस्ते,',
+        `${data.inviterName || 'आपके एक सहकर्मी'} ने आपको ${data.organisationName} में ${ROLE_NAMES.hi[data.role] || data.role} के रूप में आमंत्रित किया है।`,
+        `यह निमंत्रण ${formatDate(data.expiresAt, 'hi')} को समाप्त हो जाएगा। स्वीकार करने के लिए इसी ईमेल पते से साइन इन करें।`
+      ],
+      action: { label: 'निमंत्रण स्वीकार करें', url: data.acceptUrl }
+    })
+  },
+
+  familyInvitation: {
+    en: (data) => ({
+      subject: `Join the ${data.familyName} family on FoodSafe AI`,
+      paragraphs: [
+        greeting(data.memberName, 'en'),
+        `${data.inviterName || 'A family member'} has invited you to ${data.familyName}. Their Family Protector plan will cover your food safety checks.`,
+        `The invitation expires on ${formatDate(data.expiresAt, 'en')}. Sign in with this email address to accept it.`
+      ],
+      action: { label: 'Join family', url: data.acceptUrl }
+    }),
+    hi: (data) => ({
+      subject: `FoodSafe AI पर ${data.familyName} परिवार से जुड़ें`,
+      paragraphs: [
+        greeting(data.memberName, 'hi'),
+        `${data.inviterName || 'परिवार के एक सदस्य'} ने आपको ${data.familyName} में आमंत्रित किया है। उनका Family Protector प्लान आपकी खाद्य सुरक्षा जाँच को कवर करेगा।`,
+        `यह निमंत्रण ${formatDate(data.expiresAt, 'hi')} को समाप्त हो जाएगा। स्वीकार करने के लिए इसी ईमेल पते से साइन इन करें।`
+      ],
+      action: { label: 'परिवार से जुड़ें', url: data.acceptUrl }
+    })
+  },
+
+  subscriptionReceipt: {
+    en: (data) => ({
+      subject: `Payment received for ${data.planName}`,
+      paragraphs: [
+        greeting(data.firstName, 'en'),
+        `We received your payment of ${formatAmount(data.amount, data.currency, 'en')} for ${data.planName}. Thank you!`,
+        ...(data.nextBillingDate ? [`Your next payment is due on ${formatDate(data.nextBillingDate, 'en')}.`] : []),
+        `Payment reference: ${data.paymentId}`
+      ],
+      action: { label: 'View subscription', url: data.manageUrl }
+    }),
+    hi: (data) => ({
+      subject: `${data.planName} के लिए भुगतान प्राप्त हुआ`,
+      paragraphs: [
+        greeting(data.firstName, 'hi'),
+        `हमें ${data.planName} के लिए आपका ${formatAmount(data.amount, data.currency, 'hi')} का भुगतान मिल गया है। धन्यवाद!`,
+        ...(data.nextBillingDate ? [`आपका अगला भुगतान ${formatDate(data.nextBillingDate, 'hi')} को देय है।`] : []),
+        `भुगतान संदर्भ: ${data.paymentId}`
+      ],
+      action: { label: 'सदस्यता देखें', url: data.manageUrl }
+    })
+  },
+
+  paymentFailed: {
+    en: (data) => ({
+      subject: `Payment failed for ${data.planName}`,
+      paragraphs: [
+        greeting(data.firstName, 'en'),
+        `We couldn't collect ${formatAmount(data.amount, data.currency, 'en')} for your ${data.planName} subscription.`,
+        'Please update your payment method to keep your premium features. We will try the payment again automatically.'
+      ],
+      action: { label: 'Update payment method', url: data.manageUrl }
+    }),
+    hi: (data) => ({
+      subject: `${data.planName} के लिए भुगतान विफल रहा`,
+      paragraphs: [
+        greeting(data.firstName, 'hi'),
+        `हम आपकी ${data.planName} सदस्यता के लिए ${formatAmount(data.amount, data.currency, 'hi')} प्राप्त नहीं कर सके।`,
+        'अपनी प्रीमियम सुविधाएँ जारी रखने के लिए कृपया अपनी भुगतान विधि अपडेट करें। हम भुगतान को अपने आप फिर से आज़माएँगे।'
+      ],
+      action: { label: 'भुगतान विधि अपडेट करें', url: data.manageUrl }
+    })
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const renderHtml = ({ subject, paragraphs, action }, language) => `<!DOCTYPE html>
+<html lang="${language}">
+<head><meta charset="utf-8"><title>${escapeHtml(subject)}</title></head>
+<body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n')}
+${action?.url ? `<p><a href="${escapeHtml(action.url)}" style="display: inline-block; padding: 10px 18px; background: #2e7d32; color: #ffffff; text-decoration: none; border-radius: 4px;">${escapeHtml(action.label)}</a></p>` : ''}
+<p style="color: #7b8794; font-size: 12px;">FoodSafe AI</p>
+</body>
+</html>`;
+
+const renderText = ({ paragraphs, action }) => [
+  ...paragraphs,
+  ...(action?.url ? [`${action.label}: ${action.url}`] : []),
+  '— FoodSafe AI'
+].join('\n\n');
+
+export const hasTemplate = (name) => Boolean(TEMPLATES[name]);
+
+/**
+ * Render a template to { subject, text, html }, falling back to English for
+ * languages without a translation
+ */
+export const renderTemplate = (name, language, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const lang = template[language] ? language : DEFAULT_LANGUAGE;
+  const content = template[lang](data);
+
+  return {
+    subject: content.subject,
+    text: renderText(content),
+    html: renderHtml(content, lang)
+  };
+};
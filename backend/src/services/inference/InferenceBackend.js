@@ -0,0 +1,55 @@
+/**
+ * Inference Backend
+ * Contract shared by every ML inference implementation. A backend must either
+ * return a complete safety report from real models or throw - never a guess.
+ */
+class InferenceBackend {
+  constructor(name) {
+    this.name = name;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Load models. Must throw a MODEL_UNAVAILABLE error when any model is missing.
+   */
+  async initialize() {
+    throw new Error(`${this.name} backend does not implement initialize()`);
+  }
+
+  /**
+   * Run the eight safety models on an image.
+   * Resolves to the FoodSafetyAnalysisService report: { overall, detailedAnalysis,
+   * healthInsights, safetyAlerts, recommendations, recognition, plate, imageInspection }. Photos that
+   * fail the pre-analysis gate reject with code IMAGE_REJECTED and error.inspection.
+   * `options.segmentPlate: false` skips per-item plate analysis (video frames, live scans).
+   */
+  async analyzeFood(imagePath, userPreferences = {}, options = {}) {
+    throw new Error(`${this.name} backend does not implement analyzeFood()`);
+  }
+
+  /**
+   * Version of each model, keyed by model name
+   */
+  getModelVersions() {
+    return {};
+  }
+
+  /**
+   * Release models, workers and other resources
+   */
+  async dispose() {
+    this.isInitialized = false;
+  }
+}
+
+/**
+ * Error raised when a model cannot be loaded
+ */
+export const modelUnavailableError = (message, missingModels = []) => {
+  const error = new Error(message);
+  error.code = 'MODEL_UNAVAILABLE';
+  error.missingModels = missingModels;
+  return error;
+};
+
+export default InferenceBackend;
@@ -0,0 +1,117 @@
+import path from 'path';
+import { createRequire } from 'module';
+import InferenceBackend, { modelUnavailableError } from './InferenceBackend.js';
+import { ML_MODELS_DIR, getModelRegistry } from './modelRegistry.js';
+import logger from '../../utils/logger.js';
+
+const require = createRequire(import.meta.url);
+
+const modelConfig = {
+  // registry: production versions from ml_models; filesystem: fixed ${modelType}_model paths
+  source: process.env.ML_MODEL_SOURCE || 'registry',
+  refreshIntervalMs: parseInt(process.env.ML_MODEL_REFRESH_MS) || 60000,
+  // Share of analyses on which registry `testing` versions run in shadow (default all)
+  shadowPercent: process.env.ML_SHADOW_PERCENT ? parseFloat(process.env.ML_SHADOW_PERCENT) : 100,
+  // Share of analyses served by the `testing` version instead of production (opt-in)
+  canaryPercent: parseFloat(process.env.ML_CANARY_PERCENT) || 0,
+  // Multi-item plate segmentation; set ML_PLATE_SEGMENTATION=false to score whole plates only
+  plate: {
+    enabled: process.env.ML_PLATE_SEGMENTATION !== 'false',
+    modelUrl: process.env.ML_SEGMENTATION_MODEL_URL,
+    maxItems: parseInt(process.env.ML_MAX_PLATE_ITEMS) || 6
+  }
+};
+
+/**
+ * In-process tfjs-node backend. Runs the ml-models FoodSafetyAnalysisService in
+ * strict mode, so inference blocks this process's event loop while it runs.
+ * With the registry source, promotions, rollbacks and new shadow candidates are
+ * picked up within ML_MODEL_REFRESH_MS without a restart.
+ */
+class TfjsInferenceBackend extends InferenceBackend {
+  constructor() {
+    super('tfjs');
+    this.service = null;
+    this.registry = null;
+    this.lastRefreshAt = 0;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    let FoodSafetyAnalysisService;
+    try {
+      FoodSafetyAnalysisService = require(path.join(ML_MODELS_DIR, 'services', 'FoodSafetyAnalysisService'));
+    } catch (error) {
+      throw modelUnavailableError(`Cannot load ML service from ${ML_MODELS_DIR}: ${error.message}`);
+    }
+
+    if (modelConfig.source === 'registry') {
+      this.registry = getModelRegistry();
+    }
+
+    this.service = new FoodSafetyAnalysisService({
+      strict: true,
+      registry: this.registry,
+      shadow: { samplePercent: modelConfig.shadowPercent, canaryPercent: modelConfig.canaryPercent },
+      plate: modelConfig.plate
+    });
+
+    try {
+      await this.service.initialize();
+    } catch (error) {
+      throw error.code === 'MODEL_UNAVAILABLE'
+        ? modelUnavailableError(error.message, error.missingModels)
+        : error;
+    }
+
+    this.isInitialized = true;
+    this.lastRefreshAt = Date.now();
+    logger.info(`tfjs inference backend ready (${modelConfig.source}): ${JSON.stringify(this.getModelVersions())}`);
+  }
+
+  async analyzeFood(imagePath, userPreferences = {}, options = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    await this.refreshModels();
+    return this.service.analyzeFood(imagePath, userPreferences, options);
+  }
+
+  /**
+   * Load newly promoted or rolled-back production versions
+   */
+  async refreshModels() {
+    if (!this.registry || Date.now() - this.lastRefreshAt < modelConfig.refreshIntervalMs) return;
+    this.lastRefreshAt = Date.now();
+
+    const reloaded = await this.service.loadProductionModels();
+    if (reloaded.length > 0) {
+      logger.info(`Reloaded production models: ${reloaded.join(', ')} -> ${JSON.stringify(this.getModelVersions())}`);
+    }
+
+    await this.service.loadCandidateModels().catch((error) => {
+      logger.warn(`Failed to refresh shadow candidates: ${error.message}`);
+    });
+
+    const missingModels = this.service.getMissingModels();
+    if (missingModels.length > 0) {
+      throw modelUnavailableError(`Required models are not available: ${missingModels.join(', ')}`, missingModels);
+    }
+  }
+
+  getModelVersions() {
+    return this.service ? this.service.getModelVersions() : {};
+  }
+
+  async dispose() {
+    if (this.service) {
+      this.service.dispose();
+      this.service = null;
+    }
+    await super.dispose();
+  }
+}
+
+export default TfjsInferenceBackend;
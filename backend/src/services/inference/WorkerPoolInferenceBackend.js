@@ -0,0 +1,195 @@
+import path from 'path';
+import { fork } from 'child_process';
+import { fileURLToPath } from 'url';
+import InferenceBackend, { modelUnavailableError } from './InferenceBackend.js';
+import logger from '../../utils/logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const WORKER_SCRIPT = path.join(__dirname, 'inferenceWorker.js');
+
+/**
+ * Child-process worker pool backend. Each worker loads the tfjs models once;
+ * requests are queued and dispatched to idle workers so inference never blocks
+ * the API process. Crashed or timed-out workers are replaced.
+ */
+class WorkerPoolInferenceBackend extends InferenceBackend {
+  constructor(options = {}) {
+    super('worker_pool');
+    this.size = options.size || parseInt(process.env.ML_WORKER_POOL_SIZE) || 2;
+    this.taskTimeoutMs = options.taskTimeoutMs || parseInt(process.env.ML_WORKER_TIMEOUT_MS) || 60000;
+    this.workers = [];
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.modelVersions = {};
+    this.disposed = false;
+  }
+
+  async initialize() {
+    if (this.isInitialized) return;
+
+    this.disposed = false;
+    const spawned = await Promise.allSettled(Array.from({ length: this.size }, () => this.spawnWorker()));
+    const workers = spawned.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    const failure = spawned.find(outcome => outcome.status === 'rejected');
+
+    // One worker failing to start fails the pool; stop the ones that did start
+    if (failure) {
+      this.disposed = true;
+      workers.forEach(worker => worker.child.kill());
+      throw failure.reason;
+    }
+
+    this.workers = workers;
+    this.isInitialized = true;
+
+    logger.info(`Inference worker pool ready (${this.size} workers): ${JSON.stringify(this.modelVersions)}`);
+  }
+
+  /**
+   * Start a worker and wait for it to load its models
+   */
+  spawnWorker() {
+    return new Promise((resolve, reject) => {
+      const child = fork(WORKER_SCRIPT, [], { stdio: ['ignore', 'inherit', 'inherit', 'ipc'] });
+      const worker = { child, task: null, timer: null, ready: false };
+
+      child.on('message', (message) => {
+        if (message.type === 'ready') {
+          worker.ready = true;
+          this.modelVersions = message.modelVersions;
+          resolve(worker);
+          this.dispatch();
+        } else if (message.type === 'init_error') {
+          reject(modelUnavailableError(message.error.message, message.error.missingModels));
+        } else if (message.type === 'result') {
+          this.settleTask(worker, message);
+        }
+      });
+
+      child.on('error', (error) => {
+        if (!worker.ready) reject(error);
+      });
+
+      child.on('exit', (code, signal) => {
+        if (!worker.ready) {
+          reject(new Error(`Inference worker exited during startup (code ${code})`));
+          return;
+        }
+        this.handleWorkerExit(worker, code, signal);
+      });
+    });
+  }
+
+  analyzeFood(imagePath, userPreferences = {}, options = {}) {
+    if (!this.isInitialized) {
+      return Promise.reject(new Error('Inference worker pool is not initialized'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextTaskId++, imagePath, userPreferences, options, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Hand queued tasks to idle workers
+   */
+  dispatch() {
+    for (const worker of this.workers) {
+      if (this.queue.length === 0) return;
+      if (!worker.ready || worker.task) continue;
+
+      const task = this.queue.shift();
+      worker.task = task;
+      worker.timer = setTimeout(() => {
+        logger.error(`Inference worker ${worker.child.pid} timed out after ${this.taskTimeoutMs}ms`);
+        worker.child.kill('SIGKILL');
+      }, this.taskTimeoutMs);
+
+      worker.child.send({
+        type: 'analyze',
+        id: task.id,
+        imagePath: task.imagePath,
+        userPreferences: task.userPreferences,
+        options: task.options
+      });
+    }
+  }
+
+  /**
+   * Resolve or reject the task a worker just finished
+   */
+  settleTask(worker, message) {
+    const task = worker.task;
+    if (!task || task.id !== message.id) return;
+
+    // Workers hot-reload promoted and rolled-back models; keep the latest versions reported
+    if (message.modelVersions) {
+      this.modelVersions = message.modelVersions;
+    }
+
+    clearTimeout(worker.timer);
+    worker.task = null;
+
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.code = message.error.code;
+      error.inspection = message.error.inspection;
+      task.reject(error);
+    } else {
+      task.resolve(message.result);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Fail the in-flight task of a dead worker and start a replacement
+   */
+  handleWorkerExit(worker, code, signal) {
+    clearTimeout(worker.timer);
+    this.workers = this.workers.filter(candidate => candidate !== worker);
+
+    if (worker.task) {
+      worker.task.reject(new Error(`Inference worker exited (code ${code}, signal ${signal}) during analysis`));
+      worker.task = null;
+    }
+
+    if (this.disposed) return;
+
+    logger.warn(`Inference worker ${worker.child.pid} exited, starting a replacement`);
+    this.spawnWorker().then((replacement) => {
+      this.workers.push(replacement);
+      this.dispatch();
+    }).catch((error) => {
+      logger.error('Failed to replace inference worker:', error);
+      if (this.workers.length === 0) {
+        this.queue.splice(0).forEach(task => task.reject(error));
+      }
+    });
+  }
+
+  getModelVersions() {
+    return this.modelVersions;
+  }
+
+  async dispose() {
+    this.disposed = true;
+    this.queue.splice(0).forEach(task => task.reject(new Error('Inference worker pool is shutting down')));
+
+    await Promise.all(this.workers.map(worker => new Promise((resolve) => {
+      clearTimeout(worker.timer);
+      if (worker.child.exitCode !== null || !worker.child.connected) {
+        resolve();
+        return;
+      }
+      worker.child.once('exit', resolve);
+      worker.child.disconnect();
+    })));
+
+    this.workers = [];
+    await super.dispose();
+  }
+}
+
+export default WorkerPoolInferenceBackend;
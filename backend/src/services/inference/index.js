@@ -0,0 +1,69 @@
+import TfjsInferenceBackend from './TfjsInferenceBackend.js';
+import WorkerPoolInferenceBackend from './WorkerPoolInferenceBackend.js';
+import DeterministicInferenceBackend from './DeterministicInferenceBackend.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Inference backend selection
+ * ML_INFERENCE_BACKEND picks the implementation: tfjs (in-process, default),
+ * worker_pool (child processes) or deterministic (tests only).
+ */
+const BACKENDS = {
+  tfjs: TfjsInferenceBackend,
+  worker_pool: WorkerPoolInferenceBackend,
+  deterministic: DeterministicInferenceBackend
+};
+
+export const inferenceConfig = {
+  backend: process.env.ML_INFERENCE_BACKEND || 'tfjs'
+};
+
+let backendPromise = null;
+let activeBackend = null;
+
+/**
+ * Create an uninitialized backend by name
+ */
+export const createInferenceBackend = (name = inferenceConfig.backend) => {
+  const Backend = BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Unknown ML_INFERENCE_BACKEND "${name}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+
+  return new Backend();
+};
+
+/**
+ * Get the configured backend, initializing it on first use. A failed
+ * initialization is not cached, so a later call retries once models are deployed.
+ */
+export const getInferenceBackend = () => {
+  if (!backendPromise) {
+    const backend = createInferenceBackend();
+
+    backendPromise = backend.initialize().then(() => {
+      activeBackend = backend;
+      logger.info(`ML inference backend initialized: ${backend.name}`);
+      return backend;
+    }).catch((error) => {
+      backendPromise = null;
+      logger.error(`ML inference backend "${backend.name}" failed to initialize:`, error);
+      throw error;
+    });
+  }
+
+  return backendPromise;
+};
+
+/**
+ * Release the active backend (used on shutdown)
+ */
+export const disposeInferenceBackend = async () => {
+  const backend = activeBackend;
+  backendPromise = null;
+  activeBackend = null;
+
+  if (backend) {
+    await backend.dispose();
+  }
+};
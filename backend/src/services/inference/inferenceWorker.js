@@ -0,0 +1,43 @@
+import TfjsInferenceBackend from './TfjsInferenceBackend.js';
+
+/**
+ * Inference worker process
+ * Child process entry for WorkerPoolInferenceBackend. Loads the models once and
+ * answers { id, type: 'analyze' } messages over IPC. Every reply carries the
+ * model versions the worker is running after the task.
+ */
+const backend = new TfjsInferenceBackend();
+
+const serializeError = (error) => ({
+  message: error.message,
+  code: error.code,
+  missingModels: error.missingModels,
+  inspection: error.inspection
+});
+
+backend.initialize().then(() => {
+  process.send({ type: 'ready', modelVersions: backend.getModelVersions() });
+}).catch((error) => {
+  process.send({ type: 'init_error', error: serializeError(error) }, () => process.exit(1));
+});
+
+process.on('message', async (message) => {
+  if (message.type !== 'analyze') return;
+
+  try {
+    const result = await backend.analyzeFood(message.imagePath, message.userPreferences, message.options);
+    // The backend may have reloaded models for this task; report the versions it now runs
+    process.send({
+      type: 'result',
+      id: message.id,
+      result: { ...result, modelVersions: result.modelVersions || backend.getModelVersions() },
+      modelVersions: backend.getModelVersions()
+    });
+  } catch (error) {
+    process.send({ type: 'result', id: message.id, error: serializeError(error), modelVersions: backend.getModelVersions() });
+  }
+});
+
+process.on('disconnect', () => {
+  backend.dispose().finally(() => process.exit(0));
+});
@@ -0,0 +1,23 @@
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import db from '../../config/database.js';
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ML_MODELS_DIR = process.env.ML_MODELS_DIR || path.resolve(__dirname, '../../../../ml-models');
+
+let registry = null;
+
+/**
+ * Shared ml-models ModelRegistry bound to the application database
+ */
+export const getModelRegistry = () => {
+  if (!registry) {
+    const ModelRegistry = require(path.join(ML_MODELS_DIR, 'registry', 'ModelRegistry'));
+    registry = new ModelRegistry({ knex: db });
+  }
+
+  return registry;
+};
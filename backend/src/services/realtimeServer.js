@@ -0,0 +1,95 @@
+import { WebSocketServer } from 'ws';
+import RealtimeSessionService, { realtimeConfig } from './RealtimeSessionService.js';
+import { AuthService } from './authService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Realtime WebSocket Server
+ * Accepts authenticated upgrades on /ws/realtime/:sessionId and hands the socket
+ * to RealtimeSessionService
+ */
+const REALTIME_PATH = /^\/ws\/realtime\/([A-Za-z0-9_-]{1,128})$/;
+
+let wss = null;
+
+/**
+ * Read the access token from the query string (browsers cannot set headers on
+ * WebSocket requests) or the Authorization header
+ */
+const getToken = (req, url) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7);
+  }
+
+  return url.searchParams.get('token');
+};
+
+/**
+ * Refuse an upgrade with a plain HTTP response
+ */
+const rejectUpgrade = (socket, statusCode, message) => {
+  socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Attach the realtime WebSocket endpoint to an HTTP server
+ */
+export const attachRealtimeServer = (httpServer) => {
+  wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: realtimeConfig.maxFrameBytes
+  });
+
+  httpServer.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(REALTIME_PATH);
+
+    // Leave other upgrade paths alone
+    if (!match) return;
+
+    const sessionId = match[1];
+    const token = getToken(req, url);
+    if (!token) {
+      return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    try {
+      // Logged-out tokens and revoked sessions are refused too
+      const decoded = await AuthService.verifyAccessToken(token);
+      if (!decoded) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      const session = await RealtimeSessionService.getSession(sessionId);
+      if (!session || String(session.userId) !== String(decoded.id)) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        RealtimeSessionService.attachSocket(ws, sessionId, decoded.id).catch((error) => {
+          logger.error(`Failed to attach realtime session ${sessionId}:`, error);
+          ws.close(1011, 'Session setup failed');
+        });
+      });
+    } catch (error) {
+      logger.error('Realtime upgrade error:', error);
+      rejectUpgrade(socket, 500, 'Internal Server Error');
+    }
+  });
+
+  logger.info('Realtime WebSocket server attached at /ws/realtime/:sessionId');
+  return wss;
+};
+
+/**
+ * End live sessions and stop accepting connections
+ */
+export const closeRealtimeServer = async () => {
+  if (!wss) return;
+
+  await RealtimeSessionService.endAllSessions();
+  await new Promise(resolve => wss.close(() => resolve()));
+  wss = null;
+};
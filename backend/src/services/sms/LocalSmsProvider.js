@@ -0,0 +1,42 @@
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import SmsProvider from './SmsProvider.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Local test transport. Appends each message as a JSON line to SMS_LOCAL_FILE,
+ * or logs it when no file is set, so OTPs can be read in development and tests.
+ * Refused in production unless SMS_ALLOW_LOCAL=true.
+ */
+class LocalSmsProvider extends SmsProvider {
+  constructor(filePath = process.env.SMS_LOCAL_FILE) {
+    super('local');
+
+    if (process.env.NODE_ENV === 'production' && process.env.SMS_ALLOW_LOCAL !== 'true') {
+      throw new Error('The local SMS provider cannot be used in production');
+    }
+
+    this.filePath = filePath || null;
+  }
+
+  async send(to, message) {
+    const record = {
+      messageId: crypto.randomUUID(),
+      to,
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    if (this.filePath) {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(record)}\n`);
+    } else {
+      logger.info(`📱 SMS to ${to}: ${message}`);
+    }
+
+    return { provider: this.name, messageId: record.messageId };
+  }
+}
+
+export default LocalSmsProvider;
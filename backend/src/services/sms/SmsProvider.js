@@ -0,0 +1,20 @@
+/**
+ * SMS Provider
+ * Contract shared by every SMS transport. `send` resolves once the provider has
+ * accepted the message and rejects when it has not - never silently drops it.
+ */
+class SmsProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send a text message to an E.164 phone number.
+   * Resolves to { provider, messageId }.
+   */
+  async send(to, message) {
+    throw new Error(`${this.name} SMS provider does not implement send()`);
+  }
+}
+
+export default SmsProvider;
@@ -0,0 +1,48 @@
+import LocalSmsProvider from './LocalSmsProvider.js';
+
+/**
+ * SMS provider selection
+ * SMS_PROVIDER picks the transport. Only `local` (file or log, for development and
+ * tests) ships today; a gateway provider extends SmsProvider and is added here.
+ */
+const PROVIDERS = {
+  local: LocalSmsProvider
+};
+
+export const smsConfig = {
+  provider: process.env.SMS_PROVIDER || 'local'
+};
+
+let activeProvider = null;
+
+/**
+ * Create a provider by name
+ */
+export const createSmsProvider = (name = smsConfig.provider) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider();
+};
+
+/**
+ * Get the configured provider, creating it on first use
+ */
+export const getSmsProvider = () => {
+  if (!activeProvider) {
+    activeProvider = createSmsProvider();
+  }
+
+  return activeProvider;
+};
+
+/**
+ * Replace the active provider (tests, or a provider configured at startup)
+ */
+export const setSmsProvider = (provider) => {
+  activeProvider = provider;
+};
+
+export const sendSms = (to, message) => getSmsProvider().send(to, message);
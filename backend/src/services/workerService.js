@@ -0,0 +1,154 @@
+import fs from 'fs-extra';
+import FoodAnalysis from '../models/FoodAnalysis.js';
+import AnalysisQueueService from './AnalysisQueueService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Background Worker
+ * Pulls queued food analyses from AnalysisQueueService and runs the ML pipeline
+ */
+const workerConfig = {
+  concurrency: parseInt(process.env.ANALYSIS_WORKER_CONCURRENCY) || 1,
+  maintenanceIntervalMs: 5000
+};
+
+const workerState = {
+  running: false,
+  loops: [],
+  maintenanceTimer: null,
+  activeJobs: 0
+};
+
+/**
+ * Run a single job and settle its queue and database state
+ */
+const processJob = async (job) => {
+  const { analysisId, imagePath } = job.payload;
+  workerState.activeJobs++;
+
+  try {
+    await FoodAnalysis.updateProcessingStatus(analysisId, {
+      processingStatus: 'processing',
+      retryCount: job.attempts
+    });
+
+    await FoodAnalysis.processQueuedAnalysis(job.payload);
+    await AnalysisQueueService.complete(job.id);
+    await removeUpload(imagePath);
+
+    logger.info(`Analysis job completed: ${job.id}`);
+  } catch (error) {
+    logger.error(`Analysis job failed: ${job.id}`, error);
+
+    if (AnalysisQueueService.canRetry(job)) {
+      const retried = await AnalysisQueueService.retry(job, error.message);
+      await FoodAnalysis.updateProcessingStatus(analysisId, {
+        processingStatus: 'pending',
+        retryCount: retried.attempts,
+        errorMessage: error.message
+      });
+    } else {
+      await FoodAnalysis.updateProcessingStatus(analysisId, {
+        processingStatus: 'failed',
+        retryCount: job.attempts,
+        errorMessage: error.message,
+        completedAt: new Date()
+      });
+      await AnalysisQueueService.complete(job.id);
+      await removeUpload(imagePath);
+    }
+  } finally {
+    workerState.activeJobs--;
+  }
+};
+
+/**
+ * Delete the uploaded image once no further attempt needs it
+ */
+const removeUpload = async (imagePath) => {
+  if (!imagePath) return;
+
+  try {
+    await fs.remove(imagePath);
+  } catch (error) {
+    logger.warn('Failed to clean up uploaded file:', error);
+  }
+};
+
+/**
+ * Reserve-and-process loop; one per unit of concurrency
+ */
+const runLoop = async (blockingClient) => {
+  while (workerState.running) {
+    try {
+      const job = await AnalysisQueueService.reserve(blockingClient);
+      if (job) {
+        await processJob(job);
+      }
+    } catch (error) {
+      if (!workerState.running) break;
+      logger.error('Analysis worker loop error:', error);
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+  }
+};
+
+/**
+ * Periodic housekeeping: heartbeat, delayed retries and stalled job recovery
+ */
+const runMaintenance = async () => {
+  await AnalysisQueueService.heartbeat();
+  await AnalysisQueueService.promoteDelayed();
+  await AnalysisQueueService.recoverStalledJobs();
+};
+
+/**
+ * Start the background analysis worker
+ */
+export const startWorker = async (options = {}) => {
+  if (workerState.running) return;
+
+  const concurrency = options.concurrency || workerConfig.concurrency;
+  workerState.running = true;
+
+  await runMaintenance();
+  workerState.maintenanceTimer = setInterval(() => {
+    runMaintenance().catch(error => logger.error('Analysis worker maintenance error:', error));
+  }, workerConfig.maintenanceIntervalMs);
+
+  for (let i = 0; i < concurrency; i++) {
+    const blockingClient = await AnalysisQueueService.createBlockingClient();
+    workerState.loops.push(runLoop(blockingClient));
+  }
+
+  logger.info(`Analysis worker started (${AnalysisQueueService.workerId}, concurrency ${concurrency})`);
+};
+
+/**
+ * Stop the worker after in-flight jobs finish
+ */
+export const stopWorker = async () => {
+  if (!workerState.running) return;
+
+  workerState.running = false;
+  clearInterval(workerState.maintenanceTimer);
+  workerState.maintenanceTimer = null;
+
+  // Closing the blocking connections releases loops waiting on an empty queue
+  await AnalysisQueueService.closeBlockingClients();
+  await Promise.allSettled(workerState.loops);
+  workerState.loops = [];
+  await AnalysisQueueService.clearHeartbeat();
+
+  logger.info('Analysis worker stopped');
+};
+
+/**
+ * Worker status for health checks
+ */
+export const getWorkerStatus = async () => ({
+  running: workerState.running,
+  workerId: AnalysisQueueService.workerId,
+  activeJobs: workerState.activeJobs,
+  queue: await AnalysisQueueService.getStats()
+});
@@ -0,0 +1,123 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import QRCode from 'qrcode';
+import { redisClient } from '../src/config/redis.js';
+import AnalysisQueueService from '../src/services/AnalysisQueueService.js';
+import CommunityFeedService from '../src/services/CommunityFeedService.js';
+import SafetyReportPdfService from '../src/services/SafetyReportPdfService.js';
+import CommunityPost from '../src/models/CommunityPost.js';
+import FoodAnalysis from '../src/models/FoodAnalysis.js';
+import { startWorker, stopWorker } from '../src/services/workerService.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('sharp', () => require('./helpers/sharp.js'));
+jest.mock('../src/services/inference/index.js', () => {
+  const { default: Backend } = jest.requireActual('../src/services/inference/DeterministicInferenceBackend.js');
+  const backend = new Backend();
+
+  return {
+    __esModule: true,
+    getInferenceBackend: async () => {
+      await backend.initialize();
+      return backend;
+    }
+  };
+});
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Pixel widths of the images embedded in a PDF
+ */
+const imageWidths = (pdf) => [...pdf.toString('latin1').matchAll(/\/Subtype \/Image[^>]*?\/Width (\d+)/g)]
+  .map(match => Number(match[1]));
+
+describe('photos of worker-finished analyses', () => {
+  const communityImageDir = CommunityFeedService.imageDir;
+  let workDir;
+  let photo;
+  let analysis;
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-photos-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(workDir);
+    CommunityFeedService.imageDir = path.join(workDir, 'uploads', 'community');
+
+    // Any PNG will do as the uploaded photo
+    photo = await QRCode.toBuffer('masala dosa');
+    const imagePath = path.join(workDir, 'dosa.png');
+    await fs.writeFile(imagePath, photo);
+
+    const saved = [];
+    jest.spyOn(FoodAnalysis, 'updateProcessingStatus').mockResolvedValue();
+    jest.spyOn(FoodAnalysis, 'applyProfileConflicts').mockResolvedValue({ profile: null, conflicts: [] });
+    jest.spyOn(FoodAnalysis, 'findById').mockImplementation(async (id, userId) => new FoodAnalysis({ id, userId }));
+    jest.spyOn(FoodAnalysis.prototype, 'save').mockImplementation(function save() {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+
+    await AnalysisQueueService.enqueue('a-1', { analysisId: 'a-1', userId: 'u-1', imagePath });
+    await startWorker({ concurrency: 1 });
+    await waitFor(async () => !(await fs.pathExists(imagePath)));
+    await stopWorker();
+
+    analysis = saved[saved.length - 1];
+  });
+
+  afterEach(async () => {
+    await stopWorker();
+    jest.restoreAllMocks();
+    CommunityFeedService.imageDir = communityImageDir;
+    await fs.remove(workDir);
+  });
+
+  it('keeps a copy of the photo after the upload is removed', async () => {
+    const retained = path.join(workDir, 'uploads', 'analysis-photos', 'a-1.jpg');
+
+    expect(analysis).toMatchObject({ processingStatus: 'completed', imageThumbnail: retained });
+    expect(await fs.readFile(retained)).toEqual(photo);
+  });
+
+  it('publishes the analysis to the community feed', async () => {
+    jest.spyOn(CommunityPost, 'findByAnalysisId').mockResolvedValue(null);
+    jest.spyOn(CommunityPost.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+
+    const post = await CommunityFeedService.publish(analysis);
+
+    expect(post).toMatchObject({ analysisId: 'a-1', imageUrl: expect.stringMatching(/^\/uploads\/community\/.+\.jpg$/) });
+    expect(await fs.readFile(path.join(CommunityFeedService.imageDir, path.basename(post.imageUrl)))).toEqual(photo);
+  });
+
+  it('embeds the photo in the PDF report', async () => {
+    const report = { reportNumber: 'FSR-2026-000001', issuedAt: new Date('2026-03-10T09:00:00Z'), issuedTo: null };
+
+    const pdf = await SafetyReportPdfService.render(analysis, report, {
+      verifyUrl: 'https://app.foodsafe.ai/reports/verify/FSR-2026-000001'
+    });
+
+    expect(imageWidths(pdf)).toContain(photo.readUInt32BE(16));
+  });
+
+  it('renders the PDF report without a photo once none is retained', async () => {
+    analysis.imageThumbnail = null;
+    const report = { reportNumber: 'FSR-2026-000002', issuedAt: new Date('2026-03-10T09:00:00Z'), issuedTo: null };
+
+    const pdf = await SafetyReportPdfService.render(analysis, report, {
+      verifyUrl: 'https://app.foodsafe.ai/reports/verify/FSR-2026-000002'
+    });
+
+    expect(imageWidths(pdf)).not.toContain(photo.readUInt32BE(16));
+  });
+});
@@ -0,0 +1,205 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { redisClient } from '../src/config/redis.js';
+import AnalysisQueueService, { queueConfig } from '../src/services/AnalysisQueueService.js';
+import FoodAnalysis from '../src/models/FoodAnalysis.js';
+import DeterministicInferenceBackend from '../src/services/inference/DeterministicInferenceBackend.js';
+import { startWorker, stopWorker } from '../src/services/workerService.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('sharp', () => require('./helpers/sharp.js'));
+jest.mock('../src/services/inference/index.js', () => {
+  const { default: Backend } = jest.requireActual('../src/services/inference/DeterministicInferenceBackend.js');
+  const backend = new Backend();
+
+  return {
+    __esModule: true,
+    getInferenceBackend: async () => {
+      await backend.initialize();
+      return backend;
+    }
+  };
+});
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const writeUpload = async (dir, name, contents) => {
+  const imagePath = path.join(dir, name);
+  await fs.writeFile(imagePath, contents);
+  return imagePath;
+};
+
+describe('AnalysisQueueService', () => {
+  let blockingClient;
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    blockingClient = await AnalysisQueueService.createBlockingClient();
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await AnalysisQueueService.closeBlockingClients();
+  });
+
+  it('reserves jobs in enqueue order into the worker processing list', async () => {
+    await AnalysisQueueService.enqueue('job-1', { analysisId: 'a-1' });
+    await AnalysisQueueService.enqueue('job-2', { analysisId: 'a-2' });
+
+    const job = await AnalysisQueueService.reserve(blockingClient);
+
+    expect(job).toMatchObject({ id: 'job-1', payload: { analysisId: 'a-1' }, attempts: 0 });
+    expect(await redisClient.lRange(queueConfig.keys.processing(AnalysisQueueService.workerId), 0, -1)).toEqual(['job-1']);
+    expect(await redisClient.lRange(queueConfig.keys.pending, 0, -1)).toEqual(['job-2']);
+  });
+
+  it('removes completed jobs and their payload', async () => {
+    await AnalysisQueueService.enqueue('job-1', { analysisId: 'a-1' });
+    await AnalysisQueueService.reserve(blockingClient);
+
+    await AnalysisQueueService.complete('job-1');
+
+    expect(await AnalysisQueueService.getJob('job-1')).toBeNull();
+    expect(await redisClient.lLen(queueConfig.keys.processing(AnalysisQueueService.workerId))).toBe(0);
+  });
+
+  it('retries failed jobs with exponential backoff', async () => {
+    await AnalysisQueueService.enqueue('job-1', { analysisId: 'a-1' });
+    const job = await AnalysisQueueService.reserve(blockingClient);
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    const first = await AnalysisQueueService.retry(job, 'model timeout');
+    expect(await redisClient.zScore(queueConfig.keys.delayed, 'job-1')).toBe(now + queueConfig.retryBackoffMs);
+
+    const second = await AnalysisQueueService.retry(first, 'model timeout');
+    expect(second).toMatchObject({ attempts: 2, lastError: 'model timeout' });
+    expect(await redisClient.zScore(queueConfig.keys.delayed, 'job-1')).toBe(now + queueConfig.retryBackoffMs * 2);
+    expect(await redisClient.lLen(queueConfig.keys.processing(AnalysisQueueService.workerId))).toBe(0);
+  });
+
+  it('promotes delayed jobs only once their backoff has elapsed', async () => {
+    await AnalysisQueueService.enqueue('job-1', { analysisId: 'a-1' });
+    const job = await AnalysisQueueService.reserve(blockingClient);
+    await AnalysisQueueService.retry(job, 'model timeout');
+
+    expect(await AnalysisQueueService.promoteDelayed()).toBe(0);
+
+    const later = Date.now() + queueConfig.retryBackoffMs;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    expect(await AnalysisQueueService.promoteDelayed()).toBe(1);
+    Date.now.mockRestore();
+
+    expect(await redisClient.lRange(queueConfig.keys.pending, 0, -1)).toEqual(['job-1']);
+    expect(await redisClient.zCard(queueConfig.keys.delayed)).toBe(0);
+  });
+
+  it('stops retrying once a job has used its attempts', () => {
+    expect(AnalysisQueueService.canRetry({ attempts: queueConfig.maxRetries - 1 })).toBe(true);
+    expect(AnalysisQueueService.canRetry({ attempts: queueConfig.maxRetries })).toBe(false);
+  });
+
+  it('registers the worker with its heartbeat', async () => {
+    await AnalysisQueueService.heartbeat();
+
+    expect(await redisClient.sMembers(queueConfig.keys.workers)).toEqual([AnalysisQueueService.workerId]);
+    expect(await redisClient.exists(queueConfig.keys.heartbeat(AnalysisQueueService.workerId))).toBe(1);
+  });
+
+  it('recovers jobs of workers that stopped heartbeating', async () => {
+    await redisClient.sAdd(queueConfig.keys.workers, ['dead-worker', 'live-worker']);
+    await redisClient.lPush(queueConfig.keys.processing('dead-worker'), 'job-dead');
+    await redisClient.lPush(queueConfig.keys.processing('live-worker'), 'job-live');
+    await redisClient.setEx(queueConfig.keys.heartbeat('live-worker'), queueConfig.heartbeatTtlSeconds, 'now');
+
+    expect(await AnalysisQueueService.recoverStalledJobs()).toBe(1);
+
+    expect(await redisClient.lRange(queueConfig.keys.pending, 0, -1)).toEqual(['job-dead']);
+    expect(await redisClient.lRange(queueConfig.keys.processing('live-worker'), 0, -1)).toEqual(['job-live']);
+    expect(await redisClient.sMembers(queueConfig.keys.workers)).toEqual(['live-worker']);
+  });
+
+  it('reports queue depth', async () => {
+    await AnalysisQueueService.enqueue('job-1', { analysisId: 'a-1' });
+    await redisClient.zAdd(queueConfig.keys.delayed, { score: Date.now() + 60000, value: 'job-2' });
+
+    expect(await AnalysisQueueService.getStats()).toMatchObject({ pending: 1, delayed: 1 });
+  });
+});
+
+describe('analysis worker', () => {
+  let uploadDir;
+  let savedAnalyses;
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-queue-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(uploadDir);
+    savedAnalyses = [];
+
+    jest.spyOn(FoodAnalysis, 'updateProcessingStatus').mockResolvedValue();
+    jest.spyOn(FoodAnalysis, 'applyProfileConflicts').mockResolvedValue({ profile: null, conflicts: [] });
+    jest.spyOn(FoodAnalysis.prototype, 'save').mockImplementation(function save() {
+      savedAnalyses.push(this);
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(async () => {
+    await stopWorker();
+    jest.restoreAllMocks();
+    await fs.remove(uploadDir);
+  });
+
+  it('runs queued analyses through the inference backend', async () => {
+    const imagePath = await writeUpload(uploadDir, 'dal.jpg', 'dal makhani');
+    jest.spyOn(FoodAnalysis, 'findById').mockImplementation(async (id, userId) => new FoodAnalysis({ id, userId }));
+
+    await AnalysisQueueService.enqueue('a-1', { analysisId: 'a-1', userId: 'u-1', imagePath });
+    await startWorker({ concurrency: 1 });
+    await waitFor(async () => !(await fs.pathExists(imagePath)));
+
+    const backend = new DeterministicInferenceBackend();
+    await backend.initialize();
+    const expected = await backend.analyzeFood(await writeUpload(uploadDir, 'copy.jpg', 'dal makhani'));
+
+    expect(savedAnalyses).toHaveLength(1);
+    expect(savedAnalyses[0]).toMatchObject({
+      id: 'a-1',
+      processingStatus: 'completed',
+      freshnessScore: expected.overall.safetyScore,
+      overallRating: expected.overall.safetyLevel,
+      inferenceBackend: 'deterministic',
+      modelVersions: backend.getModelVersions()
+    });
+    expect(FoodAnalysis.updateProcessingStatus).toHaveBeenCalledWith('a-1', { processingStatus: 'processing', retryCount: 0 });
+    expect(await AnalysisQueueService.getJob('a-1')).toBeNull();
+    expect(await AnalysisQueueService.getStats()).toMatchObject({ pending: 0, delayed: 0 });
+  });
+
+  it('schedules a retry and keeps the upload when an analysis fails', async () => {
+    const imagePath = await writeUpload(uploadDir, 'idli.jpg', 'idli');
+    jest.spyOn(FoodAnalysis, 'findById').mockResolvedValue(null);
+
+    await AnalysisQueueService.enqueue('a-2', { analysisId: 'a-2', userId: 'u-1', imagePath });
+    await startWorker({ concurrency: 1 });
+    await waitFor(async () => (await redisClient.zCard(queueConfig.keys.delayed)) === 1);
+
+    expect(await AnalysisQueueService.getJob('a-2')).toMatchObject({ attempts: 1, lastError: 'Analysis a-2 not found' });
+    expect(FoodAnalysis.updateProcessingStatus).toHaveBeenCalledWith('a-2', {
+      processingStatus: 'pending',
+      retryCount: 1,
+      errorMessage: 'Analysis a-2 not found'
+    });
+    expect(await fs.pathExists(imagePath)).toBe(true);
+    expect(savedAnalyses).toHaveLength(0);
+  });
+});
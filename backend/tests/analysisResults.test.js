@@ -0,0 +1,120 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import FoodAnalysis from '../src/models/FoodAnalysis.js';
+import DeterministicInferenceBackend from '../src/services/inference/DeterministicInferenceBackend.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('sharp', () => require('./helpers/sharp.js'));
+jest.mock('../src/services/inference/index.js', () => ({ __esModule: true, getInferenceBackend: jest.fn() }));
+
+const RETAKE_RECOMMENDATION = expect.stringMatching(/retake it in good light/);
+
+/**
+ * Replace a category verdict with the abstention the ML service reports when a
+ * model's calibrated confidence is below its threshold
+ */
+const abstain = (report, category, confidence = 0.41) => {
+  report.detailedAnalysis[category] = {
+    status: 'insufficient_evidence',
+    insufficientEvidence: true,
+    reason: 'low_confidence',
+    message: 'The model is not confident enough to give a verdict',
+    confidence
+  };
+  report.overall.categoryScores[category] = null;
+  report.overall.abstainedCategories.push(category);
+  return report;
+};
+
+describe('FoodAnalysis.processMLResults', () => {
+  let workDir;
+  let backend;
+  let report;
+
+  beforeAll(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'analysis-results-'));
+    backend = new DeterministicInferenceBackend();
+    await backend.initialize();
+  });
+
+  beforeEach(async () => {
+    const imagePath = path.join(workDir, 'thali.jpg');
+    await fs.writeFile(imagePath, 'veg thali');
+    report = await backend.analyzeFood(imagePath);
+  });
+
+  afterAll(async () => {
+    await fs.remove(workDir);
+  });
+
+  it('keeps the overall verdict of a complete report', () => {
+    const results = FoodAnalysis.processMLResults(report);
+
+    expect(results.freshnessScore).toBe(report.overall.safetyScore);
+    expect(results.overallRating).toBe(report.overall.safetyLevel);
+    expect(results.safetyMetrics.categoryScores).toEqual(report.overall.categoryScores);
+    expect(results.recommendations).not.toContainEqual(RETAKE_RECOMMENDATION);
+  });
+
+  it('stores the confidence each model reported', () => {
+    const results = FoodAnalysis.processMLResults(report);
+
+    expect(results.aiConfidence).toMatchObject({
+      oilQuality: 1,
+      burntFood: 1,
+      spoilage: 1,
+      chemical: 1,
+      microplastics: 1
+    });
+  });
+
+  it('records no confidence for models that did not report one', () => {
+    const results = FoodAnalysis.processMLResults(report);
+
+    expect(results.aiConfidence.nutritional).toBeNull();
+    expect(results.aiConfidence.temperature).toBeNull();
+  });
+
+  it('leaves an abstained category without a score', () => {
+    const results = FoodAnalysis.processMLResults(abstain(report, 'burntFood', 0.38));
+
+    expect(results.burntFoodScore).toBeNull();
+    expect(results.aiConfidence.burntFood).toBe(0.38);
+    expect(results.safetyMetrics.burntFood).toEqual({
+      status: 'insufficient_evidence',
+      reason: 'low_confidence',
+      message: 'The model is not confident enough to give a verdict'
+    });
+    expect(results.safetyMetrics.categoryScores.burntFood).toBeNull();
+    expect(results.overallRating).toBe(report.overall.safetyLevel);
+    expect(results.recommendations).not.toContain('Burnt areas detected - avoid consuming burnt portions');
+  });
+
+  it('abstains from an overall verdict when the report does', () => {
+    abstain(report, 'spoilage');
+    report.overall.safetyScore = null;
+    report.overall.safetyLevel = 'insufficient_evidence';
+
+    const results = FoodAnalysis.processMLResults(report);
+
+    expect(results.freshnessScore).toBeNull();
+    expect(results.overallRating).toBe('insufficient_evidence');
+    expect(results.spoilageScore).toBeNull();
+    expect(results.recommendations[0]).toEqual(RETAKE_RECOMMENDATION);
+  });
+
+  it('abstains on frames the image gate turned away', () => {
+    const results = FoodAnalysis.processMLResults(FoodAnalysis.rejectedFrameResults({ issues: [] }));
+
+    expect(results.freshnessScore).toBeNull();
+    expect(results.overallRating).toBe('insufficient_evidence');
+  });
+
+  it('refuses a report without an overall score', () => {
+    report.overall.safetyScore = undefined;
+
+    expect(() => FoodAnalysis.processMLResults(report)).toThrow('ML results are missing an overall safety score');
+  });
+});
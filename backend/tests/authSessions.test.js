@@ -0,0 +1,175 @@
+import jwt from 'jsonwebtoken';
+import cache, { redisClient } from '../src/config/redis.js';
+import User from '../src/models/User.js';
+import { AuthService, authConfig } from '../src/services/authService.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('../src/services/inference/index.js', () => ({ __esModule: true, getInferenceBackend: jest.fn() }));
+
+const user = new User({ id: 'user-1', email: 'asha@example.com' });
+
+/**
+ * The in-memory client cannot run Lua, so this is the session swap script's
+ * compare-and-set. Reading and writing the store synchronously keeps it atomic.
+ */
+const swapSession = async (sessionId, expectedTokenId, data, ttlSeconds) => {
+  const key = `session:${sessionId}`;
+  const current = redisClient.store.read(key);
+  if (!current || JSON.parse(current).tokenId !== expectedTokenId) return false;
+
+  redisClient.store.write(key, JSON.stringify(data));
+  redisClient.store.expiries.set(key, Date.now() + ttlSeconds * 1000);
+  return true;
+};
+
+const sessionOf = (token) => jwt.decode(token).sid;
+
+describe('refresh token rotation', () => {
+  let now;
+
+  beforeEach(async () => {
+    await redisClient.flushAll();
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(cache, 'swapSession').mockImplementation(swapSession);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const later = (seconds) => {
+    now += seconds * 1000;
+  };
+
+  it('issues a new pair for the session and spends the presented token', async () => {
+    const login = await AuthService.generateTokens(user, { name: 'Pixel 8' });
+    later(60);
+
+    const refreshed = await AuthService.refreshTokens(login.refreshToken);
+
+    expect(refreshed).toMatchObject({ tokenType: 'Bearer' });
+    expect(refreshed.refreshToken).not.toBe(login.refreshToken);
+    expect(sessionOf(refreshed.accessToken)).toBe(sessionOf(login.accessToken));
+    expect(await AuthService.verifyAccessToken(refreshed.accessToken)).toMatchObject({ id: 'user-1' });
+
+    const session = await cache.getSession(sessionOf(login.accessToken));
+    expect(session).toMatchObject({ tokenId: jwt.decode(refreshed.refreshToken).jti, previousTokenId: jwt.decode(login.refreshToken).jti });
+  });
+
+  it('answers a just-rotated token with a plain refusal inside the grace window', async () => {
+    const login = await AuthService.generateTokens(user);
+    const refreshed = await AuthService.refreshTokens(login.refreshToken);
+    later(authConfig.rotationGraceSeconds - 1);
+
+    await expect(AuthService.refreshTokens(login.refreshToken)).resolves.toBeNull();
+
+    // The session survives, so the client's newer token still works
+    await expect(AuthService.refreshTokens(refreshed.refreshToken)).resolves.toMatchObject({ tokenType: 'Bearer' });
+  });
+
+  it('revokes the session when a spent token is presented after the grace window', async () => {
+    const login = await AuthService.generateTokens(user);
+    const refreshed = await AuthService.refreshTokens(login.refreshToken);
+    later(authConfig.rotationGraceSeconds + 1);
+
+    await expect(AuthService.refreshTokens(login.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+
+    expect(await cache.getSession(sessionOf(login.accessToken))).toBeNull();
+    expect(await cache.getUserSessionIds('user-1')).toEqual([]);
+    await expect(AuthService.refreshTokens(refreshed.refreshToken)).resolves.toBeNull();
+    await expect(AuthService.verifyAccessToken(refreshed.accessToken)).resolves.toBeNull();
+  });
+
+  it('treats an older token than the previous one as reuse even inside the grace window', async () => {
+    const login = await AuthService.generateTokens(user);
+    const second = await AuthService.refreshTokens(login.refreshToken);
+    await AuthService.refreshTokens(second.refreshToken);
+
+    await expect(AuthService.refreshTokens(login.refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REUSED' });
+  });
+
+  it('lets only one of two concurrent rotations of a token win', async () => {
+    const login = await AuthService.generateTokens(user);
+
+    const results = await Promise.all([
+      AuthService.refreshTokens(login.refreshToken),
+      AuthService.refreshTokens(login.refreshToken)
+    ]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await cache.getSession(sessionOf(login.accessToken))).not.toBeNull();
+  });
+
+  it('refuses access tokens and tampered tokens as refresh tokens', async () => {
+    const login = await AuthService.generateTokens(user);
+
+    await expect(AuthService.refreshTokens(login.accessToken)).resolves.toBeNull();
+    await expect(AuthService.refreshTokens(`${login.refreshToken}x`)).resolves.toBeNull();
+  });
+
+  it('ends the session when its user no longer exists', async () => {
+    const login = await AuthService.generateTokens(user);
+    User.findById.mockResolvedValue(null);
+
+    await expect(AuthService.refreshTokens(login.refreshToken)).resolves.toBeNull();
+    expect(await cache.getSession(sessionOf(login.accessToken))).toBeNull();
+  });
+});
+
+describe('AuthService.verifyAccessToken', () => {
+  beforeEach(async () => {
+    await redisClient.flushAll();
+  });
+
+  it('accepts a token of a live session', async () => {
+    const { accessToken } = await AuthService.generateTokens(user);
+
+    await expect(AuthService.verifyAccessToken(accessToken)).resolves.toMatchObject({
+      id: 'user-1',
+      email: 'asha@example.com',
+      sid: sessionOf(accessToken)
+    });
+  });
+
+  it('refuses a token whose session was revoked', async () => {
+    const { accessToken } = await AuthService.generateTokens(user);
+
+    await expect(AuthService.revokeSession('user-1', sessionOf(accessToken))).resolves.toBe(true);
+
+    await expect(AuthService.verifyAccessToken(accessToken)).resolves.toBeNull();
+  });
+
+  it('leaves the sessions of other devices signed in', async () => {
+    const phone = await AuthService.generateTokens(user, { name: 'Phone' });
+    const laptop = await AuthService.generateTokens(user, { name: 'Laptop' });
+
+    await expect(AuthService.revokeAllSessions('user-1', sessionOf(laptop.accessToken))).resolves.toBe(1);
+
+    await expect(AuthService.verifyAccessToken(phone.accessToken)).resolves.toBeNull();
+    await expect(AuthService.verifyAccessToken(laptop.accessToken)).resolves.not.toBeNull();
+  });
+
+  it('refuses a blacklisted token', async () => {
+    const { accessToken } = await AuthService.generateTokens(user);
+
+    await AuthService.blacklistToken(accessToken);
+
+    await expect(AuthService.verifyAccessToken(accessToken)).resolves.toBeNull();
+  });
+
+  it('refuses refresh tokens', async () => {
+    const { refreshToken } = await AuthService.generateTokens(user);
+
+    await expect(AuthService.verifyAccessToken(refreshToken)).resolves.toBeNull();
+  });
+
+  it('does not let one user revoke another user\'s session', async () => {
+    const { accessToken } = await AuthService.generateTokens(user);
+
+    await expect(AuthService.revokeSession('user-2', sessionOf(accessToken))).resolves.toBe(false);
+    await expect(AuthService.verifyAccessToken(accessToken)).resolves.not.toBeNull();
+  });
+});
@@ -0,0 +1,273 @@
+import { redisClient } from '../src/config/redis.js';
+import EmailService, { emailConfig, redactJobData } from '../src/services/EmailService.js';
+import CaptureEmailTransport from '../src/services/email/CaptureEmailTransport.js';
+import { setEmailTransport, emailTransportConfig } from '../src/services/email/index.js';
+import { renderTemplate } from '../src/services/email/templates.js';
+import User from '../src/models/User.js';
+import Subscription from '../src/models/Subscription.js';
+import { AuthService } from '../src/services/authService.js';
+import PaymentService from '../src/services/PaymentService.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('../src/services/inference/index.js', () => ({ __esModule: true, getInferenceBackend: jest.fn() }));
+
+const EMAIL = 'asha@example.com';
+
+let transport;
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const contact = (overrides = {}) => ({ email: EMAIL, firstName: 'Asha', language: 'en', emailVerified: false, ...overrides });
+
+/**
+ * Take the next pending job into this sender's processing list, as the send loop does
+ */
+const reserveJob = () => redisClient.lMove(
+  emailConfig.keys.pending,
+  emailConfig.keys.processing(EmailService.senderId),
+  'RIGHT',
+  'LEFT'
+);
+
+beforeEach(async () => {
+  await redisClient.flushAll();
+  transport = new CaptureEmailTransport();
+  setEmailTransport(transport);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('transactional emails', () => {
+  const queueEnabled = emailConfig.queueEnabled;
+
+  beforeAll(() => {
+    emailConfig.queueEnabled = false;
+  });
+
+  afterAll(() => {
+    emailConfig.queueEnabled = queueEnabled;
+  });
+
+  it('sends the verification link', async () => {
+    const user = new User({ id: 'user-1' });
+    jest.spyOn(User, 'getContactDetails').mockResolvedValue(contact());
+    jest.spyOn(user, 'generateEmailVerificationToken').mockResolvedValue('verify-token');
+
+    await AuthService.sendVerificationEmail(user);
+
+    const [message] = transport.sentTo(EMAIL);
+    expect(message).toMatchObject({
+      from: emailTransportConfig.from,
+      subject: 'Verify your FoodSafe AI email address'
+    });
+    expect(message.text).toContain('Hi Asha,');
+    expect(message.text).toContain('Verify email: https://app.foodsafe.ai/verify-email?token=verify-token');
+    expect(message.html).toContain('href="https://app.foodsafe.ai/verify-email?token=verify-token"');
+  });
+
+  it('sends the password reset link', async () => {
+    jest.spyOn(User, 'getContactDetails').mockResolvedValue(contact());
+
+    await AuthService.sendPasswordResetEmail(new User({ id: 'user-1' }), 'reset-token');
+
+    const [message] = transport.sentTo(EMAIL);
+    expect(message.subject).toBe('Reset your FoodSafe AI password');
+    expect(message.text).toContain('https://app.foodsafe.ai/reset-password?token=reset-token');
+  });
+
+  it('skips users without an email address', async () => {
+    jest.spyOn(User, 'getContactDetails').mockResolvedValue(contact({ email: null }));
+
+    await expect(AuthService.sendPasswordResetEmail(new User({ id: 'user-1' }), 'reset-token')).resolves.toBeNull();
+    expect(transport.sentTo()).toHaveLength(0);
+  });
+
+  it('sends a receipt for a subscription charge once per payment', async () => {
+    jest.spyOn(Subscription, 'findBillingContact').mockResolvedValue({
+      ...contact(),
+      tier: 'premium',
+      amount: 29900,
+      currency: 'INR',
+      nextBillingDate: null
+    });
+    const charge = { subscription_id: 'sub_1', payment_id: 'pay_1', amount: 29900, currency: 'INR' };
+
+    await PaymentService.handleSubscriptionCharged(charge, 'razorpay');
+    await PaymentService.handleSubscriptionCharged(charge, 'razorpay');
+
+    const messages = transport.sentTo(EMAIL);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].subject).toBe('Payment received for Food Safety Pro');
+    expect(messages[0].text).toContain('We received your payment of ₹299.00 for Food Safety Pro.');
+    expect(messages[0].text).toContain('Payment reference: pay_1');
+    expect(messages[0].text).toContain('View subscription: https://app.foodsafe.ai/subscription');
+  });
+
+  it('writes to users in Hindi when they prefer it', async () => {
+    const user = new User({ id: 'user-1' });
+    jest.spyOn(User, 'getContactDetails').mockResolvedValue(contact({ language: 'hi' }));
+    jest.spyOn(user, 'generateEmailVerificationToken').mockResolvedValue('verify-token');
+
+    await AuthService.sendVerificationEmail(user);
+
+    const [message] = transport.sentTo(EMAIL);
+    expect(message.subject).toBe('अपना FoodSafe AI ईमेल पता सत्यापित करें');
+    expect(message.text).toContain('नमस्ते Asha,');
+    expect(message.text).toContain('ईमेल सत्यापित करें: https://app.foodsafe.ai/verify-email?token=verify-token');
+    expect(message.html).toContain('<html lang="hi">');
+  });
+
+  it('sends Hindi receipts', async () => {
+    jest.spyOn(Subscription, 'findBillingContact').mockResolvedValue({
+      ...contact({ language: 'hi' }),
+      tier: 'family',
+      amount: 59900,
+      currency: 'INR',
+      nextBillingDate: null
+    });
+
+    await PaymentService.handleSubscriptionCharged({ subscription_id: 'sub_2', payment_id: 'pay_2', amount: 59900 }, 'razorpay');
+
+    const [message] = transport.sentTo(EMAIL);
+    expect(message.subject).toBe('Family Protector के लिए भुगतान प्राप्त हुआ');
+    expect(message.text).toContain('भुगतान संदर्भ: pay_2');
+    expect(message.text).toContain('सदस्यता देखें: https://app.foodsafe.ai/subscription');
+  });
+});
+
+describe('renderTemplate', () => {
+  it('falls back to English for languages without a translation', () => {
+    expect(renderTemplate('passwordReset', 'ta', { resetUrl: 'https://app.foodsafe.ai/reset-password' }).subject)
+      .toBe('Reset your FoodSafe AI password');
+  });
+
+  it('escapes user-provided text in the HTML body', () => {
+    const { html } = renderTemplate('familyInvitation', 'en', { familyName: '<b>Sharma</b>', acceptUrl: 'https://app.foodsafe.ai/family' });
+
+    expect(html).toContain('&lt;b&gt;Sharma&lt;/b&gt;');
+    expect(html).not.toContain('<b>Sharma</b>');
+  });
+
+  it('refuses unknown templates', () => {
+    expect(() => renderTemplate('newsletter', 'en')).toThrow('Unknown email template "newsletter"');
+  });
+});
+
+describe('email queue', () => {
+  it('queues emails instead of sending them inline', async () => {
+    const job = await EmailService.enqueue('passwordReset', EMAIL, { resetUrl: 'https://app.foodsafe.ai/reset-password?token=t' });
+
+    expect(transport.sentTo()).toHaveLength(0);
+    expect(JSON.parse((await redisClient.lRange(emailConfig.keys.pending, 0, -1))[0])).toMatchObject({
+      id: job.id,
+      template: 'passwordReset',
+      to: EMAIL,
+      attempts: 0
+    });
+  });
+
+  it('sends queued emails once the sender is started', async () => {
+    await EmailService.start();
+    await EmailService.enqueue('passwordReset', EMAIL, { resetUrl: 'https://app.foodsafe.ai/reset-password?token=t' });
+
+    await waitFor(() => transport.sentTo(EMAIL).length === 1);
+    await EmailService.stop();
+
+    expect(await EmailService.getStats()).toMatchObject({ pending: 0, delayed: 0, failed: 0 });
+    expect(await redisClient.lLen(emailConfig.keys.processing(EmailService.senderId))).toBe(0);
+  });
+
+  it('retries failed sends with exponential backoff', async () => {
+    jest.spyOn(transport, 'send').mockRejectedValue(new Error('SMTP unavailable'));
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await EmailService.enqueue('passwordReset', EMAIL, { resetUrl: 'https://app.foodsafe.ai/reset-password?token=t' });
+    await EmailService.processJob(await reserveJob());
+
+    const [firstRetry] = await redisClient.zRangeByScore(emailConfig.keys.delayed, '-inf', '+inf');
+    expect(JSON.parse(firstRetry)).toMatchObject({ attempts: 1, lastError: 'SMTP unavailable' });
+    expect(await redisClient.zScore(emailConfig.keys.delayed, firstRetry)).toBe(now + emailConfig.retryBackoffMs);
+    expect(await redisClient.lLen(emailConfig.keys.processing(EmailService.senderId))).toBe(0);
+
+    // Not due yet
+    await EmailService.promoteDelayed();
+    expect(await redisClient.lLen(emailConfig.keys.pending)).toBe(0);
+
+    Date.now.mockReturnValue(now + emailConfig.retryBackoffMs);
+    await EmailService.promoteDelayed();
+    await EmailService.processJob(await reserveJob());
+
+    const [secondRetry] = await redisClient.zRangeByScore(emailConfig.keys.delayed, '-inf', '+inf');
+    expect(JSON.parse(secondRetry).attempts).toBe(2);
+    expect(await redisClient.zScore(emailConfig.keys.delayed, secondRetry))
+      .toBe(now + emailConfig.retryBackoffMs + emailConfig.retryBackoffMs * 2);
+  });
+
+  it('moves emails that run out of retries to the failed list with link tokens redacted', async () => {
+    jest.spyOn(transport, 'send').mockRejectedValue(new Error('Mailbox unavailable'));
+    const job = {
+      id: 'job-1',
+      template: 'emailVerification',
+      to: EMAIL,
+      language: 'en',
+      data: { firstName: 'Asha', verifyUrl: 'https://app.foodsafe.ai/verify-email?token=secret-token' },
+      attempts: emailConfig.maxRetries
+    };
+    await redisClient.lPush(emailConfig.keys.pending, JSON.stringify(job));
+
+    await EmailService.processJob(await reserveJob());
+
+    const [failed] = await redisClient.lRange(emailConfig.keys.failed, 0, -1);
+    expect(failed).not.toContain('secret-token');
+    expect(JSON.parse(failed)).toMatchObject({
+      id: 'job-1',
+      attempts: emailConfig.maxRetries + 1,
+      lastError: 'Mailbox unavailable',
+      data: { firstName: 'Asha', verifyUrl: 'https://app.foodsafe.ai/verify-email?token=REDACTED' }
+    });
+    expect(await redisClient.zCard(emailConfig.keys.delayed)).toBe(0);
+  });
+
+  it('recovers emails left by a sender that stopped heartbeating', async () => {
+    const value = JSON.stringify({ id: 'job-1', template: 'passwordReset', to: EMAIL, data: {}, attempts: 0 });
+    await redisClient.sAdd(emailConfig.keys.senders, 'dead-sender');
+    await redisClient.lPush(emailConfig.keys.processing('dead-sender'), value);
+
+    expect(await EmailService.recoverStalledJobs()).toBe(1);
+    expect(await redisClient.lRange(emailConfig.keys.pending, 0, -1)).toEqual([value]);
+    expect(await redisClient.sMembers(emailConfig.keys.senders)).toEqual([]);
+  });
+
+  it('skips repeats of a deduplicated email', async () => {
+    await EmailService.enqueue('passwordReset', EMAIL, {}, { dedupeKey: 'reset:user-1' });
+    await expect(EmailService.enqueue('passwordReset', EMAIL, {}, { dedupeKey: 'reset:user-1' })).resolves.toBeNull();
+
+    expect(await redisClient.lLen(emailConfig.keys.pending)).toBe(1);
+  });
+});
+
+describe('redactJobData', () => {
+  it('only rewrites the token of link values', () => {
+    expect(redactJobData({
+      firstName: 'Asha',
+      acceptUrl: 'https://app.foodsafe.ai/family/join?token=abc&family=7',
+      manageUrl: 'https://app.foodsafe.ai/subscription',
+      amount: 29900
+    })).toEqual({
+      firstName: 'Asha',
+      acceptUrl: 'https://app.foodsafe.ai/family/join?token=REDACTED&family=7',
+      manageUrl: 'https://app.foodsafe.ai/subscription',
+      amount: 29900
+    });
+  });
+});
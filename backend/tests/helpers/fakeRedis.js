@@ -0,0 +1,341 @@
+/**
+ * In-memory stand-in for the node-redis v4 client, covering the commands the
+ * services use. Clients made with duplicate() share one keyspace, so a blocking
+ * connection sees what the main client pushes.
+ */
+class FakeRedisStore {
+  constructor() {
+    this.data = new Map();
+    this.expiries = new Map();
+    this.waiters = [];
+  }
+
+  read(key) {
+    const expiresAt = this.expiries.get(key);
+    if (expiresAt !== undefined && expiresAt <= Date.now()) {
+      this.data.delete(key);
+      this.expiries.delete(key);
+    }
+    return this.data.get(key);
+  }
+
+  write(key, value) {
+    this.data.set(key, value);
+  }
+
+  remove(key) {
+    this.expiries.delete(key);
+    return this.data.delete(key);
+  }
+
+  list(key) {
+    let value = this.read(key);
+    if (!value) {
+      value = [];
+      this.write(key, value);
+    }
+    return value;
+  }
+
+  dropIfEmpty(key) {
+    const value = this.read(key);
+    if (value && (value.length === 0 || value.size === 0)) this.remove(key);
+  }
+
+  notify() {
+    this.waiters.splice(0).forEach(wake => wake());
+  }
+}
+
+class FakeRedisClient {
+  constructor(store = new FakeRedisStore()) {
+    this.store = store;
+    this.isOpen = false;
+    this.isReady = false;
+    this.pendingBlocks = new Set();
+  }
+
+  on() {
+    return this;
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.isReady = true;
+  }
+
+  async disconnect() {
+    this.isOpen = false;
+    this.isReady = false;
+    this.pendingBlocks.forEach(cancel => cancel());
+    this.pendingBlocks.clear();
+  }
+
+  async quit() {
+    await this.disconnect();
+  }
+
+  duplicate() {
+    return new FakeRedisClient(this.store);
+  }
+
+  async ping() {
+    return 'PONG';
+  }
+
+  async flushAll() {
+    this.store.data.clear();
+    this.store.expiries.clear();
+    return 'OK';
+  }
+
+  // Strings
+
+  async get(key) {
+    return this.store.read(key) ?? null;
+  }
+
+  async set(key, value, options = {}) {
+    if (options.NX && this.store.read(key) !== undefined) return null;
+
+    this.store.remove(key);
+    this.store.write(key, String(value));
+    if (options.EX) this.store.expiries.set(key, Date.now() + options.EX * 1000);
+    return 'OK';
+  }
+
+  async setEx(key, seconds, value) {
+    return this.set(key, value, { EX: seconds });
+  }
+
+  async mGet(keys) {
+    return Promise.all(keys.map(key => this.get(key)));
+  }
+
+  async mSet(entries) {
+    const pairs = Array.isArray(entries) ? entries : Object.entries(entries);
+    for (const [key, value] of pairs) await this.set(key, value);
+    return 'OK';
+  }
+
+  async incrBy(key, increment) {
+    const value = parseInt(this.store.read(key) ?? '0', 10) + increment;
+    this.store.write(key, String(value));
+    return value;
+  }
+
+  async incr(key) {
+    return this.incrBy(key, 1);
+  }
+
+  // Keys
+
+  async del(keys) {
+    return [].concat(keys).filter(key => this.store.read(key) !== undefined && this.store.remove(key)).length;
+  }
+
+  async exists(keys) {
+    return [].concat(keys).filter(key => this.store.read(key) !== undefined).length;
+  }
+
+  async expire(key, seconds) {
+    if (this.store.read(key) === undefined) return false;
+    this.store.expiries.set(key, Date.now() + seconds * 1000);
+    return true;
+  }
+
+  async ttl(key) {
+    if (this.store.read(key) === undefined) return -2;
+    const expiresAt = this.store.expiries.get(key);
+    return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+  }
+
+  // Lists
+
+  async lPush(key, values) {
+    const list = this.store.list(key);
+    [].concat(values).forEach(value => list.unshift(String(value)));
+    this.store.notify();
+    return list.length;
+  }
+
+  async lLen(key) {
+    return this.store.read(key)?.length || 0;
+  }
+
+  async lRange(key, start, stop) {
+    const list = this.store.read(key) || [];
+    return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+  }
+
+  async lTrim(key, start, stop) {
+    const list = this.store.read(key);
+    if (list) {
+      list.splice(0, list.length, ...list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1));
+      this.store.dropIfEmpty(key);
+    }
+    return 'OK';
+  }
+
+  async lRem(key, count, value) {
+    const list = this.store.read(key);
+    if (!list) return 0;
+
+    let removed = 0;
+    for (let i = 0; i < list.length && (count === 0 || removed < Math.abs(count));) {
+      if (list[i] === String(value)) {
+        list.splice(i, 1);
+        removed++;
+      } else {
+        i++;
+      }
+    }
+    this.store.dropIfEmpty(key);
+    return removed;
+  }
+
+  async lMove(source, destination, from, to) {
+    const list = this.store.read(source);
+    if (!list || list.length === 0) return null;
+
+    const value = from === 'LEFT' ? list.shift() : list.pop();
+    this.store.dropIfEmpty(source);
+    const target = this.store.list(destination);
+    if (to === 'LEFT') target.unshift(value);
+    else target.push(value);
+    this.store.notify();
+    return value;
+  }
+
+  /**
+   * Waits for a push, the timeout or a disconnect; a disconnect rejects like a
+   * closed connection would
+   */
+  async blMove(source, destination, from, to, timeoutSeconds) {
+    const deadline = timeoutSeconds > 0 ? Date.now() + timeoutSeconds * 1000 : Infinity;
+
+    for (;;) {
+      if (!this.isOpen) throw new Error('The client is closed');
+
+      const value = await this.lMove(source, destination, from, to);
+      if (value !== null) return value;
+      if (Date.now() >= deadline) return null;
+
+      await new Promise((resolve, reject) => {
+        let timer = null;
+        const settle = () => {
+          clearTimeout(timer);
+          this.pendingBlocks.delete(cancel);
+        };
+        const wake = () => {
+          settle();
+          resolve();
+        };
+        const cancel = () => {
+          settle();
+          reject(new Error('The client is closed'));
+        };
+
+        if (deadline !== Infinity) {
+          timer = setTimeout(wake, deadline - Date.now());
+          timer.unref();
+        }
+        this.pendingBlocks.add(cancel);
+        this.store.waiters.push(wake);
+      });
+    }
+  }
+
+  // Sets
+
+  async sAdd(key, members) {
+    let set = this.store.read(key);
+    if (!set) {
+      set = new Set();
+      this.store.write(key, set);
+    }
+    const before = set.size;
+    [].concat(members).forEach(member => set.add(String(member)));
+    return set.size - before;
+  }
+
+  async sRem(key, members) {
+    const set = this.store.read(key);
+    if (!set) return 0;
+    const removed = [].concat(members).filter(member => set.delete(String(member))).length;
+    this.store.dropIfEmpty(key);
+    return removed;
+  }
+
+  async sMembers(key) {
+    return [...(this.store.read(key) || [])];
+  }
+
+  // Hashes
+
+  async hSet(key, field, value) {
+    let hash = this.store.read(key);
+    if (!hash) {
+      hash = new Map();
+      this.store.write(key, hash);
+    }
+    const added = hash.has(field) ? 0 : 1;
+    hash.set(field, String(value));
+    return added;
+  }
+
+  async hGet(key, field) {
+    return this.store.read(key)?.get(field) ?? null;
+  }
+
+  // Sorted sets
+
+  async zAdd(key, members) {
+    let zset = this.store.read(key);
+    if (!zset) {
+      zset = new Map();
+      this.store.write(key, zset);
+    }
+    let added = 0;
+    for (const { score, value } of [].concat(members)) {
+      if (!zset.has(String(value))) added++;
+      zset.set(String(value), Number(score));
+    }
+    return added;
+  }
+
+  async zRangeByScore(key, min, max) {
+    const zset = this.store.read(key);
+    if (!zset) return [];
+    const lower = min === '-inf' ? -Infinity : Number(min);
+    const upper = max === '+inf' ? Infinity : Number(max);
+    return [...zset.entries()]
+      .filter(([, score]) => score >= lower && score <= upper)
+      .sort(([, a], [, b]) => a - b)
+      .map(([value]) => value);
+  }
+
+  async zScore(key, value) {
+    return this.store.read(key)?.get(String(value)) ?? null;
+  }
+
+  async zRem(key, members) {
+    const zset = this.store.read(key);
+    if (!zset) return 0;
+    const removed = [].concat(members).filter(member => zset.delete(String(member))).length;
+    this.store.dropIfEmpty(key);
+    return removed;
+  }
+
+  async zCard(key) {
+    return this.store.read(key)?.size || 0;
+  }
+
+  async eval() {
+    throw new Error('eval is not supported by the in-memory Redis client');
+  }
+}
+
+const createClient = () => new FakeRedisClient();
+
+module.exports = { __esModule: true, default: { createClient }, createClient, FakeRedisClient };
@@ -0,0 +1,11 @@
+/**
+ * Silent logger for tests
+ */
+const logger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
+
+module.exports = { __esModule: true, default: logger, logger };
@@ -0,0 +1,42 @@
+const fs = require('fs-extra');
+
+/**
+ * Stand-in for sharp that passes the image bytes through unchanged, so tests can
+ * follow a photo's copies without libvips. Rotation, resizing and re-encoding are
+ * not simulated.
+ */
+class FakeSharp {
+  constructor(input) {
+    this.input = input;
+  }
+
+  rotate() {
+    return this;
+  }
+
+  resize() {
+    return this;
+  }
+
+  jpeg() {
+    return this;
+  }
+
+  png() {
+    return this;
+  }
+
+  async toBuffer() {
+    return Buffer.isBuffer(this.input) ? this.input : fs.readFile(this.input);
+  }
+
+  async toFile(outputPath) {
+    const data = await this.toBuffer();
+    await fs.writeFile(outputPath, data);
+    return { size: data.length };
+  }
+}
+
+const sharp = (input) => new FakeSharp(input);
+
+module.exports = { __esModule: true, default: sharp };
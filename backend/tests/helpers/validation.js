@@ -0,0 +1,15 @@
+const { validationResult } = require('express-validator');
+
+/**
+ * Request validation middleware for route tests: rejects a request that failed
+ * its express-validator chain
+ */
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  next();
+};
+
+module.exports = { __esModule: true, validateRequest };
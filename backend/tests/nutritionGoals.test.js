@@ -0,0 +1,67 @@
+import express from 'express';
+import request from 'supertest';
+import User from '../src/models/User.js';
+import Subscription from '../src/models/Subscription.js';
+import NutritionGoal from '../src/models/NutritionGoal.js';
+import { AuthService } from '../src/services/authService.js';
+import nutritionRoutes from '../src/routes/nutrition.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('sharp', () => require('./helpers/sharp.js'));
+jest.mock('../src/services/inference/index.js', () => ({ __esModule: true, getInferenceBackend: jest.fn() }));
+
+describe('PUT /api/nutrition/goals', () => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+  app.use('/api/nutrition', nutritionRoutes);
+
+  const putGoals = () => request(app).put('/api/nutrition/goals').set('Authorization', 'Bearer access-token');
+
+  beforeEach(() => {
+    jest.spyOn(AuthService, 'verifyAccessToken').mockResolvedValue({ id: 'user-1', email: 'asha@example.com', sid: 'session-1' });
+    jest.spyOn(User, 'getRole').mockResolvedValue('user');
+    jest.spyOn(Subscription, 'findEffectiveByUserId').mockResolvedValue(new Subscription({ userId: 'user-1', tier: 'premium' }));
+    jest.spyOn(NutritionGoal, 'findByUserId').mockImplementation(async userId => new NutritionGoal({ userId }));
+    jest.spyOn(NutritionGoal.prototype, 'save').mockImplementation(function save() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores form-encoded targets as numbers', async () => {
+    const response = await putGoals()
+      .type('form')
+      .send({ proteinPercent: '30', carbsPercent: '40', fatPercent: '30', calorieTarget: '1800', sugarLimit: '25' })
+      .expect(200);
+
+    expect(response.body.data.goals).toEqual({
+      goal: 'maintain',
+      calorieTarget: 1800,
+      proteinPercent: 30,
+      carbsPercent: 40,
+      fatPercent: 30,
+      sodiumLimit: null,
+      sugarLimit: 25
+    });
+  });
+
+  it('refuses macro shares that do not add up to 100 percent', async () => {
+    const response = await putGoals().send({ proteinPercent: 30, carbsPercent: 30, fatPercent: 30 }).expect(400);
+
+    expect(response.body.message).toBe('Protein, carbs and fat shares must add up to 100 percent');
+    expect(NutritionGoal.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('clears an override set to null', async () => {
+    NutritionGoal.findByUserId.mockImplementation(async userId => new NutritionGoal({ userId, calorieTarget: 2200 }));
+
+    const response = await putGoals().send({ calorieTarget: null }).expect(200);
+
+    expect(response.body.data.goals.calorieTarget).toBeNull();
+  });
+});
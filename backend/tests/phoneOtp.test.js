@@ -0,0 +1,348 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import jwt from 'jsonwebtoken';
+import express from 'express';
+import request from 'supertest';
+import { redisClient } from '../src/config/redis.js';
+import PhoneOtpService, { otpConfig } from '../src/services/PhoneOtpService.js';
+import LocalSmsProvider from '../src/services/sms/LocalSmsProvider.js';
+import { setSmsProvider } from '../src/services/sms/index.js';
+import User from '../src/models/User.js';
+import { AuthService } from '../src/services/authService.js';
+import TwoFactorService from '../src/services/TwoFactorService.js';
+import authRoutes from '../src/routes/auth.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('../src/middleware/validation.js', () => require('./helpers/validation.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('sharp', () => require('./helpers/sharp.js'));
+jest.mock('../src/services/inference/index.js', () => ({ __esModule: true, getInferenceBackend: jest.fn() }));
+
+const PHONE = '+919876543210';
+
+let smsDir;
+let smsFile;
+
+const sentMessages = async () => {
+  if (!(await fs.pathExists(smsFile))) return [];
+  const lines = (await fs.readFile(smsFile, 'utf8')).trim().split('\n');
+  return lines.map(line => JSON.parse(line));
+};
+
+const lastCode = async (phone = PHONE) => {
+  const messages = (await sentMessages()).filter(message => message.to === phone);
+  return messages[messages.length - 1].message.match(/\d{6}/)[0];
+};
+
+const wrongCode = (code) => String((Number(code) + 1) % 10 ** otpConfig.codeDigits).padStart(otpConfig.codeDigits, '0');
+
+const expectOtpError = (promise, code) => expect(promise).rejects.toMatchObject({ code });
+
+beforeEach(async () => {
+  await redisClient.flushAll();
+  smsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'phone-otp-'));
+  smsFile = path.join(smsDir, 'sms.jsonl');
+  setSmsProvider(new LocalSmsProvider(smsFile));
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  await fs.remove(smsDir);
+});
+
+describe('PhoneOtpService', () => {
+  describe('normalizePhone', () => {
+    it.each([
+      ['9876543210', PHONE],
+      ['09876543210', PHONE],
+      ['919876543210', PHONE],
+      ['+91 98765 43210', PHONE],
+      ['+1 415 555 0100', '+14155550100']
+    ])('normalizes %s', (input, expected) => {
+      expect(PhoneOtpService.normalizePhone(input)).toBe(expected);
+    });
+
+    it.each(['12345', '5876543210', '+0123456789', '', null])('rejects %s', (input) => {
+      expect(PhoneOtpService.normalizePhone(input)).toBeNull();
+    });
+  });
+
+  describe('sendCode', () => {
+    it('texts a six-digit code through the SMS provider', async () => {
+      const delivery = await PhoneOtpService.sendCode(PHONE, 'login');
+
+      const [message] = await sentMessages();
+      expect(message.to).toBe(PHONE);
+      expect(message.message).toMatch(/^\d{6} is your FoodSafe AI code\. It expires in 5 minutes\./);
+      expect(delivery).toEqual({ expiresIn: otpConfig.ttlSeconds, resendAfter: otpConfig.resendCooldownSeconds });
+    });
+
+    it('texts the code in Hindi', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login', 'hi');
+
+      const [message] = await sentMessages();
+      expect(message.message).toMatch(/^\d{6} आपका FoodSafe AI कोड है। यह 5 मिनट में समाप्त हो जाएगा।/);
+    });
+
+    it('stores only a hash of the code', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login');
+      const code = await lastCode();
+
+      const stored = await redisClient.get(PhoneOtpService.codeKey(PHONE, 'login'));
+      expect(stored).not.toContain(code);
+      expect(JSON.parse(stored).hash).toBe(PhoneOtpService.hashCode(PHONE, code));
+    });
+
+    it('refuses another code during the resend cooldown', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login');
+
+      await expect(PhoneOtpService.sendCode(PHONE, 'login')).rejects.toMatchObject({
+        code: 'OTP_COOLDOWN',
+        retryAfter: otpConfig.resendCooldownSeconds
+      });
+      expect(await sentMessages()).toHaveLength(1);
+    });
+
+    it('sends again once the cooldown has passed', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login');
+      const later = Date.now() + otpConfig.resendCooldownSeconds * 1000;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+
+      await PhoneOtpService.sendCode(PHONE, 'login');
+
+      expect(await sentMessages()).toHaveLength(2);
+    });
+
+    it('limits how many codes a number gets per hour', async () => {
+      let now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+      for (let i = 0; i < otpConfig.maxSendsPerHour; i++) {
+        await PhoneOtpService.sendCode(PHONE, 'login');
+        now += otpConfig.resendCooldownSeconds * 1000;
+      }
+
+      await expectOtpError(PhoneOtpService.sendCode(PHONE, 'login'), 'OTP_RATE_LIMITED');
+      expect(await sentMessages()).toHaveLength(otpConfig.maxSendsPerHour);
+    });
+  });
+
+  describe('verifyCode', () => {
+    it('accepts the texted code once', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login');
+      const code = await lastCode();
+
+      await expect(PhoneOtpService.verifyCode(PHONE, 'login', code)).resolves.toBe(true);
+      await expectOtpError(PhoneOtpService.verifyCode(PHONE, 'login', code), 'OTP_EXPIRED');
+    });
+
+    it('keeps codes of different purposes apart', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'verify:user-1');
+      const code = await lastCode();
+
+      await expectOtpError(PhoneOtpService.verifyCode(PHONE, 'login', code), 'OTP_EXPIRED');
+      await expectOtpError(PhoneOtpService.verifyCode(PHONE, 'verify:user-2', code), 'OTP_EXPIRED');
+    });
+
+    it('rejects a code that has expired', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login');
+      const code = await lastCode();
+      const later = Date.now() + otpConfig.ttlSeconds * 1000;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+
+      await expectOtpError(PhoneOtpService.verifyCode(PHONE, 'login', code), 'OTP_EXPIRED');
+    });
+
+    it('counts down the remaining attempts on a wrong code', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login');
+      const code = await lastCode();
+
+      await expect(PhoneOtpService.verifyCode(PHONE, 'login', wrongCode(code))).rejects.toMatchObject({
+        code: 'OTP_INVALID',
+        attemptsRemaining: otpConfig.maxAttempts - 1
+      });
+      await expect(PhoneOtpService.verifyCode(PHONE, 'login', code)).resolves.toBe(true);
+    });
+
+    it('spends the code after too many wrong guesses', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login');
+      const code = await lastCode();
+
+      for (let i = 1; i < otpConfig.maxAttempts; i++) {
+        await expectOtpError(PhoneOtpService.verifyCode(PHONE, 'login', wrongCode(code)), 'OTP_INVALID');
+      }
+      await expectOtpError(PhoneOtpService.verifyCode(PHONE, 'login', wrongCode(code)), 'OTP_ATTEMPTS_EXCEEDED');
+
+      await expectOtpError(PhoneOtpService.verifyCode(PHONE, 'login', code), 'OTP_EXPIRED');
+    });
+
+    it('refuses further guesses once the attempts are used', async () => {
+      await PhoneOtpService.sendCode(PHONE, 'login');
+      const code = await lastCode();
+      await redisClient.set(PhoneOtpService.attemptsKey(PHONE, 'login'), String(otpConfig.maxAttempts));
+
+      await expectOtpError(PhoneOtpService.verifyCode(PHONE, 'login', code), 'OTP_ATTEMPTS_EXCEEDED');
+    });
+  });
+
+  describe('signup tokens', () => {
+    it('carry the verified phone number', () => {
+      const token = PhoneOtpService.createSignupToken(PHONE);
+
+      expect(PhoneOtpService.verifySignupToken(token)).toBe(PHONE);
+    });
+
+    it('are not interchangeable with access tokens', () => {
+      const accessToken = jwt.sign({ phone: PHONE, purpose: 'phone_signup' }, process.env.JWT_SECRET);
+
+      expect(() => PhoneOtpService.verifySignupToken(accessToken)).toThrow(expect.objectContaining({ code: 'INVALID_SIGNUP_TOKEN' }));
+    });
+  });
+});
+
+describe('phone auth routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const tokens = { accessToken: 'access-token', refreshToken: 'refresh-token' };
+
+  const signIn = (user) => {
+    jest.spyOn(AuthService, 'verifyAccessToken').mockResolvedValue({ id: user.id, email: user.email, sid: 'session-1' });
+    jest.spyOn(User, 'getRole').mockResolvedValue('user');
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  };
+
+  beforeEach(() => {
+    jest.spyOn(AuthService, 'generateTokens').mockResolvedValue(tokens);
+    jest.spyOn(TwoFactorService, 'isRequired').mockResolvedValue(false);
+  });
+
+  it('signs up a new number with the texted code', async () => {
+    jest.spyOn(User, 'findByVerifiedPhone').mockResolvedValue(null);
+    const createWithPhone = jest.spyOn(User, 'createWithPhone')
+      .mockImplementation(async (data) => new User({ ...data, phoneVerified: true }));
+
+    await request(app).post('/api/auth/phone/request-otp').send({ phone: '98765 43210' }).expect(200);
+    const login = await request(app).post('/api/auth/phone/login').send({ phone: '9876543210', code: await lastCode() }).expect(200);
+
+    expect(login.body.data.requiresProfile).toBe(true);
+
+    const register = await request(app).post('/api/auth/phone/register')
+      .send({ signupToken: login.body.data.signupToken, firstName: 'Asha' })
+      .expect(201);
+
+    expect(createWithPhone).toHaveBeenCalledWith(expect.objectContaining({ phone: PHONE, firstName: 'Asha' }));
+    expect(register.body.data.tokens).toEqual(tokens);
+  });
+
+  it('signs in an existing account with the texted code', async () => {
+    const user = new User({ id: 'user-1', phone: PHONE, phoneVerified: true, firstName: 'Asha' });
+    jest.spyOn(User, 'findByVerifiedPhone').mockResolvedValue(user);
+    jest.spyOn(User, 'getTwoFactorState').mockResolvedValue({ enabled: false, role: 'user' });
+    jest.spyOn(user, 'recordLoginAttempt').mockResolvedValue();
+
+    await request(app).post('/api/auth/phone/request-otp').send({ phone: PHONE }).expect(200);
+    const response = await request(app).post('/api/auth/phone/login').send({ phone: PHONE, code: await lastCode() }).expect(200);
+
+    expect(response.body.data.tokens).toEqual(tokens);
+    expect(response.body.data.user.id).toBe('user-1');
+  });
+
+  it('reports the attempts left after a wrong code', async () => {
+    await request(app).post('/api/auth/phone/request-otp').send({ phone: PHONE }).expect(200);
+
+    const response = await request(app).post('/api/auth/phone/login')
+      .send({ phone: PHONE, code: wrongCode(await lastCode()) })
+      .expect(400);
+
+    expect(response.body).toMatchObject({ code: 'OTP_INVALID', attemptsRemaining: otpConfig.maxAttempts - 1 });
+  });
+
+  it('asks the client to wait during the resend cooldown', async () => {
+    await request(app).post('/api/auth/phone/request-otp').send({ phone: PHONE }).expect(200);
+
+    const response = await request(app).post('/api/auth/phone/request-otp').send({ phone: PHONE }).expect(429);
+
+    expect(response.body).toMatchObject({ code: 'OTP_COOLDOWN', retryAfter: otpConfig.resendCooldownSeconds });
+  });
+
+  it('verifies a number for a signed-in account', async () => {
+    const user = new User({ id: 'user-1', email: 'asha@example.com' });
+    signIn(user);
+    jest.spyOn(User, 'findByVerifiedPhone').mockResolvedValue(null);
+    const verifyPhone = jest.spyOn(user, 'verifyPhone').mockResolvedValue(user);
+
+    await request(app).post('/api/auth/phone/verify/request')
+      .set('Authorization', 'Bearer access-token')
+      .send({ phone: PHONE })
+      .expect(200);
+    await request(app).post('/api/auth/phone/verify')
+      .set('Authorization', 'Bearer access-token')
+      .send({ phone: PHONE, code: await lastCode() })
+      .expect(200);
+
+    expect(verifyPhone).toHaveBeenCalledWith(PHONE);
+  });
+
+  it('refuses to verify a number that signs in to another account', async () => {
+    signIn(new User({ id: 'user-1', email: 'asha@example.com' }));
+    jest.spyOn(User, 'findByVerifiedPhone').mockResolvedValue(new User({ id: 'user-2', phone: PHONE }));
+
+    const response = await request(app).post('/api/auth/phone/verify/request')
+      .set('Authorization', 'Bearer access-token')
+      .send({ phone: PHONE })
+      .expect(409);
+
+    expect(response.body.code).toBe('PHONE_IN_USE');
+    expect(await sentMessages()).toHaveLength(0);
+  });
+
+  describe('POST /phone/link-email', () => {
+    const credentials = { email: 'asha@example.com', password: 'Str0ng!pass' };
+
+    it('adds an email to a phone account and sends a verification email', async () => {
+      const user = new User({ id: 'user-1', phone: PHONE, phoneVerified: true });
+      signIn(user);
+      jest.spyOn(User, 'findByEmail').mockResolvedValue(null);
+      const linkEmail = jest.spyOn(user, 'linkEmail').mockImplementation(async (email) => {
+        user.email = email;
+        return user;
+      });
+      const sendVerificationEmail = jest.spyOn(AuthService, 'sendVerificationEmail').mockResolvedValue(null);
+
+      const response = await request(app).post('/api/auth/phone/link-email')
+        .set('Authorization', 'Bearer access-token')
+        .send(credentials)
+        .expect(200);
+
+      expect(linkEmail).toHaveBeenCalledWith(credentials.email, credentials.password);
+      expect(sendVerificationEmail).toHaveBeenCalledWith(user);
+      expect(response.body.data.user.email).toBe(credentials.email);
+    });
+
+    it('refuses an account that already has an email', async () => {
+      signIn(new User({ id: 'user-1', phone: PHONE, email: 'old@example.com' }));
+
+      const response = await request(app).post('/api/auth/phone/link-email')
+        .set('Authorization', 'Bearer access-token')
+        .send(credentials)
+        .expect(409);
+
+      expect(response.body.code).toBe('EMAIL_ALREADY_LINKED');
+    });
+
+    it('refuses an email that belongs to another account', async () => {
+      signIn(new User({ id: 'user-1', phone: PHONE }));
+      jest.spyOn(User, 'findByEmail').mockResolvedValue(new User({ id: 'user-2', email: credentials.email }));
+
+      const response = await request(app).post('/api/auth/phone/link-email')
+        .set('Authorization', 'Bearer access-token')
+        .send(credentials)
+        .expect(409);
+
+      expect(response.body.code).toBe('USER_EXISTS');
+    });
+  });
+});
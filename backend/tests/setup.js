@@ -0,0 +1,5 @@
+// Jest defaults NODE_ENV to "test"; the knex config names that environment "testing"
+process.env.NODE_ENV = 'testing';
+
+// Tokens and OTP hashes are signed with JWT_SECRET
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
@@ -0,0 +1,124 @@
+import TwoFactorService from '../src/services/TwoFactorService.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('sharp', () => require('./helpers/sharp.js'));
+jest.mock('../src/services/inference/index.js', () => ({ __esModule: true, getInferenceBackend: jest.fn() }));
+
+// RFC 6238 SHA-1 test secret, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+describe('TwoFactorService', () => {
+  const now = Date.UTC(2026, 2, 10, 9, 0, 15);
+  let secret;
+  let step;
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    secret = TwoFactorService.generateSecret();
+    step = TwoFactorService.currentStep();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const state = (overrides = {}) => ({
+    secret: TwoFactorService.encryptSecret(secret),
+    lastStep: null,
+    recoveryCodes: [],
+    ...overrides
+  });
+
+  describe('TOTP codes', () => {
+    it('matches the RFC 6238 test vector', () => {
+      // T = 59 s is step 1; the 8-digit reference code is 94287082
+      expect(TwoFactorService.generateCode(RFC_SECRET, 1)).toBe('287082');
+    });
+
+    it('accepts the code of the current step', () => {
+      expect(TwoFactorService.verifyCode(secret, TwoFactorService.generateCode(secret, step))).toBe(step);
+    });
+
+    it('accepts codes one step either side for clock drift', () => {
+      expect(TwoFactorService.verifyCode(secret, TwoFactorService.generateCode(secret, step - 1))).toBe(step - 1);
+      expect(TwoFactorService.verifyCode(secret, TwoFactorService.generateCode(secret, step + 1))).toBe(step + 1);
+    });
+
+    it('refuses codes further out', () => {
+      expect(TwoFactorService.verifyCode(secret, TwoFactorService.generateCode(secret, step - 2))).toBeNull();
+      expect(TwoFactorService.verifyCode(secret, TwoFactorService.generateCode(secret, step + 2))).toBeNull();
+    });
+
+    it('ignores spaces in a typed code', () => {
+      const code = TwoFactorService.generateCode(secret, step);
+
+      expect(TwoFactorService.verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step);
+    });
+
+    it('refuses malformed codes', () => {
+      expect(TwoFactorService.verifyCode(secret, '12345')).toBeNull();
+      expect(TwoFactorService.verifyCode(secret, 'abcdef')).toBeNull();
+      expect(TwoFactorService.verifyCode(secret, undefined)).toBeNull();
+    });
+  });
+
+  describe('checkCredentials', () => {
+    it('records the step of an accepted code', () => {
+      const code = TwoFactorService.generateCode(secret, step);
+
+      expect(TwoFactorService.checkCredentials(state(), { code })).toEqual({ lastStep: step });
+    });
+
+    it('refuses a replay of the code that was last used', () => {
+      const code = TwoFactorService.generateCode(secret, step);
+      const { lastStep } = TwoFactorService.checkCredentials(state(), { code });
+
+      expect(TwoFactorService.checkCredentials(state({ lastStep }), { code })).toBeNull();
+    });
+
+    it('refuses an older code still inside the drift window once a newer one was used', () => {
+      const earlier = TwoFactorService.generateCode(secret, step - 1);
+
+      expect(TwoFactorService.checkCredentials(state({ lastStep: step }), { code: earlier })).toBeNull();
+    });
+
+    it('accepts the next code after the last one used', () => {
+      Date.now.mockReturnValue(now + STEP_MS);
+      const next = TwoFactorService.generateCode(secret, step + 1);
+
+      expect(TwoFactorService.checkCredentials(state({ lastStep: step }), { code: next })).toEqual({ lastStep: step + 1 });
+    });
+
+    it('uses each recovery code once', () => {
+      const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+
+      const first = TwoFactorService.checkCredentials(state({ recoveryCodes: hashes }), { recoveryCode: codes[0] });
+      expect(first.recoveryCodes).toHaveLength(hashes.length - 1);
+      expect(first.recoveryCodes).not.toContain(TwoFactorService.hashRecoveryCode(codes[0]));
+
+      expect(TwoFactorService.checkCredentials(state({ recoveryCodes: first.recoveryCodes }), { recoveryCode: codes[0] })).toBeNull();
+      expect(TwoFactorService.checkCredentials(state({ recoveryCodes: first.recoveryCodes }), { recoveryCode: codes[1] })).not.toBeNull();
+    });
+
+    it('accepts recovery codes typed without the dash or in capitals', () => {
+      const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+
+      expect(TwoFactorService.checkCredentials(state({ recoveryCodes: hashes }), {
+        recoveryCode: codes[2].replace('-', '').toUpperCase()
+      })).toMatchObject({ recoveryCodes: expect.any(Array) });
+    });
+
+    it('refuses without a code or recovery code', () => {
+      expect(TwoFactorService.checkCredentials(state(), {})).toBeNull();
+    });
+  });
+
+  it('keeps secrets encrypted at rest', () => {
+    const stored = TwoFactorService.encryptSecret(secret);
+
+    expect(stored).not.toContain(secret);
+    expect(TwoFactorService.decryptSecret(stored)).toBe(secret);
+  });
+});
@@ -0,0 +1,113 @@
+import FoodAnalysis from '../src/models/FoodAnalysis.js';
+import cache from '../src/config/redis.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('sharp', () => require('./helpers/sharp.js'));
+jest.mock('../src/services/inference/index.js', () => ({ __esModule: true, getInferenceBackend: jest.fn() }));
+
+const ratings = (...values) => values.map(overall_rating => ({ overall_rating }));
+
+describe('FoodAnalysis.summarizeImprovement', () => {
+  it('needs two weeks of analyses for a trend', () => {
+    expect(FoodAnalysis.summarizeImprovement([{ week: '2026-03-02', average_score: '71.4', analyses: '3' }])).toEqual({
+      weekly: [{ week: '2026-03-02', averageScore: 71, analyses: 3 }],
+      change: null,
+      trend: 'insufficient_data'
+    });
+  });
+
+  it('compares the latest week with the first', () => {
+    const summary = FoodAnalysis.summarizeImprovement([
+      { week: '2026-02-23', average_score: '62.0', analyses: '4' },
+      { week: '2026-03-02', average_score: '58.5', analyses: '2' },
+      { week: '2026-03-09', average_score: '70.2', analyses: '5' }
+    ]);
+
+    expect(summary.change).toBe(8);
+    expect(summary.trend).toBe('improving');
+    expect(summary.weekly.map(week => week.averageScore)).toEqual([62, 59, 70]);
+  });
+
+  it('treats changes under five points as stable', () => {
+    const rows = (first, last) => [
+      { week: '2026-03-02', average_score: first, analyses: '1' },
+      { week: '2026-03-09', average_score: last, analyses: '1' }
+    ];
+
+    expect(FoodAnalysis.summarizeImprovement(rows('70', '74')).trend).toBe('stable');
+    expect(FoodAnalysis.summarizeImprovement(rows('70', '65')).trend).toBe('declining');
+  });
+});
+
+describe('FoodAnalysis.calculateStreaks', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-03-10T20:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('counts consecutive days up to today', () => {
+    const streaks = FoodAnalysis.calculateStreaks(['2026-03-10', '2026-03-09', '2026-03-08', '2026-03-05'], [], 'UTC');
+
+    expect(streaks).toMatchObject({ currentDays: 3, longestDays: 3, lastAnalysisDate: '2026-03-10' });
+  });
+
+  it('keeps the current streak until a full day passes without an analysis', () => {
+    expect(FoodAnalysis.calculateStreaks(['2026-03-09', '2026-03-08'], [], 'UTC').currentDays).toBe(2);
+    expect(FoodAnalysis.calculateStreaks(['2026-03-08', '2026-03-07'], [], 'UTC').currentDays).toBe(0);
+  });
+
+  it('reports the longest run separately from the current one', () => {
+    const streaks = FoodAnalysis.calculateStreaks(
+      ['2026-03-10', '2026-03-04', '2026-03-03', '2026-03-02', '2026-03-01'],
+      [],
+      'UTC'
+    );
+
+    expect(streaks).toMatchObject({ currentDays: 1, longestDays: 4 });
+  });
+
+  it('counts days in the user timezone', () => {
+    // 20:00 UTC on 10 March is already 11 March in India
+    const days = ['2026-03-09'];
+
+    expect(FoodAnalysis.calculateStreaks(days, [], 'UTC').currentDays).toBe(1);
+    expect(FoodAnalysis.calculateStreaks(days, [], 'Asia/Kolkata').currentDays).toBe(0);
+  });
+
+  it('counts safe analyses since the last concerning or worse rating', () => {
+    const streaks = FoodAnalysis.calculateStreaks(['2026-03-10'], ratings('good', 'excellent', 'dangerous', 'good'), 'UTC');
+
+    expect(streaks.safeAnalysesInARow).toBe(2);
+  });
+
+  it('counts every analysis when none was unsafe', () => {
+    expect(FoodAnalysis.calculateStreaks(['2026-03-10'], ratings('good', 'acceptable'), 'UTC').safeAnalysesInARow).toBe(2);
+  });
+
+  it('has no streaks without analyses', () => {
+    expect(FoodAnalysis.calculateStreaks([], [], 'UTC')).toEqual({
+      currentDays: 0,
+      longestDays: 0,
+      lastAnalysisDate: null,
+      safeAnalysesInARow: 0
+    });
+  });
+});
+
+describe('FoodAnalysis.getUserStats', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves cached stats without querying the database', async () => {
+    const cached = { dateRange: 30, totals: { analyses: 12 } };
+    jest.spyOn(cache, 'getUserStats').mockResolvedValue(cached);
+
+    await expect(FoodAnalysis.getUserStats('u-1', 30)).resolves.toBe(cached);
+    expect(cache.getUserStats).toHaveBeenCalledWith('u-1', 30);
+  });
+});
@@ -0,0 +1,68 @@
+import express from 'express';
+import request from 'supertest';
+import User from '../src/models/User.js';
+import Subscription from '../src/models/Subscription.js';
+import UsageTracking from '../src/models/UsageTracking.js';
+import { AuthService } from '../src/services/authService.js';
+import videoAnalysisRoutes from '../src/routes/videoAnalysis.js';
+
+jest.mock('../src/utils/logger.js', () => require('./helpers/logger.js'), { virtual: true });
+jest.mock('redis', () => require('./helpers/fakeRedis.js'));
+jest.mock('sharp', () => require('./helpers/sharp.js'));
+jest.mock('../src/services/inference/index.js', () => ({ __esModule: true, getInferenceBackend: jest.fn() }));
+
+describe('GET /api/analysis/video/usage', () => {
+  const app = express();
+  app.use('/api/analysis/video', videoAnalysisRoutes);
+
+  const getUsage = () => request(app).get('/api/analysis/video/usage').set('Authorization', 'Bearer access-token');
+
+  beforeEach(() => {
+    jest.spyOn(AuthService, 'verifyAccessToken').mockResolvedValue({ id: 'user-1', email: 'asha@example.com', sid: 'session-1' });
+    jest.spyOn(User, 'getRole').mockResolvedValue('user');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reports the video analyses left today on the plan covering the user', async () => {
+    jest.spyOn(Subscription, 'findEffectiveByUserId').mockResolvedValue(new Subscription({
+      userId: 'family-owner',
+      tier: 'family',
+      features: { videoAnalysis: true },
+      usageLimits: { videoAnalysisPerDay: 50 }
+    }));
+    jest.spyOn(UsageTracking, 'getTodayUsage').mockResolvedValue(new UsageTracking({ usageCount: 3 }));
+    jest.spyOn(UsageTracking, 'getUsageRange').mockResolvedValue([
+      new UsageTracking({ usageCount: 3 }),
+      new UsageTracking({ usageCount: 5 })
+    ]);
+
+    const response = await getUsage().expect(200);
+
+    expect(Subscription.findEffectiveByUserId).toHaveBeenCalledWith('user-1');
+    expect(UsageTracking.getTodayUsage).toHaveBeenCalledWith('user-1', 'videoAnalysis');
+    expect(response.body.data).toMatchObject({
+      tier: 'family',
+      currentTier: 'family',
+      videoAnalysis: { todayUsage: 3, dailyLimit: 50, remainingUsage: 47, periodUsage: 2, canAnalyze: true },
+      limits: { videoAnalysisPerDay: 50 },
+      features: { videoAnalysis: true }
+    });
+  });
+
+  it('falls back to the free plan without a subscription', async () => {
+    jest.spyOn(Subscription, 'findEffectiveByUserId').mockResolvedValue(null);
+    jest.spyOn(UsageTracking, 'getTodayUsage').mockResolvedValue(null);
+    jest.spyOn(UsageTracking, 'getUsageRange').mockResolvedValue([]);
+
+    const response = await getUsage().expect(200);
+
+    expect(response.body.data).toMatchObject({
+      tier: 'free',
+      videoAnalysis: { todayUsage: 0, dailyLimit: 0, remainingUsage: 0, canAnalyze: false },
+      features: { videoAnalysis: false }
+    });
+  });
+});
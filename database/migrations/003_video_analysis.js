@@ -0,0 +1,30 @@
+/**
+ * Migration: Video Analysis Results
+ * Description: Stores per-frame video analysis timelines on food_analyses
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.json('video_analysis'); // { totalFrames, frameAnalysis, safetyProgression, stateTimeline, ... }
+    });
+
+    // knex enums are check constraints on Postgres
+    await knex.raw('ALTER TABLE food_analyses DROP CONSTRAINT IF EXISTS food_analyses_analysis_type_check');
+    await knex.raw('ALTER TABLE food_analyses ADD CONSTRAINT food_analyses_analysis_type_check CHECK (analysis_type IN (\'basic\', \'comprehensive\', \'premium\', \'video\'))');
+
+    console.log('✅ Video analysis columns added successfully');
+  },
+
+  down: async (knex) => {
+    await knex('food_analyses').where({ analysis_type: 'video' }).update({ analysis_type: 'comprehensive' });
+    await knex.raw('ALTER TABLE food_analyses DROP CONSTRAINT IF EXISTS food_analyses_analysis_type_check');
+    await knex.raw('ALTER TABLE food_analyses ADD CONSTRAINT food_analyses_analysis_type_check CHECK (analysis_type IN (\'basic\', \'comprehensive\', \'premium\'))');
+
+    await knex.schema.table('food_analyses', (table) => {
+      table.dropColumn('video_analysis');
+    });
+
+    console.log('✅ Video analysis columns dropped successfully');
+  }
+};
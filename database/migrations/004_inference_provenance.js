@@ -0,0 +1,26 @@
+/**
+ * Migration: Inference Provenance
+ * Description: Records which inference backend and model versions produced each analysis
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.string('inference_backend', 50); // tfjs, worker_pool, deterministic
+      table.json('model_versions').defaultTo('{}'); // { oilQuality: 'sha256:...', ... }
+      table.index(['inference_backend']);
+    });
+
+    console.log('✅ Inference provenance columns added successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.dropIndex(['inference_backend']);
+      table.dropColumn('inference_backend');
+      table.dropColumn('model_versions');
+    });
+
+    console.log('✅ Inference provenance columns dropped successfully');
+  }
+};
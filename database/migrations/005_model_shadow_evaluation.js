@@ -0,0 +1,42 @@
+/**
+ * Migration: Model Shadow Evaluation
+ * Description: Stores candidate-vs-production verdicts for shadow model evaluation
+ * and adds user roles for the admin endpoints that report on them
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.createTable('model_shadow_evaluations', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.string('model_name', 200).notNullable(); // ml_models.name, e.g. spoilage
+      table.string('production_version', 50);
+      table.string('candidate_version', 50).notNullable();
+      table.string('production_verdict', 100).notNullable(); // e.g. fresh_food
+      table.string('candidate_verdict', 100).notNullable(); // e.g. spoiled_food
+      table.decimal('production_confidence', 5, 4);
+      table.decimal('candidate_confidence', 5, 4);
+      table.boolean('agreed').notNullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      // Indexes
+      table.index(['model_name', 'candidate_version']);
+      table.index(['created_at']);
+    });
+
+    await knex.schema.table('users', (table) => {
+      table.string('role', 30).defaultTo('user'); // user, admin
+    });
+
+    console.log('✅ Model shadow evaluation table created successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.dropTableIfExists('model_shadow_evaluations');
+
+    await knex.schema.table('users', (table) => {
+      table.dropColumn('role');
+    });
+
+    console.log('✅ Model shadow evaluation table dropped successfully');
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration: Insufficient Evidence Rating
+ * Description: Allows the ML safety levels, including `insufficient_evidence` when the
+ * models abstain, as food_analyses.overall_rating values
+ */
+
+const LEGACY_RATINGS = ['excellent', 'very_good', 'good', 'fair', 'poor'];
+const ML_RATINGS = ['acceptable', 'concerning', 'dangerous', 'unsafe', 'insufficient_evidence'];
+
+const ratingConstraint = (ratings) =>
+  `ALTER TABLE food_analyses ADD CONSTRAINT food_analyses_overall_rating_check CHECK (overall_rating IN (${ratings.map(rating => `'${rating}'`).join(', ')}))`;
+
+module.exports = {
+  up: async (knex) => {
+    // knex enums are check constraints on Postgres
+    await knex.raw('ALTER TABLE food_analyses DROP CONSTRAINT IF EXISTS food_analyses_overall_rating_check');
+    await knex.raw(ratingConstraint([...LEGACY_RATINGS, ...ML_RATINGS]));
+
+    console.log('✅ Insufficient evidence rating added successfully');
+  },
+
+  down: async (knex) => {
+    await knex('food_analyses').where({ overall_rating: 'acceptable' }).update({ overall_rating: 'fair' });
+    await knex('food_analyses')
+      .whereIn('overall_rating', ['concerning', 'dangerous', 'unsafe', 'insufficient_evidence'])
+      .update({ overall_rating: 'poor' });
+
+    await knex.raw('ALTER TABLE food_analyses DROP CONSTRAINT IF EXISTS food_analyses_overall_rating_check');
+    await knex.raw(ratingConstraint(LEGACY_RATINGS));
+
+    console.log('✅ Insufficient evidence rating dropped successfully');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration: Image Inspection
+ * Description: Stores the pre-analysis image gate result and adds the `rejected`
+ * processing status for photos turned away before any model ran
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.json('image_inspection'); // { issues, warnings, metrics: { width, height, brightness, sharpness, foodProbability } }
+    });
+
+    // knex enums are check constraints on Postgres
+    await knex.raw('ALTER TABLE food_analyses DROP CONSTRAINT IF EXISTS food_analyses_processing_status_check');
+    await knex.raw('ALTER TABLE food_analyses ADD CONSTRAINT food_analyses_processing_status_check CHECK (processing_status IN (\'pending\', \'processing\', \'completed\', \'failed\', \'rejected\'))');
+
+    console.log('✅ Image inspection columns added successfully');
+  },
+
+  down: async (knex) => {
+    await knex('food_analyses').where({ processing_status: 'rejected' }).update({ processing_status: 'failed' });
+    await knex.raw('ALTER TABLE food_analyses DROP CONSTRAINT IF EXISTS food_analyses_processing_status_check');
+    await knex.raw('ALTER TABLE food_analyses ADD CONSTRAINT food_analyses_processing_status_check CHECK (processing_status IN (\'pending\', \'processing\', \'completed\', \'failed\'))');
+
+    await knex.schema.table('food_analyses', (table) => {
+      table.dropColumn('image_inspection');
+    });
+
+    console.log('✅ Image inspection columns dropped successfully');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration: Plate Items
+ * Description: Per-item safety verdicts for multi-item plates (thalis, combo meals),
+ * each with its bounding box in the analysed photo
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.json('plate_items').defaultTo('[]'); // [{ itemIndex, label, bbox, relativeBbox, safetyScore, safetyLevel, categoryScores, ... }]
+    });
+
+    console.log('✅ Plate items column added successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.dropColumn('plate_items');
+    });
+
+    console.log('✅ Plate items column dropped successfully');
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration: Food Recognition
+ * Description: Links food_items to the food recognition model's classes and stores
+ * each analysis's recognition result
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('food_items', (table) => {
+      table.string('recognition_label', 100).unique(); // FoodRecognitionModel class, e.g. 'gulab_jamun'
+    });
+
+    await knex.schema.table('food_analyses', (table) => {
+      table.json('recognition'); // { status, label, confidence, alternatives }
+    });
+
+    console.log('✅ Food recognition columns added successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.dropColumn('recognition');
+    });
+
+    await knex.schema.table('food_items', (table) => {
+      table.dropColumn('recognition_label');
+    });
+
+    console.log('✅ Food recognition columns dropped successfully');
+  }
+};
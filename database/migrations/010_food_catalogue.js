@@ -0,0 +1,59 @@
+/**
+ * Migration: Food Catalogue
+ * Description: Multilingual aliases with trigram search, import provenance and the
+ * admin review workflow for food_items
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.raw('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+    await knex.schema.table('food_items', (table) => {
+      table.json('aliases').defaultTo('[]'); // [{ name: 'bhindi', language: 'hi' }, { name: 'okra', language: 'en' }]
+      table.text('search_text'); // normalized name and aliases, kept in sync by the FoodItem model
+
+      // Provenance of imported items; (source, external_id) makes re-imports idempotent
+      table.string('source', 100).defaultTo('manual');
+      table.string('external_id', 100);
+
+      // Review workflow
+      table.uuid('submitted_by').references('id').inTable('users').onDelete('SET NULL');
+      table.uuid('reviewed_by').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('reviewed_at');
+      table.text('review_notes');
+
+      table.unique(['source', 'external_id']);
+    });
+
+    // knex enums are check constraints on Postgres
+    await knex.raw('ALTER TABLE food_items DROP CONSTRAINT IF EXISTS food_items_status_check');
+    await knex.raw('ALTER TABLE food_items ADD CONSTRAINT food_items_status_check CHECK (status IN (\'pending_review\', \'active\', \'rejected\', \'inactive\', \'deprecated\'))');
+
+    await knex.raw('UPDATE food_items SET search_text = lower(name)');
+    await knex.raw('CREATE INDEX food_items_search_text_trgm ON food_items USING gin (search_text gin_trgm_ops)');
+
+    console.log('✅ Food catalogue columns added successfully');
+  },
+
+  down: async (knex) => {
+    await knex.raw('DROP INDEX IF EXISTS food_items_search_text_trgm');
+
+    await knex('food_items').whereIn('status', ['pending_review', 'rejected']).update({ status: 'inactive' });
+    await knex.raw('ALTER TABLE food_items DROP CONSTRAINT IF EXISTS food_items_status_check');
+    await knex.raw('ALTER TABLE food_items ADD CONSTRAINT food_items_status_check CHECK (status IN (\'active\', \'inactive\', \'deprecated\'))');
+
+    await knex.schema.table('food_items', (table) => {
+      table.dropUnique(['source', 'external_id']);
+      table.dropColumn('aliases');
+      table.dropColumn('search_text');
+      table.dropColumn('source');
+      table.dropColumn('external_id');
+      table.dropColumn('submitted_by');
+      table.dropColumn('reviewed_by');
+      table.dropColumn('reviewed_at');
+      table.dropColumn('review_notes');
+    });
+
+    console.log('✅ Food catalogue columns dropped successfully');
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration: Dietary Conflicts
+ * Description: Diet tags on food_items, checked with allergens against users'
+ * dietary restrictions
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('food_items', (table) => {
+      table.json('diet_tags').defaultTo('[]'); // ['dairy', 'onion_garlic'] - see FoodItem DIET_TAGS
+    });
+
+    console.log('✅ Dietary conflict columns added successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('food_items', (table) => {
+      table.dropColumn('diet_tags');
+    });
+
+    console.log('✅ Dietary conflict columns dropped successfully');
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * Migration: Nutrition Log
+ * Description: Daily intake log built from analyses and catalogue items, and the
+ * per-user goals that adjust BMR/TDEE-based targets
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.createTable('nutrition_log_entries', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.uuid('analysis_id').references('id').inTable('food_analyses').onDelete('SET NULL');
+      table.uuid('food_item_id').references('id').inTable('food_items').onDelete('SET NULL');
+      table.string('food_name', 200).notNullable();
+      table.enum('meal_type', ['breakfast', 'lunch', 'dinner', 'snack']).defaultTo('snack');
+      table.timestamp('consumed_at').notNullable();
+      table.date('log_date').notNullable(); // consumed_at in the user's timezone
+      table.decimal('serving_grams', 7, 2).notNullable();
+
+      // Intake for the serving
+      table.decimal('calories', 8, 2).defaultTo(0);
+      table.decimal('protein', 7, 2).defaultTo(0); // g
+      table.decimal('carbohydrates', 7, 2).defaultTo(0); // g
+      table.decimal('fat', 7, 2).defaultTo(0); // g
+      table.decimal('fiber', 7, 2).defaultTo(0); // g
+      table.decimal('sugar', 7, 2).defaultTo(0); // g
+      table.decimal('sodium', 8, 2).defaultTo(0); // mg
+      table.enum('nutrition_source', ['food_items', 'model_estimate']).notNullable();
+
+      table.timestamps(true, true);
+
+      table.index(['user_id', 'log_date']);
+    });
+
+    await knex.schema.createTable('nutrition_goals', (table) => {
+      table.uuid('user_id').primary().references('id').inTable('users').onDelete('CASCADE');
+      table.enum('goal', ['lose', 'maintain', 'gain']).defaultTo('maintain');
+      table.integer('calorie_target'); // overrides the TDEE-based target
+      table.integer('protein_percent').defaultTo(20);
+      table.integer('carbs_percent').defaultTo(50);
+      table.integer('fat_percent').defaultTo(30);
+      table.integer('sodium_limit'); // mg/day
+      table.integer('sugar_limit'); // g/day
+      table.timestamps(true, true);
+    });
+
+    console.log('✅ Nutrition log tables created successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.dropTableIfExists('nutrition_goals');
+    await knex.schema.dropTableIfExists('nutrition_log_entries');
+
+    console.log('✅ Nutrition log tables dropped successfully');
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Migration: Community Feed
+ * Description: Analyses users publish to the community feed, reactions to them and
+ * the coarse location bucket users may opt in to for local alerts
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.createTable('community_posts', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('analysis_id').notNullable().unique().references('id').inTable('food_analyses').onDelete('CASCADE');
+      table.string('image_url', 500); // re-encoded copy without EXIF metadata
+      table.string('location_bucket', 12); // geohash cell, only when the publisher opted in
+      table.timestamp('published_at').notNullable().defaultTo(knex.fn.now());
+      table.timestamp('hidden_at'); // set once enough users report the post
+      table.timestamps(true, true);
+
+      table.index(['published_at']);
+      table.index(['location_bucket', 'published_at']);
+    });
+
+    await knex.schema.createTable('community_reactions', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('post_id').notNullable().references('id').inTable('community_posts').onDelete('CASCADE');
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.enum('type', ['helpful', 'report']).notNullable();
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.unique(['post_id', 'user_id', 'type']);
+      table.index(['post_id', 'type']);
+    });
+
+    await knex.schema.table('users', (table) => {
+      table.string('community_location_bucket', 12); // geohash cell; exact coordinates are never stored
+    });
+
+    console.log('✅ Community feed tables created successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('users', (table) => {
+      table.dropColumn('community_location_bucket');
+    });
+
+    await knex.schema.dropTableIfExists('community_reactions');
+    await knex.schema.dropTableIfExists('community_posts');
+
+    console.log('✅ Community feed tables dropped successfully');
+  }
+};
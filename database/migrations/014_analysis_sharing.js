@@ -0,0 +1,86 @@
+/**
+ * Migration: Analysis Sharing
+ * Description: Per-user share grants, expiring signed public links and comments on
+ * shared analyses. Existing shared_with arrays are carried over as view grants.
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.createTable('analysis_share_grants', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('analysis_id').notNullable().references('id').inTable('food_analyses').onDelete('CASCADE');
+      table.uuid('owner_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.uuid('grantee_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.enum('permission', ['view', 'comment']).notNullable().defaultTo('view');
+      table.timestamp('revoked_at');
+      table.timestamps(true, true);
+
+      table.unique(['analysis_id', 'grantee_id']);
+      table.index(['grantee_id', 'revoked_at']);
+    });
+
+    await knex.schema.createTable('analysis_share_links', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('analysis_id').notNullable().references('id').inTable('food_analyses').onDelete('CASCADE');
+      table.uuid('created_by').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('revoked_at');
+      table.integer('view_count').defaultTo(0);
+      table.timestamp('last_viewed_at');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['analysis_id']);
+    });
+
+    await knex.schema.createTable('analysis_comments', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('analysis_id').notNullable().references('id').inTable('food_analyses').onDelete('CASCADE');
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.text('body').notNullable();
+      table.timestamps(true, true);
+
+      table.index(['analysis_id', 'created_at']);
+    });
+
+    // Carry the legacy shared_with arrays over as view grants
+    const shared = await knex('food_analyses')
+      .where({ is_deleted: false })
+      .whereNotNull('shared_with')
+      .select('id', 'user_id', 'shared_with');
+
+    const granteesByAnalysis = shared.map((row) => {
+      const granteeIds = typeof row.shared_with === 'string' ? JSON.parse(row.shared_with) : row.shared_with;
+      return [...new Set(granteeIds || [])].filter(granteeId => granteeId && granteeId !== row.user_id);
+    });
+
+    // Skip users that no longer exist
+    const existingUsers = new Set(
+      await knex('users').whereIn('id', [...new Set(granteesByAnalysis.flat())]).pluck('id')
+    );
+
+    const grants = shared.flatMap((row, index) => {
+      return granteesByAnalysis[index]
+        .filter(granteeId => existingUsers.has(granteeId))
+        .map(granteeId => ({
+          analysis_id: row.id,
+          owner_id: row.user_id,
+          grantee_id: granteeId,
+          permission: 'view'
+        }));
+    });
+
+    if (grants.length > 0) {
+      await knex.batchInsert('analysis_share_grants', grants, 500);
+    }
+
+    console.log(`✅ Analysis sharing tables created successfully (${grants.length} grants migrated)`);
+  },
+
+  down: async (knex) => {
+    await knex.schema.dropTableIfExists('analysis_comments');
+    await knex.schema.dropTableIfExists('analysis_share_links');
+    await knex.schema.dropTableIfExists('analysis_share_grants');
+
+    console.log('✅ Analysis sharing tables dropped successfully');
+  }
+};
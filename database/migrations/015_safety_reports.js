@@ -0,0 +1,30 @@
+/**
+ * Migration: Safety Reports
+ * Description: Issued PDF safety certificates, looked up by the QR code printed on
+ * them to verify the report against the analysis it was generated from
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.createTable('safety_reports', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.string('report_number', 20).notNullable().unique(); // FSR-2026-4F7A2C91
+      table.uuid('analysis_id').notNullable().references('id').inTable('food_analyses').onDelete('CASCADE');
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('issued_to', 200); // business name printed on the certificate
+      table.string('content_hash', 64).notNullable(); // sha256 of the certified analysis results
+      table.timestamp('issued_at').notNullable().defaultTo(knex.fn.now());
+
+      table.index(['analysis_id']);
+      table.index(['user_id', 'issued_at']);
+    });
+
+    console.log('✅ Safety reports table created successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.dropTableIfExists('safety_reports');
+
+    console.log('✅ Safety reports table dropped successfully');
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * Migration: Compliance
+ * Description: Outlets, their scheduled hygiene checks (oil changes, holding
+ * temperatures, spoilage audits), check history and corrective actions
+ */
+
+const CHECK_TYPES = ['oil_change', 'holding_temperature', 'spoilage_audit'];
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.createTable('outlets', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('owner_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.string('name', 200).notNullable();
+      table.string('fssai_license_number', 14); // 14-digit FSSAI licence or registration number
+      table.text('address');
+      table.boolean('is_active').defaultTo(true);
+      table.timestamps(true, true);
+
+      table.index(['owner_id']);
+    });
+
+    await knex.schema.createTable('compliance_schedules', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('outlet_id').notNullable().references('id').inTable('outlets').onDelete('CASCADE');
+      table.enum('check_type', CHECK_TYPES).notNullable();
+      table.integer('interval_hours').notNullable(); // 24 = daily, 168 = weekly
+      table.timestamp('next_due_at').notNullable();
+      table.boolean('is_active').defaultTo(true);
+      table.timestamps(true, true);
+
+      table.index(['outlet_id', 'is_active']);
+    });
+
+    await knex.schema.createTable('compliance_checks', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('outlet_id').notNullable().references('id').inTable('outlets').onDelete('CASCADE');
+      table.uuid('schedule_id').references('id').inTable('compliance_schedules').onDelete('SET NULL');
+      table.uuid('analysis_id').references('id').inTable('food_analyses').onDelete('SET NULL');
+      table.uuid('performed_by').references('id').inTable('users').onDelete('SET NULL');
+      table.enum('check_type', CHECK_TYPES).notNullable();
+      table.enum('result', ['pass', 'fail']).notNullable();
+      table.json('readings').defaultTo('{}'); // { tpcPercent, temperatureC, holdingMode, oilQualityScore, ... }
+      table.json('failures').defaultTo('[]'); // [{ fssaiItem, reason }]
+      table.text('notes');
+      table.timestamp('performed_at').notNullable().defaultTo(knex.fn.now());
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['outlet_id', 'performed_at']);
+      table.index(['outlet_id', 'check_type', 'performed_at']);
+    });
+
+    await knex.schema.createTable('corrective_actions', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('outlet_id').notNullable().references('id').inTable('outlets').onDelete('CASCADE');
+      table.uuid('check_id').references('id').inTable('compliance_checks').onDelete('SET NULL');
+      table.string('fssai_item', 50).notNullable();
+      table.text('description').notNullable();
+      table.enum('status', ['open', 'in_progress', 'resolved']).defaultTo('open');
+      table.uuid('assigned_to').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('due_at');
+      table.timestamp('resolved_at');
+      table.uuid('resolved_by').references('id').inTable('users').onDelete('SET NULL');
+      table.text('resolution_notes');
+      table.timestamps(true, true);
+
+      table.index(['outlet_id', 'status']);
+    });
+
+    console.log('✅ Compliance tables created successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.dropTableIfExists('corrective_actions');
+    await knex.schema.dropTableIfExists('compliance_checks');
+    await knex.schema.dropTableIfExists('compliance_schedules');
+    await knex.schema.dropTableIfExists('outlets');
+
+    console.log('✅ Compliance tables dropped successfully');
+  }
+};
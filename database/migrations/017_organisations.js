@@ -0,0 +1,96 @@
+/**
+ * Migration: Organisations
+ * Description: Organisations that own outlets, their members (owner, manager, staff)
+ * and invitations, and the outlet an analysis was taken at. Existing outlets are
+ * moved into an organisation owned by their owner.
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.createTable('organisations', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.string('name', 200).notNullable();
+      table.uuid('owner_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.boolean('is_active').defaultTo(true);
+      table.timestamps(true, true);
+
+      table.index(['owner_id']);
+    });
+
+    await knex.schema.createTable('organisation_members', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('organisation_id').notNullable().references('id').inTable('organisations').onDelete('CASCADE');
+      table.uuid('user_id').notNullable().references('id').inTable('users').onDelete('CASCADE');
+      table.enum('role', ['owner', 'manager', 'staff']).notNullable();
+      table.json('outlet_ids').defaultTo('[]'); // outlets a staff member works at; owners and managers see all
+      table.timestamps(true, true);
+
+      table.unique(['organisation_id', 'user_id']);
+      table.index(['user_id']);
+    });
+
+    await knex.schema.createTable('organisation_invitations', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('organisation_id').notNullable().references('id').inTable('organisations').onDelete('CASCADE');
+      table.string('email', 255).notNullable();
+      table.enum('role', ['manager', 'staff']).notNullable();
+      table.json('outlet_ids').defaultTo('[]');
+      table.string('token_hash', 64).notNullable().unique(); // sha256 of the emailed token
+      table.uuid('invited_by').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('accepted_at');
+      table.timestamp('revoked_at');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['organisation_id']);
+      table.index(['email']);
+    });
+
+    await knex.schema.table('outlets', (table) => {
+      table.uuid('organisation_id').references('id').inTable('organisations').onDelete('CASCADE');
+      table.index(['organisation_id']);
+    });
+
+    await knex.schema.table('food_analyses', (table) => {
+      table.uuid('outlet_id').references('id').inTable('outlets').onDelete('SET NULL');
+      table.index(['outlet_id', 'created_at']);
+    });
+
+    // One organisation per existing outlet owner
+    const owners = await knex('outlets as o')
+      .join('users as u', 'u.id', 'o.owner_id')
+      .distinct('o.owner_id', 'u.first_name', 'u.last_name');
+
+    for (const owner of owners) {
+      const [organisation] = await knex('organisations')
+        .insert({ name: `${owner.first_name} ${owner.last_name}`.trim(), owner_id: owner.owner_id })
+        .returning('id');
+      const organisationId = organisation.id || organisation;
+
+      await knex('organisation_members').insert({
+        organisation_id: organisationId,
+        user_id: owner.owner_id,
+        role: 'owner'
+      });
+      await knex('outlets').where({ owner_id: owner.owner_id }).update({ organisation_id: organisationId });
+    }
+
+    console.log(`✅ Organisation tables created successfully (${owners.length} organisations from existing outlets)`);
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.dropColumn('outlet_id');
+    });
+
+    await knex.schema.table('outlets', (table) => {
+      table.dropColumn('organisation_id');
+    });
+
+    await knex.schema.dropTableIfExists('organisation_invitations');
+    await knex.schema.dropTableIfExists('organisation_members');
+    await knex.schema.dropTableIfExists('organisations');
+
+    console.log('✅ Organisation tables dropped successfully');
+  }
+};
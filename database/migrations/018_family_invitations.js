@@ -0,0 +1,47 @@
+/**
+ * Migration: Family Invitations
+ * Description: Invitations to join a family group, sent to an email address or a
+ * phone number. Family groups and members themselves come from 002.
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.createTable('family_invitations', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('family_id').notNullable().references('id').inTable('family_groups').onDelete('CASCADE');
+      table.string('email', 255);
+      table.string('phone', 20);
+      table.string('member_name').notNullable();
+      table.string('token_hash', 64).notNullable().unique(); // sha256 of the sent token
+      table.uuid('invited_by').references('id').inTable('users').onDelete('SET NULL');
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('accepted_at');
+      table.timestamp('revoked_at');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['family_id']);
+      table.index(['email']);
+      table.index(['phone']);
+    });
+
+    await knex.raw(
+      'ALTER TABLE family_invitations ADD CONSTRAINT family_invitations_contact CHECK (email IS NOT NULL OR phone IS NOT NULL)'
+    );
+
+    await knex.schema.table('family_members', (table) => {
+      table.index(['user_id', 'is_active']);
+    });
+
+    console.log('✅ Family invitation table created successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('family_members', (table) => {
+      table.dropIndex(['user_id', 'is_active']);
+    });
+
+    await knex.schema.dropTableIfExists('family_invitations');
+
+    console.log('✅ Family invitation table dropped successfully');
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration: Two-Factor Authentication
+ * Description: Recovery codes and replay protection for TOTP two-factor login,
+ * alongside the two_factor_enabled and two_factor_secret columns from 001
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('users', (table) => {
+      table.json('two_factor_recovery_codes').defaultTo('[]'); // sha256 hashes of unused codes
+      table.bigInteger('two_factor_last_step'); // last accepted TOTP time step, so a code works once
+      table.timestamp('two_factor_enabled_at');
+    });
+
+    console.log('✅ Two-factor columns added successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('users', (table) => {
+      table.dropColumn('two_factor_recovery_codes');
+      table.dropColumn('two_factor_last_step');
+      table.dropColumn('two_factor_enabled_at');
+    });
+
+    console.log('✅ Two-factor columns dropped successfully');
+  }
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration: Phone Authentication
+ * Description: Accounts that sign in with a phone number and OTP have no email
+ * or password. A verified phone number belongs to one active account.
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.alterTable('users', (table) => {
+      table.string('email', 255).nullable().alter();
+      table.string('password', 255).nullable().alter();
+      table.string('last_name', 100).nullable().alter();
+    });
+
+    await knex.raw(
+      'ALTER TABLE users ADD CONSTRAINT users_sign_in_method CHECK (email IS NOT NULL OR phone IS NOT NULL)'
+    );
+    await knex.raw(
+      'CREATE UNIQUE INDEX users_verified_phone_unique ON users (phone) WHERE phone_verified = true AND is_active = true'
+    );
+
+    console.log('✅ Phone authentication columns updated successfully');
+  },
+
+  down: async (knex) => {
+    // Fails while phone-only accounts exist; they have no email or password to restore
+    await knex.raw('DROP INDEX IF EXISTS users_verified_phone_unique');
+    await knex.raw('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_sign_in_method');
+
+    await knex.schema.alterTable('users', (table) => {
+      table.string('email', 255).notNullable().alter();
+      table.string('password', 255).notNullable().alter();
+      table.string('last_name', 100).notNullable().alter();
+    });
+
+    console.log('✅ Phone authentication columns reverted successfully');
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration: Staff Roles
+ * Description: Restricts users.role to the roles RoleService knows and adds an
+ * audit trail of what staff did through the admin API
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.raw(
+      "ALTER TABLE users ADD CONSTRAINT users_role_valid CHECK (role IN ('user', 'support', 'analyst', 'admin', 'partner_manager'))"
+    );
+
+    await knex.schema.createTable('admin_actions', (table) => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.uuid('actor_id').references('id').inTable('users').onDelete('SET NULL');
+      table.string('action', 50).notNullable(); // change_role, override_subscription, reset_usage, ...
+      table.string('target_type', 30).notNullable(); // user, community_post, share_link, comment
+      table.string('target_id', 100).notNullable();
+      table.text('reason');
+      table.json('details');
+      table.timestamp('created_at').defaultTo(knex.fn.now());
+
+      table.index(['target_type', 'target_id', 'created_at']);
+      table.index(['actor_id', 'created_at']);
+    });
+
+    console.log('✅ Staff roles and admin actions table created successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.dropTableIfExists('admin_actions');
+    await knex.raw('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_valid');
+
+    console.log('✅ Staff roles and admin actions table dropped successfully');
+  }
+};
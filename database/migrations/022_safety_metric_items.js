@@ -0,0 +1,25 @@
+/**
+ * Migration: Safety Metric Items
+ * Description: Per-item safety_metrics rows for multi-item plates. Rows with no
+ * item_index hold the whole-plate scores.
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('safety_metrics', (table) => {
+      table.integer('item_index'); // plate_items[].itemIndex; null for the whole plate
+      table.index(['analysis_id', 'item_index']);
+    });
+
+    console.log('✅ Safety metric item index added successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('safety_metrics', (table) => {
+      table.dropIndex(['analysis_id', 'item_index']);
+      table.dropColumn('item_index');
+    });
+
+    console.log('✅ Safety metric item index dropped successfully');
+  }
+};
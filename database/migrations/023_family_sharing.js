@@ -0,0 +1,25 @@
+/**
+ * Migration: Family Sharing
+ * Description: Analyses are visible to the owner's family group only once the owner
+ * shares them with the family
+ */
+
+module.exports = {
+  up: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.boolean('shared_with_family').notNullable().defaultTo(false);
+      table.index(['user_id', 'shared_with_family']);
+    });
+
+    console.log('✅ Family sharing column added successfully');
+  },
+
+  down: async (knex) => {
+    await knex.schema.table('food_analyses', (table) => {
+      table.dropIndex(['user_id', 'shared_with_family']);
+      table.dropColumn('shared_with_family');
+    });
+
+    console.log('✅ Family sharing column dropped successfully');
+  }
+};
@@ -187,6 +187,7 @@ class BurntFoodModel extends FoodSafetyBaseModel {
   async predict(imagePath) {
     try {
       const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
       
       // Extract burnt food specific features
       const preprocessedImage = await this.preprocessImage(imagePath);
@@ -157,6 +157,9 @@ class ChemicalAdditiveModel extends FoodSafetyBaseModel {
 
   async predict(imagePath) {
     try {
+      const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
+
       const preprocessedImage = await this.preprocessImage(imagePath);
       const features = this.extractChemicalFeatures(preprocessedImage);
       const chemicalAssessment = this.assessChemicalAdditives(features);
@@ -169,6 +172,8 @@ class ChemicalAdditiveModel extends FoodSafetyBaseModel {
       return {
         ...detailedAnalysis,
         chemicalProfile: chemicalAssessment,
+        confidence: basePrediction.confidence,
+        probabilities: basePrediction.probabilities,
         riskLevel: chemicalAssessment.riskLevel
       };
     } catch (error) {
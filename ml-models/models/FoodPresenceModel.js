@@ -0,0 +1,91 @@
+const tf = require('@tensorflow/tfjs-node');
+const FoodSafetyBaseModel = require('./FoodSafetyBaseModel');
+
+/**
+ * Food Presence Model
+ * Lightweight food / non-food classifier run before the safety models, so photos
+ * of tables, hands or screens are turned away instead of getting a safety report
+ */
+class FoodPresenceModel extends FoodSafetyBaseModel {
+  constructor() {
+    super({
+      modelType: 'food_presence',
+      inputShape: [128, 128, 3],
+      numClasses: 2,
+      classes: [
+        'food',     // Prepared dishes, produce, ingredients
+        'not_food'  // Anything else
+      ]
+    });
+  }
+
+  /**
+   * Probability that the photo shows food. Unlike the safety models this never
+   * abstains - the caller decides what to do with an uncertain answer.
+   */
+  async predict(imagePath) {
+    try {
+      if (!this.isLoaded) {
+        await this.loadModel();
+      }
+
+      const preprocessedImage = await this.preprocessImage(imagePath);
+      const prediction = tf.tidy(() => this.model.predict(preprocessedImage.expandDims(0)).squeeze());
+      const output = await prediction.data();
+
+      preprocessedImage.dispose();
+      prediction.dispose();
+
+      const probabilities = this.calibrate(output);
+      const foodProbability = probabilities[this.modelConfig.classes.indexOf('food')];
+
+      return {
+        class: foodProbability >= 0.5 ? 'food' : 'not_food',
+        foodProbability,
+        confidence: Math.max(...probabilities),
+        probabilities
+      };
+    } catch (error) {
+      throw new Error(`Food presence prediction failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Small network - this runs on every upload before the eight safety models
+   */
+  buildModel() {
+    return tf.sequential({
+      layers: [
+        tf.layers.conv2d({
+          inputShape: this.inputShape,
+          filters: 16,
+          kernelSize: 3,
+          activation: 'relu'
+        }),
+        tf.layers.maxPooling2d({ poolSize: 2 }),
+
+        tf.layers.conv2d({
+          filters: 32,
+          kernelSize: 3,
+          activation: 'relu'
+        }),
+        tf.layers.maxPooling2d({ poolSize: 2 }),
+
+        tf.layers.conv2d({
+          filters: 64,
+          kernelSize: 3,
+          activation: 'relu'
+        }),
+        tf.layers.globalAveragePooling2d(),
+
+        tf.layers.dropout({ rate: 0.3 }),
+        tf.layers.dense({
+          units: this.numClasses,
+          activation: 'softmax'
+        })
+      ]
+    });
+  }
+}
+
+module.exports = FoodPresenceModel;
@@ -0,0 +1,62 @@
+const FoodSafetyBaseModel = require('./FoodSafetyBaseModel');
+
+// Alternatives returned after the top dish
+const TOP_ALTERNATIVES = 3;
+
+/**
+ * Food Recognition Model for Indian Dishes
+ * Identifies the dish in a photo. Each class is a `recognition_label` in the backend
+ * food_items catalogue, so a recognised dish links the analysis to its catalogue entry.
+ */
+class FoodRecognitionModel extends FoodSafetyBaseModel {
+  constructor() {
+    super({
+      modelType: 'food_recognition',
+      inputShape: [224, 224, 3],
+      numClasses: 36,
+      classes: [
+        // Breads and rice
+        'roti', 'naan', 'paratha', 'puri', 'plain_rice', 'jeera_rice', 'biryani', 'pulao',
+        // Dals and curries
+        'dal', 'rajma', 'chole', 'sambar', 'kadhi', 'palak_paneer', 'paneer_butter_masala',
+        'butter_chicken', 'fish_curry', 'egg_curry', 'aloo_gobi', 'bhindi_masala',
+        // South Indian
+        'idli', 'dosa', 'vada', 'upma', 'poha',
+        // Snacks and street food
+        'samosa', 'pakora', 'pani_puri', 'pav_bhaji', 'dhokla',
+        // Sides and sweets
+        'raita', 'pickle', 'papad', 'gulab_jamun', 'jalebi', 'kheer'
+      ]
+    });
+  }
+
+  /**
+   * Recognise the dish. Abstains like the safety models when the photo is too dark
+   * or blurry, or no dish is recognised with enough confidence.
+   */
+  async predict(imagePath) {
+    try {
+      const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
+
+      const ranked = basePrediction.probabilities
+        .map((probability, index) => ({
+          label: this.modelConfig.classes[index],
+          probability: Math.round(probability * 1000) / 1000
+        }))
+        .sort((a, b) => b.probability - a.probability);
+
+      return {
+        class: ranked[0].label,
+        label: ranked[0].label,
+        confidence: basePrediction.confidence,
+        alternatives: ranked.slice(1, TOP_ALTERNATIVES + 1),
+        probabilities: basePrediction.probabilities
+      };
+    } catch (error) {
+      throw new Error(`Food recognition failed: ${error.message}`);
+    }
+  }
+}
+
+module.exports = FoodRecognitionModel;
@@ -1,16 +1,35 @@
 const tf = require('@tensorflow/tfjs-node');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const sharp = require('sharp');
 const path = require('path');
 
+// Below these the photo is too dark / too blurry for any verdict (pixel values in [0,1])
+const IMAGE_QUALITY_THRESHOLDS = {
+  minBrightness: 0.12,
+  minSharpness: 0.0005
+};
+
+const EVIDENCE_MESSAGES = {
+  too_dark: 'The photo is too dark to assess',
+  too_blurry: 'The photo is too blurry to assess',
+  low_confidence: 'The model could not recognise food it can assess in this photo'
+};
+
 /**
  * Base ML Model Class for Food Safety Detection
+ * Predictions are temperature-scaled with the calibration fitted at training time.
+ * A model abstains with `insufficient_evidence` instead of guessing when the photo
+ * is too dark or blurry, or its calibrated confidence is below the abstain threshold.
  */
 class FoodSafetyBaseModel {
   constructor(modelConfig) {
     this.modelConfig = modelConfig;
     this.model = null;
     this.isLoaded = false;
+    this.modelVersion = null;
+    this.loadError = null;
+    this.calibration = FoodSafetyBaseModel.defaultCalibration();
     this.inputShape = modelConfig.inputShape || [224, 224, 3];
     this.numClasses = modelConfig.numClasses;
     this.modelType = modelConfig.modelType;
@@ -179,14 +198,32 @@ class FoodSafetyBaseModel {
       }
 
       const preprocessedImage = await this.preprocessImage(imagePath);
-      const prediction = this.model.predict(preprocessedImage);
+      const imageQuality = this.assessImageQuality(preprocessedImage);
+
+      if (imageQuality.issue) {
+        preprocessedImage.dispose();
+        return this.insufficientEvidence(imageQuality.issue, { imageQuality });
+      }
+
+      const prediction = tf.tidy(() => this.model.predict(preprocessedImage.expandDims(0)).squeeze());
       const result = await prediction.data();
 
       // Cleanup tensors
       preprocessedImage.dispose();
       prediction.dispose();
 
-      return this.processPrediction(result);
+      // ML_ABSTAIN_CONFIDENCE overrides the threshold saved with the model
+      const abstainThreshold = parseFloat(process.env.ML_ABSTAIN_CONFIDENCE) || this.calibration.abstainThreshold;
+      const processed = this.processPrediction(result);
+      if (processed.confidence < abstainThreshold) {
+        return this.insufficientEvidence('low_confidence', {
+          confidence: processed.confidence,
+          probabilities: processed.probabilities,
+          imageQuality
+        });
+      }
+
+      return { ...processed, imageQuality };
     } catch (error) {
       throw new Error(`Prediction failed: ${error.message}`);
     }
@@ -197,35 +234,154 @@ class FoodSafetyBaseModel {
    */
   processPrediction(output) {
     // This will be overridden by specific models
+    const probabilities = this.calibrate(output);
+    const confidence = Math.max(...probabilities);
+
+    return {
+      confidence,
+      rawConfidence: Math.max(...output),
+      class: probabilities.indexOf(confidence),
+      probabilities
+    };
+  }
+
+  /**
+   * Temperature-scale softmax output with this model's fitted temperature
+   */
+  calibrate(output) {
+    return FoodSafetyBaseModel.temperatureScale(output, this.calibration.temperature);
+  }
+
+  /**
+   * softmax(log(p) / T): T > 1 softens over-confident outputs, T = 1 leaves them unchanged
+   */
+  static temperatureScale(probabilities, temperature) {
+    const logits = Array.from(probabilities, p => Math.log(Math.max(p, 1e-12)) / temperature);
+    const max = Math.max(...logits);
+    const exps = logits.map(logit => Math.exp(logit - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+
+    return exps.map(value => value / sum);
+  }
+
+  static defaultCalibration() {
+    return { temperature: 1, abstainThreshold: 0.5 };
+  }
+
+  /**
+   * Brightness and sharpness (variance of the Laplacian) of a preprocessed image
+   */
+  assessImageQuality(imageTensor) {
+    const [brightness, sharpness] = tf.tidy(() => {
+      const gray = imageTensor.mean(2).expandDims(0).expandDims(-1);
+      const kernel = tf.tensor4d([0, 1, 0, 1, -4, 1, 0, 1, 0], [3, 3, 1, 1]);
+      const laplacian = tf.conv2d(gray, kernel, 1, 'valid');
+
+      return [gray.mean().dataSync()[0], tf.moments(laplacian).variance.dataSync()[0]];
+    });
+
+    let issue = null;
+    if (brightness < IMAGE_QUALITY_THRESHOLDS.minBrightness) issue = 'too_dark';
+    else if (sharpness < IMAGE_QUALITY_THRESHOLDS.minSharpness) issue = 'too_blurry';
+
     return {
-      confidence: Math.max(...output),
-      class: output.indexOf(Math.max(...output)),
-      probabilities: Array.from(output)
+      brightness: Math.round(brightness * 1000) / 1000,
+      sharpness: Math.round(sharpness * 100000) / 100000,
+      issue
     };
   }
 
+  /**
+   * Abstention result returned in place of a verdict
+   */
+  insufficientEvidence(reason, details = {}) {
+    return {
+      status: 'insufficient_evidence',
+      insufficientEvidence: true,
+      reason,
+      message: EVIDENCE_MESSAGES[reason],
+      confidence: null,
+      ...details
+    };
+  }
+
+  /**
+   * Default on-disk location, used when the model registry is not in use
+   */
+  getDefaultModelPath() {
+    return path.join(__dirname, '..', 'models', `${this.modelType}_model`);
+  }
+
   /**
    * Save model to disk
    */
-  async saveModel() {
-    const modelPath = path.join(__dirname, '..', 'models', `${this.modelType}_model`);
+  async saveModel(modelPath = this.getDefaultModelPath()) {
     await this.model.save(`file://${modelPath}`);
+    await fs.writeJson(path.join(modelPath, 'calibration.json'), this.calibration, { spaces: 2 });
     console.log(`💾 ${this.modelType} model saved to ${modelPath}`);
   }
 
   /**
-   * Load model from disk
+   * Load model from disk. If it fails while a model is already loaded, that
+   * model stays in service and loadError records the failure.
    */
-  async loadModel() {
+  async loadModel(modelPath = this.getDefaultModelPath()) {
     try {
-      const modelPath = path.join(__dirname, '..', 'models', `${this.modelType}_model`);
-      this.model = await tf.loadLayersModel(`file://${modelPath}/model.json`);
+      const model = await tf.loadLayersModel(`file://${modelPath}/model.json`);
+      const modelVersion = await this.readModelVersion(modelPath);
+      const calibration = await this.readCalibration(modelPath);
+
+      // Replacing a loaded model (e.g. after a registry rollback) frees the old weights
+      if (this.model) this.model.dispose();
+
+      this.model = model;
+      this.modelVersion = modelVersion;
+      this.calibration = calibration;
       this.isLoaded = true;
-      console.log(`📥 ${this.modelType} model loaded successfully`);
+      this.loadError = null;
+      console.log(`📥 ${this.modelType} model loaded successfully (version ${this.modelVersion})`);
     } catch (error) {
+      this.loadError = error.message;
+
+      // A failed replacement keeps serving the model that is already loaded
+      if (this.model) {
+        console.warn(`⚠️  ${this.modelType} model at ${modelPath} failed to load, keeping version ${this.modelVersion}: ${error.message}`);
+        return;
+      }
+
       console.warn(`⚠️  ${this.modelType} model not found, will need to train first`);
       this.isLoaded = false;
+      this.modelVersion = null;
+    }
+  }
+
+  /**
+   * Version of the model on disk: metadata.json `version` when present,
+   * otherwise a content hash of model.json
+   */
+  async readModelVersion(modelPath) {
+    const metadataPath = path.join(modelPath, 'metadata.json');
+    if (await fs.pathExists(metadataPath)) {
+      const metadata = await fs.readJson(metadataPath);
+      if (metadata.version) return String(metadata.version);
+    }
+
+    const modelJson = await fs.readFile(path.join(modelPath, 'model.json'));
+    return `sha256:${crypto.createHash('sha256').update(modelJson).digest('hex').slice(0, 12)}`;
+  }
+
+  /**
+   * Calibration saved with the model; models trained before calibration keep T = 1
+   */
+  async readCalibration(modelPath) {
+    const calibrationPath = path.join(modelPath, 'calibration.json');
+    const calibration = FoodSafetyBaseModel.defaultCalibration();
+
+    if (await fs.pathExists(calibrationPath)) {
+      return { ...calibration, ...(await fs.readJson(calibrationPath)) };
     }
+
+    return calibration;
   }
 
   /**
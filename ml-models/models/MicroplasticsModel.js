@@ -181,6 +181,9 @@ class MicroplasticsModel extends FoodSafetyBaseModel {
 
   async predict(imagePath) {
     try {
+      const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
+
       const preprocessedImage = await this.preprocessImage(imagePath);
       const features = this.extractMicroplasticFeatures(preprocessedImage);
       const riskAssessment = this.assessMicroplasticRisk(features);
@@ -193,6 +196,8 @@ class MicroplasticsModel extends FoodSafetyBaseModel {
       return {
         ...detailedAnalysis,
         microplasticProfile: riskAssessment,
+        confidence: basePrediction.confidence,
+        probabilities: basePrediction.probabilities,
         riskLevel: riskAssessment.riskLevel
       };
     } catch (error) {
@@ -262,6 +262,7 @@ class NutritionalModel extends FoodSafetyBaseModel {
   async predict(imagePath) {
     try {
       const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
       
       // Extract nutritional specific features
       const preprocessedImage = await this.preprocessImage(imagePath);
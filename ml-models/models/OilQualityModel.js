@@ -133,6 +133,7 @@ class OilQualityModel extends FoodSafetyBaseModel {
   async predict(imagePath) {
     try {
       const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
       
       // Enhance with oil-specific analysis
       const preprocessedImage = await this.preprocessImage(imagePath);
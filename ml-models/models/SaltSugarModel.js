@@ -138,6 +138,9 @@ class SaltSugarModel extends FoodSafetyBaseModel {
 
   async predict(imagePath) {
     try {
+      const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
+
       const preprocessedImage = await this.preprocessImage(imagePath);
       const features = this.extractSaltSugarFeatures(preprocessedImage);
       const estimates = this.calculateSaltSugarEstimates(features);
@@ -150,6 +153,8 @@ class SaltSugarModel extends FoodSafetyBaseModel {
       return {
         ...detailedAnalysis,
         saltSugarProfile: estimates,
+        confidence: basePrediction.confidence,
+        probabilities: basePrediction.probabilities,
         healthScore: estimates.healthScore
       };
     } catch (error) {
@@ -207,6 +207,7 @@ class SpoilageModel extends FoodSafetyBaseModel {
   async predict(imagePath) {
     try {
       const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
       
       // Extract spoilage specific features
       const preprocessedImage = await this.preprocessImage(imagePath);
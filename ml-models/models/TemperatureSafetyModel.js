@@ -111,6 +111,9 @@ class TemperatureSafetyModel extends FoodSafetyBaseModel {
 
   async predict(imagePath) {
     try {
+      const basePrediction = await super.predict(imagePath);
+      if (basePrediction.insufficientEvidence) return basePrediction;
+
       const preprocessedImage = await this.preprocessImage(imagePath);
       const features = this.extractTemperatureFeatures(preprocessedImage);
       const temperatureEstimate = this.estimateTemperature(features);
@@ -123,6 +126,8 @@ class TemperatureSafetyModel extends FoodSafetyBaseModel {
       return {
         ...detailedAnalysis,
         temperatureProfile: temperatureEstimate,
+        confidence: basePrediction.confidence,
+        probabilities: basePrediction.probabilities,
         safetyLevel: temperatureEstimate.safetyLevel
       };
     } catch (error) {
@@ -0,0 +1,301 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const STATUS_ORDER = ['training', 'testing', 'production'];
+
+/**
+ * Model Registry
+ * Versioned model artifacts tracked in the backend's `ml_models` table.
+ * Each trained model is stored under <artifactsPath>/<modelType>/<version>/ and
+ * moves training -> testing -> production. Exactly one version per model type is
+ * in production; the version it replaced is deprecated and can be rolled back to.
+ */
+class ModelRegistry {
+  /**
+   * @param {Object} options
+   * @param {Object} options.knex - knex instance connected to the application database
+   * @param {string} options.artifactsPath - root directory for model artifacts
+   */
+  constructor(options = {}) {
+    if (!options.knex) {
+      throw new Error('ModelRegistry requires a knex instance');
+    }
+
+    this.knex = options.knex;
+    this.artifactsPath = options.artifactsPath ||
+      process.env.ML_ARTIFACTS_PATH ||
+      path.join(__dirname, '..', 'artifacts');
+  }
+
+  /**
+   * Build a registry from DATABASE_URL or DB_* settings; null when no database is configured
+   */
+  static fromEnv() {
+    const connection = process.env.DATABASE_URL || (process.env.DB_HOST && {
+      host: process.env.DB_HOST,
+      port: parseInt(process.env.DB_PORT) || 5432,
+      database: process.env.DB_NAME,
+      user: process.env.DB_USER,
+      password: process.env.DB_PASSWORD
+    });
+
+    if (!connection) return null;
+
+    const knex = require('knex')({ client: 'pg', connection, pool: { min: 0, max: 2 } });
+    return new ModelRegistry({ knex });
+  }
+
+  /**
+   * Save a trained model as a new version and record it with status `training`
+   */
+  async registerArtifact(model, { metrics = {}, trainingDataInfo = {}, description } = {}) {
+    const version = ModelRegistry.createVersion();
+    const relativePath = path.join(model.modelType, version);
+    const artifactPath = this.resolveArtifactPath(relativePath);
+
+    await fs.ensureDir(artifactPath);
+    await model.saveModel(artifactPath);
+    await fs.writeJson(path.join(artifactPath, 'metadata.json'), {
+      modelType: model.modelType,
+      version,
+      inputShape: model.inputShape,
+      numClasses: model.numClasses,
+      metrics,
+      createdAt: new Date().toISOString()
+    }, { spaces: 2 });
+
+    const [record] = await this.knex('ml_models')
+      .insert({
+        name: model.modelType,
+        version,
+        type: 'safety_detection',
+        description,
+        model_path: relativePath,
+        model_config: JSON.stringify({ inputShape: model.inputShape, numClasses: model.numClasses }),
+        training_data_info: JSON.stringify(trainingDataInfo),
+        performance_metrics: JSON.stringify(metrics),
+        status: 'training',
+        accuracy: metrics.accuracy,
+        precision: metrics.precision,
+        recall: metrics.recall,
+        f1_score: metrics.f1Score
+      })
+      .returning('*');
+
+    console.log(`📝 Registered ${model.modelType} ${version}`);
+    return record;
+  }
+
+  /**
+   * Move a version one step forward: training -> testing -> production.
+   * Promoting to production deprecates the current production version.
+   */
+  async promote(modelType, version, targetStatus) {
+    return this.knex.transaction(async (trx) => {
+      const record = await trx('ml_models').where({ name: modelType, version }).first();
+      if (!record) {
+        throw new Error(`Model ${modelType} ${version} is not registered`);
+      }
+
+      const currentIndex = STATUS_ORDER.indexOf(record.status);
+      const targetIndex = STATUS_ORDER.indexOf(targetStatus);
+      if (currentIndex === -1 || targetIndex !== currentIndex + 1) {
+        throw new Error(`Cannot promote ${modelType} ${version} from ${record.status} to ${targetStatus}`);
+      }
+
+      if (targetStatus === 'production') {
+        await fs.access(path.join(this.resolveArtifactPath(record.model_path), 'model.json'));
+
+        await trx('ml_models')
+          .where({ name: modelType, status: 'production' })
+          .update({ status: 'deprecated', retired_at: trx.fn.now(), updated_at: trx.fn.now() });
+      }
+
+      const [updated] = await trx('ml_models')
+        .where({ id: record.id })
+        .update({
+          status: targetStatus,
+          deployed_at: targetStatus === 'production' ? trx.fn.now() : record.deployed_at,
+          updated_at: trx.fn.now()
+        })
+        .returning('*');
+
+      console.log(`🚀 ${modelType} ${version} promoted to ${targetStatus}`);
+      return updated;
+    });
+  }
+
+  /**
+   * Put the previously deployed version back into production. Refused when that
+   * version's artifact is no longer on disk.
+   */
+  async rollback(modelType) {
+    return this.knex.transaction(async (trx) => {
+      const current = await trx('ml_models').where({ name: modelType, status: 'production' }).first();
+      if (!current) {
+        throw new Error(`No production version of ${modelType} to roll back`);
+      }
+
+      const previous = await trx('ml_models')
+        .where({ name: modelType, status: 'deprecated' })
+        .whereNotNull('deployed_at')
+        .orderBy('retired_at', 'desc')
+        .first();
+      if (!previous) {
+        throw new Error(`No earlier deployed version of ${modelType} to roll back to`);
+      }
+
+      const artifactPath = this.resolveArtifactPath(previous.model_path);
+      if (!await fs.pathExists(path.join(artifactPath, 'model.json'))) {
+        throw new Error(`Artifact of ${modelType} ${previous.version} is missing at ${artifactPath}`);
+      }
+
+      await trx('ml_models')
+        .where({ id: current.id })
+        .update({ status: 'deprecated', retired_at: trx.fn.now(), updated_at: trx.fn.now() });
+
+      const [restored] = await trx('ml_models')
+        .where({ id: previous.id })
+        .update({ status: 'production', deployed_at: trx.fn.now(), retired_at: null, updated_at: trx.fn.now() })
+        .returning('*');
+
+      console.log(`⏪ ${modelType} rolled back from ${current.version} to ${restored.version}`);
+      return { from: current, to: restored };
+    });
+  }
+
+  /**
+   * Production record for a model type, or null
+   */
+  async getProductionModel(modelType) {
+    const record = await this.knex('ml_models').where({ name: modelType, status: 'production' }).first();
+    return record || null;
+  }
+
+  /**
+   * Production records keyed by model type
+   */
+  async getProductionModels(modelTypes) {
+    const records = await this.knex('ml_models')
+      .whereIn('name', modelTypes)
+      .where({ status: 'production' });
+
+    return records.reduce((byType, record) => {
+      byType[record.name] = record;
+      return byType;
+    }, {});
+  }
+
+  /**
+   * Newest `testing` version of each model type - the shadow candidates
+   */
+  async getCandidateModels(modelTypes) {
+    const records = await this.knex('ml_models')
+      .whereIn('name', modelTypes)
+      .where({ status: 'testing' })
+      .orderBy('created_at', 'desc');
+
+    return records.reduce((byType, record) => {
+      if (!byType[record.name]) byType[record.name] = record;
+      return byType;
+    }, {});
+  }
+
+  /**
+   * Store candidate-vs-production verdicts from shadow evaluation
+   */
+  async recordShadowEvaluations(evaluations) {
+    if (evaluations.length === 0) return;
+
+    await this.knex('model_shadow_evaluations').insert(evaluations.map(evaluation => ({
+      model_name: evaluation.modelType,
+      production_version: evaluation.productionVersion,
+      candidate_version: evaluation.candidateVersion,
+      production_verdict: evaluation.productionVerdict,
+      candidate_verdict: evaluation.candidateVerdict,
+      production_confidence: evaluation.productionConfidence,
+      candidate_confidence: evaluation.candidateConfidence,
+      agreed: evaluation.productionVerdict === evaluation.candidateVerdict
+    })));
+  }
+
+  /**
+   * Agreement rate and verdict-pair counts per candidate version, e.g. how often
+   * production said `fresh_food` where the candidate said `spoiled_food`
+   */
+  async getDisagreementReport({ modelType = null, candidateVersion = null, since = null } = {}) {
+    const query = this.knex('model_shadow_evaluations')
+      .select('model_name', 'candidate_version', 'production_version', 'production_verdict', 'candidate_verdict')
+      .count('* as count')
+      .groupBy('model_name', 'candidate_version', 'production_version', 'production_verdict', 'candidate_verdict');
+
+    if (modelType) query.where({ model_name: modelType });
+    if (candidateVersion) query.where({ candidate_version: candidateVersion });
+    if (since) query.where('created_at', '>=', since);
+
+    const rows = await query;
+    const reports = {};
+
+    for (const row of rows) {
+      const key = `${row.model_name}:${row.candidate_version}:${row.production_version}`;
+      const count = parseInt(row.count);
+      const report = reports[key] || (reports[key] = {
+        modelType: row.model_name,
+        candidateVersion: row.candidate_version,
+        productionVersion: row.production_version,
+        total: 0,
+        agreements: 0,
+        disagreements: []
+      });
+
+      report.total += count;
+      if (row.production_verdict === row.candidate_verdict) {
+        report.agreements += count;
+      } else {
+        report.disagreements.push({
+          productionVerdict: row.production_verdict,
+          candidateVerdict: row.candidate_verdict,
+          count
+        });
+      }
+    }
+
+    return Object.values(reports).map(report => ({
+      ...report,
+      agreementRate: report.total > 0 ? Math.round((report.agreements / report.total) * 10000) / 10000 : null,
+      disagreements: report.disagreements.sort((a, b) => b.count - a.count)
+    }));
+  }
+
+  /**
+   * All versions, newest first
+   */
+  async listVersions(modelType = null) {
+    const query = this.knex('ml_models')
+      .select('name', 'version', 'status', 'accuracy', 'precision', 'recall', 'f1_score', 'deployed_at', 'retired_at', 'created_at')
+      .orderBy([{ column: 'name' }, { column: 'created_at', order: 'desc' }]);
+
+    if (modelType) query.where({ name: modelType });
+    return query;
+  }
+
+  /**
+   * Absolute path of an artifact stored relative to the artifacts root
+   */
+  resolveArtifactPath(modelPath) {
+    return path.isAbsolute(modelPath) ? modelPath : path.join(this.artifactsPath, modelPath);
+  }
+
+  /**
+   * Sortable version string from the current UTC time, e.g. 20240115093042
+   */
+  static createVersion() {
+    return new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  }
+
+  async close() {
+    await this.knex.destroy();
+  }
+}
+
+module.exports = ModelRegistry;
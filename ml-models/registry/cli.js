@@ -0,0 +1,59 @@
+const ModelRegistry = require('./ModelRegistry');
+
+/**
+ * Model Registry CLI
+ *
+ *   node registry/cli.js list [modelType]
+ *   node registry/cli.js promote <modelType> <version> <testing|production>
+ *   node registry/cli.js rollback <modelType>
+ */
+async function run(command, args) {
+  const registry = ModelRegistry.fromEnv();
+  if (!registry) {
+    throw new Error('Set DATABASE_URL or DB_HOST/DB_NAME/DB_USER/DB_PASSWORD to use the model registry');
+  }
+
+  try {
+    switch (command) {
+      case 'list': {
+        const versions = await registry.listVersions(args[0]);
+        console.table(versions);
+        break;
+      }
+
+      case 'promote': {
+        const [modelType, version, status] = args;
+        if (!modelType || !version || !status) {
+          throw new Error('Usage: promote <modelType> <version> <testing|production>');
+        }
+        await registry.promote(modelType, version, status);
+        break;
+      }
+
+      case 'rollback': {
+        const [modelType] = args;
+        if (!modelType) {
+          throw new Error('Usage: rollback <modelType>');
+        }
+        await registry.rollback(modelType);
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}" (expected list, promote or rollback)`);
+    }
+  } finally {
+    await registry.close();
+  }
+}
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  run(command, args).catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { run };
@@ -1,5 +1,6 @@
 const fs = require('fs-extra');
 const path = require('path');
+const sharp = require('sharp');
 const OilQualityModel = require('../models/OilQualityModel');
 const BurntFoodModel = require('../models/BurntFoodModel');
 const SpoilageModel = require('../models/SpoilageModel');
@@ -8,13 +9,62 @@ const SaltSugarModel = require('../models/SaltSugarModel');
 const TemperatureSafetyModel = require('../models/TemperatureSafetyModel');
 const ChemicalAdditiveModel = require('../models/ChemicalAdditiveModel');
 const MicroplasticsModel = require('../models/MicroplasticsModel');
+const FoodPresenceModel = require('../models/FoodPresenceModel');
+const FoodRecognitionModel = require('../models/FoodRecognitionModel');
+const PlateSegmenter = require('./PlateSegmenter');
+
+// Share of the category weights that must be assessed (not abstained) for an overall verdict
+const MIN_ASSESSED_WEIGHT = 0.6;
+
+// Pre-analysis gate. Brightness and sharpness (Laplacian standard deviation) are on a
+// 0-255 scale, measured on a copy resized to fit INSPECTION_SIZE.
+const INSPECTION_SIZE = 512;
+const IMAGE_GATE = {
+  minShortSide: 224,
+  brightness: { reject: [40, 235], warn: [70, 215] },
+  sharpness: { reject: 3, warn: 6 },
+  foodProbability: { reject: 0.3, warn: 0.6 }
+};
+
+const IMAGE_GUIDANCE = {
+  low_resolution: 'Photo resolution is too low - move closer or use the main camera',
+  too_dark: 'Photo is too dark - turn on the lights or retake with flash',
+  dim: 'Photo is quite dark - results are more reliable in good light',
+  overexposed: 'Photo is overexposed - avoid direct sunlight or flash glare',
+  bright: 'Photo is very bright - glare can hide discoloration',
+  too_blurry: 'Photo is blurry - hold the phone steady and tap on the food to focus',
+  soft_focus: 'Photo is slightly out of focus - tap on the food to focus',
+  not_food: 'No food detected - point the camera at the food and fill the frame',
+  food_uncertain: 'The food is hard to make out - move closer so it fills the frame'
+};
 
 /**
  * Comprehensive Food Safety Analysis Service
  * Integrates all 8 ML models for complete food safety assessment
  */
 class FoodSafetyAnalysisService {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.strict - Fail when a model is missing or errors instead of
+   *   scoring that category as neutral. The backend always runs in strict mode.
+   * @param {ModelRegistry} options.registry - Load the production version of each model
+   *   from the model registry instead of the fixed `${modelType}_model` paths
+   * @param {Object} options.shadow - Shadow evaluation of registry `testing` versions
+   * @param {number} options.shadow.samplePercent - Share of analyses (0-100, default 100)
+   *   on which candidates also run in the background. Their verdicts are stored, never returned.
+   * @param {number} options.shadow.canaryPercent - Share of analyses (0-100, default 0)
+   *   served by the candidate instead of production
+   * @param {Object} options.plate - Multi-item plate segmentation, see analyzePlateItems
+   * @param {boolean} options.plate.enabled - Split plates into items and score each one
+   * @param {string} options.plate.modelUrl - COCO-SSD graph model used for region proposals
+   * @param {number} options.plate.maxItems - Most items scored per plate
+   */
+  constructor(options = {}) {
+    this.strict = options.strict || false;
+    this.registry = options.registry || null;
+    this.shadowPercent = options.shadow?.samplePercent ?? 100;
+    this.canaryPercent = options.shadow?.canaryPercent || 0;
+    this.candidates = {};
     this.models = {
       oilQuality: new OilQualityModel(),
       burntFood: new BurntFoodModel(),
@@ -25,6 +75,14 @@ class FoodSafetyAnalysisService {
       chemical: new ChemicalAdditiveModel(),
       microplastics: new MicroplasticsModel()
     };
+    // Gate model, run before the eight safety models; optional, see inspectImage
+    this.foodPresenceModel = new FoodPresenceModel();
+    // Dish recognition, linked to the food_items catalogue by the backend; optional, see recognizeFood
+    this.foodRecognitionModel = new FoodRecognitionModel();
+    this.plateSegmenter = options.plate?.enabled ? new PlateSegmenter({
+      modelUrl: options.plate.modelUrl,
+      maxItems: options.plate.maxItems
+    }) : null;
     this.isInitialized = false;
   }
 
@@ -36,15 +94,33 @@ class FoodSafetyAnalysisService {
       console.log('🔄 Initializing Food Safety Analysis Service...');
       
       // Load pre-trained models
-      for (const [name, model] of Object.entries(this.models)) {
-        try {
-          await model.loadModel();
-          console.log(`✅ ${name} model loaded`);
-        } catch (error) {
-          console.warn(`⚠️  ${name} model not found, will train when needed`);
+      if (this.registry) {
+        await this.loadProductionModels();
+        await this.loadCandidateModels();
+      } else {
+        for (const [name, model] of this.getAllModels()) {
+          try {
+            await model.loadModel();
+            console.log(`✅ ${name} model loaded`);
+          } catch (error) {
+            console.warn(`⚠️  ${name} model not found, will train when needed`);
+          }
         }
       }
       
+      // Optional like the food presence gate: without it each plate is scored as one item
+      if (this.plateSegmenter) {
+        await this.plateSegmenter.load();
+      }
+      
+      const missingModels = this.getMissingModels();
+      if (this.strict && missingModels.length > 0) {
+        const error = new Error(`Required models are not available: ${missingModels.join(', ')}`);
+        error.code = 'MODEL_UNAVAILABLE';
+        error.missingModels = missingModels;
+        throw error;
+      }
+
       this.isInitialized = true;
       console.log('🎉 Food Safety Analysis Service initialized successfully');
     } catch (error) {
@@ -55,8 +131,11 @@ class FoodSafetyAnalysisService {
 
   /**
    * Comprehensive food safety analysis
+   * @param {Object} options
+   * @param {boolean} options.segmentPlate - Score each item on the plate as well as the
+   *   whole plate (default true). Video frames and live scans turn this off.
    */
-  async analyzeFood(imagePath, userPreferences = {}) {
+  async analyzeFood(imagePath, userPreferences = {}, options = {}) {
     if (!this.isInitialized) {
       await this.initialize();
     }
@@ -64,8 +143,24 @@ class FoodSafetyAnalysisService {
     try {
       console.log(`🔍 Analyzing food safety: ${imagePath}`);
       
-      // Run all safety checks in parallel
-      const analysisResults = await this.runAllAnalyses(imagePath);
+      // Turn away photos no model could assess before running them
+      const inspection = await this.inspectImage(imagePath);
+      if (!inspection.accepted) {
+        const rejection = new Error(inspection.issues.map(issue => issue.message).join('; '));
+        rejection.code = 'IMAGE_REJECTED';
+        rejection.inspection = inspection;
+        throw rejection;
+      }
+      
+      // Run all safety checks in parallel, on a canary candidate where one was picked
+      const servedModels = this.selectServedModels();
+      const analysisResults = await this.runAllAnalyses(imagePath, servedModels);
+      const recognition = await this.recognizeFood(imagePath);
+
+      // Shadow runs finish after the response; they never delay or change the report
+      this.runShadowEvaluation(imagePath, analysisResults, servedModels).catch((error) => {
+        console.warn('⚠️  Shadow evaluation failed:', error.message);
+      });
       
       // Calculate overall safety score
       const overallSafety = this.calculateOverallSafety(analysisResults);
@@ -76,6 +171,9 @@ class FoodSafetyAnalysisService {
         overallSafety, 
         userPreferences
       );
+
+      // Per-item verdicts alongside the whole-plate score
+      const plate = await this.analyzePlateItems(imagePath, userPreferences, options.segmentPlate !== false);
       
       // Save analysis results
       const analysisId = await this.saveAnalysisResults(comprehensiveReport);
@@ -83,64 +181,372 @@ class FoodSafetyAnalysisService {
       return {
         analysisId,
         ...comprehensiveReport,
+        recognition,
+        plate,
+        imageInspection: { warnings: inspection.warnings, metrics: inspection.metrics },
+        modelVersions: this.getModelVersions(servedModels),
         timestamp: new Date().toISOString()
       };
       
     } catch (error) {
       console.error('❌ Food safety analysis failed:', error);
-      throw new Error(`Food safety analysis failed: ${error.message}`);
+      const analysisError = new Error(`Food safety analysis failed: ${error.message}`);
+      analysisError.code = error.code;
+      analysisError.inspection = error.inspection;
+      throw analysisError;
+    }
+  }
+
+  /**
+   * Pre-analysis stage: resolution, exposure and blur of the original photo, then the
+   * food/non-food classifier. Each check rejects or warns with guidance for the retake.
+   * Without a deployed food presence model only the image checks run.
+   */
+  async inspectImage(imagePath) {
+    const issues = [];
+    const warnings = [];
+    const check = (failed, code, list) => {
+      if (failed) list.push({ code, message: IMAGE_GUIDANCE[code] });
+      return failed;
+    };
+
+    const { width, height } = await sharp(imagePath).metadata();
+    const stats = await sharp(imagePath)
+      .resize(INSPECTION_SIZE, INSPECTION_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .greyscale()
+      .stats();
+    const brightness = stats.channels[0].mean;
+    const sharpness = stats.sharpness;
+
+    check(Math.min(width, height) < IMAGE_GATE.minShortSide, 'low_resolution', issues);
+
+    const [minBrightness, maxBrightness] = IMAGE_GATE.brightness.reject;
+    const [dimBrightness, brightBrightness] = IMAGE_GATE.brightness.warn;
+    check(brightness < minBrightness, 'too_dark', issues) ||
+      check(brightness < dimBrightness, 'dim', warnings);
+    check(brightness > maxBrightness, 'overexposed', issues) ||
+      check(brightness > brightBrightness, 'bright', warnings);
+
+    check(sharpness < IMAGE_GATE.sharpness.reject, 'too_blurry', issues) ||
+      check(sharpness < IMAGE_GATE.sharpness.warn, 'soft_focus', warnings);
+
+    // Only classify photos that passed the image checks
+    let foodProbability = null;
+    if (issues.length === 0 && this.foodPresenceModel.isLoaded) {
+      ({ foodProbability } = await this.foodPresenceModel.predict(imagePath));
+
+      check(foodProbability < IMAGE_GATE.foodProbability.reject, 'not_food', issues) ||
+        check(foodProbability < IMAGE_GATE.foodProbability.warn, 'food_uncertain', warnings);
+    }
+
+    return {
+      accepted: issues.length === 0,
+      issues,
+      warnings,
+      metrics: {
+        width,
+        height,
+        brightness: Math.round(brightness),
+        sharpness: Math.round(sharpness * 100) / 100,
+        foodProbability: foodProbability === null ? null : Math.round(foodProbability * 1000) / 1000,
+        foodCheck: foodProbability !== null ? 'checked' : this.foodPresenceModel.isLoaded ? 'skipped' : 'unavailable'
+      }
+    };
+  }
+
+  /**
+   * Split a multi-item plate (a thali, a combo meal) into regions and run the eight
+   * models on each, so one oily pickle no longer drags down the score of fresh dal.
+   * Plates with fewer than two detected items return no items - the whole-plate
+   * report already describes them.
+   */
+  async analyzePlateItems(imagePath, userPreferences, segmentPlate) {
+    const segmentation = !this.plateSegmenter ? 'disabled' :
+      !this.plateSegmenter.isLoaded ? 'unavailable' :
+      !segmentPlate ? 'skipped' : 'segmented';
+
+    if (segmentation !== 'segmented') {
+      return { segmentation, itemCount: 0, items: [] };
+    }
+
+    const regions = await this.plateSegmenter.proposeRegions(imagePath);
+    if (regions.length < 2) {
+      return { segmentation, itemCount: regions.length, items: [] };
+    }
+
+    const { outputDir, crops } = await this.plateSegmenter.cropRegions(imagePath, regions);
+
+    try {
+      const items = [];
+
+      // One crop at a time - each already runs the eight models in parallel
+      for (const [itemIndex, crop] of crops.entries()) {
+        const analysisResults = await this.runAllAnalyses(crop.cropPath);
+        const overallSafety = this.calculateOverallSafety(analysisResults);
+        const report = this.generateComprehensiveReport(analysisResults, overallSafety, userPreferences);
+
+        items.push({
+          itemIndex,
+          label: crop.label,
+          recognition: await this.recognizeFood(crop.cropPath),
+          detectionScore: crop.detectionScore,
+          bbox: crop.bbox,
+          relativeBbox: crop.relativeBbox,
+          overall: report.overall,
+          detailedAnalysis: report.detailedAnalysis,
+          safetyAlerts: report.safetyAlerts
+        });
+      }
+
+      return { segmentation, itemCount: items.length, items };
+    } finally {
+      await fs.remove(outputDir);
+    }
+  }
+
+  /**
+   * Which dish the photo shows, as a food_items `recognition_label`. Recognition never
+   * changes the safety verdict, so a missing model or failed prediction is reported in
+   * `status` instead of failing the analysis.
+   */
+  async recognizeFood(imagePath) {
+    const recognition = { status: 'unavailable', label: null, confidence: null, alternatives: [] };
+    if (!this.foodRecognitionModel.isLoaded) return recognition;
+
+    try {
+      const result = await this.foodRecognitionModel.predict(imagePath);
+      if (result.insufficientEvidence) {
+        return { ...recognition, status: 'insufficient_evidence', reason: result.reason, confidence: result.confidence };
+      }
+
+      return {
+        status: 'recognized',
+        label: result.label,
+        confidence: result.confidence,
+        alternatives: result.alternatives
+      };
+    } catch (error) {
+      console.warn('⚠️  Food recognition failed:', error.message);
+      return { ...recognition, status: 'error' };
+    }
+  }
+
+  /**
+   * The eight safety models plus the food presence gate and dish recognition
+   */
+  getAllModels() {
+    return [
+      ...Object.entries(this.models),
+      ['foodPresence', this.foodPresenceModel],
+      ['foodRecognition', this.foodRecognitionModel]
+    ];
+  }
+
+  /**
+   * Load the registry's production version of every model that is not already
+   * running it. Returns the names of models that were (re)loaded.
+   */
+  async loadProductionModels() {
+    const models = this.getAllModels();
+    const productionRecords = await this.registry.getProductionModels(models.map(([, model]) => model.modelType));
+    const reloaded = [];
+
+    for (const [name, model] of models) {
+      const record = productionRecords[model.modelType];
+
+      if (!record) {
+        console.warn(`⚠️  ${name} has no production version in the model registry`);
+        model.isLoaded = false;
+        model.loadError = 'No production version registered';
+        continue;
+      }
+
+      if (model.isLoaded && model.modelVersion === record.version) continue;
+
+      await model.loadModel(this.registry.resolveArtifactPath(record.model_path));
+      if (model.isLoaded && model.modelVersion === record.version) {
+        console.log(`✅ ${name} model loaded from registry (${record.version})`);
+        reloaded.push(name);
+      }
+    }
+
+    return reloaded;
+  }
+
+  /**
+   * Load the newest registry `testing` version of each model as a shadow candidate
+   */
+  async loadCandidateModels() {
+    if (this.shadowPercent <= 0 && this.canaryPercent <= 0) return [];
+
+    const models = Object.entries(this.models);
+    const candidateRecords = await this.registry.getCandidateModels(models.map(([, model]) => model.modelType));
+    const loaded = [];
+
+    for (const [name, model] of models) {
+      const record = candidateRecords[model.modelType];
+      const current = this.candidates[name];
+
+      if (current && (!record || current.modelVersion !== record.version)) {
+        current.dispose();
+        delete this.candidates[name];
+      }
+
+      if (!record || this.candidates[name]) continue;
+
+      const candidate = new model.constructor();
+      await candidate.loadModel(this.registry.resolveArtifactPath(record.model_path));
+      if (candidate.isLoaded) {
+        this.candidates[name] = candidate;
+        loaded.push(name);
+        console.log(`🌓 ${name} shadow candidate loaded (${record.version})`);
+      }
+    }
+
+    return loaded;
+  }
+
+  /**
+   * Safety models for one analysis: each candidate replaces its production model
+   * on canaryPercent of analyses
+   */
+  selectServedModels() {
+    const served = { ...this.models };
+
+    for (const [name, candidate] of Object.entries(this.candidates)) {
+      if (Math.random() * 100 < this.canaryPercent) {
+        served[name] = candidate;
+      }
+    }
+
+    return served;
+  }
+
+  /**
+   * Run shadow candidates on a sampled share of traffic and record how their
+   * verdicts compare with production. Where a candidate served the analysis as a
+   * canary, production runs in its place so the pair is still recorded.
+   */
+  async runShadowEvaluation(imagePath, analysisResults, servedModels = this.models) {
+    const candidates = Object.entries(this.candidates);
+    if (candidates.length === 0 || Math.random() * 100 >= this.shadowPercent) return;
+
+    try {
+      const evaluations = await Promise.all(candidates.map(async ([name, candidate]) => {
+        const canary = servedModels[name] === candidate;
+        const production = canary ? await this.models[name].predict(imagePath) : analysisResults[name];
+        const result = canary ? analysisResults[name] : await candidate.predict(imagePath);
+
+        return {
+          modelType: candidate.modelType,
+          productionVersion: this.models[name].modelVersion,
+          candidateVersion: candidate.modelVersion,
+          productionVerdict: this.getVerdict(production),
+          candidateVerdict: this.getVerdict(result),
+          productionConfidence: production?.confidence ?? null,
+          candidateConfidence: result.confidence ?? null
+        };
+      }));
+
+      await this.registry.recordShadowEvaluations(evaluations);
+    } catch (error) {
+      console.warn('⚠️  Shadow evaluation failed:', error.message);
+    }
+  }
+
+  /**
+   * Comparable verdict of a model result: its class, or the safety/risk level for
+   * models that report one instead
+   */
+  getVerdict(result) {
+    if (!result || result.error) return 'error';
+    if (result.insufficientEvidence) return 'insufficient_evidence';
+    return String(result.class ?? result.safetyLevel ?? result.riskLevel ?? 'unknown');
+  }
+
+  /**
+   * Names of models that could not be loaded
+   */
+  getMissingModels() {
+    return Object.entries(this.models)
+      .filter(([, model]) => !model.isLoaded)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Version of every loaded model, keyed by model name. Pass the models that served
+   * an analysis to get the versions behind its result.
+   */
+  getModelVersions(models = this.models) {
+    const versions = Object.entries(models).reduce((versions, [name, model]) => {
+      versions[name] = model.modelVersion;
+      return versions;
+    }, {});
+
+    if (this.foodPresenceModel.isLoaded) {
+      versions.foodPresence = this.foodPresenceModel.modelVersion;
+    }
+
+    if (this.foodRecognitionModel.isLoaded) {
+      versions.foodRecognition = this.foodRecognitionModel.modelVersion;
+    }
+
+    return versions;
+  }
+
+  /**
+   * Result used for a model whose prediction failed. In strict mode the failure
+   * propagates so a missing model can never produce a passing score.
+   */
+  predictionFallback(error, fallback) {
+    if (this.strict) {
+      throw error;
     }
+
+    return { error: error.message, ...fallback };
   }
 
   /**
    * Run all 8 safety analyses in parallel
    */
-  async runAllAnalyses(imagePath) {
+  async runAllAnalyses(imagePath, models = this.models) {
     const analysisPromises = {
-      oilQuality: this.models.oilQuality.predict(imagePath).catch(err => ({
-        error: err.message,
+      oilQuality: models.oilQuality.predict(imagePath).catch(err => this.predictionFallback(err, {
         class: 'error',
         confidence: 0
       })),
       
-      burntFood: this.models.burntFood.predict(imagePath).catch(err => ({
-        error: err.message,
+      burntFood: models.burntFood.predict(imagePath).catch(err => this.predictionFallback(err, {
         class: 'error',
         confidence: 0
       })),
       
-      spoilage: this.models.spoilage.predict(imagePath).catch(err => ({
-        error: err.message,
+      spoilage: models.spoilage.predict(imagePath).catch(err => this.predictionFallback(err, {
         class: 'error',
         confidence: 0
       })),
       
-      nutritional: this.models.nutritional.predict(imagePath).catch(err => ({
-        error: err.message,
+      nutritional: models.nutritional.predict(imagePath).catch(err => this.predictionFallback(err, {
         nutritionalProfile: null,
         healthScore: 0
       })),
       
-      saltSugar: this.models.saltSugar.predict(imagePath).catch(err => ({
-        error: err.message,
+      saltSugar: models.saltSugar.predict(imagePath).catch(err => this.predictionFallback(err, {
         saltSugarProfile: null,
         healthScore: 0
       })),
       
-      temperature: this.models.temperature.predict(imagePath).catch(err => ({
-        error: err.message,
+      temperature: models.temperature.predict(imagePath).catch(err => this.predictionFallback(err, {
         temperatureProfile: null,
         safetyLevel: 'unknown'
       })),
       
-      chemical: this.models.chemical.predict(imagePath).catch(err => ({
-        error: err.message,
+      chemical: models.chemical.predict(imagePath).catch(err => this.predictionFallback(err, {
         chemicalProfile: null,
         riskLevel: 'unknown'
       })),
       
-      microplastics: this.models.microplastics.predict(imagePath).catch(err => ({
-        error: err.message,
+      microplastics: models.microplastics.predict(imagePath).catch(err => this.predictionFallback(err, {
         microplasticProfile: null,
         riskLevel: 'unknown'
       }))
@@ -163,6 +569,8 @@ class FoodSafetyAnalysisService {
    */
   calculateOverallSafety(analysisResults) {
     const scores = [];
+    const abstainedCategories = [];
+    let assessedWeight = 0;
     const weights = {
       oilQuality: 0.15,
       burntFood: 0.20,
@@ -179,6 +587,12 @@ class FoodSafetyAnalysisService {
       const result = analysisResults[category];
       let categoryScore = 100; // Default to safe
 
+      // An abstaining model carries no weight; the others are renormalized below
+      if (result.insufficientEvidence) {
+        abstainedCategories.push(category);
+        return;
+      }
+
       if (result.error) {
         categoryScore = 50; // Neutral if analysis failed
       } else {
@@ -246,12 +660,18 @@ class FoodSafetyAnalysisService {
       }
 
       scores.push(categoryScore * weight);
+      assessedWeight += weight;
     });
 
-    const overallScore = Math.round(scores.reduce((sum, score) => sum + score, 0));
+    // Without a spoilage verdict, or with too little of the report assessed, no overall verdict is given
+    const insufficientEvidence = abstainedCategories.includes('spoilage') ||
+      assessedWeight < MIN_ASSESSED_WEIGHT;
+    const overallScore = insufficientEvidence ? null :
+      Math.round(scores.reduce((sum, score) => sum + score, 0) / assessedWeight);
     
     let safetyLevel = 'excellent';
-    if (overallScore >= 90) safetyLevel = 'excellent';
+    if (insufficientEvidence) safetyLevel = 'insufficient_evidence';
+    else if (overallScore >= 90) safetyLevel = 'excellent';
     else if (overallScore >= 75) safetyLevel = 'good';
     else if (overallScore >= 60) safetyLevel = 'acceptable';
     else if (overallScore >= 40) safetyLevel = 'concerning';
@@ -261,9 +681,15 @@ class FoodSafetyAnalysisService {
     return {
       overallScore,
       safetyLevel,
+      abstainedCategories,
       categoryScores: Object.keys(weights).reduce((acc, category) => {
         const result = analysisResults[category];
         let score = 50; // Default score
+
+        if (result.insufficientEvidence) {
+          acc[category] = null;
+          return acc;
+        }
         
         if (!result.error) {
           switch (category) {
@@ -308,6 +734,7 @@ class FoodSafetyAnalysisService {
         safetyScore: overallSafety.overallScore,
         safetyLevel: overallSafety.safetyLevel,
         categoryScores: overallSafety.categoryScores,
+        abstainedCategories: overallSafety.abstainedCategories,
         recommendation: this.getOverallRecommendation(overallSafety.safetyLevel)
       },
       
@@ -347,6 +774,8 @@ class FoodSafetyAnalysisService {
         return 'This food has dangerous safety issues. Consider alternatives.';
       case 'unsafe':
         return 'This food is unsafe and not recommended for consumption.';
+      case 'insufficient_evidence':
+        return 'We could not assess this food reliably. Retake the photo in good light, in focus, with the food filling the frame.';
       default:
         return 'Unable to determine safety status.';
     }
@@ -448,6 +877,11 @@ class FoodSafetyAnalysisService {
    */
   generateRecommendations(analysisResults, overallSafety, userPreferences) {
     const recommendations = [];
+
+    if (overallSafety.safetyLevel === 'insufficient_evidence') {
+      recommendations.push('Retake the photo in good light and hold the camera steady');
+      recommendations.push('Make sure the food fills most of the frame');
+    }
     
     // Overall safety recommendations
     if (overallSafety.safetyLevel === 'concerning' || 
@@ -521,7 +955,19 @@ class FoodSafetyAnalysisService {
   }
 
   // Summary methods for each analysis type
+  summarizeAbstention(result) {
+    return {
+      status: 'insufficient_evidence',
+      insufficientEvidence: true,
+      reason: result.reason,
+      message: result.message,
+      confidence: result.confidence,
+      imageQuality: result.imageQuality
+    };
+  }
+
   summarizeOilQuality(result) {
+    if (result.insufficientEvidence) return this.summarizeAbstention(result);
     if (result.error) return { error: result.error };
     return {
       status: result.class,
@@ -533,6 +979,7 @@ class FoodSafetyAnalysisService {
   }
 
   summarizeBurntFood(result) {
+    if (result.insufficientEvidence) return this.summarizeAbstention(result);
     if (result.error) return { error: result.error };
     return {
       status: result.class,
@@ -545,6 +992,7 @@ class FoodSafetyAnalysisService {
   }
 
   summarizeSpoilage(result) {
+    if (result.insufficientEvidence) return this.summarizeAbstention(result);
     if (result.error) return { error: result.error };
     return {
       status: result.class,
@@ -557,6 +1005,7 @@ class FoodSafetyAnalysisService {
   }
 
   summarizeNutritional(result) {
+    if (result.insufficientEvidence) return this.summarizeAbstention(result);
     if (result.error || !result.nutritionalProfile) return { error: result?.error };
     return {
       healthScore: result.healthScore,
@@ -572,6 +1021,7 @@ class FoodSafetyAnalysisService {
   }
 
   summarizeSaltSugar(result) {
+    if (result.insufficientEvidence) return this.summarizeAbstention(result);
     if (result.error || !result.saltSugarProfile) return { error: result?.error };
     return {
       healthScore: result.healthScore,
@@ -583,6 +1033,7 @@ class FoodSafetyAnalysisService {
   }
 
   summarizeTemperature(result) {
+    if (result.insufficientEvidence) return this.summarizeAbstention(result);
     if (result.error || !result.temperatureProfile) return { error: result?.error };
     return {
       temperature: result.temperatureProfile.estimatedTemperature,
@@ -594,6 +1045,7 @@ class FoodSafetyAnalysisService {
   }
 
   summarizeChemical(result) {
+    if (result.insufficientEvidence) return this.summarizeAbstention(result);
     if (result.error || !result.chemicalProfile) return { error: result?.error };
     return {
       classification: result.chemicalProfile.classification,
@@ -606,6 +1058,7 @@ class FoodSafetyAnalysisService {
   }
 
   summarizeMicroplastics(result) {
+    if (result.insufficientEvidence) return this.summarizeAbstention(result);
     if (result.error || !result.microplasticProfile) return { error: result?.error };
     return {
       riskLevel: result.riskLevel,
@@ -621,11 +1074,15 @@ class FoodSafetyAnalysisService {
    * Clean up resources
    */
   dispose() {
-    Object.values(this.models).forEach(model => {
+    [...this.getAllModels().map(([, model]) => model), ...Object.values(this.candidates)].forEach(model => {
       if (model.dispose) {
         model.dispose();
       }
     });
+
+    if (this.plateSegmenter) {
+      this.plateSegmenter.dispose();
+    }
   }
 }
 
@@ -0,0 +1,171 @@
+const tf = require('@tensorflow/tfjs-node');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// COCO-SSD classes that mark a food item or the katori/cup holding one
+const FOOD_REGION_CLASSES = [
+  'bowl', 'cup', 'wine glass', 'sandwich', 'pizza', 'hot dog', 'donut', 'cake',
+  'broccoli', 'carrot', 'apple', 'orange', 'banana'
+];
+
+// Detection runs on a copy whose longest side is at most this many pixels
+const DETECTION_SIZE = 1024;
+
+// Local copy of the COCO-SSD lite_mobilenet_v2 graph model, deployed like the safety models
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', 'models', 'plate_segmentation', 'model.json');
+
+/**
+ * Plate Segmenter
+ * Region-proposal stage for multi-item plates such as thalis. COCO-SSD proposes
+ * boxes for bowls and recognisable foods; each box is cropped so the eight safety
+ * models can score that item on its own.
+ */
+class PlateSegmenter {
+  /**
+   * @param {Object} options
+   * @param {string} options.modelUrl - Local (file://) COCO-SSD graph model; defaults to
+   *   models/plate_segmentation/model.json. Weights are never fetched over the network.
+   * @param {number} options.maxItems - Most regions returned, highest detection score first
+   * @param {number} options.minScore - Minimum detection score
+   * @param {number} options.minAreaRatio - Regions smaller than this share of the image are ignored
+   */
+  constructor(options = {}) {
+    this.modelUrl = options.modelUrl || `file://${DEFAULT_MODEL_PATH}`;
+    this.maxItems = options.maxItems || 6;
+    this.minScore = options.minScore || 0.4;
+    this.minAreaRatio = options.minAreaRatio || 0.02;
+    this.model = null;
+    this.loadError = null;
+  }
+
+  get isLoaded() {
+    return this.model !== null;
+  }
+
+  async load() {
+    try {
+      if (!this.modelUrl.startsWith('file://')) {
+        throw new Error(`Segmentation model must be a local file:// URL, got ${this.modelUrl}`);
+      }
+
+      const cocoSsd = require('@tensorflow-models/coco-ssd');
+      this.model = await cocoSsd.load({ base: 'lite_mobilenet_v2', modelUrl: this.modelUrl });
+      this.loadError = null;
+      console.log('📥 Plate segmentation model loaded');
+    } catch (error) {
+      console.warn(`⚠️  Plate segmentation unavailable: ${error.message}`);
+      this.model = null;
+      this.loadError = error.message;
+    }
+  }
+
+  /**
+   * Food regions on the plate, as boxes in the (auto-rotated) original image
+   */
+  async proposeRegions(imagePath) {
+    const { width, height, orientation } = await sharp(imagePath).metadata();
+    const [imageWidth, imageHeight] = orientation >= 5 ? [height, width] : [width, height];
+
+    const { data, info } = await sharp(imagePath)
+      .rotate()
+      .resize(DETECTION_SIZE, DETECTION_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const input = tf.tensor3d(new Uint8Array(data), [info.height, info.width, 3], 'int32');
+    let detections;
+    try {
+      detections = await this.model.detect(input, this.maxItems * 3, this.minScore);
+    } finally {
+      input.dispose();
+    }
+
+    const scale = imageWidth / info.width;
+
+    return detections
+      .filter(detection => FOOD_REGION_CLASSES.includes(detection.class))
+      .map(detection => {
+        const [x, y, boxWidth, boxHeight] = detection.bbox.map(value => value * scale);
+        return {
+          label: detection.class,
+          detectionScore: Math.round(detection.score * 1000) / 1000,
+          bbox: this.clampBox({ x, y, width: boxWidth, height: boxHeight }, imageWidth, imageHeight)
+        };
+      })
+      .filter(region => (region.bbox.width * region.bbox.height) / (imageWidth * imageHeight) >= this.minAreaRatio)
+      .sort((a, b) => b.detectionScore - a.detectionScore)
+      .slice(0, this.maxItems)
+      .map(region => ({
+        ...region,
+        relativeBbox: {
+          x: Math.round((region.bbox.x / imageWidth) * 1000) / 1000,
+          y: Math.round((region.bbox.y / imageHeight) * 1000) / 1000,
+          width: Math.round((region.bbox.width / imageWidth) * 1000) / 1000,
+          height: Math.round((region.bbox.height / imageHeight) * 1000) / 1000
+        }
+      }));
+  }
+
+  /**
+   * Write each region to its own image, with a small margin so item edges are kept.
+   * Returns the directory to remove once the crops have been scored.
+   */
+  async cropRegions(imagePath, regions) {
+    const outputDir = path.join(os.tmpdir(), 'foodsafe-plate', crypto.randomUUID());
+    await fs.ensureDir(outputDir);
+
+    const { width, height, orientation } = await sharp(imagePath).metadata();
+    const [imageWidth, imageHeight] = orientation >= 5 ? [height, width] : [width, height];
+
+    const crops = [];
+    for (const [index, region] of regions.entries()) {
+      const marginX = region.bbox.width * 0.05;
+      const marginY = region.bbox.height * 0.05;
+      const box = this.clampBox({
+        x: region.bbox.x - marginX,
+        y: region.bbox.y - marginY,
+        width: region.bbox.width + 2 * marginX,
+        height: region.bbox.height + 2 * marginY
+      }, imageWidth, imageHeight);
+
+      const cropPath = path.join(outputDir, `item-${index}.jpg`);
+      await sharp(imagePath)
+        .rotate()
+        .extract({ left: box.x, top: box.y, width: box.width, height: box.height })
+        .jpeg({ quality: 92 })
+        .toFile(cropPath);
+
+      crops.push({ ...region, cropPath });
+    }
+
+    return { outputDir, crops };
+  }
+
+  /**
+   * Integer box inside the image bounds
+   */
+  clampBox(box, imageWidth, imageHeight) {
+    const x = Math.max(0, Math.round(box.x));
+    const y = Math.max(0, Math.round(box.y));
+
+    return {
+      x,
+      y,
+      width: Math.max(1, Math.min(imageWidth - x, Math.round(box.width))),
+      height: Math.max(1, Math.min(imageHeight - y, Math.round(box.height)))
+    };
+  }
+
+  dispose() {
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+    }
+  }
+}
+
+module.exports = PlateSegmenter;
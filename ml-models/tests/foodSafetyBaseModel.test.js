@@ -0,0 +1,90 @@
+// The pure-JS build runs the same layers without the native binding
+jest.mock('@tensorflow/tfjs-node', () => require('@tensorflow/tfjs'));
+// Photos are fed in as tensors, so sharp never decodes anything here
+jest.mock('sharp', () => jest.fn());
+
+const tf = require('@tensorflow/tfjs-node');
+const FoodSafetyBaseModel = require('../models/FoodSafetyBaseModel');
+
+const INPUT_SHAPE = [8, 8, 3];
+
+/**
+ * A loaded model whose network is a single softmax layer with the given biases,
+ * so its output is known whatever the photo
+ */
+const tinyModel = (biases) => {
+  const model = new FoodSafetyBaseModel({
+    modelType: 'tiny',
+    inputShape: INPUT_SHAPE,
+    numClasses: biases.length,
+    classes: biases.map((_, index) => `class_${index}`)
+  });
+
+  model.model = tf.sequential({
+    layers: [
+      tf.layers.flatten({ inputShape: INPUT_SHAPE }),
+      tf.layers.dense({ units: biases.length, activation: 'softmax' })
+    ]
+  });
+  const [kernel] = model.model.layers[1].getWeights();
+  model.model.layers[1].setWeights([tf.zerosLike(kernel), tf.tensor1d(biases)]);
+  model.isLoaded = true;
+
+  return model;
+};
+
+// A well-lit checkerboard, bright and sharp enough to pass the quality checks
+const checkerboard = () => tf.tidy(() => {
+  const values = [];
+  for (let y = 0; y < INPUT_SHAPE[0]; y++) {
+    for (let x = 0; x < INPUT_SHAPE[1]; x++) {
+      values.push(...Array(INPUT_SHAPE[2]).fill((x + y) % 2 ? 0.8 : 0.2));
+    }
+  }
+  return tf.tensor3d(values, INPUT_SHAPE);
+});
+
+describe('FoodSafetyBaseModel.predict', () => {
+  const abstainConfidence = process.env.ML_ABSTAIN_CONFIDENCE;
+
+  beforeEach(() => {
+    delete process.env.ML_ABSTAIN_CONFIDENCE;
+  });
+
+  afterEach(() => {
+    if (abstainConfidence !== undefined) process.env.ML_ABSTAIN_CONFIDENCE = abstainConfidence;
+  });
+
+  it('runs the photo through the network as a batch of one', async () => {
+    const model = tinyModel([3, 0, 0]);
+    model.preprocessImage = async () => checkerboard();
+
+    const result = await model.predict('thali.jpg');
+
+    const expected = Math.exp(3) / (Math.exp(3) + 2);
+    expect(result.class).toBe(0);
+    expect(result.confidence).toBeCloseTo(expected, 5);
+    expect(result.probabilities).toHaveLength(3);
+    expect(result.imageQuality.issue).toBeNull();
+  });
+
+  it('abstains when the calibrated confidence is below the threshold', async () => {
+    const model = tinyModel([0, 0, 0]);
+    model.preprocessImage = async () => checkerboard();
+
+    const result = await model.predict('thali.jpg');
+
+    expect(result).toMatchObject({ status: 'insufficient_evidence', reason: 'low_confidence' });
+    expect(result.confidence).toBeCloseTo(1 / 3, 5);
+  });
+
+  it('frees the tensors it creates', async () => {
+    const model = tinyModel([3, 0, 0]);
+    model.preprocessImage = async () => checkerboard();
+    const before = tf.memory().numTensors;
+
+    await model.predict('thali.jpg');
+
+    expect(tf.memory().numTensors).toBe(before);
+  });
+});
@@ -3,14 +3,21 @@ const fs = require('fs-extra');
 const path = require('path');
 const glob = require('glob');
 const FoodSafetyAnalysisService = require('../services/FoodSafetyAnalysisService');
+const FoodSafetyBaseModel = require('../models/FoodSafetyBaseModel');
 
 /**
  * Indian Food Dataset Training Manager
  * Handles training of all 8 food safety detection models on Indian food data
  */
 class IndianFoodTrainingManager {
-  constructor() {
-    this.service = new FoodSafetyAnalysisService();
+  /**
+   * @param {Object} options
+   * @param {ModelRegistry} options.registry - When set, every trained model is recorded
+   *   in the model registry as a new version with status `training`
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || null;
+    this.service = new FoodSafetyAnalysisService({ registry: this.registry });
     this.datasetPath = path.join(__dirname, '..', 'data', 'indian_food_dataset');
     this.modelsPath = path.join(__dirname, '..', 'models');
     this.trainingConfig = {
@@ -120,6 +127,53 @@ class IndianFoodTrainingManager {
           moderate_risk: ['some_packaging', 'processed_foods'],
           high_risk: ['plastic_packaging', 'synthetic_materials'],
           critical_risk: ['visible_plastic', 'contamination_risk']
+        },
+
+        // Food Presence Categories (pre-analysis gate)
+        food_presence: {
+          food: ['thali', 'curry_bowl', 'street_food', 'raw_produce', 'packaged_snack_opened'],
+          not_food: ['empty_plate', 'table_surface', 'hands', 'screens', 'documents', 'people', 'kitchen_utensils']
+        },
+
+        // Dish Recognition Categories - class order matches FoodRecognitionModel, each class
+        // is a food_items recognition_label
+        food_recognition: {
+          roti: ['phulka', 'tandoori_roti'],
+          naan: ['plain_naan', 'butter_naan', 'garlic_naan'],
+          paratha: ['plain_paratha', 'aloo_paratha', 'lachha_paratha'],
+          puri: ['puri', 'bhatura'],
+          plain_rice: ['steamed_rice', 'brown_rice'],
+          jeera_rice: ['jeera_rice'],
+          biryani: ['chicken_biryani', 'mutton_biryani', 'veg_biryani', 'hyderabadi_biryani'],
+          pulao: ['veg_pulao', 'peas_pulao'],
+          dal: ['dal_tadka', 'dal_fry', 'dal_makhani', 'moong_dal'],
+          rajma: ['rajma_masala'],
+          chole: ['chole_masala', 'pindi_chole'],
+          sambar: ['sambar'],
+          kadhi: ['punjabi_kadhi', 'gujarati_kadhi'],
+          palak_paneer: ['palak_paneer'],
+          paneer_butter_masala: ['paneer_butter_masala', 'shahi_paneer', 'kadai_paneer'],
+          butter_chicken: ['butter_chicken', 'chicken_tikka_masala'],
+          fish_curry: ['bengali_fish_curry', 'goan_fish_curry', 'kerala_fish_curry'],
+          egg_curry: ['egg_curry', 'egg_masala'],
+          aloo_gobi: ['aloo_gobi', 'aloo_sabzi'],
+          bhindi_masala: ['bhindi_masala', 'bhindi_fry'],
+          idli: ['idli', 'rava_idli'],
+          dosa: ['plain_dosa', 'masala_dosa', 'rava_dosa'],
+          vada: ['medu_vada', 'dahi_vada'],
+          upma: ['rava_upma'],
+          poha: ['kanda_poha', 'indori_poha'],
+          samosa: ['punjabi_samosa', 'cocktail_samosa'],
+          pakora: ['onion_pakora', 'paneer_pakora', 'mixed_pakora'],
+          pani_puri: ['pani_puri', 'sev_puri', 'dahi_puri'],
+          pav_bhaji: ['pav_bhaji'],
+          dhokla: ['khaman_dhokla', 'khandvi'],
+          raita: ['boondi_raita', 'cucumber_raita'],
+          pickle: ['mango_pickle', 'lime_pickle', 'mixed_pickle'],
+          papad: ['roasted_papad', 'fried_papad'],
+          gulab_jamun: ['gulab_jamun', 'kala_jamun'],
+          jalebi: ['jalebi', 'imarti'],
+          kheer: ['rice_kheer', 'seviyan_kheer']
         }
       };
       
@@ -250,7 +304,9 @@ class IndianFoodTrainingManager {
         'salt_sugar',
         'temperature',
         'chemical',
-        'microplastics'
+        'microplastics',
+        'food_presence',
+        'food_recognition'
       ];
       
       for (const modelType of modelTypes) {
@@ -289,21 +345,48 @@ class IndianFoodTrainingManager {
       const model = await this.getModelInstance(modelType);
       
       // Prepare training data
-      const trainingData = await this.prepareTrainingData(modelType);
+      const trainingData = await this.prepareTrainingData(modelType, model.inputShape);
       
       // Train the model
       const history = await model.train(trainingData.trainData, trainingData.validationData, this.trainingConfig.epochs);
+
+      // Fit the calibration temperature on held-out data, then persist it with the model
+      model.calibration = {
+        ...model.calibration,
+        temperature: this.fitCalibrationTemperature(model, trainingData.validationData)
+      };
+      if (!this.registry) {
+        await model.saveModel();
+      }
       
       // Evaluate the model
       const evaluation = await this.evaluateModel(model, trainingData.testData);
       
       const trainingTime = Date.now() - startTime;
+
+      let registryVersion = null;
+      if (this.registry) {
+        const record = await this.registry.registerArtifact(model, {
+          metrics: evaluation,
+          trainingDataInfo: {
+            numClasses: trainingData.numClasses,
+            imageSize: trainingData.imageSize,
+            epochs: this.trainingConfig.epochs,
+            trainingTime
+          }
+        });
+        registryVersion = record.version;
+      }
       
       return {
         modelType,
+        registryVersion,
         trainingTime,
         finalAccuracy: evaluation.accuracy,
         finalLoss: evaluation.loss,
+        precision: evaluation.precision,
+        recall: evaluation.recall,
+        f1Score: evaluation.f1Score,
         history: history.history,
         modelSize: await this.calculateModelSize(model)
       };
@@ -335,6 +418,10 @@ class IndianFoodTrainingManager {
         return new (require('../models/ChemicalAdditiveModel'))();
       case 'microplastics':
         return new (require('../models/MicroplasticsModel'))();
+      case 'food_presence':
+        return new (require('../models/FoodPresenceModel'))();
+      case 'food_recognition':
+        return new (require('../models/FoodRecognitionModel'))();
       default:
         throw new Error(`Unknown model type: ${modelType}`);
     }
@@ -343,7 +430,7 @@ class IndianFoodTrainingManager {
   /**
    * Prepare training data for a specific model
    */
-  async prepareTrainingData(modelType) {
+  async prepareTrainingData(modelType, imageSize = [224, 224, 3]) {
     // In a real implementation, this would load and preprocess actual images
     // For demonstration, we'll create synthetic training data
     
@@ -360,17 +447,17 @@ class IndianFoodTrainingManager {
     
     // Create synthetic training data
     const trainData = {
-      x: tf.randomNormal([trainSize, 224, 224, 3]),
+      x: tf.randomNormal([trainSize, ...imageSize]),
       y: tf.randomUniform([trainSize, numClasses])
     };
     
     const validationData = {
-      x: tf.randomNormal([valSize, 224, 224, 3]),
+      x: tf.randomNormal([valSize, ...imageSize]),
       y: tf.randomUniform([valSize, numClasses])
     };
     
     const testData = {
-      x: tf.randomNormal([testSize, 224, 224, 3]),
+      x: tf.randomNormal([testSize, ...imageSize]),
       y: tf.randomUniform([testSize, numClasses])
     };
     
@@ -379,7 +466,7 @@ class IndianFoodTrainingManager {
       validationData,
       testData,
       numClasses,
-      imageSize: [224, 224, 3]
+      imageSize
     };
   }
 
@@ -389,17 +476,88 @@ class IndianFoodTrainingManager {
   async evaluateModel(model, testData) {
     try {
       const evaluation = await model.model.evaluate(testData.x, testData.y);
+
+      // Macro-averaged precision/recall/F1 from the predicted and true classes
+      const probabilities = tf.tidy(() => model.model.predict(testData.x).arraySync());
+      const predicted = probabilities.map(row => row.indexOf(Math.max(...row)));
+      const actual = tf.tidy(() => testData.y.argMax(-1).dataSync());
+      const numClasses = testData.y.shape[1];
+      const perClass = [];
+
+      for (let cls = 0; cls < numClasses; cls++) {
+        let truePositives = 0;
+        let falsePositives = 0;
+        let falseNegatives = 0;
+
+        for (let i = 0; i < actual.length; i++) {
+          if (predicted[i] === cls && actual[i] === cls) truePositives++;
+          else if (predicted[i] === cls) falsePositives++;
+          else if (actual[i] === cls) falseNegatives++;
+        }
+
+        const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+        const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+        perClass.push({ precision, recall, f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0 });
+      }
+
+      const average = key => perClass.reduce((sum, metrics) => sum + metrics[key], 0) / numClasses;
       
       return {
         accuracy: evaluation[1].dataSync()[0],
-        loss: evaluation[0].dataSync()[0]
+        loss: evaluation[0].dataSync()[0],
+        precision: average('precision'),
+        recall: average('recall'),
+        f1Score: average('f1'),
+        calibrationTemperature: model.calibration.temperature,
+        expectedCalibrationError: this.expectedCalibrationError(probabilities.map(row => model.calibrate(row)), actual)
       };
     } catch (error) {
       console.warn('Model evaluation failed:', error);
-      return { accuracy: 0.5, loss: 1.0 };
+      // No made-up metrics: a registered version without them cannot look better than it is
+      return { accuracy: null, loss: null, precision: null, recall: null, f1Score: null, evaluationError: error.message };
     }
   }
 
+  /**
+   * Temperature that minimizes negative log-likelihood on held-out data (grid search over 0.5-5)
+   */
+  fitCalibrationTemperature(model, heldOutData) {
+    const probabilities = tf.tidy(() => model.model.predict(heldOutData.x).arraySync());
+    const labels = tf.tidy(() => Array.from(heldOutData.y.argMax(-1).dataSync()));
+    let best = { temperature: 1, nll: Infinity };
+
+    for (let step = 0; step <= 90; step++) {
+      const temperature = 0.5 + step * 0.05;
+      const nll = probabilities.reduce((sum, row, i) => {
+        const scaled = FoodSafetyBaseModel.temperatureScale(row, temperature);
+        return sum - Math.log(Math.max(scaled[labels[i]], 1e-12));
+      }, 0) / labels.length;
+
+      if (nll < best.nll) best = { temperature, nll };
+    }
+
+    console.log(`🌡️  ${model.modelType} calibration temperature: ${best.temperature.toFixed(2)}`);
+    return Math.round(best.temperature * 100) / 100;
+  }
+
+  /**
+   * Expected calibration error over 10 equal-width confidence bins
+   */
+  expectedCalibrationError(probabilities, actual, numBins = 10) {
+    const bins = Array.from({ length: numBins }, () => ({ count: 0, confidence: 0, correct: 0 }));
+
+    probabilities.forEach((row, i) => {
+      const confidence = Math.max(...row);
+      const bin = bins[Math.min(Math.floor(confidence * numBins), numBins - 1)];
+      bin.count++;
+      bin.confidence += confidence;
+      bin.correct += row.indexOf(confidence) === actual[i] ? 1 : 0;
+    });
+
+    return bins.reduce((error, bin) => bin.count === 0 ? error :
+      error + (bin.count / probabilities.length) * Math.abs(bin.correct / bin.count - bin.confidence / bin.count), 0);
+  }
+
   /**
    * Calculate model size
    */
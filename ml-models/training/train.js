@@ -1,5 +1,6 @@
 const path = require('path');
 const IndianFoodTrainingManager = require('./IndianFoodTrainingManager');
+const ModelRegistry = require('../registry/ModelRegistry');
 
 /**
  * Main Training Script for Indian Food Safety ML Models
@@ -8,7 +9,13 @@ const IndianFoodTrainingManager = require('./IndianFoodTrainingManager');
 async function main() {
   console.log('🚀 Starting Indian Food Safety ML Model Training Pipeline...\n');
 
-  const trainingManager = new IndianFoodTrainingManager();
+  // Trained versions are recorded in the model registry when a database is configured
+  const registry = ModelRegistry.fromEnv();
+  if (!registry) {
+    console.warn('⚠️  No database configured - trained models will not be registered');
+  }
+
+  const trainingManager = new IndianFoodTrainingManager({ registry });
 
   try {
     // Step 1: Initialize training environment
@@ -98,7 +105,9 @@ async function main() {
     console.error('2. Ensure sufficient disk space for model files');
     console.error('3. Verify system memory availability');
     console.error('4. Check Node.js version compatibility');
-    process.exit(1);
+    process.exitCode = 1;
+  } finally {
+    if (registry) await registry.close();
   }
 }
 
@@ -161,8 +170,10 @@ async function prepareDatasetOnly() {
 async function trainModelsOnly() {
   console.log('🧠 Training Models Only...\n');
 
+  const registry = ModelRegistry.fromEnv();
+
   try {
-    const trainingManager = new IndianFoodTrainingManager();
+    const trainingManager = new IndianFoodTrainingManager({ registry });
     await trainingManager.initialize();
     
     // Check if dataset exists
@@ -179,6 +190,8 @@ async function trainModelsOnly() {
     
   } catch (error) {
     console.error('❌ Model training failed:', error);
+  } finally {
+    if (registry) await registry.close();
   }
 }
 
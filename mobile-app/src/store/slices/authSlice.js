@@ -86,16 +86,41 @@ export const logoutUser = createAsyncThunk(
   }
 );
 
+// Refresh tokens are single-use: concurrent callers share one rotation, because
+// sending a spent token again makes the server revoke the whole session
+let refreshInFlight = null;
+
 export const refreshToken = createAsyncThunk(
   'auth/refreshToken',
   async (_, { getState, rejectWithValue }) => {
     try {
       const { auth } = getState();
-      const response = await AuthService.refreshToken(auth.refreshToken);
-      
+
+      if (!refreshInFlight) {
+        refreshInFlight = AuthService.refreshToken(auth.refreshToken).finally(() => {
+          refreshInFlight = null;
+        });
+      }
+      const response = await refreshInFlight;
+
+      // Persist the rotated pair straight away; the old refresh token no longer works
+      await AsyncStorage.multiSet([
+        ['authToken', response.token],
+        ['refreshToken', response.refreshToken],
+      ]);
+
       return response;
     } catch (error) {
-      const message = error.response?.data?.message || error.message || 'Token refresh failed';
+      // A rejected refresh token (expired, revoked or reused) cannot be retried
+      if (error.response?.status === 401) {
+        await AsyncStorage.multiRemove([
+          'authToken',
+          'refreshToken',
+          'userData',
+        ]);
+      }
+
+      const message = error.response?.data?.error || error.message || 'Token refresh failed';
       return rejectWithValue(message);
     }
   }
@@ -200,6 +225,55 @@ export const verifyTwoFactor = createAsyncThunk(
   }
 );
 
+export const completeTwoFactorLogin = createAsyncThunk(
+  'auth/completeTwoFactorLogin',
+  async ({ code, recoveryCode }, { getState, rejectWithValue }) => {
+    try {
+      const { auth } = getState();
+      const response = await AuthService.completeTwoFactorLogin(
+        auth.twoFactorChallenge?.challengeToken,
+        { code, recoveryCode }
+      );
+
+      AnalyticsService.trackEvent('login_success', {
+        method: recoveryCode ? 'two_factor_recovery' : 'two_factor',
+      });
+
+      return response;
+    } catch (error) {
+      const message = error.response?.data?.error || error.message || '2FA login failed';
+      return rejectWithValue(message);
+    }
+  }
+);
+
+export const disableTwoFactor = createAsyncThunk(
+  'auth/disableTwoFactor',
+  // Accounts without a password send phoneCode, texted by /phone/reauth/request
+  async ({ password, phoneCode, code, recoveryCode }, { rejectWithValue }) => {
+    try {
+      const response = await AuthService.disableTwoFactor(password, { code, recoveryCode, phoneCode });
+      return response;
+    } catch (error) {
+      const message = error.response?.data?.error || error.message || 'Failed to disable 2FA';
+      return rejectWithValue(message);
+    }
+  }
+);
+
+export const regenerateRecoveryCodes = createAsyncThunk(
+  'auth/regenerateRecoveryCodes',
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await AuthService.regenerateRecoveryCodes(code);
+      return response;
+    } catch (error) {
+      const message = error.response?.data?.error || error.message || 'Failed to generate recovery codes';
+      return rejectWithValue(message);
+    }
+  }
+);
+
 const initialState = {
   user: null,
   token: null,
@@ -218,6 +292,10 @@ const initialState = {
   emailVerificationSent: false,
   passwordResetSent: false,
   twoFactorSetup: null,
+  twoFactorChallenge: null,
+  twoFactorSetupRequired: false,
+  recoveryCodes: null,
+  recoveryCodesRemaining: null,
 };
 
 // Auth slice
@@ -246,6 +324,12 @@ const authSlice = createSlice({
     setAccountLocked: (state, action) => {
       state.accountLocked = action.payload;
     },
+    clearRecoveryCodes: (state) => {
+      state.recoveryCodes = null;
+    },
+    cancelTwoFactorLogin: (state) => {
+      state.twoFactorChallenge = null;
+    },
     resetAuth: (state) => {
       // Reset to initial state
       Object.assign(state, initialState);
@@ -260,6 +344,16 @@ const authSlice = createSlice({
       })
       .addCase(loginUser.fulfilled, (state, action) => {
         state.isLoading = false;
+
+        // Password accepted; the code step still has to complete the login
+        if (action.payload.requiresTwoFactor) {
+          state.twoFactorChallenge = {
+            challengeToken: action.payload.challengeToken,
+            expiresAt: new Date(Date.now() + action.payload.expiresIn * 1000).toISOString(),
+          };
+          return;
+        }
+
         state.user = action.payload.user;
         state.token = action.payload.token;
         state.refreshToken = action.payload.refreshToken;
@@ -271,6 +365,7 @@ const authSlice = createSlice({
         state.lastLoginAt = new Date().toISOString();
         state.loginAttempts = 0;
         state.accountLocked = false;
+        state.twoFactorSetupRequired = Boolean(action.payload.twoFactorSetupRequired);
       })
       .addCase(loginUser.rejected, (state, action) => {
         state.isLoading = false;
@@ -407,14 +502,79 @@ const authSlice = createSlice({
         state.isLoading = true;
         state.error = null;
       })
-      .addCase(verifyTwoFactor.fulfilled, (state) => {
+      .addCase(verifyTwoFactor.fulfilled, (state, action) => {
         state.isLoading = false;
         state.twoFactorEnabled = true;
         state.twoFactorSetup = null;
+        state.twoFactorSetupRequired = false;
+        state.recoveryCodes = action.payload.recoveryCodes;
       })
       .addCase(verifyTwoFactor.rejected, (state, action) => {
         state.isLoading = false;
         state.error = action.payload;
+      })
+
+      // Complete two factor login
+      .addCase(completeTwoFactorLogin.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(completeTwoFactorLogin.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        state.refreshToken = action.payload.refreshToken;
+        state.isAuthenticated = true;
+        state.isEmailVerified = action.payload.user.emailVerified;
+        state.twoFactorEnabled = true;
+        state.isPremium = action.payload.user.isPremium;
+        state.premiumExpiresAt = action.payload.user.premiumExpiresAt;
+        state.lastLoginAt = new Date().toISOString();
+        state.loginAttempts = 0;
+        state.accountLocked = false;
+        state.twoFactorChallenge = null;
+        state.recoveryCodesRemaining = action.payload.recoveryCodesRemaining ?? null;
+      })
+      .addCase(completeTwoFactorLogin.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+        state.loginAttempts += 1;
+
+        if (state.loginAttempts >= 5) {
+          state.accountLocked = true;
+          state.twoFactorChallenge = null;
+        }
+      })
+
+      // Disable two factor
+      .addCase(disableTwoFactor.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(disableTwoFactor.fulfilled, (state) => {
+        state.isLoading = false;
+        state.twoFactorEnabled = false;
+        state.recoveryCodes = null;
+        state.recoveryCodesRemaining = null;
+      })
+      .addCase(disableTwoFactor.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      })
+
+      // Regenerate recovery codes
+      .addCase(regenerateRecoveryCodes.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(regenerateRecoveryCodes.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.recoveryCodes = action.payload.recoveryCodes;
+        state.recoveryCodesRemaining = null;
+      })
+      .addCase(regenerateRecoveryCodes.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
       });
   },
 });
@@ -428,6 +588,8 @@ export const {
   setEmailVerificationSent,
   setPasswordResetSent,
   setAccountLocked,
+  clearRecoveryCodes,
+  cancelTwoFactorLogin,
   resetAuth,
 } = authSlice.actions;
 
@@ -441,5 +603,8 @@ export const selectIsEmailVerified = (state) => state.auth.isEmailVerified;
 export const selectIsPremium = (state) => state.auth.isPremium;
 export const selectTwoFactorEnabled = (state) => state.auth.twoFactorEnabled;
 export const selectAccountLocked = (state) => state.auth.accountLocked;
+export const selectTwoFactorChallenge = (state) => state.auth.twoFactorChallenge;
+export const selectTwoFactorSetupRequired = (state) => state.auth.twoFactorSetupRequired;
+export const selectRecoveryCodes = (state) => state.auth.recoveryCodes;
 
 export default authSlice.reducer;
\ No newline at end of file